@@ -1,274 +1,127 @@
-// Mock uuid before requiring backupService
 jest.mock('uuid', () => ({
-  v4: () => {
-    return 'test-' + Math.random().toString(36).substr(2, 9) + '-' + Date.now();
-  }
+  v4: () => 'test-' + Math.random().toString(36).substr(2, 9),
 }));
 
-const backupService = require('../../src/services/backupService');
-const { getDB } = require('../../src/config/db');
+// In-memory tables behind Prisma-like models, by model name
+const mockTables = {};
 
-// Simple UUID generator for tests
-function generateId() {
-  return 'test-' + Math.random().toString(36).substr(2, 9) + '-' + Date.now();
+function mockModel(name) {
+  const rows = () => (mockTables[name] = mockTables[name] || []);
+  const key = name === 'monitorState' ? 'targetId' : 'id';
+  const find = (where) => rows().find(row => Object.entries(where).every(([field, value]) => row[field] === value)) || null;
+  return {
+    findMany: jest.fn(async ({ orderBy, cursor, skip = 0, take } = {}) => {
+      let result = rows();
+      if (orderBy) {
+        const [field] = Object.keys(orderBy);
+        result = [...result].sort((a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0));
+      }
+      if (cursor) {
+        const [field, value] = Object.entries(cursor)[0];
+        result = result.slice(result.findIndex(row => row[field] === value));
+      }
+      return result.slice(skip, take === undefined ? undefined : skip + take).map(row => ({ ...row }));
+    }),
+    findUnique: jest.fn(async ({ where }) => {
+      const row = find(where);
+      return row && { ...row };
+    }),
+    create: jest.fn(async ({ data }) => {
+      if (find({ [key]: data[key] })) {
+        throw Object.assign(new Error('Unique constraint failed on the fields: (`_id`)'), { code: 'P2002' });
+      }
+      const row = { ...data };
+      rows().push(row);
+      return { ...row };
+    }),
+    update: jest.fn(async ({ where, data }) => Object.assign(find(where), data)),
+  };
 }
 
-// Mock the database with shared state
-const mockCollections = {
-  targets: [],
-  incidents: [],
-  posts: [],
-  pingResults: [],
-  statistics: [],
-  actions: [],
-  alerts: [],
-  adminSettings: [],
-  publicUISettings: [],
-  favicons: []
-};
+const mockPrisma = Object.fromEntries([
+  'target', 'probe', 'monitorState', 'incident', 'eventRule', 'post', 'pingResult', 'statistic',
+  'pingRollupMinute', 'pingRollupHour', 'pingRollupDay', 'outage', 'action', 'alert',
+  'adminSettings', 'publicUISettings', 'notificationSettings', 'favicon',
+].map(name => [name, mockModel(name)]));
 
-jest.mock('../../src/config/db', () => {
-
-  const createMockCollection = (name) => {
-    return {
-      find: (query = {}) => ({
-        toArray: async () => {
-          let results = mockCollections[name] || [];
-          // Simple query matching
-          if (Object.keys(query).length > 0) {
-            results = results.filter(item => {
-              return Object.keys(query).every(key => {
-                if (query[key] && typeof query[key] === 'object' && '$in' in query[key]) {
-                  return query[key].$in.includes(item[key]);
-                }
-                return item[key] === query[key];
-              });
-            });
-          }
-          return results;
-        }
-      }),
-      findOne: async (query = {}) => {
-        const items = mockCollections[name] || [];
-        if (Object.keys(query).length === 0) {
-          return items[0] || null;
-        }
-        return items.find(item => {
-          return Object.keys(query).every(key => item[key] === query[key]);
-        }) || null;
-      },
-      insertOne: async (doc) => {
-        if (!mockCollections[name]) {
-          mockCollections[name] = [];
-        }
-        if (!doc._id) {
-          // Generate a simple ID for testing
-          doc._id = 'test-' + Math.random().toString(36).substr(2, 9) + '-' + Date.now();
-        }
-        mockCollections[name].push(doc);
-        return { insertedId: doc._id };
-      },
-      updateOne: async (query, update) => {
-        const items = mockCollections[name] || [];
-        const index = items.findIndex(item => {
-          return Object.keys(query).every(key => item[key] === query[key]);
-        });
-        if (index !== -1 && update.$set) {
-          items[index] = { ...items[index], ...update.$set };
-          return { modifiedCount: 1 };
-        }
-        return { modifiedCount: 0 };
-      },
-      deleteOne: async (query) => {
-        const items = mockCollections[name] || [];
-        const index = items.findIndex(item => {
-          return Object.keys(query).every(key => item[key] === query[key]);
-        });
-        if (index !== -1) {
-          items.splice(index, 1);
-          return { deletedCount: 1 };
-        }
-        return { deletedCount: 0 };
-      }
-    };
-  };
+jest.mock('../../src/config/prisma', () => ({
+  getPrisma: () => mockPrisma,
+  isSQLite: () => false,
+}));
 
-  return {
-    getDB: () => ({
-      collection: (name) => createMockCollection(name),
-      query: async (sql, params) => {
-        // Simple mock for SQL queries used in positions endpoint
-        if (sql.includes('SELECT _id FROM targets WHERE _id IN')) {
-          const targetIds = params;
-          const targets = mockCollections.targets.filter(t => targetIds.includes(t._id));
-          return { rows: targets.map(t => ({ _id: t._id })) };
-        }
-        return { rows: [] };
-      }
-    })
-  };
-});
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const backupService = require('../../src/services/backupService');
+const { encryptBackup } = require('../../src/utils/backupCrypto');
+const { REDACTED } = require('../../src/utils/backupSecrets');
+
+const nas = {
+  id: 'target-nas',
+  name: 'NAS',
+  host: 'nas.local',
+  protocol: 'HTTP',
+  port: 80,
+  auth: { type: 'basic', username: 'admin', password: 'hunter22' },
+};
 
 describe('BackupService', () => {
-  let mockDB;
-
-  beforeEach(async () => {
+  beforeEach(() => {
     jest.clearAllMocks();
-    mockDB = getDB();
-    // Clear all collections
-    Object.keys(mockCollections).forEach(key => {
-      mockCollections[key] = [];
-    });
+    Object.keys(mockTables).forEach(name => delete mockTables[name]);
   });
 
   describe('exportData', () => {
-    it('should export full data when full option is true', async () => {
-      // Setup test data
-      const targetId = generateId();
-      await mockDB.collection('targets').insertOne({
-        _id: targetId,
-        name: 'Test Target',
-        host: 'example.com',
-        protocol: 'HTTP',
-        port: 80,
-        auth: JSON.stringify({ username: 'test', password: 'pass' }),
-        quickCommands: JSON.stringify(['cmd1', 'cmd2'])
-      });
+    test('exports every table with a full export', async () => {
+      mockTables.target = [nas];
+      mockTables.incident = [{ id: 'incident-1', title: 'Power cut' }];
 
       const result = await backupService.exportData({ full: true });
 
-      expect(result).toHaveProperty('version');
-      expect(result).toHaveProperty('exportDate');
-      expect(result).toHaveProperty('data');
-      expect(result.data).toHaveProperty('targets');
-      expect(result.data.targets).toHaveLength(1);
-      expect(result.data.targets[0].name).toBe('Test Target');
-      // Should parse JSON fields
-      expect(typeof result.data.targets[0].auth).toBe('object');
-      expect(Array.isArray(result.data.targets[0].quickCommands)).toBe(true);
+      expect(result).toMatchObject({ version: '1.0.0', exportDate: expect.any(String) });
+      expect(result.data.targets).toEqual([{ ...nas, _id: 'target-nas' }]);
+      expect(result.data.incidents).toEqual([{ id: 'incident-1', title: 'Power cut', _id: 'incident-1' }]);
+      for (const model of Object.keys(mockPrisma).filter(model => !model.endsWith('Settings'))) {
+        expect(mockPrisma[model].findMany).toHaveBeenCalled();
+      }
+      expect(mockPrisma.adminSettings.findUnique).toHaveBeenCalledWith({ where: { id: 'settings' } });
     });
 
-    it('should export only monitors when monitors option is true', async () => {
-      const targetId = generateId();
-      await mockDB.collection('targets').insertOne({
-        _id: targetId,
-        name: 'Test Target',
-        host: 'example.com'
-      });
+    test('exports only the selected parts', async () => {
+      mockTables.target = [nas];
 
       const result = await backupService.exportData({ monitors: true });
 
-      expect(result.data).toHaveProperty('targets');
       expect(result.data.targets).toHaveLength(1);
       expect(result.data).not.toHaveProperty('incidents');
       expect(result.data).not.toHaveProperty('posts');
+      expect(mockPrisma.incident.findMany).not.toHaveBeenCalled();
     });
 
-    it('should export incidents when incidents option is true', async () => {
-      const incidentId = generateId();
-      await mockDB.collection('incidents').insertOne({
-        _id: incidentId,
-        title: 'Test Incident',
-        status: 'investigating'
-      });
-
-      const result = await backupService.exportData({ incidents: true });
-
-      expect(result.data).toHaveProperty('incidents');
-      expect(result.data.incidents).toHaveLength(1);
-      expect(result.data.incidents[0].title).toBe('Test Incident');
-    });
-
-    it('should export posts when posts option is true', async () => {
-      const postId = generateId();
-      await mockDB.collection('posts').insertOne({
-        _id: postId,
-        title: 'Test Post',
-        content: 'Test Content'
-      });
-
-      const result = await backupService.exportData({ posts: true });
-
-      expect(result.data).toHaveProperty('posts');
-      expect(result.data.posts).toHaveLength(1);
-      expect(result.data.posts[0].title).toBe('Test Post');
-    });
-
-    it('should export data points when dataPoints option is true', async () => {
-      const pingId = generateId();
-      const statId = generateId();
-      await mockDB.collection('pingResults').insertOne({
-        _id: pingId,
-        targetId: generateId(),
-        success: true,
-        responseTime: 100
-      });
-      await mockDB.collection('statistics').insertOne({
-        _id: statId,
-        targetId: generateId(),
-        date: new Date(),
-        totalPings: 100
-      });
+    test('exports data points under the current and the legacy names', async () => {
+      mockTables.pingResult = [{ id: 'ping-1', targetId: 'target-nas', success: true, responseTime: 100 }];
+      mockTables.statistic = [{ id: 'stat-1', targetId: 'target-nas', totalPings: 100 }];
 
       const result = await backupService.exportData({ dataPoints: true });
 
-      expect(result.data).toHaveProperty('pingResults');
-      expect(result.data).toHaveProperty('statistics');
-      expect(result.data).toHaveProperty('ping_results'); // Legacy format
-      expect(result.data).toHaveProperty('daily_stats'); // Legacy format
       expect(result.data.pingResults).toHaveLength(1);
       expect(result.data.statistics).toHaveLength(1);
+      expect(result.data.ping_results).toBe(result.data.pingResults);
+      expect(result.data.daily_stats).toBe(result.data.statistics);
     });
 
-    it('should export settings when settings option is true', async () => {
-      await mockDB.collection('adminSettings').insertOne({
-        _id: 'settings',
-        sessionDurationDays: 30
-      });
-      await mockDB.collection('publicUISettings').insertOne({
-        _id: 'settings',
-        title: 'Test Title'
-      });
+    test('exports the settings', async () => {
+      mockTables.adminSettings = [{ id: 'settings', sessionDurationDays: 30 }];
+      mockTables.publicUISettings = [{ id: 'settings', title: 'Homelab' }];
 
       const result = await backupService.exportData({ settings: true });
 
-      expect(result.data).toHaveProperty('adminSettings');
-      expect(result.data).toHaveProperty('publicUISettings');
-      expect(result.data.adminSettings.sessionDurationDays).toBe(30);
-      expect(result.data.publicUISettings.title).toBe('Test Title');
-    });
-
-    it('should parse JSON fields in targets correctly', async () => {
-      const targetId = generateId();
-      await mockDB.collection('targets').insertOne({
-        _id: targetId,
-        name: 'Test Target',
-        auth: JSON.stringify({ username: 'user', password: 'pass' }),
-        quickCommands: JSON.stringify(['cmd1', 'cmd2'])
-      });
-
-      const result = await backupService.exportData({ monitors: true });
-
-      expect(typeof result.data.targets[0].auth).toBe('object');
-      expect(result.data.targets[0].auth.username).toBe('user');
-      expect(Array.isArray(result.data.targets[0].quickCommands)).toBe(true);
-      expect(result.data.targets[0].quickCommands[0]).toBe('cmd1');
+      expect(result.data.adminSettings).toEqual({ id: 'settings', _id: 'settings', sessionDurationDays: 30 });
+      expect(result.data.publicUISettings.title).toBe('Homelab');
+      expect(result.data.notificationSettings).toBeNull();
     });
 
-    it('should handle invalid JSON in auth field gracefully', async () => {
-      const targetId = generateId();
-      await mockDB.collection('targets').insertOne({
-        _id: targetId,
-        name: 'Test Target',
-        auth: 'invalid json {'
-      });
-
-      const result = await backupService.exportData({ monitors: true });
-
-      expect(result.data.targets[0].auth).toBeNull();
-    });
-
-    it('should return empty arrays when collections are empty', async () => {
+    test('exports empty tables as empty arrays', async () => {
       const result = await backupService.exportData({ monitors: true });
 
       expect(result.data.targets).toEqual([]);
@@ -276,435 +129,275 @@ describe('BackupService', () => {
   });
 
   describe('importData', () => {
-    it('should import targets successfully', async () => {
-      const targetId = generateId();
-      const importData = {
-        data: {
-          targets: [{
-            _id: targetId,
-            name: 'Imported Target',
-            host: 'example.com',
-            protocol: 'HTTP',
-            port: 80,
-            auth: { username: 'user', password: 'pass' },
-            quickCommands: ['cmd1']
-          }]
-        }
-      };
-
-      const result = await backupService.importData(importData);
+    test('creates new targets with their id', async () => {
+      const result = await backupService.importData({ data: { targets: [{ ...nas, _id: nas.id }] } });
 
-      expect(result.imported).toHaveProperty('targets');
-      expect(result.imported.targets.imported).toBe(1);
-      
-      // Verify target was imported
-      const imported = await mockDB.collection('targets').findOne({ _id: targetId });
-      expect(imported).toBeTruthy();
-      expect(imported.name).toBe('Imported Target');
-      // Auth should be stringified
-      expect(typeof imported.auth).toBe('string');
+      expect(result.imported.targets).toEqual({ imported: 1, updated: 0, skipped: 0, failed: 0 });
+      expect(mockPrisma.target.create).toHaveBeenCalledWith({ data: nas });
     });
 
-    it('should skip existing targets when overwrite is false', async () => {
-      const targetId = generateId();
-      await mockDB.collection('targets').insertOne({
-        _id: targetId,
-        name: 'Existing Target',
-        host: 'old.com'
-      });
+    test('skips existing targets without overwrite', async () => {
+      mockTables.target = [nas];
 
-      const importData = {
-        data: {
-          targets: [{
-            _id: targetId,
-            name: 'Existing Target',
-            host: 'new.com'
-          }]
-        }
-      };
+      const result = await backupService.importData({ data: { targets: [{ ...nas, host: 'new.local' }] } });
 
-      const result = await backupService.importData(importData, { overwrite: false });
-
-      expect(result.imported.targets.skipped).toBe(1);
-      
-      // Verify target was not updated
-      const existing = await mockDB.collection('targets').findOne({ _id: targetId });
-      expect(existing.host).toBe('old.com');
+      expect(result.imported.targets).toEqual({ imported: 0, updated: 0, skipped: 1, failed: 0 });
+      expect(mockPrisma.target.update).not.toHaveBeenCalled();
+      expect(mockPrisma.target.create).not.toHaveBeenCalled();
     });
 
-    it('should update existing targets when overwrite is true', async () => {
-      const targetId = generateId();
-      await mockDB.collection('targets').insertOne({
-        _id: targetId,
-        name: 'Existing Target',
-        host: 'old.com'
-      });
+    test('updates existing targets with overwrite', async () => {
+      mockTables.target = [nas];
 
-      const importData = {
-        data: {
-          targets: [{
-            _id: targetId,
-            name: 'Existing Target',
-            host: 'new.com'
-          }]
-        }
-      };
-
-      const result = await backupService.importData(importData, { overwrite: true });
+      const result = await backupService.importData({ data: { targets: [{ ...nas, _id: nas.id, host: 'new.local' }] } }, { overwrite: true });
 
       expect(result.imported.targets.updated).toBe(1);
-      
-      // Verify target was updated
-      const updated = await mockDB.collection('targets').findOne({ _id: targetId });
-      expect(updated.host).toBe('new.com');
+      const { id, ...data } = { ...nas, host: 'new.local' };
+      expect(mockPrisma.target.update).toHaveBeenCalledWith({ where: { id: nas.id }, data });
     });
 
-    it('should handle targets with same name but different ID', async () => {
-      const existingId = generateId();
-      const newId = generateId();
-      await mockDB.collection('targets').insertOne({
-        _id: existingId,
-        name: 'Same Name',
-        host: 'old.com'
-      });
-
-      const importData = {
-        data: {
-          targets: [{
-            _id: newId,
-            name: 'Same Name',
-            host: 'new.com'
-          }]
-        }
-      };
+    test('updates the target with the same name when the id differs', async () => {
+      mockTables.target = [nas];
 
-      const result = await backupService.importData(importData, { overwrite: true });
+      const result = await backupService.importData({ data: { targets: [{ ...nas, id: 'other-id', host: 'new.local' }] } }, { overwrite: true });
 
-      // Should update existing target with same name
       expect(result.imported.targets.updated).toBe(1);
-      
-      const updated = await mockDB.collection('targets').findOne({ _id: existingId });
-      expect(updated.host).toBe('new.com');
+      expect(mockPrisma.target.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: nas.id } }));
+      expect(mockTables.target).toEqual([{ ...nas, host: 'new.local' }]);
     });
 
-    it('should import incidents successfully', async () => {
-      const incidentId = generateId();
-      const importData = {
+    test('imports incidents, posts, alerts and favicons', async () => {
+      const result = await backupService.importData({
         data: {
-          incidents: [{
-            _id: incidentId,
-            title: 'Imported Incident',
-            status: 'investigating'
-          }]
-        }
-      };
-
-      const result = await backupService.importData(importData);
+          incidents: [{ _id: 'incident-1', title: 'Power cut', status: 'investigating' }],
+          posts: [{ _id: 'post-1', title: 'New UPS', content: 'Installed' }],
+          alerts: [{ _id: 'alert-1', targetId: 'target-nas', message: 'Down' }],
+          favicons: [{ _id: 'favicon-1', appUrl: 'https://nas.local', favicon: 'data:image/png;base64,' }],
+        },
+      });
 
-      expect(result.imported).toHaveProperty('incidents');
-      expect(result.imported.incidents.imported).toBe(1);
-      
-      const imported = await mockDB.collection('incidents').findOne({ _id: incidentId });
-      expect(imported).toBeTruthy();
-      expect(imported.title).toBe('Imported Incident');
+      for (const type of ['incidents', 'posts', 'alerts', 'favicons']) {
+        expect(result.imported[type]).toEqual({ imported: 1, updated: 0, skipped: 0, failed: 0 });
+      }
+      expect(mockPrisma.incident.create).toHaveBeenCalledWith({ data: { id: 'incident-1', title: 'Power cut', status: 'investigating' } });
     });
 
-    it('should import posts successfully', async () => {
-      const postId = generateId();
-      const importData = {
-        data: {
-          posts: [{
-            _id: postId,
-            title: 'Imported Post',
-            content: 'Content'
-          }]
-        }
-      };
-
-      const result = await backupService.importData(importData);
-
-      expect(result.imported).toHaveProperty('posts');
-      expect(result.imported.posts.imported).toBe(1);
-    });
+    test('imports ping results and statistics, skipping ones that exist', async () => {
+      mockTables.pingResult = [{ id: 'ping-1', targetId: 'target-nas', success: true }];
 
-    it('should import pingResults successfully', async () => {
-      const pingId = generateId();
-      const targetId = generateId();
-      const importData = {
+      const result = await backupService.importData({
         data: {
-          pingResults: [{
-            _id: pingId,
-            targetId: targetId,
-            success: true,
-            responseTime: 100
-          }]
-        }
-      };
-
-      const result = await backupService.importData(importData);
+          pingResults: [
+            { _id: 'ping-1', targetId: 'target-nas', success: true },
+            { _id: 'ping-2', targetId: 'target-nas', success: false },
+          ],
+          statistics: [{ _id: 'stat-1', targetId: 'target-nas', totalPings: 100 }],
+        },
+      });
 
-      expect(result.imported).toHaveProperty('pingResults');
-      expect(result.imported.pingResults.imported).toBe(1);
+      expect(result.imported.pingResults).toMatchObject({ imported: 1, skipped: 1 });
+      expect(result.imported.statistics).toMatchObject({ imported: 1 });
+      expect(mockPrisma.pingResult.create).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.pingResult.create).toHaveBeenCalledWith({ data: { id: 'ping-2', targetId: 'target-nas', success: false } });
     });
 
-    it('should import statistics successfully', async () => {
-      const statId = generateId();
-      const targetId = generateId();
-      const importData = {
+    test('converts the legacy data point formats', async () => {
+      const result = await backupService.importData({
         data: {
-          statistics: [{
-            _id: statId,
-            targetId: targetId,
-            date: new Date(),
-            totalPings: 100
-          }]
-        }
-      };
-
-      const result = await backupService.importData(importData);
+          ping_results: [{ targetId: 'target-nas', success: 1, responseTime: 100, timestamp: '2026-10-01T12:00:00Z' }],
+          daily_stats: [{ targetId: 'target-nas', date: '2026-10-01', totalPings: 100, successfulPings: 95, avgResponseTime: 50 }],
+        },
+      });
 
-      expect(result.imported).toHaveProperty('statistics');
-      expect(result.imported.statistics.imported).toBe(1);
+      expect(result.imported.ping_results).toMatchObject({ imported: 1 });
+      expect(result.imported.daily_stats).toMatchObject({ imported: 1 });
+      expect(mockPrisma.pingResult.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ targetId: 'target-nas', success: true, timestamp: new Date('2026-10-01T12:00:00Z') }),
+      });
+      expect(mockPrisma.statistic.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ totalPings: 100, successfulPings: 95, failedPings: 5, uptime: 95 }),
+      });
     });
 
-    it('should import legacy ping_results format', async () => {
-      const targetId = generateId();
-      const importData = {
-        data: {
-          ping_results: [{
-            targetId: targetId,
-            success: 1,
-            responseTime: 100,
-            timestamp: new Date()
-          }]
-        }
-      };
+    test('creates settings, and updates them only with overwrite', async () => {
+      const data = { adminSettings: { _id: 'settings', sessionDurationDays: 60 }, publicUISettings: { _id: 'settings', title: 'Homelab' } };
 
-      const result = await backupService.importData(importData);
-
-      expect(result.imported).toHaveProperty('ping_results');
-      expect(result.imported.ping_results.imported).toBe(1);
-    });
+      const created = await backupService.importData({ data });
+      expect(created.imported).toMatchObject({ adminSettings: { imported: 1 }, publicUISettings: { imported: 1 } });
+      expect(mockPrisma.adminSettings.create).toHaveBeenCalledWith({ data: { id: 'settings', sessionDurationDays: 60 } });
 
-    it('should import legacy daily_stats format', async () => {
-      const targetId = generateId();
-      const importData = {
-        data: {
-          daily_stats: [{
-            targetId: targetId,
-            date: new Date(),
-            totalPings: 100,
-            successfulPings: 95,
-            avgResponseTime: 50
-          }]
-        }
-      };
+      const kept = await backupService.importData({ data: { adminSettings: { sessionDurationDays: 90 } } });
+      expect(kept.imported.adminSettings).toBeUndefined();
 
-      const result = await backupService.importData(importData);
+      const updated = await backupService.importData({ data: { adminSettings: { sessionDurationDays: 90 } } }, { overwrite: true });
+      expect(updated.imported.adminSettings).toEqual({ updated: 1 });
+      expect(mockTables.adminSettings[0].sessionDurationDays).toBe(90);
+    });
 
-      expect(result.imported).toHaveProperty('daily_stats');
-      expect(result.imported.daily_stats.imported).toBe(1);
+    test('rejects data without a data object', async () => {
+      await expect(backupService.importData({ invalid: 'format' })).rejects.toThrow('Invalid import data format');
     });
 
-    it('should import settings successfully', async () => {
-      const importData = {
-        data: {
-          adminSettings: {
-            _id: 'settings',
-            sessionDurationDays: 60
-          },
-          publicUISettings: {
-            _id: 'settings',
-            title: 'New Title'
-          }
-        }
-      };
+    test('continues with the other parts after a failed one', async () => {
+      mockPrisma.incident.create.mockRejectedValueOnce(new Error('Database is locked'));
 
-      const result = await backupService.importData(importData);
+      const result = await backupService.importData({
+        data: {
+          targets: [nas],
+          incidents: [{ _id: 'incident-1', title: 'Power cut' }],
+          posts: [{ _id: 'post-1', title: 'New UPS' }],
+        },
+      });
 
-      expect(result.imported).toHaveProperty('adminSettings');
-      expect(result.imported).toHaveProperty('publicUISettings');
-      expect(result.imported.adminSettings.imported).toBe(1);
-      expect(result.imported.publicUISettings.imported).toBe(1);
+      expect(result.imported.targets.imported).toBe(1);
+      expect(result.imported.posts.imported).toBe(1);
+      expect(result.errors).toEqual([{ type: 'incidents', id: 'incident-1', error: 'Database is locked' }]);
     });
 
-    it('should update settings when overwrite is true', async () => {
-      await mockDB.collection('adminSettings').insertOne({
-        _id: 'settings',
-        sessionDurationDays: 30
-      });
+    test('continues with the next records after a failed one', async () => {
+      mockPrisma.pingResult.create.mockRejectedValueOnce(new Error('Foreign key constraint failed'));
 
-      const importData = {
+      const result = await backupService.importData({
         data: {
-          adminSettings: {
-            _id: 'settings',
-            sessionDurationDays: 60
-          }
-        }
-      };
-
-      const result = await backupService.importData(importData, { overwrite: true });
+          pingResults: ['ping-1', 'ping-2', 'ping-3'].map(id => ({ _id: id, targetId: 'target-nas', success: true })),
+        },
+      });
 
-      expect(result.imported.adminSettings.updated).toBe(1);
-      
-      const updated = await mockDB.collection('adminSettings').findOne({ _id: 'settings' });
-      expect(updated.sessionDurationDays).toBe(60);
+      expect(result.imported.pingResults).toEqual({ imported: 2, updated: 0, skipped: 0, failed: 1 });
+      expect(result.errors).toEqual([{ type: 'pingResults', id: 'ping-1', error: 'Foreign key constraint failed' }]);
+      expect(mockTables.pingResult.map(row => row.id)).toEqual(['ping-2', 'ping-3']);
     });
 
-    it('should import favicons successfully', async () => {
-      const faviconId = generateId();
-      const importData = {
+    test('imports results of unknown probes as local results', async () => {
+      const result = await backupService.importData({
         data: {
-          favicons: [{
-            _id: faviconId,
-            appUrl: 'https://example.com',
-            favicon: 'data:image/png;base64,...'
-          }]
-        }
-      };
-
-      const result = await backupService.importData(importData);
+          probes: [{ _id: 'probe-office', name: 'Office', token: 'office-token' }],
+          pingResults: [
+            { _id: 'ping-1', targetId: 'target-nas', success: true, probeId: 'probe-office' },
+            { _id: 'ping-2', targetId: 'target-nas', success: true, probeId: 'probe-gone' },
+          ],
+        },
+      });
 
-      expect(result.imported).toHaveProperty('favicons');
-      expect(result.imported.favicons.imported).toBe(1);
+      expect(result.errors).toEqual([]);
+      expect(mockTables.pingResult.map(row => row.probeId)).toEqual(['probe-office', null]);
     });
 
-    it('should stringify object auth field when importing', async () => {
-      const targetId = generateId();
-      const importData = {
-        data: {
-          targets: [{
-            _id: targetId,
-            name: 'Test',
-            auth: { username: 'user', password: 'pass' }
-          }]
-        }
-      };
+    test('keeps or replaces redacted probe tokens', async () => {
+      mockTables.probe = [{ id: 'probe-office', name: 'Office', token: 'office-token' }];
+      const exported = await backupService.exportData({ monitors: true, redact: true });
+      expect(exported.data.probes[0].token).toBe(REDACTED);
 
-      await backupService.importData(importData);
+      await backupService.importData({
+        data: { probes: [...exported.data.probes, { _id: 'probe-lab', name: 'Lab', token: REDACTED }] },
+      }, { overwrite: true });
 
-      const imported = await mockDB.collection('targets').findOne({ _id: targetId });
-      expect(typeof imported.auth).toBe('string');
-      const parsed = JSON.parse(imported.auth);
-      expect(parsed.username).toBe('user');
+      expect(mockTables.probe[0].token).toBe('office-token');
+      expect(mockTables.probe[1].token).toMatch(/^[0-9a-f]{48}$/);
     });
 
-    it('should stringify array quickCommands when importing', async () => {
-      const targetId = generateId();
-      const importData = {
-        data: {
-          targets: [{
-            _id: targetId,
-            name: 'Test',
-            quickCommands: ['cmd1', 'cmd2']
-          }]
-        }
+    test('restores a full export into an empty database', async () => {
+      const bucket = '2026-09-01T00:00:00.000Z';
+      const tables = {
+        target: [nas],
+        probe: [{ id: 'probe-office', name: 'Office', token: 'office-token' }],
+        monitorState: [{ targetId: 'target-nas', status: 'up', consecutiveFailures: 0 }],
+        incident: [{ id: 'incident-1', title: 'Power cut' }],
+        eventRule: [{ id: 'rule-1', name: 'NAS down', eventType: 'target_down', conditions: { targetId: 'target-nas' } }],
+        post: [{ id: 'post-1', title: 'New UPS' }],
+        pingResult: [{ id: 'ping-1', targetId: 'target-nas', success: true, probeId: 'probe-office' }],
+        statistic: [{ id: 'stat-1', targetId: 'target-nas', date: '2026-10-01', totalPings: 100 }],
+        pingRollupMinute: [{ id: 'minute-1', targetId: 'target-nas', bucket, totalPings: 2 }],
+        pingRollupHour: [{ id: 'hour-1', targetId: 'target-nas', bucket, totalPings: 120 }],
+        pingRollupDay: [{ id: 'day-1', targetId: 'target-nas', bucket, totalPings: 2880 }],
+        outage: [{ id: 'outage-1', targetId: 'target-nas', startedAt: bucket, endedAt: null }],
+        action: [{ id: 'action-1', targetId: 'target-nas', name: 'Restart', type: 'ssh', command: 'reboot' }],
+        alert: [{ id: 'alert-1', targetId: 'target-nas', type: 'down' }],
+        favicon: [{ id: 'favicon-1', appUrl: 'https://nas.local' }],
+        adminSettings: [{ id: 'settings', sessionDurationDays: 30 }],
       };
-
-      await backupService.importData(importData);
-
-      const imported = await mockDB.collection('targets').findOne({ _id: targetId });
-      expect(typeof imported.quickCommands).toBe('string');
-      const parsed = JSON.parse(imported.quickCommands);
-      expect(Array.isArray(parsed)).toBe(true);
-      expect(parsed[0]).toBe('cmd1');
+      Object.assign(mockTables, JSON.parse(JSON.stringify(tables)));
+      const exported = JSON.parse(JSON.stringify(await backupService.exportData({ full: true })));
+      Object.keys(mockTables).forEach(name => delete mockTables[name]);
+
+      const result = await backupService.importData(exported);
+
+      expect(result.errors).toEqual([]);
+      expect(mockTables).toEqual(tables);
+      // Referenced records are created first
+      const order = (model) => mockPrisma[model].create.mock.invocationCallOrder[0];
+      expect(order('target')).toBeLessThan(order('probe'));
+      expect(order('probe')).toBeLessThan(order('pingResult'));
+      expect(order('target')).toBeLessThan(order('outage'));
     });
+  });
 
-    it('should throw error for invalid import data format', async () => {
-      const importData = { invalid: 'format' };
+  describe('backup files', () => {
+    let directory;
+    // Clears the tables, the backup settings stay
+    const clearData = () => Object.keys(mockTables).filter(name => name !== 'adminSettings').forEach(name => delete mockTables[name]);
+    const useBackupSettings = (backupSettings) => {
+      mockTables.adminSettings = [{ id: 'settings', backupSettings: { directory, ...backupSettings } }];
+    };
 
-      await expect(backupService.importData(importData)).rejects.toThrow('Invalid import data format');
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'localping-backup-'));
+      process.env.BACKUP_PASSPHRASE = 'correct horse';
     });
 
-    it('should handle errors gracefully and continue with other imports', async () => {
-      const targetId = generateId();
-      const importData = {
-        data: {
-          targets: [{
-            _id: targetId,
-            name: 'Valid Target'
-          }],
-          incidents: [{
-            // Missing required _id - this will cause an error when trying to insert
-            title: 'Invalid Incident'
-          }]
-        }
-      };
-
-      const result = await backupService.importData(importData);
-
-      // Targets should still be imported
-      expect(result.imported.targets.imported).toBe(1);
-      // Incidents import should either succeed (if _id is auto-generated) or have errors
-      // The mock will auto-generate _id, so it might succeed. Let's check that targets were imported
-      expect(result.imported.targets).toBeDefined();
-      // If incidents failed, there should be errors, otherwise it should be imported
-      if (result.errors.length > 0) {
-        expect(result.errors.some(e => e.type === 'incidents')).toBe(true);
-      } else {
-        // If no errors, incidents should have been imported (with auto-generated _id)
-        expect(result.imported.incidents).toBeDefined();
-      }
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+      delete process.env.BACKUP_PASSPHRASE;
     });
 
-    it('should skip duplicate pingResults', async () => {
-      const pingId = generateId();
-      const targetId = generateId();
-      
-      await mockDB.collection('pingResults').insertOne({
-        _id: pingId,
-        targetId: targetId,
-        success: true
-      });
-
-      const importData = {
-        data: {
-          pingResults: [{
-            _id: pingId,
-            targetId: targetId,
-            success: true
-          }]
-        }
-      };
-
-      const result = await backupService.importData(importData);
-
-      expect(result.imported.pingResults.imported).toBe(0);
+    test('writes the tables page by page and restores them', async () => {
+      mockTables.target = [nas];
+      mockTables.pingResult = Array.from({ length: 2100 }, (_, i) => ({
+        id: `ping-${String(i).padStart(4, '0')}`, targetId: 'target-nas', success: true,
+      }));
+      useBackupSettings({ compress: true, encrypt: false });
+      const tables = JSON.parse(JSON.stringify(mockTables));
+
+      const backup = await backupService.createBackup();
+
+      expect(backup).toMatchObject({ compressed: true, encrypted: false, size: fs.statSync(path.join(directory, backup.name)).size });
+      expect(mockPrisma.pingResult.findMany).toHaveBeenCalledTimes(3);
+      expect(mockPrisma.pingResult.findMany).toHaveBeenLastCalledWith({ orderBy: { id: 'asc' }, take: 1000, cursor: { id: 'ping-1999' }, skip: 1 });
+      expect(fs.readdirSync(directory)).toEqual([backup.name]);
+
+      const content = await backupService.readBackup(backup.name);
+      expect(content.data.pingResults).toHaveLength(2100);
+      expect(content.data.notificationSettings).toBeNull();
+
+      clearData();
+      const result = await backupService.restoreBackup(backup.name);
+      expect(result.errors).toEqual([]);
+      expect(mockTables.target).toEqual(tables.target);
+      expect(mockTables.pingResult).toEqual(tables.pingResult);
     });
 
-    it('should handle round-trip export/import correctly', async () => {
-      // Create test data
-      const targetId = generateId();
-      await mockDB.collection('targets').insertOne({
-        _id: targetId,
-        name: 'Round Trip Test',
-        host: 'example.com',
-        protocol: 'HTTP',
-        port: 80,
-        auth: JSON.stringify({ username: 'user', password: 'pass' }),
-        quickCommands: JSON.stringify(['cmd1'])
-      });
+    test('encrypts backups as a stream and still restores the single envelope format', async () => {
+      mockTables.target = [nas];
+      useBackupSettings({ compress: true, encrypt: true });
 
-      // Export
-      const exported = await backupService.exportData({ monitors: true });
+      const backup = await backupService.createBackup();
 
-      // Clear database
-      await mockDB.collection('targets').deleteOne({ _id: targetId });
+      const content = fs.readFileSync(path.join(directory, backup.name));
+      const header = JSON.parse(content.subarray(0, content.indexOf('\n')).toString('utf8'));
+      expect(header).toMatchObject({ format: 'localping-encrypted-backup', version: 2, compression: 'gzip' });
+      expect(content.toString('latin1')).not.toContain('hunter22');
 
-      // Import
-      const importResult = await backupService.importData(exported);
+      // Backups written before backup files were streamed
+      const legacy = 'localping-backup-2026-01-01T03-00-00Z.json.enc';
+      fs.writeFileSync(path.join(directory, legacy), JSON.stringify(await encryptBackup(await backupService.exportData({ full: true }), 'correct horse')));
 
-      expect(importResult.imported.targets.imported).toBe(1);
-
-      // Verify data integrity
-      const imported = await mockDB.collection('targets').findOne({ _id: targetId });
-      expect(imported.name).toBe('Round Trip Test');
-      expect(imported.host).toBe('example.com');
-      // Auth should be stringified after import
-      expect(typeof imported.auth).toBe('string');
-      const parsedAuth = JSON.parse(imported.auth);
-      expect(parsedAuth.username).toBe('user');
+      for (const name of [backup.name, legacy]) {
+        clearData();
+        const result = await backupService.restoreBackup(name);
+        expect(result.errors).toEqual([]);
+        expect(mockTables.target).toEqual([nas]);
+      }
+      await expect(backupService.restoreBackup(backup.name, { passphrase: 'wrong horse' })).rejects.toThrow('Wrong passphrase or damaged backup');
     });
   });
 });
-
@@ -0,0 +1,99 @@
+jest.mock('uuid', () => ({
+  v4: () => 'test-' + Math.random().toString(36).substr(2, 9),
+}));
+
+// In-memory tables with the filters the retention queries use
+const mockTables = {};
+
+function mockMatches(row, where) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      return (condition.lt === undefined || row[field] < condition.lt)
+        && (condition.gte === undefined || row[field] >= condition.gte);
+    }
+    return row[field] === condition;
+  });
+}
+
+function mockModel(name) {
+  const rows = () => (mockTables[name] = mockTables[name] || []);
+  return {
+    findMany: jest.fn(async ({ where }) => rows().filter(row => mockMatches(row, where)).map(row => ({ ...row }))),
+    findUnique: jest.fn(async ({ where }) => {
+      const { targetId, bucket } = where.targetId_bucket;
+      const row = rows().find(r => r.targetId === targetId && r.bucket.getTime() === bucket.getTime());
+      return row ? { ...row } : null;
+    }),
+    create: jest.fn(async ({ data }) => rows().push({ ...data })),
+    update: jest.fn(async ({ where, data }) => Object.assign(rows().find(row => row.id === where.id), data)),
+    deleteMany: jest.fn(async ({ where }) => {
+      const kept = rows().filter(row => !mockMatches(row, where));
+      const count = rows().length - kept.length;
+      mockTables[name] = kept;
+      return { count };
+    }),
+  };
+}
+
+const mockPrisma = {
+  pingResult: mockModel('pingResult'),
+  pingRollupMinute: mockModel('pingRollupMinute'),
+  pingRollupHour: mockModel('pingRollupHour'),
+  pingRollupDay: mockModel('pingRollupDay'),
+  $transaction: jest.fn(fn => fn(mockPrisma)),
+};
+jest.mock('../../src/config/prisma', () => ({
+  getPrisma: () => mockPrisma,
+  isSQLite: () => true,
+}));
+
+const dataRetentionService = require('../../src/services/dataRetentionService');
+const { DEFAULT_RETENTION_POLICY } = require('../../src/utils/retentionPolicy');
+
+describe('DataRetentionService on SQLite', () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const result = (timestamp, responseTime) => ({
+    targetId: 'nas', timestamp, success: true, responseTime, probeId: null, maintenance: false,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Object.keys(mockTables).forEach(name => delete mockTables[name]);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('rolls up raw results into the 1-minute tier', async () => {
+    mockTables.pingResult = [result(daysAgo(1), 10), result(daysAgo(40), 20)];
+
+    await dataRetentionService.processRetentionForTarget({ id: 'nas' }, DEFAULT_RETENTION_POLICY);
+
+    expect(mockTables.pingResult).toHaveLength(1);
+    expect(mockTables.pingRollupMinute).toEqual([expect.objectContaining({ targetId: 'nas', totalPings: 1, avgResponseTime: 20 })]);
+  });
+
+  test('passes rows older than the next tier on to the tier that keeps them', async () => {
+    // 60-90 day old raw results kept by an earlier policy, and an hour rollup past its tier
+    const thinned = daysAgo(75);
+    mockTables.pingResult = [result(thinned, 30), result(thinned, 50), result(daysAgo(200), 70), result(daysAgo(1000), 90)];
+    mockTables.pingRollupMinute = [];
+    mockTables.pingRollupHour = [{
+      id: 'hour-1', targetId: 'nas', bucket: daysAgo(190), totalPings: 60, successfulPings: 60, measuredPings: 60,
+      avgResponseTime: 5, minResponseTime: 1, maxResponseTime: 9,
+    }];
+
+    const { deleted } = await dataRetentionService.processRetentionForTarget({ id: 'nas' }, DEFAULT_RETENTION_POLICY);
+
+    expect(mockTables.pingResult).toEqual([]);
+    expect(mockTables.pingRollupMinute).toEqual([]);
+    expect(mockTables.pingRollupHour).toEqual([expect.objectContaining({ totalPings: 2, avgResponseTime: 40, minResponseTime: 30, maxResponseTime: 50 })]);
+    expect(mockTables.pingRollupDay.map(row => row.totalPings).sort((a, b) => a - b)).toEqual([1, 60]);
+    // Only the result past the daily tier is gone
+    const kept = [...mockTables.pingRollupHour, ...mockTables.pingRollupDay].reduce((sum, row) => sum + row.totalPings, 0);
+    expect(kept).toBe(63);
+    expect(deleted).toBeGreaterThan(0);
+  });
+});
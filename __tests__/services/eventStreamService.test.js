@@ -0,0 +1,55 @@
+const { EventEmitter } = require('events');
+const eventStreamService = require('../../src/services/eventStreamService');
+
+function connect(options) {
+  const req = new EventEmitter();
+  const res = { writeHead: jest.fn(), write: jest.fn() };
+  eventStreamService.subscribe(req, res, options);
+  return { req, res, sent: () => res.write.mock.calls.map(([chunk]) => chunk).filter(chunk => chunk.startsWith('id:')) };
+}
+
+describe('EventStreamService', () => {
+  test('streams events as Server-Sent Events', () => {
+    const client = connect();
+    expect(client.res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+
+    eventStreamService.publish('status', { targetId: 'nas', status: 'down' });
+
+    expect(client.sent()).toHaveLength(1);
+    expect(client.sent()[0]).toMatch(/^id: \d+\nevent: status\ndata: \{"targetId":"nas","status":"down"\}\n\n$/);
+    client.req.emit('close');
+  });
+
+  test('format can reshape or skip events per client', () => {
+    const client = connect({ format: (event) => (event.type === 'ping' ? null : { status: event.data.status }) });
+
+    eventStreamService.publish('ping', { targetId: 'nas', responseTime: 12 });
+    eventStreamService.publish('status', { targetId: 'nas', status: 'up', secret: true });
+
+    expect(client.sent()).toHaveLength(1);
+    expect(client.sent()[0]).toContain('data: {"status":"up"}');
+    client.req.emit('close');
+  });
+
+  test('waits for formats that resolve later', async () => {
+    const client = connect({ format: async (event) => (event.data.hidden ? null : { status: event.data.status }) });
+
+    eventStreamService.publish('incident', { status: 'investigating', hidden: true });
+    eventStreamService.publish('incident', { status: 'resolved' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(client.sent()).toHaveLength(1);
+    expect(client.sent()[0]).toContain('event: incident\ndata: {"status":"resolved"}');
+    client.req.emit('close');
+  });
+
+  test('stops sending once the client disconnects', () => {
+    const client = connect();
+    client.req.emit('close');
+
+    eventStreamService.publish('status', { targetId: 'nas', status: 'down' });
+
+    expect(client.sent()).toHaveLength(0);
+    expect(eventStreamService.getStats().clients).toBe(0);
+  });
+});
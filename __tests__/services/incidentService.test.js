@@ -0,0 +1,40 @@
+jest.mock('../../src/config/prisma', () => ({
+  getPrisma: () => ({}),
+}));
+
+const IncidentService = require('../../src/services/incidentService');
+
+// Monitors as stored, whether monitored or not
+const mockTargets = [
+  { id: 'plex', name: 'Plex', publicVisible: true },
+  { id: 'vault', name: 'Vault', publicVisible: false },
+  { id: 'backup-nas', name: 'Backup NAS', publicVisible: false, enabled: false },
+];
+const prisma = {
+  target: { findMany: jest.fn(async () => mockTargets) },
+};
+
+describe('IncidentService public incidents', () => {
+  const incidentService = new IncidentService(prisma);
+
+  test('leaves out the hidden monitors and the incidents that only affect them', async () => {
+    const incidents = await incidentService.toPublicIncidents([
+      { id: 'power', title: 'Power cut', affectedServices: ['plex', 'Vault'] },
+      { id: 'vault-upgrade', title: 'Vault upgrade', affectedServices: ['vault'] },
+      { id: 'isp', title: 'ISP outage', affectedServices: [] },
+    ]);
+
+    expect(incidents.map(incident => incident.id)).toEqual(['power', 'isp']);
+    expect(incidents[0].affectedServices).toEqual(['plex']);
+  });
+
+  test('keeps disabled hidden monitors hidden', async () => {
+    const incidents = await incidentService.toPublicIncidents([
+      { id: 'disk', title: 'Backup disk failed', affectedServices: ['backup-nas'] },
+      { id: 'restore', title: 'Restore test', affectedServices: ['Backup NAS', 'Status page'] },
+    ]);
+
+    expect(incidents).toEqual([{ id: 'restore', title: 'Restore test', affectedServices: ['Status page'] }]);
+    expect(prisma.target.findMany).toHaveBeenCalledWith({ select: { id: true, name: true, publicVisible: true } });
+  });
+});
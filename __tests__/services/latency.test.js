@@ -0,0 +1,27 @@
+const { applyLatencyThresholds, validateLatencyThresholds } = require('../../src/services/checks/latency');
+
+const nextcloud = { name: 'Nextcloud', latencyWarning: 2000, latencyCritical: 10000 };
+
+describe('Latency thresholds', () => {
+  test('slow responses are degraded with their latency level, very slow ones do not fail', () => {
+    expect(applyLatencyThresholds(nextcloud, { success: true, responseTime: 150 })).toEqual({ success: true, responseTime: 150 });
+    expect(applyLatencyThresholds(nextcloud, { success: true, responseTime: 8000 }))
+      .toEqual({ success: true, responseTime: 8000, degraded: true, latencyLevel: 'warning' });
+    expect(applyLatencyThresholds(nextcloud, { success: true, responseTime: 12000 }))
+      .toEqual({ success: true, responseTime: 12000, degraded: true, latencyLevel: 'critical' });
+  });
+
+  test('failed, upside-down and unconfigured checks are left alone', () => {
+    const failed = { success: false, responseTime: 12000, error: 'Timeout' };
+    expect(applyLatencyThresholds(nextcloud, failed)).toBe(failed);
+    expect(applyLatencyThresholds({ ...nextcloud, upsideDown: true }, { success: true, responseTime: 12000 }).success).toBe(true);
+    expect(applyLatencyThresholds({ name: 'NAS' }, { success: true, responseTime: 12000 }).degraded).toBeUndefined();
+  });
+
+  test('validates thresholds', () => {
+    expect(validateLatencyThresholds(null, undefined)).toBeNull();
+    expect(validateLatencyThresholds('2000', 10000)).toBeNull();
+    expect(validateLatencyThresholds(-5, null)).toMatch(/positive whole numbers/);
+    expect(validateLatencyThresholds(5000, 2000)).toMatch(/lower than the critical/);
+  });
+});
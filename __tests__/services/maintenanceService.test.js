@@ -0,0 +1,64 @@
+const mockIncidents = [];
+jest.mock('../../src/config/prisma', () => ({
+  getPrisma: () => ({
+    incident: { findMany: async () => mockIncidents },
+  }),
+}));
+
+const maintenanceService = require('../../src/services/maintenanceService');
+
+// Sunday 2024-06-02, local time
+const at = (day, hours, minutes = 0) => new Date(2024, 5, day, hours, minutes);
+
+const sundayUpdates = {
+  id: 'updates',
+  title: 'Weekly updates',
+  isScheduled: true,
+  status: 'scheduled',
+  affectedServices: ['Proxmox'],
+  recurrence: { frequency: 'weekly', daysOfWeek: [0], startTime: '03:00', durationMinutes: 60 },
+};
+
+describe('MaintenanceService', () => {
+  beforeEach(async () => {
+    mockIncidents.length = 0;
+    await maintenanceService.refresh();
+  });
+
+  test('recurring window is active only on its day and time', () => {
+    expect(maintenanceService.getActiveWindow(sundayUpdates, at(2, 3, 30))).toEqual({ start: at(2, 3), end: at(2, 4) });
+    expect(maintenanceService.getActiveWindow(sundayUpdates, at(2, 4))).toBeNull();
+    expect(maintenanceService.getActiveWindow(sundayUpdates, at(3, 3, 30))).toBeNull();
+    expect(maintenanceService.getNextWindow(sundayUpdates, at(3, 12)).start).toEqual(at(9, 3));
+  });
+
+  test('recurring window may run past midnight', () => {
+    const nightly = { ...sundayUpdates, recurrence: { frequency: 'daily', startTime: '23:30', durationMinutes: 60 } };
+    expect(maintenanceService.getActiveWindow(nightly, at(3, 0, 15))).toEqual({ start: at(2, 23, 30), end: at(3, 0, 30) });
+  });
+
+  test('one-off window uses the scheduled start and end', () => {
+    const oneOff = { ...sundayUpdates, recurrence: null, scheduledStart: at(2, 10), scheduledEnd: at(2, 12) };
+    expect(maintenanceService.getActiveWindow(oneOff, at(2, 11))).not.toBeNull();
+    expect(maintenanceService.getActiveWindow(oneOff, at(2, 12))).toBeNull();
+    expect(maintenanceService.getActiveWindow({ ...oneOff, status: 'resolved' }, at(2, 11))).toBeNull();
+  });
+
+  test('matches affected services by name or id', async () => {
+    mockIncidents.push(sundayUpdates, { ...sundayUpdates, id: 'nas', affectedServices: ['nas-id'] });
+    await maintenanceService.refresh();
+
+    expect(maintenanceService.isInMaintenance({ id: 'proxmox-id', name: 'Proxmox' }, at(2, 3, 30))).toBe(true);
+    expect(maintenanceService.isInMaintenance({ id: 'nas-id', name: 'NAS' }, at(2, 3, 30))).toBe(true);
+    expect(maintenanceService.isInMaintenance({ id: 'jellyfin-id', name: 'Jellyfin' }, at(2, 3, 30))).toBe(false);
+    expect(maintenanceService.isInMaintenance({ id: 'proxmox-id', name: 'Proxmox' }, at(2, 5))).toBe(false);
+  });
+
+  test('validates recurrence', () => {
+    expect(maintenanceService.normalizeRecurrence(null)).toEqual({ recurrence: null, errors: [] });
+    expect(maintenanceService.normalizeRecurrence({ frequency: 'weekly', daysOfWeek: ['0'], startTime: '3:00', durationMinutes: '60' }))
+      .toEqual({ recurrence: { frequency: 'weekly', daysOfWeek: [0], startTime: '03:00', durationMinutes: 60 }, errors: [] });
+    expect(maintenanceService.normalizeRecurrence({ frequency: 'weekly', daysOfWeek: [], startTime: '25:00', durationMinutes: 0 }).errors)
+      .toHaveLength(3);
+  });
+});
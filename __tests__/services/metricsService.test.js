@@ -0,0 +1,91 @@
+const mockPingResults = [];
+jest.mock('../../src/config/prisma', () => ({
+  getPrisma: () => ({
+    pingResult: {
+      // Count per target of the rows matching the equality filters and the time range
+      groupBy: jest.fn(async ({ where }) => {
+        const counts = new Map();
+        mockPingResults
+          .filter(row => row.timestamp >= where.timestamp.gte)
+          .filter(row => Object.entries(where).every(([field, value]) => field === 'timestamp' || row[field] === value))
+          .forEach(row => counts.set(row.targetId, (counts.get(row.targetId) || 0) + 1));
+        return [...counts].map(([targetId, count]) => ({ targetId, _count: { _all: count } }));
+      }),
+    },
+  }),
+}));
+
+const metricsService = require('../../src/services/metricsService');
+
+describe('MetricsService', () => {
+  beforeEach(() => {
+    metricsService.reset();
+    mockPingResults.length = 0;
+  });
+
+  test('renders families in the Prometheus text format', () => {
+    const output = metricsService.render([
+      {
+        name: 'localping_target_up',
+        help: 'Whether the target answers',
+        type: 'gauge',
+        samples: [{ labels: { target_id: 'nas', name: 'NAS "backup"\\share' }, value: 1 }],
+      },
+      { name: 'localping_worker_pool_queue_length', help: 'Queued pings', type: 'gauge', samples: [{ value: 0 }] },
+    ]);
+
+    expect(output).toBe([
+      '# HELP localping_target_up Whether the target answers',
+      '# TYPE localping_target_up gauge',
+      'localping_target_up{target_id="nas",name="NAS \\"backup\\"\\\\share"} 1',
+      '# HELP localping_worker_pool_queue_length Queued pings',
+      '# TYPE localping_worker_pool_queue_length gauge',
+      'localping_worker_pool_queue_length 0',
+      '',
+    ].join('\n'));
+  });
+
+  test('builds a cumulative check duration histogram per target', () => {
+    metricsService.observeCheckDuration('nas', 40);
+    metricsService.observeCheckDuration('nas', 800);
+    metricsService.observeCheckDuration('nas', 120000);
+
+    const samples = metricsService.getCheckDurationSamples(targetId => ({ target_id: targetId }));
+    const bucket = (le) => samples.find(sample => sample.suffix === '_bucket' && sample.labels.le === le).value;
+
+    expect(bucket(0.01)).toBe(0);
+    expect(bucket(0.05)).toBe(1);
+    expect(bucket(1)).toBe(2);
+    expect(bucket(60)).toBe(2);
+    expect(bucket('+Inf')).toBe(3);
+    expect(samples.find(sample => sample.suffix === '_count').value).toBe(3);
+    expect(samples.find(sample => sample.suffix === '_sum').value).toBeCloseTo(120.84);
+  });
+
+  test('skips targets without labels and forgets removed targets', () => {
+    metricsService.observeCheckDuration('old', 10);
+    metricsService.recordResult('old', { success: true, responseTime: 10 });
+
+    expect(metricsService.getCheckDurationSamples(() => null)).toEqual([]);
+
+    metricsService.removeTarget('old');
+    expect(metricsService.getLastResult('old')).toBeNull();
+    expect(metricsService.getCheckDurationSamples(targetId => ({ target_id: targetId }))).toEqual([]);
+  });
+
+  test('leaves maintenance checks and probe results out of the recent uptime', async () => {
+    const now = new Date();
+    const check = (success, extra = {}) => ({ targetId: 'nas', timestamp: now, success, maintenance: false, probeId: null, ...extra });
+    mockPingResults.push(
+      check(true), check(true), check(true), check(false),
+      check(false, { maintenance: true }),
+      check(false, { probeId: 'probe-fra' }),
+      check(false, { probeId: 'probe-nyc' }),
+      check(false, { timestamp: new Date(now.getTime() - 2 * 24 * 60 * 60 * 1000) }),
+    );
+
+    const ratios = await metricsService.getRecentUptimeRatios(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+
+    expect(ratios.get('nas')).toBe(0.75);
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+let mockProvider = 'postgresql';
+const mockTx = {
+  $executeRawUnsafe: jest.fn(),
+  schemaVersion: { create: jest.fn() },
+};
+const mockPrisma = {
+  $queryRaw: jest.fn(),
+  $transaction: jest.fn(fn => fn(mockTx)),
+  schemaVersion: { findFirst: jest.fn() },
+};
+jest.mock('../../src/config/prisma', () => ({
+  getPrisma: () => mockPrisma,
+  getProvider: () => mockProvider,
+}));
+
+const migrationService = require('../../src/services/migrationService');
+
+// Tables of the Prisma schema with their columns
+const getSchemaTables = () => {
+  const schema = fs.readFileSync(path.join(__dirname, '../../prisma/schema.prisma'), 'utf8');
+  return [...schema.matchAll(/^model (\w+) \{\n([\s\S]*?)\n\}/gm)].map(([, model, body]) => {
+    const table = body.match(/@@map\("(.+)"\)/)?.[1] || model;
+    const columns = body.split('\n')
+      .map(line => line.trim().match(/^(\w+)\s+(String|Int|Float|Boolean|DateTime|Json)\??(.*)$/))
+      .filter(Boolean)
+      .map(([, field, , attributes]) => attributes.match(/@map\("(.+?)"\)/)?.[1] || field);
+    return { table, columns };
+  });
+};
+
+describe('MigrationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockProvider = 'postgresql';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('has the same migrations for both databases, covering every table and column', () => {
+    const postgres = migrationService.getMigrations('postgresql');
+    const sqlite = migrationService.getMigrations('sqlite');
+    expect(sqlite.map(m => [m.version, m.name])).toEqual(postgres.map(m => [m.version, m.name]));
+
+    for (const migrations of [postgres, sqlite]) {
+      const sql = migrations.map(m => fs.readFileSync(m.file, 'utf8')).join('\n');
+      for (const { table, columns } of getSchemaTables()) {
+        expect(sql).toMatch(new RegExp(`(CREATE|ALTER) TABLE "${table}"`));
+        for (const column of columns) {
+          expect(sql).toContain(`"${column}"`);
+        }
+      }
+    }
+  });
+
+  test('applies pending migrations and records their version', async () => {
+    mockPrisma.$queryRaw.mockResolvedValue([{ count: 0 }]);
+
+    const applied = await migrationService.migrate();
+
+    expect(applied[0]).toEqual({ version: 1, name: 'initial' });
+    const statements = mockTx.$executeRawUnsafe.mock.calls.map(([statement]) => statement);
+    expect(statements[0]).toMatch(/^CREATE TABLE "schema_version"/);
+    expect(statements.every(statement => !statement.includes(';') && !statement.startsWith('--'))).toBe(true);
+    expect(mockTx.schemaVersion.create).toHaveBeenCalledWith({ data: { version: 1, name: 'initial' } });
+  });
+
+  test('refuses a database with a newer schema', async () => {
+    mockPrisma.$queryRaw.mockResolvedValue([{ count: 1 }]);
+    mockPrisma.schemaVersion.findFirst.mockResolvedValue({ version: migrationService.getLatestVersion() + 1 });
+
+    await expect(migrationService.migrate()).rejects.toThrow(/newer than this LocalPing supports/);
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  test('refuses tables created without migrations until they are baselined', async () => {
+    mockProvider = 'sqlite';
+    // No schema_version table, but a targets table
+    mockPrisma.$queryRaw.mockResolvedValueOnce([{ count: 0 }]).mockResolvedValueOnce([{ count: 1 }]);
+
+    await expect(migrationService.migrate()).rejects.toThrow(/baseline/);
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,310 @@
+jest.mock('uuid', () => ({
+  v4: () => 'test-' + Math.random().toString(36).substr(2, 9),
+}));
+
+const mockTargets = [];
+const mockUpsert = jest.fn().mockResolvedValue({});
+const mockOutage = {
+  create: jest.fn().mockResolvedValue({ id: 'outage-1' }),
+  update: jest.fn().mockResolvedValue({}),
+};
+jest.mock('../../src/config/prisma', () => ({
+  getPrisma: () => ({
+    target: { findMany: async () => mockTargets },
+    monitorState: { upsert: mockUpsert },
+    outage: mockOutage,
+    pingResult: { createMany: jest.fn().mockResolvedValue({ count: 0 }) },
+  }),
+  isSQLite: () => false,
+}));
+
+jest.mock('../../src/services/pingService', () => ({
+  ping: jest.fn(),
+}));
+
+jest.mock('../../src/services/eventDetectionService', () => ({
+  evaluateRules: jest.fn().mockResolvedValue(),
+}));
+
+const pingService = require('../../src/services/pingService');
+const monitorService = require('../../src/services/monitorService');
+
+const gateway = { id: 'gateway', name: 'Gateway', host: '192.168.1.1', protocol: 'ICMP' };
+const proxmox = { id: 'proxmox', name: 'Proxmox', host: '192.168.1.10', protocol: 'ICMP', dependsOn: ['gateway'] };
+const jellyfin = { id: 'jellyfin', name: 'Jellyfin', host: '192.168.1.20', protocol: 'HTTP', dependsOn: ['proxmox'] };
+
+describe('MonitorService dependencies', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    monitorService.stopAllMonitoring();
+    [gateway, proxmox, jellyfin].forEach(target => {
+      monitorService.targets.set(target.id, target);
+      monitorService.targetStatus.set(target.id, 'up');
+    });
+    jest.spyOn(monitorService, 'processResult').mockImplementation(async (target, result) => {
+      monitorService.targetStatus.set(target.id, result.success ? 'up' : 'down');
+    });
+  });
+
+  afterEach(() => {
+    monitorService.processResult.mockRestore();
+  });
+
+  test('attributes a failure to the down ancestor', async () => {
+    monitorService.targetStatus.set('gateway', 'down');
+    monitorService.targetStatus.set('proxmox', 'unreachable');
+    monitorService.rootCause.set('proxmox', 'gateway');
+
+    expect(await monitorService.findRootCause(jellyfin)).toBe('gateway');
+    expect(pingService.ping).not.toHaveBeenCalled();
+  });
+
+  test('re-checks parents that still look up once for all failing children', async () => {
+    pingService.ping.mockResolvedValue({ success: false });
+    const plex = { ...jellyfin, id: 'plex', name: 'Plex' };
+
+    const [first, second] = await Promise.all([
+      monitorService.findRootCause(jellyfin),
+      monitorService.findRootCause(plex),
+    ]);
+
+    expect(first).toBe('proxmox');
+    expect(second).toBe('proxmox');
+    expect(pingService.ping).toHaveBeenCalledTimes(1);
+    expect(monitorService.processResult).toHaveBeenCalledWith(proxmox, { success: false }, { recheckParents: false });
+  });
+
+  test('returns null when every parent is up', async () => {
+    pingService.ping.mockResolvedValue({ success: true });
+
+    expect(await monitorService.findRootCause(jellyfin)).toBeNull();
+    expect(await monitorService.findRootCause(gateway)).toBeNull();
+  });
+
+  test('validateDependencies rejects cycles and unknown parents', async () => {
+    mockTargets.splice(0, mockTargets.length, gateway, proxmox, jellyfin);
+
+    expect(await monitorService.validateDependencies('gateway', ['jellyfin'])).toBe('Monitor dependencies cannot form a cycle');
+    expect(await monitorService.validateDependencies('proxmox', ['proxmox'])).toBe('Monitor dependencies cannot form a cycle');
+    expect(await monitorService.validateDependencies(null, ['nas'])).toBe('Unknown parent monitors: nas');
+    expect(await monitorService.validateDependencies('jellyfin', ['gateway', 'proxmox'])).toBeNull();
+  });
+});
+
+describe('MonitorService state persistence', () => {
+  const downSince = new Date(Date.now() - 30 * 60000);
+  const lastNotifiedAt = new Date(Date.now() - 25 * 60000);
+  const persisted = {
+    targetId: 'nas',
+    status: 'down',
+    statusSince: downSince,
+    consecutiveFailures: 12,
+    downSince,
+    lastNotifiedAt,
+    escalated: false,
+    rootCause: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    monitorService.stopAllMonitoring();
+  });
+
+  test('restores an outage and does not rewrite unchanged state', () => {
+    monitorService.restoreState(persisted);
+
+    const { targetId, ...state } = persisted;
+    expect(monitorService.getState('nas')).toEqual(state);
+    expect(monitorService.getTargetStatus('nas')).toBe('down');
+
+    monitorService.persistState('nas');
+    expect(mockUpsert).not.toHaveBeenCalled();
+
+    monitorService.failureCount.set('nas', 13);
+    monitorService.persistState('nas');
+    expect(mockUpsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { targetId: 'nas' },
+      update: expect.objectContaining({ consecutiveFailures: 13, downSince }),
+    }));
+  });
+
+  test('re-arms a pending escalation for the remaining time', () => {
+    jest.useFakeTimers();
+    const scheduleSpy = jest.spyOn(monitorService, 'scheduleEscalation');
+    const nas = { id: 'nas', name: 'NAS', escalateAfter: 60, escalateChannels: ['telegram'] };
+
+    monitorService.restoreState(persisted);
+    monitorService.resumeEscalation(nas);
+
+    const delay = scheduleSpy.mock.calls[0][1];
+    expect(delay).toBeGreaterThan(34 * 60000);
+    expect(delay).toBeLessThanOrEqual(35 * 60000);
+
+    monitorService.restoreState({ ...persisted, escalated: true });
+    monitorService.resumeEscalation(nas);
+    expect(scheduleSpy).toHaveBeenCalledTimes(1);
+
+    scheduleSpy.mockRestore();
+    monitorService.stopAllMonitoring();
+    jest.useRealTimers();
+  });
+});
+
+describe('MonitorService outages', () => {
+  const nas = { id: 'nas', name: 'NAS' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    monitorService.stopAllMonitoring();
+    monitorService.downTimestamp.delete('nas');
+    monitorService.failureCount.delete('nas');
+  });
+
+  test('opens an outage when the target goes down and closes it on recovery', async () => {
+    const downSince = Date.now() - 120000;
+    monitorService.downTimestamp.set('nas', downSince);
+    monitorService.failureCount.set('nas', 2);
+    monitorService.trackOutage(nas, { success: false, error: 'Connection refused' }, false);
+
+    expect(mockOutage.create).toHaveBeenCalledWith({
+      data: { targetId: 'nas', startedAt: new Date(downSince), firstError: 'Connection refused', failedChecks: 2 },
+    });
+
+    monitorService.trackOutage(nas, { success: false, error: 'Timeout' }, false);
+    monitorService.downTimestamp.delete('nas');
+    monitorService.trackOutage(nas, { success: true }, true);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(mockOutage.update).toHaveBeenNthCalledWith(1, { where: { id: 'outage-1' }, data: { failedChecks: 3 } });
+    const closing = mockOutage.update.mock.calls[1][0];
+    expect(closing.where).toEqual({ id: 'outage-1' });
+    expect(closing.data.failedChecks).toBe(3);
+    expect(closing.data.duration).toBeGreaterThanOrEqual(120);
+    expect(monitorService.openOutages.has('nas')).toBe(false);
+  });
+
+  test('closes the open outage when the monitor is stopped', async () => {
+    monitorService.downTimestamp.set('nas', Date.now() - 60000);
+    monitorService.trackOutage(nas, { success: false, error: 'Connection refused' }, false);
+
+    monitorService.stopTargetMonitor('nas');
+    await new Promise(resolve => setImmediate(resolve));
+
+    const closing = mockOutage.update.mock.calls[0][0];
+    expect(closing.where).toEqual({ id: 'outage-1' });
+    expect(closing.data.endedAt).toBeInstanceOf(Date);
+    expect(closing.data.duration).toBeGreaterThanOrEqual(60);
+    expect(monitorService.openOutages.has('nas')).toBe(false);
+  });
+
+  test('does not open an outage while the target is up', () => {
+    monitorService.trackOutage(nas, { success: true }, true);
+    expect(mockOutage.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('MonitorService flap detection', () => {
+  const plug = { id: 'plug', name: 'Smart Plug', flapThreshold: 3, flapWindow: 10 };
+  const minutes = (count) => count * 60000;
+
+  beforeEach(() => {
+    monitorService.stopAllMonitoring();
+  });
+
+  test('starts flapping after enough transitions within the window', () => {
+    const start = Date.now();
+    expect(monitorService.detectFlapping(plug, 'up', start)).toEqual({ status: 'up', change: null });
+    expect(monitorService.detectFlapping(plug, 'down', start + minutes(1)).change).toBeNull();
+    expect(monitorService.detectFlapping(plug, 'degraded', start + minutes(2)).change).toBeNull();
+    expect(monitorService.detectFlapping(plug, 'down', start + minutes(3))).toEqual({ status: 'flapping', change: 'flapping' });
+
+    // Retries keep reporting the flapping status without counting as a transition
+    expect(monitorService.detectFlapping(plug, 'flapping', start + minutes(4))).toEqual({ status: 'flapping', change: null });
+    expect(monitorService.detectFlapping(plug, 'up', start + minutes(5))).toEqual({ status: 'flapping', change: null });
+  });
+
+  test('is stable again after a whole window without transitions', () => {
+    const start = Date.now();
+    ['up', 'down', 'up', 'down'].forEach((status, i) => monitorService.detectFlapping(plug, status, start + minutes(i)));
+
+    expect(monitorService.detectFlapping(plug, 'down', start + minutes(12))).toEqual({ status: 'flapping', change: null });
+    expect(monitorService.detectFlapping(plug, 'down', start + minutes(13))).toEqual({ status: 'down', change: 'stable' });
+  });
+
+  test('does nothing without a flap threshold', () => {
+    const start = Date.now();
+    ['up', 'down', 'up', 'down'].forEach((status, i) => {
+      expect(monitorService.detectFlapping({ ...plug, flapThreshold: null }, status, start + minutes(i)).change).toBeNull();
+    });
+  });
+});
+
+describe('MonitorService probe quorum', () => {
+  const web = { id: 'web', name: 'Website', protocol: 'HTTP', interval: 60, timeout: 30, probes: ['fra', 'nyc'], probeQuorum: 2 };
+
+  beforeEach(() => {
+    monitorService.stopAllMonitoring();
+  });
+
+  test('is down only when the quorum of locations fails', () => {
+    monitorService.recordLocationResult(web, null, { success: false, error: 'timeout' });
+    monitorService.recordLocationResult(web, 'fra', { success: true, responseTime: 40 });
+    monitorService.recordLocationResult(web, 'nyc', { success: true, responseTime: 90 });
+    expect(monitorService.getQuorumResult(web)).toMatchObject({ success: true, locations: { failing: 1, reporting: 3, total: 3 } });
+
+    monitorService.recordLocationResult(web, 'nyc', { success: false, error: 'connection refused' });
+    const result = monitorService.getQuorumResult(web);
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Failing from 2 of 3 locations: timeout');
+  });
+
+  test('ignores locations that stopped reporting', () => {
+    const now = Date.now();
+    monitorService.recordLocationResult(web, 'fra', { success: false, error: 'timeout' }, new Date(now - 10 * 60000));
+    monitorService.recordLocationResult(web, 'nyc', { success: false, error: 'timeout' });
+
+    expect(monitorService.getQuorumResult(web, now)).toMatchObject({ success: true, locations: { failing: 1, reporting: 1 } });
+  });
+
+  test('relies on the probes alone when not checked locally', () => {
+    const remoteOnly = { ...web, checkLocally: false, probeQuorum: 1 };
+    expect(monitorService.getLocations(remoteOnly)).toEqual(['fra', 'nyc']);
+
+    monitorService.recordLocationResult(remoteOnly, 'fra', { success: false, error: 'timeout' });
+    expect(monitorService.getQuorumResult(remoteOnly).success).toBe(false);
+  });
+});
+
+describe('MonitorService latency levels', () => {
+  const eventStreamService = require('../../src/services/eventStreamService');
+  const nextcloud = { id: 'nextcloud', name: 'Nextcloud', latencyWarning: 2000, latencyCritical: 10000 };
+
+  beforeEach(() => {
+    monitorService.stopAllMonitoring();
+    jest.spyOn(eventStreamService, 'publish').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    eventStreamService.publish.mockRestore();
+  });
+
+  test('tracks and streams the latency level of a degraded target', async () => {
+    await monitorService.processResult(nextcloud, { success: true, responseTime: 3000 }, { recordResult: false });
+    expect(monitorService.getTargetStatus('nextcloud')).toBe('degraded');
+    expect(monitorService.getLatencyLevel('nextcloud')).toBe('warning');
+
+    await monitorService.processResult(nextcloud, { success: true, responseTime: 12000 }, { recordResult: false });
+    expect(monitorService.getLatencyLevel('nextcloud')).toBe('critical');
+    expect(eventStreamService.publish).toHaveBeenCalledWith('status', expect.objectContaining({
+      status: 'degraded', previousStatus: 'degraded', latencyLevel: 'critical',
+    }));
+
+    await monitorService.processResult(nextcloud, { success: true, responseTime: 100 }, { recordResult: false });
+    expect(monitorService.getTargetStatus('nextcloud')).toBe('up');
+    expect(monitorService.getLatencyLevel('nextcloud')).toBeNull();
+    expect(eventStreamService.publish).toHaveBeenLastCalledWith('status', expect.objectContaining({ status: 'up', latencyLevel: null }));
+    // Let the deferred database work finish
+    await new Promise(resolve => setImmediate(resolve));
+    await new Promise(resolve => setImmediate(resolve));
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock('uuid', () => ({
+  v4: () => 'test-' + Math.random().toString(36).substr(2, 9),
+}));
+jest.mock('axios');
+jest.mock('nodemailer');
+
+const mockFindUnique = jest.fn();
+jest.mock('../../src/config/prisma', () => ({
+  getPrisma: () => ({
+    notificationSettings: { findUnique: mockFindUnique },
+  }),
+}));
+
+const axios = require('axios');
+const notificationService = require('../../src/services/notificationService');
+const { isConfigured, getChannel } = require('../../src/services/notifications');
+
+const target = { id: 't1', name: 'Router', host: '192.168.1.1', protocol: 'ICMP', important: true };
+
+function storeSettings(settings) {
+  mockFindUnique.mockResolvedValue({ id: 'settings', enabled: true, events: null, discord: null, channels: null, ...settings });
+  notificationService.invalidateCache();
+}
+
+describe('NotificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.post.mockResolvedValue({ data: {} });
+    axios.put.mockResolvedValue({ data: {} });
+  });
+
+  test('sends only to enabled channels subscribed to the event', async () => {
+    storeSettings({
+      discord: { enabled: true, webhookUrl: 'https://discord.com/api/webhooks/1/abc' },
+      channels: {
+        slack: { enabled: true, webhookUrl: 'https://hooks.slack.com/services/x', events: { monitorDown: false } },
+        ntfy: { enabled: true, topic: 'homelab' },
+        gotify: { enabled: false, serverUrl: 'https://gotify.local', appToken: 'abc' },
+      },
+    });
+
+    const result = await notificationService.notifyMonitorStatus(target, 'down', 12);
+
+    expect(result.success).toBe(true);
+    expect(result.results.map(r => r.provider)).toEqual(['discord', 'ntfy']);
+
+    const [discordUrl, discordPayload] = axios.post.mock.calls[0];
+    expect(discordUrl).toBe('https://discord.com/api/webhooks/1/abc');
+    expect(discordPayload.content).toBe('@everyone');
+
+    const [ntfyUrl, ntfyPayload] = axios.post.mock.calls[1];
+    expect(ntfyUrl).toBe('https://ntfy.sh');
+    expect(ntfyPayload).toMatchObject({ topic: 'homelab', priority: 5 });
+  });
+
+  test('respects the global event filter', async () => {
+    storeSettings({
+      events: { monitorUp: false },
+      channels: { ntfy: { enabled: true, topic: 'homelab' } },
+    });
+
+    const result = await notificationService.notifyMonitorStatus(target, 'up', 12, 60000);
+
+    expect(result.success).toBe(false);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('reports delivery failures per channel', async () => {
+    storeSettings({
+      channels: { webhook: { enabled: true, url: 'https://example.com/hook', headers: 'X-Token: secret' } },
+    });
+    axios.post.mockRejectedValue(new Error('Request failed with status code 502'));
+
+    const result = await notificationService.notifyIncident({
+      id: 'i1', title: 'Outage', description: 'Down', severity: 'major', status: 'investigating',
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.results).toEqual([{ provider: 'webhook', success: false, error: 'Request failed with status code 502' }]);
+    expect(axios.post.mock.calls[0][2].headers['X-Token']).toBe('secret');
+  });
+
+  test('testNotification validates the provider and its configuration', async () => {
+    storeSettings({ channels: { telegram: { enabled: true, botToken: '123:abc' } } });
+
+    expect(await notificationService.testNotification('pager')).toEqual({ success: false, error: 'Unknown provider: pager' });
+    expect((await notificationService.testNotification('telegram')).error).toBe('Telegram notifications are not configured');
+
+    storeSettings({ channels: { matrix: { enabled: true, homeserverUrl: 'https://matrix.org', accessToken: 'syt', roomId: '!room:matrix.org' } } });
+    const result = await notificationService.testNotification('matrix');
+
+    expect(result.success).toBe(true);
+    expect(axios.put.mock.calls[0][0]).toContain('/_matrix/client/v3/rooms/!room%3Amatrix.org/send/m.room.message/');
+  });
+
+  test('routes monitor events to the target alert channels', async () => {
+    storeSettings({
+      channels: {
+        ntfy: { enabled: true, topic: 'homelab' },
+        slack: { enabled: true, webhookUrl: 'https://hooks.slack.com/services/x' },
+      },
+    });
+
+    const result = await notificationService.notifyMonitorStatus({ ...target, alertChannels: ['slack'] }, 'down');
+
+    expect(result.results.map(r => r.provider)).toEqual(['slack']);
+  });
+
+  test('escalation pages the escalation channels and recovery reaches both', async () => {
+    storeSettings({
+      channels: {
+        ntfy: { enabled: true, topic: 'homelab' },
+        slack: { enabled: true, webhookUrl: 'https://hooks.slack.com/services/x' },
+      },
+    });
+    const escalating = { ...target, important: false, alertChannels: ['slack'], escalateChannels: ['ntfy'], escalateAfter: 15 };
+
+    const escalation = await notificationService.notifyMonitorStatus(escalating, 'down', null, 16 * 60000, { escalation: true });
+    expect(escalation.results.map(r => r.provider)).toEqual(['ntfy']);
+    expect(axios.post.mock.calls[0][1]).toMatchObject({
+      title: '⚠ Monitor Still Offline',
+      message: expect.stringContaining('offline for 16 minutes, 0 seconds (escalated)'),
+      priority: 5,
+    });
+
+    const recovery = await notificationService.notifyMonitorStatus(escalating, 'up', 10, 20 * 60000, { escalated: true });
+    expect(recovery.results.map(r => r.provider)).toEqual(['slack', 'ntfy']);
+  });
+
+  test('digest monitors are queued and sent as one message', async () => {
+    jest.useFakeTimers();
+    storeSettings({
+      channels: { slack: { enabled: true, webhookUrl: 'https://hooks.slack.com/services/x' } },
+      digest: { enabled: true, channel: 'slack', intervalMinutes: 30 },
+    });
+    const noisy = { ...target, important: false, alertMode: 'digest' };
+
+    expect(await notificationService.notifyMonitorStatus(noisy, 'down')).toEqual({ success: true, queued: true });
+    expect(await notificationService.notifyMonitorStatus(noisy, 'up', 10, 60000)).toEqual({ success: true, queued: true });
+    expect(axios.post).not.toHaveBeenCalled();
+
+    const result = await notificationService.flushDigest();
+    jest.useRealTimers();
+
+    expect(result).toEqual({ provider: 'slack', success: true });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.post.mock.calls[0][1].text).toBe('📋 Notification Digest (2 events)');
+    expect(notificationService.digestTimer).toBeNull();
+  });
+
+  test('isConfigured checks required fields', () => {
+    const email = getChannel('email');
+    expect(isConfigured(email, { host: 'smtp.local', from: 'a@b.c', to: '' })).toBe(false);
+    expect(isConfigured(email, { host: 'smtp.local', from: 'a@b.c', to: 'ops@b.c' })).toBe(true);
+  });
+});
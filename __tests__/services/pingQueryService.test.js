@@ -0,0 +1,133 @@
+jest.mock('uuid', () => ({
+  v4: () => 'test-' + Math.random().toString(36).substr(2, 9),
+}));
+
+const mockPrisma = {
+  pingResult: { findMany: jest.fn() },
+  pingRollupMinute: { findMany: jest.fn() },
+  pingRollupHour: { findMany: jest.fn() },
+  pingRollupDay: { findMany: jest.fn() },
+  target: { findUnique: jest.fn() },
+  adminSettings: { findUnique: jest.fn() },
+  $queryRaw: jest.fn(),
+};
+jest.mock('../../src/config/prisma', () => ({
+  getPrisma: () => mockPrisma,
+  isSQLite: () => true,
+}));
+
+const pingQueryService = require('../../src/services/pingQueryService');
+
+describe('PingQueryService on SQLite', () => {
+  const start = new Date('2026-10-01T12:00:00Z');
+  const at = (seconds) => new Date(start.getTime() + seconds * 1000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.target.findUnique.mockResolvedValue(null);
+    mockPrisma.adminSettings.findUnique.mockResolvedValue(null);
+    for (const model of ['pingRollupMinute', 'pingRollupHour', 'pingRollupDay']) {
+      mockPrisma[model].findMany.mockResolvedValue([]);
+    }
+  });
+
+  test('aggregates ping results into fixed buckets', async () => {
+    mockPrisma.pingResult.findMany.mockResolvedValue([
+      { timestamp: at(10), success: true, responseTime: 10 },
+      { timestamp: at(20), success: true, responseTime: 30 },
+      { timestamp: at(30), success: false, responseTime: 50 },
+      { timestamp: at(130), success: true, responseTime: 7 },
+    ]);
+
+    const buckets = await pingQueryService.getResponseBuckets('nas', {
+      start,
+      end: at(179),
+      intervalSeconds: 60,
+      maxPoints: 100,
+    });
+
+    expect(mockPrisma.$queryRaw).not.toHaveBeenCalled();
+    expect(buckets.map(bucket => bucket.date)).toEqual([
+      '2026-10-01 12:00:00',
+      '2026-10-01 12:01:00',
+      '2026-10-01 12:02:00',
+    ]);
+    expect(buckets[0]).toMatchObject({
+      totalPings: 3,
+      successfulPings: 2,
+      failedPings: 1,
+      avgResponseTime: 30,
+      minResponseTime: 10,
+      maxResponseTime: 30,
+      p50ResponseTime: 20,
+      stdDevResponseTime: 10,
+    });
+    expect(buckets[0].uptime).toBeCloseTo(66.67, 1);
+    expect(buckets[1]).toMatchObject({ totalPings: 0, uptime: 0, avgResponseTime: 0, p95ResponseTime: null });
+    expect(buckets[2]).toMatchObject({ totalPings: 1, p99ResponseTime: 7 });
+  });
+
+  test('reads results past the raw retention period from the rollups', async () => {
+    const day = 24 * 60 * 60;
+    const rangeStart = new Date(Math.floor(Date.now() / 60000) * 60000 - 2 * day * 1000);
+    const after = (seconds) => new Date(rangeStart.getTime() + seconds * 1000);
+    mockPrisma.target.findUnique.mockResolvedValue({ retentionPolicy: { rawDays: 1 } });
+    mockPrisma.pingRollupMinute.findMany.mockResolvedValue([
+      { bucket: after(60), totalPings: 4, successfulPings: 3, measuredPings: 4, avgResponseTime: 20, minResponseTime: 5, maxResponseTime: 40 },
+      { bucket: after(day + 60), totalPings: 2, successfulPings: 2, measuredPings: 2, avgResponseTime: 10, minResponseTime: 8, maxResponseTime: 12 },
+    ]);
+    mockPrisma.pingResult.findMany.mockResolvedValue([
+      { timestamp: after(1.5 * day), success: true, responseTime: 40 },
+      { timestamp: after(1.5 * day + 60), success: false, responseTime: null },
+      { timestamp: after(2 * day), success: true, responseTime: 30 },
+    ]);
+
+    const buckets = await pingQueryService.getResponseBuckets('nas', {
+      start: rangeStart,
+      end: after(2 * day),
+      intervalSeconds: day,
+      maxPoints: 100,
+    });
+
+    expect(mockPrisma.pingRollupMinute.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { targetId: 'nas', bucket: { gte: rangeStart, lt: after(3 * day) } },
+    }));
+    expect(mockPrisma.pingRollupHour.findMany).not.toHaveBeenCalled();
+    expect(buckets).toHaveLength(3);
+    expect(buckets[0]).toMatchObject({
+      totalPings: 4,
+      successfulPings: 3,
+      failedPings: 1,
+      uptime: 75,
+      avgResponseTime: 20,
+      minResponseTime: 5,
+      maxResponseTime: 40,
+      p50ResponseTime: null,
+    });
+    // Crosses the tier boundary: rolled up minutes and raw results in one bucket
+    expect(buckets[1]).toMatchObject({
+      totalPings: 4,
+      successfulPings: 3,
+      avgResponseTime: 20,
+      minResponseTime: 8,
+      maxResponseTime: 40,
+      p95ResponseTime: null,
+      stdDevResponseTime: null,
+    });
+    expect(buckets[1]).not.toHaveProperty('measuredPings');
+    expect(buckets[2]).toMatchObject({ totalPings: 1, p50ResponseTime: 30 });
+  });
+
+  test('summarizes the latency of successful checks', async () => {
+    mockPrisma.pingResult.findMany.mockResolvedValue([1, 2, 3, 4, 5].map(responseTime => ({ responseTime })));
+
+    expect(await pingQueryService.getLatencySummary('nas', start)).toEqual({
+      min: 1,
+      max: 5,
+      p50: 3,
+      p95: 4.8,
+      p99: 4.96,
+      stdDev: Math.sqrt(2),
+    });
+  });
+});
@@ -1,11 +1,23 @@
 const pingService = require('../../src/services/pingService');
 const axios = require('axios');
 const tcpPing = require('tcp-ping');
+const { execFile } = require('child_process');
 
 jest.mock('axios');
 jest.mock('tcp-ping');
 jest.mock('child_process');
 
+const mockResolve = jest.fn();
+const mockSetServers = jest.fn();
+jest.mock('dns', () => ({
+  promises: {
+    Resolver: jest.fn().mockImplementation(() => ({
+      resolve: mockResolve,
+      setServers: mockSetServers,
+    })),
+  },
+}));
+
 describe('PingService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -43,6 +55,54 @@ describe('PingService', () => {
     });
   });
 
+  describe('pingICMP method', () => {
+    it('should report the RTT, packet loss and jitter parsed from ping output', async () => {
+      execFile.mockImplementation((file, args, options, callback) => {
+        callback(null, [
+          'PING 192.168.1.1 (192.168.1.1) 56(84) bytes of data.',
+          '64 bytes from 192.168.1.1: icmp_seq=1 ttl=64 time=0.412 ms',
+          '64 bytes from 192.168.1.1: icmp_seq=2 ttl=64 time=0.612 ms',
+          '64 bytes from 192.168.1.1: icmp_seq=4 ttl=64 time=0.512 ms',
+          '',
+          '--- 192.168.1.1 ping statistics ---',
+          '4 packets transmitted, 3 received, 25% packet loss, time 603ms',
+        ].join('\n'));
+      });
+
+      const result = await pingService.pingICMP('192.168.1.1', Date.now(), { packetCount: 4 });
+
+      expect(execFile).toHaveBeenCalledWith('ping', expect.arrayContaining(['-c', '4', '192.168.1.1']), expect.any(Object), expect.any(Function));
+      expect(result.success).toBe(true);
+      expect(result.responseTime).toBeCloseTo(0.512);
+      expect(result.packetLoss).toBe(25);
+      expect(result.jitter).toBeCloseTo(0.15);
+    });
+
+    it('should fail with 100% packet loss when no reply arrives', async () => {
+      execFile.mockImplementation((file, args, options, callback) => {
+        callback(new Error('Command failed'), '1 packets transmitted, 0 received, 100% packet loss, time 0ms');
+      });
+
+      const result = await pingService.pingICMP('192.168.1.99', Date.now());
+
+      expect(result.success).toBe(false);
+      expect(result.packetLoss).toBe(100);
+      expect(result.error).toBe('ICMP ping failed: 100% packet loss');
+    });
+
+    it('should use the timeout of the target', async () => {
+      execFile.mockImplementation((file, args, options, callback) => {
+        callback(null, '1 packets transmitted, 1 received, 0% packet loss, time 0ms\ntime=1.0 ms');
+      });
+
+      await pingService.pingICMP('192.168.1.1', Date.now(), { timeout: 12 });
+      expect(execFile).toHaveBeenLastCalledWith('ping', expect.arrayContaining(['-W', '12']), expect.any(Object), expect.any(Function));
+
+      await pingService.pingICMP('192.168.1.1', Date.now(), {});
+      expect(execFile).toHaveBeenLastCalledWith('ping', expect.arrayContaining(['-W', '5']), expect.any(Object), expect.any(Function));
+    });
+  });
+
   describe('pingTCP method', () => {
     it('should successfully ping TCP host', async () => {
       tcpPing.probe.mockImplementation((host, port, callback) => {
@@ -139,6 +199,143 @@ describe('PingService', () => {
 
       expect(result.success).toBe(true);
     });
+
+    it('should fail when a required keyword is missing from the body', async () => {
+      axios.mockResolvedValue({ status: 200, data: '<h1>Maintenance</h1>' });
+
+      const result = await pingService.pingHTTP('http://example.com/', Date.now(), {
+        assertions: [{ type: 'contains', value: 'Welcome' }],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(200);
+      expect(result.error).toBe('Keyword "Welcome" not found in response');
+      expect(axios).toHaveBeenCalledWith('http://example.com/', expect.objectContaining({ responseType: 'text' }));
+    });
+
+    it('should pass when the body matches a regex', async () => {
+      axios.mockResolvedValue({ status: 200, data: 'Jellyfin Server v10.8.13' });
+
+      const result = await pingService.pingHTTP('http://example.com/', Date.now(), {
+        assertions: [{ type: 'regex', value: 'v\\d+\\.\\d+' }],
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.error).toBeUndefined();
+    });
+
+    it('should compare a JSON path value with the expected value', async () => {
+      axios.mockResolvedValue({ status: 200, data: '{"status":"degraded","checks":[{"ok":true}]}' });
+
+      const failing = await pingService.pingHTTP('http://example.com/health', Date.now(), {
+        assertions: [{ type: 'jsonPath', path: '$.status', operator: '==', expected: 'ok' }],
+      });
+      const passing = await pingService.pingHTTP('http://example.com/health', Date.now(), {
+        assertions: [{ type: 'jsonPath', value: '$.checks[0].ok == true' }],
+      });
+
+      expect(failing.success).toBe(false);
+      expect(failing.error).toContain('JSON path $.status is "degraded"');
+      expect(passing.success).toBe(true);
+    });
+  });
+
+  describe('pingDNS method', () => {
+    it('should succeed when the record resolves', async () => {
+      mockResolve.mockResolvedValue(['192.168.1.10']);
+
+      const result = await pingService.pingDNS('nas.lan', Date.now(), { dnsRecordType: 'A' });
+
+      expect(result.success).toBe(true);
+      expect(result.protocol).toBe('DNS');
+      expect(result.answers).toEqual(['192.168.1.10']);
+      expect(mockResolve).toHaveBeenCalledWith('nas.lan', 'A');
+    });
+
+    it('should query the configured resolver and port', async () => {
+      mockResolve.mockResolvedValue(['192.168.1.10']);
+
+      await pingService.pingDNS('nas.lan', Date.now(), { dnsResolver: '192.168.1.2', port: 5353 });
+
+      expect(mockSetServers).toHaveBeenCalledWith(['192.168.1.2:5353']);
+    });
+
+    it('should fail when the answer does not match the expected value', async () => {
+      mockResolve.mockResolvedValue(['10.0.0.1']);
+
+      const result = await pingService.pingDNS('nas.lan', Date.now(), { dnsExpected: '192.168.1.10' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('DNS answer mismatch');
+    });
+
+    it('should match MX records by exchange host', async () => {
+      mockResolve.mockResolvedValue([{ priority: 10, exchange: 'mail.example.com' }]);
+
+      const result = await pingService.pingDNS('example.com', Date.now(), {
+        dnsRecordType: 'MX',
+        dnsExpected: 'mail.example.com.',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.answers).toEqual(['10 mail.example.com']);
+    });
+
+    it('should fail when resolution fails', async () => {
+      const error = new Error('queryA ESERVFAIL nas.lan');
+      error.code = 'ESERVFAIL';
+      mockResolve.mockRejectedValue(error);
+
+      const result = await pingService.pingDNS('nas.lan', Date.now(), {});
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('ESERVFAIL');
+    });
+
+    it('should reject unsupported record types', async () => {
+      const result = await pingService.pingDNS('nas.lan', Date.now(), { dnsRecordType: 'PTR' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Unsupported DNS record type');
+      expect(mockResolve).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('push monitors', () => {
+    it('should be up while the last heartbeat is within interval plus grace period', async () => {
+      const target = {
+        protocol: 'PUSH',
+        interval: 3600,
+        pushGracePeriod: 300,
+        lastPushAt: new Date(Date.now() - 3700 * 1000),
+      };
+
+      const result = await pingService.ping(target);
+
+      expect(result.success).toBe(true);
+      expect(result.protocol).toBe('PUSH');
+    });
+
+    it('should be down once the deadline has passed', async () => {
+      const target = {
+        protocol: 'PUSH',
+        interval: 3600,
+        pushGracePeriod: 300,
+        lastPushAt: new Date(Date.now() - 4000 * 1000),
+      };
+
+      const result = await pingService.ping(target);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('No heartbeat received for');
+    });
+
+    it('should be down when no heartbeat was ever received', async () => {
+      const result = await pingService.ping({ protocol: 'push', interval: 60 });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No heartbeat received yet');
+    });
   });
 
   describe('ping routing', () => {
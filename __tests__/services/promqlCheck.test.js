@@ -0,0 +1,90 @@
+const http = require('http');
+const { checkPromQL, getPrometheusUrl, extractSeries } = require('../../src/services/checks/promqlCheck');
+
+// Stub Prometheus answering /api/v1/query with the response registered for the query
+const responses = new Map();
+let server;
+let port;
+let lastRequest;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    lastRequest = { path: url.pathname, query: url.searchParams.get('query'), authorization: req.headers.authorization };
+    const { status = 200, body } = responses.get(url.searchParams.get('query')) || { status: 400, body: { status: 'error', error: 'parse error' } };
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+const vector = (...series) => ({
+  status: 'success',
+  data: { resultType: 'vector', result: series.map(([metric, value]) => ({ metric, value: [1700000000, String(value)] })) },
+});
+
+const target = (options) => ({ host: '127.0.0.1', port, protocol: 'PROMQL', timeout: 5, ...options });
+
+describe('PromQL check', () => {
+  test('is up while no series crosses the threshold', async () => {
+    responses.set('disk_used_percent', { body: vector([{ mountpoint: '/' }, 42], [{ mountpoint: '/data' }, 71]) });
+
+    const result = await checkPromQL(target({ promQuery: 'disk_used_percent', promOperator: '>', promThreshold: 90 }));
+
+    expect(result).toMatchObject({ success: true, value: 42, protocol: 'PROMQL' });
+    expect(lastRequest.path).toBe('/api/v1/query');
+    expect(lastRequest.query).toBe('disk_used_percent');
+  });
+
+  test('is down and names the series that cross the threshold', async () => {
+    responses.set('node_hwmon_temp_celsius', {
+      body: vector([{ __name__: 'node_hwmon_temp_celsius', chip: 'cpu' }, 92.5], [{ __name__: 'node_hwmon_temp_celsius', chip: 'nvme' }, 48]),
+    });
+
+    const result = await checkPromQL(target({ promQuery: 'node_hwmon_temp_celsius', promOperator: '>=', promThreshold: 85 }));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('node_hwmon_temp_celsius{chip="cpu"} = 92.5 (>= 85)');
+  });
+
+  test('is down when the query returns no data or fails', async () => {
+    responses.set('smartmon_device_smart_healthy == 0', { body: vector() });
+
+    expect(await checkPromQL(target({ promQuery: 'smartmon_device_smart_healthy == 0' }))).toMatchObject({
+      success: false,
+      error: 'Query returned no data',
+    });
+    expect(await checkPromQL(target({ promQuery: 'rate(' }))).toMatchObject({
+      success: false,
+      statusCode: 400,
+      error: 'Query failed: parse error',
+    });
+  });
+
+  test('sends the configured credentials', async () => {
+    responses.set('up', { body: vector([{ job: 'node' }, 1]) });
+
+    await checkPromQL(target({ promQuery: 'up', auth: { type: 'bearer', token: 'secret' } }));
+
+    expect(lastRequest.authorization).toBe('Bearer secret');
+  });
+});
+
+describe('PromQL helpers', () => {
+  test('builds the API URL from a host or a full URL', () => {
+    expect(getPrometheusUrl({ host: 'prometheus.lan' })).toBe('http://prometheus.lan:9090');
+    expect(getPrometheusUrl({ host: 'mimir', port: 8080, path: '/prometheus/' })).toBe('http://mimir:8080/prometheus');
+    expect(getPrometheusUrl({ host: 'https://metrics.example.com/' })).toBe('https://metrics.example.com');
+  });
+
+  test('uses the latest sample of scalars and range vectors', () => {
+    expect(extractSeries({ resultType: 'scalar', result: [1700000000, '3'] })).toEqual([{ metric: {}, value: 3 }]);
+    expect(extractSeries({
+      resultType: 'matrix',
+      result: [{ metric: { job: 'node' }, values: [[1, '1'], [2, '0']] }],
+    })).toEqual([{ metric: { job: 'node' }, value: 0 }]);
+  });
+});
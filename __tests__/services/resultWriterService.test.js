@@ -0,0 +1,194 @@
+jest.mock('uuid', () => ({
+  v4: () => 'test-' + Math.random().toString(36).substr(2, 9),
+}));
+
+const mockPrisma = {
+  pingResult: { createMany: jest.fn() },
+  statistic: { findMany: jest.fn(), findUnique: jest.fn(), update: jest.fn(), create: jest.fn() },
+  $executeRawUnsafe: jest.fn(),
+  $transaction: jest.fn(fn => fn(mockPrisma)),
+};
+let mockSQLite = false;
+jest.mock('../../src/config/prisma', () => ({
+  getPrisma: () => mockPrisma,
+  isSQLite: () => mockSQLite,
+}));
+
+const resultWriterService = require('../../src/services/resultWriterService');
+const { createSketch, addValue } = require('../../src/utils/latencySketch');
+
+// Values of a statement by column, for the row at `index`
+const COLUMNS = [
+  '_id', 'targetId', 'date', 'totalPings', 'successfulPings', 'failedPings', 'degradedPings',
+  'uptime', 'lastResponseTime', 'avgResponseTime', 'minResponseTime', 'maxResponseTime',
+  'p50ResponseTime', 'p95ResponseTime', 'p99ResponseTime', 'stdDevResponseTime', 'latencySketch',
+];
+const upsertedRow = (call, index = 0) => {
+  const params = call.slice(1).slice(index * COLUMNS.length, (index + 1) * COLUMNS.length);
+  return Object.fromEntries(COLUMNS.map((column, i) => [column, params[i]]));
+};
+
+describe('ResultWriterService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockPrisma.pingResult.createMany.mockResolvedValue({ count: 0 });
+    mockPrisma.statistic.findMany.mockResolvedValue([]);
+    mockPrisma.$executeRawUnsafe.mockResolvedValue(1);
+  });
+
+  afterEach(async () => {
+    await resultWriterService.stop();
+    mockSQLite = false;
+    console.error.mockRestore();
+  });
+
+  test('writes buffered ping results with one createMany', async () => {
+    const timestamp = new Date();
+    resultWriterService.addPingResult({ targetId: 'nas', success: true, responseTime: 12, timestamp });
+    resultWriterService.addPingResult({ targetId: 'router', success: false, responseTime: null, timestamp });
+
+    expect(mockPrisma.pingResult.createMany).not.toHaveBeenCalled();
+    await resultWriterService.flush();
+
+    expect(mockPrisma.pingResult.createMany).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.pingResult.createMany.mock.calls[0][0].data).toHaveLength(2);
+    expect(resultWriterService.getStats()).toEqual({ pingResults: 0, statistics: 0 });
+  });
+
+  test('adds the checks of a target and day in one atomic upsert', async () => {
+    const stored = addValue(addValue(createSketch(), 10), 30);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    mockPrisma.statistic.findMany.mockResolvedValue([{ targetId: 'nas', date: today, latencySketch: stored }]);
+
+    resultWriterService.addStatistic('nas', { success: true, responseTime: 20 });
+    resultWriterService.addStatistic('nas', { success: true, responseTime: 40, degraded: true });
+    resultWriterService.addStatistic('nas', { success: false });
+    await resultWriterService.flush();
+
+    expect(mockPrisma.$executeRawUnsafe).toHaveBeenCalledTimes(1);
+    const [sql] = mockPrisma.$executeRawUnsafe.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT ("targetId", "date") DO UPDATE SET');
+    expect(sql).toContain('"totalPings" = statistics."totalPings" + EXCLUDED."totalPings"');
+
+    const row = upsertedRow(mockPrisma.$executeRawUnsafe.mock.calls[0]);
+    expect(row).toMatchObject({
+      targetId: 'nas',
+      totalPings: 3,
+      successfulPings: 2,
+      failedPings: 1,
+      degradedPings: 1,
+      avgResponseTime: 20,
+      lastResponseTime: 0,
+      minResponseTime: 20,
+      maxResponseTime: 40,
+    });
+    expect(row.uptime).toBeCloseTo(66.67, 1);
+    // Percentiles cover the stored checks of the day and the new ones
+    expect(JSON.parse(row.latencySketch).count).toBe(4);
+    expect(row.p50ResponseTime).toBeGreaterThan(19);
+    expect(row.p50ResponseTime).toBeLessThan(31);
+  });
+
+  test('keeps results that could not be written for the next flush', async () => {
+    mockPrisma.pingResult.createMany.mockRejectedValueOnce(new Error('connection refused'));
+    mockPrisma.$executeRawUnsafe.mockRejectedValueOnce(new Error('connection refused'));
+
+    resultWriterService.addPingResult({ targetId: 'nas', success: true, timestamp: new Date() });
+    resultWriterService.addStatistic('nas', { success: true, responseTime: 5 });
+    await resultWriterService.flush();
+
+    resultWriterService.addStatistic('nas', { success: true, responseTime: 15 });
+    expect(resultWriterService.getStats()).toEqual({ pingResults: 1, statistics: 1 });
+
+    await resultWriterService.flush();
+
+    expect(mockPrisma.pingResult.createMany).toHaveBeenCalledTimes(2);
+    expect(upsertedRow(mockPrisma.$executeRawUnsafe.mock.calls[1])).toMatchObject({
+      totalPings: 2,
+      avgResponseTime: 10,
+      minResponseTime: 5,
+      maxResponseTime: 15,
+    });
+  });
+
+  test('drops the buffered results of a deleted target or probe', async () => {
+    const timestamp = new Date();
+    resultWriterService.addPingResult({ targetId: 'nas', success: true, timestamp });
+    resultWriterService.addPingResult({ targetId: 'router', success: true, timestamp, probeId: 'office' });
+    resultWriterService.addPingResult({ targetId: 'router', success: true, timestamp, probeId: null });
+    resultWriterService.addStatistic('nas', { success: true, responseTime: 5 });
+    resultWriterService.addStatistic('router', { success: true, responseTime: 7 });
+
+    resultWriterService.removeTarget('nas');
+    resultWriterService.removeProbe('office');
+    await resultWriterService.flush();
+
+    expect(mockPrisma.pingResult.createMany).toHaveBeenCalledWith({ data: [{ targetId: 'router', success: true, timestamp, probeId: null }] });
+    expect(mockPrisma.$executeRawUnsafe).toHaveBeenCalledTimes(1);
+    expect(upsertedRow(mockPrisma.$executeRawUnsafe.mock.calls[0])).toMatchObject({ targetId: 'router' });
+    expect(upsertedRow(mockPrisma.$executeRawUnsafe.mock.calls[0], 1).targetId).toBeUndefined();
+  });
+
+  test('drops the rows the database rejects and writes the others', async () => {
+    const foreignKeyError = () => Object.assign(new Error('Foreign key constraint failed on the field: `targetId`'), { code: 'P2003' });
+    const written = [];
+    const upserted = [];
+    mockPrisma.pingResult.createMany.mockImplementation(async ({ data }) => {
+      if (data.some(row => row.targetId === 'deleted')) throw foreignKeyError();
+      written.push(...data.map(row => row.targetId));
+      return { count: data.length };
+    });
+    mockPrisma.$executeRawUnsafe.mockImplementation(async (sql, ...params) => {
+      if (params.includes('deleted')) throw Object.assign(foreignKeyError(), { code: 'P2010' });
+      const call = [sql, ...params];
+      upserted.push(...Array.from({ length: params.length / COLUMNS.length }, (_, i) => upsertedRow(call, i).targetId));
+      return 1;
+    });
+
+    const timestamp = new Date();
+    ['nas', 'deleted', 'router', 'switch'].forEach((targetId) => {
+      resultWriterService.addPingResult({ targetId, success: true, timestamp });
+      resultWriterService.addStatistic(targetId, { success: true, responseTime: 5 });
+    });
+    await resultWriterService.flush();
+
+    expect(written.sort()).toEqual(['nas', 'router', 'switch']);
+    expect(upserted.sort()).toEqual(['nas', 'router', 'switch']);
+    expect(resultWriterService.getStats()).toEqual({ pingResults: 0, statistics: 0 });
+  });
+
+  test('updates the stored day in a transaction on SQLite', async () => {
+    mockSQLite = true;
+    mockPrisma.statistic.findUnique.mockResolvedValue({
+      totalPings: 2,
+      successfulPings: 2,
+      failedPings: 0,
+      degradedPings: 0,
+      avgResponseTime: 20,
+      minResponseTime: 10,
+      maxResponseTime: 30,
+      latencySketch: addValue(addValue(createSketch(), 10), 30),
+    });
+
+    resultWriterService.addStatistic('nas', { success: true, responseTime: 50 });
+    resultWriterService.addStatistic('nas', { success: false });
+    await resultWriterService.flush();
+
+    expect(mockPrisma.$executeRawUnsafe).not.toHaveBeenCalled();
+    expect(mockPrisma.statistic.create).not.toHaveBeenCalled();
+    const { where, data } = mockPrisma.statistic.update.mock.calls[0][0];
+    expect(where.targetId_date.date.getHours()).toBe(0);
+    expect(data).toMatchObject({
+      totalPings: 4,
+      successfulPings: 3,
+      failedPings: 1,
+      uptime: 75,
+      avgResponseTime: 22.5,
+      minResponseTime: 10,
+      maxResponseTime: 50,
+    });
+    expect(data.latencySketch.count).toBe(3);
+  });
+});
@@ -0,0 +1,89 @@
+const schedulerService = require('../../src/services/schedulerService');
+
+describe('SchedulerService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    schedulerService.cancelAll();
+    jest.useRealTimers();
+  });
+
+  test('runs jobs every interval and exposes next and last run', async () => {
+    const task = jest.fn().mockResolvedValue(undefined);
+    schedulerService.schedule('nas', task, { interval: 60000, delay: 0 });
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    const schedule = schedulerService.getSchedule('nas');
+    expect(schedule.lastRunAt).toBeInstanceOf(Date);
+    expect(schedule.nextRunAt.getTime() - schedule.lastRunAt.getTime()).toBe(60000);
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  test('spreads first runs with a jitter', () => {
+    schedulerService.schedule('nas', jest.fn(), { interval: 60000 });
+    const delay = schedulerService.getSchedule('nas').nextRunAt.getTime() - Date.now();
+    expect(delay).toBeGreaterThanOrEqual(0);
+    expect(delay).toBeLessThan(15000);
+  });
+
+  test('never overlaps runs and keeps the schedule from the start of a slow run', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const task = jest.fn(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 15000));
+      running--;
+    });
+    schedulerService.schedule('nextcloud', task, { interval: 10000, delay: 0 });
+
+    await jest.advanceTimersByTimeAsync(40000);
+    expect(maxRunning).toBe(1);
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  test('uses the delay returned by the task, e.g. a retry interval', async () => {
+    const task = jest.fn().mockResolvedValueOnce(5000).mockResolvedValue(undefined);
+    schedulerService.schedule('plug', task, { interval: 60000, delay: 0 });
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  test('a cancelled job is not rescheduled', async () => {
+    const task = jest.fn().mockResolvedValue(undefined);
+    schedulerService.schedule('nas', task, { interval: 1000, delay: 0 });
+    schedulerService.cancel('nas');
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(task).not.toHaveBeenCalled();
+    expect(schedulerService.getSchedule('nas')).toBeNull();
+  });
+
+  test('a job cancelled while waiting for the previous run is not left running', async () => {
+    const slow = jest.fn(() => new Promise(resolve => setTimeout(resolve, 10000)));
+    schedulerService.schedule('nas', slow, { interval: 60000, delay: 0 });
+    await jest.advanceTimersByTimeAsync(0);
+
+    // Replaced during the slow run, then cancelled while waiting for it
+    const waiting = schedulerService.schedule('nas', jest.fn(), { interval: 60000, delay: 0 });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(waiting.running).toBe(true);
+    schedulerService.cancel('nas');
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(waiting.running).toBe(false);
+    expect(waiting.task).not.toHaveBeenCalled();
+
+    const task = jest.fn().mockResolvedValue(undefined);
+    schedulerService.schedule('nas', task, { interval: 60000, delay: 60000 });
+    schedulerService.reschedule('nas', 1000);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,54 @@
+const { Readable } = require('stream');
+const {
+  encryptBackup, createEncryptStream, parseEncryptedBackup, decryptBackup, isEncryptedBackup, validatePassphrase,
+} = require('../../src/utils/backupCrypto');
+
+async function encryptAsStream(text, passphrase) {
+  const chunks = [];
+  for await (const chunk of Readable.from([text.slice(0, 10), text.slice(10)]).pipe(await createEncryptStream(passphrase))) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+describe('Backup encryption', () => {
+  const backup = { version: '1.0.0', data: { targets: [{ _id: 't1', auth: { type: 'basic', password: 'hunter22' } }] } };
+
+  test('round-trips an export with and without compression', async () => {
+    for (const compress of [false, true]) {
+      const envelope = await encryptBackup(backup, 'correct horse', { compress });
+      expect(isEncryptedBackup(envelope)).toBe(true);
+      expect(JSON.stringify(envelope)).not.toContain('hunter22');
+      await expect(decryptBackup(envelope, 'correct horse')).resolves.toEqual(backup);
+    }
+  });
+
+  test('rejects a wrong passphrase and a changed file', async () => {
+    const envelope = await encryptBackup(backup, 'correct horse');
+
+    await expect(decryptBackup(envelope, 'wrong horse')).rejects.toThrow('Wrong passphrase or damaged backup');
+    await expect(decryptBackup(envelope)).rejects.toThrow('passphrase is required');
+    // The header is authenticated with the data
+    await expect(decryptBackup({ ...envelope, compression: 'gzip' }, 'correct horse')).rejects.toThrow('Wrong passphrase or damaged backup');
+    await expect(decryptBackup({ ...envelope, kdf: { ...envelope.kdf, N: 2 ** 30 } }, 'correct horse')).rejects.toThrow('Unsupported key derivation parameters');
+  });
+
+  test('reads streamed backup files and the single envelope ones', async () => {
+    const file = await encryptAsStream(JSON.stringify(backup), 'correct horse');
+    expect(file.toString('latin1')).not.toContain('hunter22');
+    await expect(decryptBackup(parseEncryptedBackup(file), 'correct horse')).resolves.toEqual(backup);
+
+    const legacy = Buffer.from(JSON.stringify(await encryptBackup(backup, 'correct horse')));
+    await expect(decryptBackup(parseEncryptedBackup(legacy), 'correct horse')).resolves.toEqual(backup);
+
+    const changed = Buffer.from(file);
+    changed[changed.length - 20] ^= 1;
+    await expect(decryptBackup(parseEncryptedBackup(changed), 'correct horse')).rejects.toThrow('Wrong passphrase or damaged backup');
+  });
+
+  test('requires a passphrase of at least 8 characters', async () => {
+    expect(validatePassphrase('short')).toMatch(/at least 8/);
+    expect(validatePassphrase('long enough')).toBeNull();
+    await expect(encryptBackup(backup, 'short')).rejects.toThrow(/at least 8/);
+  });
+});
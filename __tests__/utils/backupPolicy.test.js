@@ -0,0 +1,34 @@
+const { validateBackupSettings, resolveBackupSettings, selectBackupsToKeep } = require('../../src/utils/backupPolicy');
+
+describe('Backup policy', () => {
+  // One backup every 6 hours for 20 days, newest first
+  const backups = Array.from({ length: 80 }, (_, i) => {
+    const createdAt = new Date(2026, 9, 19, 21 - (i % 4) * 6);
+    createdAt.setDate(createdAt.getDate() - Math.floor(i / 4));
+    return { name: `backup-${i}`, createdAt };
+  });
+
+  test('keeps the newest backups and the newest of each recent day and week', () => {
+    const keep = selectBackupsToKeep(backups, { keepLast: 2, keepDaily: 3, keepWeekly: 3 });
+
+    // Newest two, newest of Oct 19, 18 and 17, newest of the weeks starting Oct 19 (Monday), 12 and 5
+    expect(keep).toEqual(new Set(['backup-0', 'backup-1', 'backup-4', 'backup-8', 'backup-32']));
+  });
+
+  test('keeps nothing extra when the rotation counts are 0', () => {
+    expect(selectBackupsToKeep(backups, { keepLast: 0, keepDaily: 0, keepWeekly: 1 })).toEqual(new Set(['backup-0']));
+  });
+
+  test('validates settings and fills in defaults', () => {
+    expect(validateBackupSettings({ enabled: true, schedule: '0 3 * * *', keepLast: 10 })).toEqual([]);
+    expect(validateBackupSettings({ schedule: 'daily', keepWeekly: -1, hourly: 2 })).toHaveLength(3);
+    expect(validateBackupSettings({ enabled: true, keepLast: 0, keepDaily: 0, keepWeekly: 0 })).toHaveLength(1);
+    expect(resolveBackupSettings({ enabled: 'true', keepLast: '3', schedule: null })).toMatchObject({
+      enabled: true,
+      keepLast: 3,
+      schedule: '0 3 * * *',
+      compress: true,
+      encrypt: false,
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { REDACTED, redactFields, keepRedactedFields } = require('../../src/utils/backupSecrets');
+
+describe('Backup secret redaction', () => {
+  const paths = ['auth.password', 'auth.token', 'pushToken', 'command'];
+
+  test('replaces secrets with the placeholder without changing the record', () => {
+    const target = { name: 'NAS', auth: { type: 'basic', username: 'admin', password: 'hunter22' }, pushToken: null, command: '' };
+    const redacted = redactFields(target, paths);
+
+    expect(redacted).toEqual({ name: 'NAS', auth: { type: 'basic', username: 'admin', password: REDACTED }, pushToken: null, command: '' });
+    expect(target.auth.password).toBe('hunter22');
+  });
+
+  test('keeps existing secrets where the import has the placeholder', () => {
+    const imported = { name: 'NAS', auth: { type: 'bearer', token: REDACTED }, command: REDACTED, pushToken: 'new' };
+    const existing = { auth: { type: 'bearer', token: 'secret' }, command: 'systemctl restart nas', pushToken: 'old' };
+
+    expect(keepRedactedFields(imported, existing, paths)).toEqual({
+      name: 'NAS',
+      auth: { type: 'bearer', token: 'secret' },
+      command: 'systemctl restart nas',
+      pushToken: 'new',
+    });
+  });
+
+  test('drops placeholders without an existing secret', () => {
+    const imported = { auth: { type: 'basic', username: 'admin', password: REDACTED }, command: REDACTED };
+
+    expect(keepRedactedFields(imported, null, paths)).toEqual({ auth: { type: 'basic', username: 'admin' } });
+    expect(keepRedactedFields(imported, { command: null }, paths)).toEqual({ auth: { type: 'basic', username: 'admin' } });
+  });
+});
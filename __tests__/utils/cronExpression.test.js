@@ -0,0 +1,27 @@
+const { validateCronExpression, getNextRun } = require('../../src/utils/cronExpression');
+
+// Local times, like the schedule
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('Cron expressions', () => {
+  test('finds the next matching minute', () => {
+    expect(getNextRun('0 3 * * *', at(2026, 10, 19, 2, 59))).toEqual(at(2026, 10, 19, 3, 0));
+    expect(getNextRun('0 3 * * *', at(2026, 10, 19, 3, 0))).toEqual(at(2026, 10, 20, 3, 0));
+    expect(getNextRun('*/15 * * * *', at(2026, 10, 19, 10, 31))).toEqual(at(2026, 10, 19, 10, 45));
+    expect(getNextRun('30 2 1 */3 *', at(2026, 10, 19))).toEqual(at(2027, 1, 1, 2, 30));
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // 2026-10-19 is a Monday; Sunday is 0 or 7
+    expect(getNextRun('0 4 * * 7', at(2026, 10, 19))).toEqual(at(2026, 10, 25, 4, 0));
+    expect(getNextRun('0 4 21 * 0', at(2026, 10, 19))).toEqual(at(2026, 10, 21, 4, 0));
+    expect(getNextRun('0 0 31 2 *', at(2026, 10, 19))).toBeNull();
+  });
+
+  test('rejects invalid expressions', () => {
+    expect(validateCronExpression('5 4 * * 1-5')).toBeNull();
+    expect(validateCronExpression('0 3 * *')).toMatch(/5 fields/);
+    expect(validateCronExpression('60 3 * * *')).toMatch(/minute/);
+    expect(validateCronExpression('0 3 * JAN *')).toMatch(/month/);
+  });
+});
@@ -0,0 +1,43 @@
+const {
+  RELATIVE_ACCURACY, createSketch, addValue, mergeSketches, getQuantile, summarizeSketch,
+} = require('../../src/utils/latencySketch');
+
+const sketchOf = (values) => values.reduce((sketch, value) => addValue(sketch, value), createSketch());
+
+describe('latencySketch', () => {
+  test('estimates quantiles within the relative accuracy', () => {
+    const values = Array.from({ length: 1000 }, (_, i) => i + 1);
+    const sketch = sketchOf(values);
+
+    [[0.5, 500], [0.95, 950], [0.99, 990]].forEach(([quantile, expected]) => {
+      expect(Math.abs(getQuantile(sketch, quantile) - expected) / expected).toBeLessThanOrEqual(RELATIVE_ACCURACY + 0.001);
+    });
+  });
+
+  test('keeps min, max and standard deviation exact', () => {
+    const summary = summarizeSketch(sketchOf([10, 12, 14, 16, 18]));
+
+    expect(summary.min).toBe(10);
+    expect(summary.max).toBe(18);
+    expect(summary.stdDev).toBeCloseTo(Math.sqrt(8));
+  });
+
+  test('shows tail spikes that the average hides', () => {
+    const values = [...Array(95).fill(20), ...Array(5).fill(2000)];
+    const summary = summarizeSketch(sketchOf(values));
+
+    expect(summary.p50).toBeCloseTo(20, 0);
+    expect(summary.p99).toBeGreaterThan(1900);
+  });
+
+  test('merging daily sketches equals one sketch of all values', () => {
+    const monday = sketchOf([5, 8, 13]);
+    const tuesday = sketchOf([0, 21, 340]);
+
+    expect(mergeSketches(monday, null, tuesday)).toEqual(sketchOf([5, 8, 13, 0, 21, 340]));
+  });
+
+  test('summarizes an empty sketch as nulls', () => {
+    expect(summarizeSketch(createSketch())).toEqual({ min: null, max: null, p50: null, p95: null, p99: null, stdDev: null });
+  });
+});
@@ -0,0 +1,41 @@
+const {
+  DEFAULT_RETENTION_POLICY,
+  validateRetentionPolicy,
+  resolveRetentionPolicy,
+  getActiveTiers,
+} = require('../../src/utils/retentionPolicy');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Retention policy', () => {
+  test('uses the data retention period as raw tier and target overrides last', () => {
+    const settings = { dataRetentionDays: 14, retentionPolicy: { hourlyDays: 365 } };
+
+    expect(resolveRetentionPolicy(settings, null)).toEqual({
+      ...DEFAULT_RETENTION_POLICY,
+      rawDays: 14,
+      hourlyDays: 365,
+    });
+    expect(resolveRetentionPolicy(settings, { rawDays: '3', dailyDays: null })).toMatchObject({
+      rawDays: 3,
+      hourlyDays: 365,
+      dailyDays: DEFAULT_RETENTION_POLICY.dailyDays,
+    });
+  });
+
+  test('skips tiers that do not reach past the tier before them', () => {
+    const now = new Date('2026-10-01T00:00:00Z');
+    const tiers = getActiveTiers({ rawDays: 30, minuteDays: 30, hourlyDays: 90, dailyDays: 60 }, now);
+
+    expect(tiers.map(tier => tier.name)).toEqual(['raw', 'hourly']);
+    expect(tiers[1].source.name).toBe('raw');
+    expect(tiers[1].cutoff).toEqual(new Date(now.getTime() - 90 * DAY));
+  });
+
+  test('rejects unknown settings and out of range values', () => {
+    expect(validateRetentionPolicy({ rawDays: 7, dailyDays: '' })).toEqual([]);
+    expect(validateRetentionPolicy({ weeklyDays: 7 })).toHaveLength(1);
+    expect(validateRetentionPolicy({ rawDays: 0, hourlyDays: 1.5 })).toHaveLength(2);
+    expect(validateRetentionPolicy([])).toEqual(['Retention policy must be an object']);
+  });
+});
@@ -125,10 +125,9 @@ fi
 echo "📥 Installing npm dependencies..."
 npm install --silent 2>/dev/null || npm install
 
-echo "🔄 Syncing database schema with Prisma..."
+echo "🔄 Generating Prisma clients..."
 cd "$INSTALL_DIR"
-npx prisma generate --silent 2>/dev/null || npx prisma generate
-npx prisma db push --accept-data-loss --skip-generate 2>/dev/null || npx prisma db push --accept-data-loss --skip-generate
+npm run prisma:generate --silent
 
 echo "📁 Creating data directory..."
 mkdir -p "$INSTALL_DIR/data"
@@ -236,6 +235,9 @@ else
     fi
 fi
 
+echo "🔄 Migrating database schema..."
+npm run migrate --silent
+
 echo "🔐 Setting ICMP capabilities for Node.js..."
 NODE_PATH=$(which node)
 setcap cap_net_raw=ep "$NODE_PATH" 2>/dev/null || true
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Database migrations (src/migrations) for the DATABASE_URL database
+ *
+ * Usage:
+ *   node scripts/migrate.js          Apply pending migrations
+ *   node scripts/migrate.js status   Show the schema version and pending migrations
+ *
+ * A database created before versioned migrations (with `prisma db push`) is first brought up to
+ * date with `prisma db push`, which refuses changes that would lose data, and then baselined.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { spawnSync } = require('child_process');
+const chalk = require('../src/utils/colors');
+const { connectDB, disconnectDB } = require('../src/config/prisma');
+const migrationService = require('../src/services/migrationService');
+
+async function main() {
+  const command = process.argv[2] || 'up';
+  await connectDB();
+  const status = await migrationService.getStatus();
+
+  if (command === 'status') {
+    console.log(`Schema version: ${status.current}${status.legacy ? ' (created without migrations)' : ''}`);
+    console.log(`Latest version: ${status.latest}`);
+    status.pending.forEach(m => console.log(chalk.yellow(`  pending: ${m.version} ${m.name}`)));
+    return;
+  }
+  if (command !== 'up') {
+    console.log('Usage: node scripts/migrate.js [up|status]');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (status.legacy) {
+    console.log(chalk.cyan('Database was created without versioned migrations, syncing it with the schema...'));
+    const result = spawnSync(process.execPath, [path.join(__dirname, 'prisma.js'), 'push'], { stdio: 'inherit' });
+    if (result.status !== 0) {
+      throw new Error('prisma db push failed, the database was not changed');
+    }
+    await migrationService.baseline();
+  }
+
+  const applied = await migrationService.migrate();
+  if (applied.length === 0) {
+    console.log(chalk.green(`✓ Database is up to date (schema version ${status.latest})`));
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(chalk.red('✗ Migration failed:'), error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => disconnectDB());
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Prisma CLI for the configured database
+ *
+ * prisma/schema.prisma is the PostgreSQL schema. The SQLite schema (prisma/sqlite/schema.prisma)
+ * is generated from it, so both backends always have the same models, and its client is
+ * generated to node_modules/.prisma/sqlite-client next to the PostgreSQL client.
+ *
+ * Usage:
+ *   node scripts/prisma.js schema     Regenerate the SQLite schema
+ *   node scripts/prisma.js generate   Generate the clients of both backends
+ *   node scripts/prisma.js push       Create or update the tables of the DATABASE_URL database
+ *   node scripts/prisma.js studio     Open Prisma Studio on the DATABASE_URL database
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const chalk = require('../src/utils/colors');
+const { getDatabaseUrl, isSQLite } = require('../src/config/prisma');
+
+const POSTGRES_SCHEMA = path.join(__dirname, '..', 'prisma', 'schema.prisma');
+const SQLITE_SCHEMA = path.join(__dirname, '..', 'prisma', 'sqlite', 'schema.prisma');
+
+/**
+ * SQLite version of the PostgreSQL schema
+ * Native column types (@db.Date, ...) do not exist in SQLite; dates are stored as date-times.
+ */
+function toSQLiteSchema(schema) {
+  return schema
+    .replace(/^(\/\/.*\n)+/, [
+      '// Prisma Schema for LocalPing (SQLite)',
+      '// Generated from ../schema.prisma by `node scripts/prisma.js schema`, do not edit',
+      '',
+    ].join('\n'))
+    .replace(/provider = "prisma-client-js"/, 'provider = "prisma-client-js"\n  output   = "../../node_modules/.prisma/sqlite-client"')
+    .replace(/provider = "postgresql"/, 'provider = "sqlite"')
+    .replace(/[ \t]+@db\.\w+(\([^)]*\))?/g, '');
+}
+
+function writeSQLiteSchema() {
+  const schema = toSQLiteSchema(fs.readFileSync(POSTGRES_SCHEMA, 'utf8'));
+  fs.mkdirSync(path.dirname(SQLITE_SCHEMA), { recursive: true });
+  fs.writeFileSync(SQLITE_SCHEMA, schema);
+}
+
+function runPrisma(args) {
+  const result = spawnSync('npx', ['prisma', ...args], {
+    stdio: 'inherit',
+    env: { ...process.env, DATABASE_URL: getDatabaseUrl() },
+  });
+  if (result.status !== 0) {
+    process.exit(result.status || 1);
+  }
+}
+
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const schema = isSQLite() ? SQLITE_SCHEMA : POSTGRES_SCHEMA;
+
+  switch (command) {
+    case 'schema':
+      writeSQLiteSchema();
+      console.log(chalk.green(`✓ Wrote ${path.relative(process.cwd(), SQLITE_SCHEMA)}`));
+      break;
+    case 'generate':
+      writeSQLiteSchema();
+      runPrisma(['generate', '--schema', POSTGRES_SCHEMA, ...args]);
+      runPrisma(['generate', '--schema', SQLITE_SCHEMA, ...args]);
+      break;
+    case 'push':
+      writeSQLiteSchema();
+      runPrisma(['db', 'push', '--schema', schema, '--skip-generate', ...args]);
+      break;
+    case 'studio':
+      runPrisma(['studio', '--schema', schema, ...args]);
+      break;
+    default:
+      console.log('Usage: node scripts/prisma.js <schema|generate|push|studio> [prisma options]');
+      process.exit(command ? 1 : 0);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { toSQLiteSchema };
@@ -6,19 +6,18 @@
  */
 
 require('dotenv').config();
-const { connectDB, getDB } = require('../src/config/db');
+const { connectDB, disconnectDB } = require('../src/config/prisma');
 const chalk = require('../src/utils/colors');
 
 async function verifyPingData() {
   try {
     console.log(chalk.cyan('Connecting to database...'));
-    await connectDB();
-    const db = getDB();
+    const prisma = await connectDB();
 
     console.log(chalk.cyan('\n=== Verifying Ping Data ===\n'));
 
     // Check targets
-    const targets = await db.collection('targets').find({ enabled: true }).toArray();
+    const targets = await prisma.target.findMany({ where: { enabled: true } });
     console.log(chalk.yellow(`Found ${targets.length} enabled target(s)\n`));
 
     if (targets.length === 0) {
@@ -28,16 +27,16 @@ async function verifyPingData() {
 
     // Check ping results for each target
     for (const target of targets) {
-      console.log(chalk.cyan(`\n--- Target: ${target.name} (${target._id}) ---`));
+      console.log(chalk.cyan(`\n--- Target: ${target.name} (${target.id}) ---`));
       
       // Get recent ping results (last 24 hours)
       const oneDayAgo = new Date();
       oneDayAgo.setHours(oneDayAgo.getHours() - 24);
       
-      const recentPings = await db.collection('pingResults').find({
-        targetId: target._id,
-        timestamp: { $gte: oneDayAgo }
-      }).toArray();
+      const recentPings = await prisma.pingResult.findMany({
+        where: { targetId: target.id, timestamp: { gte: oneDayAgo } },
+        orderBy: { timestamp: 'asc' },
+      });
 
       console.log(`  Recent ping results (last 24h): ${recentPings.length}`);
       
@@ -52,17 +51,14 @@ async function verifyPingData() {
       }
 
       // Get total ping results
-      const totalPings = await db.collection('pingResults').find({
-        targetId: target._id
-      }).toArray();
-      console.log(`  Total ping results: ${totalPings.length}`);
+      const totalPings = await prisma.pingResult.count({ where: { targetId: target.id } });
+      console.log(`  Total ping results: ${totalPings}`);
 
       // Check statistics
       const today = new Date();
       today.setHours(0, 0, 0, 0);
-      const todayStats = await db.collection('statistics').findOne({
-        targetId: target._id,
-        date: today
+      const todayStats = await prisma.statistic.findUnique({
+        where: { targetId_date: { targetId: target.id, date: today } },
       });
 
       if (todayStats) {
@@ -78,14 +74,14 @@ async function verifyPingData() {
     }
 
     // Overall summary
-    const allPings = await db.collection('pingResults').find({}).toArray();
-    const allStats = await db.collection('statistics').find({}).toArray();
+    const allPings = await prisma.pingResult.count();
+    const allStats = await prisma.statistic.count();
     
     console.log(chalk.cyan('\n=== Summary ==='));
-    console.log(`Total ping results in database: ${allPings.length}`);
-    console.log(`Total statistics records: ${allStats.length}`);
+    console.log(`Total ping results in database: ${allPings}`);
+    console.log(`Total statistics records: ${allStats}`);
 
-    if (allPings.length === 0) {
+    if (allPings === 0) {
       console.log(chalk.red('\n✗ WARNING: No ping results found in database!'));
       console.log(chalk.yellow('  This could mean:'));
       console.log(chalk.yellow('  1. Monitoring is not running'));
@@ -104,7 +100,8 @@ async function verifyPingData() {
 }
 
 // Run verification
-verifyPingData().then(() => {
+verifyPingData().then(async () => {
+  await disconnectDB();
   process.exit(0);
 }).catch(err => {
   console.error(chalk.red('Fatal error:'), err);
@@ -12,8 +12,8 @@ const { connectDB, disconnectDB, getPrisma } = require('./config/prisma');
 const SQLiteSessionStore = require('./config/sessionStore');
 const monitorService = require('./services/monitorService');
 const gatewayService = require('./services/gatewayService');
-// sqliteService removed - using PostgreSQL via db.js now
 const dataRetentionService = require('./services/dataRetentionService');
+const migrationService = require('./services/migrationService');
 const { apiKeyAuth, createRateLimiter, validateTargetInput } = require('./middleware/auth');
 const { setupCheckMiddleware, isSetupComplete } = require('./middleware/setupCheck');
 
@@ -21,7 +21,7 @@ const { setupCheckMiddleware, isSetupComplete } = require('./middleware/setupChe
 const argv = yargs(hideBin(process.argv))
   .option('mode', {
     describe: 'Application mode',
-    choices: ['api', 'admin', 'public', 'all'],
+    choices: ['api', 'admin', 'public', 'all', 'probe'],
     default: 'all',
   })
   .parse();
@@ -115,9 +115,12 @@ let prisma = null;
 
 const startServer = async () => {
   try {
-    // Connect to PostgreSQL database via Prisma
+    // Connect to the database selected by DATABASE_URL via Prisma
     prisma = await connectDB();
 
+    // Create or upgrade the tables; refuses a database of a newer LocalPing
+    await migrationService.migrate();
+
     // Detect gateway
     await gatewayService.detectAllGateways();
 
@@ -141,6 +144,14 @@ const startServer = async () => {
       }
     }, 6 * 60 * 60 * 1000); // Run every 6 hours
 
+    // Scheduled backups (admin settings)
+    try {
+      const backupService = require('./services/backupService');
+      await backupService.scheduleBackups();
+    } catch (error) {
+      console.error(chalk.red('Error scheduling backups:'), error.message);
+    }
+
     // Set up periodic processing of scheduled incidents
     const IncidentService = require('./services/incidentService');
     const incidentService = new IncidentService(prisma);
@@ -158,6 +169,22 @@ const startServer = async () => {
       console.log(chalk.yellow('   Visit http://localhost:8000/setup to complete setup\n'));
     }
 
+    // Push monitor heartbeats - available in every mode since monitoring always runs
+    // Authenticated by the token in the URL instead of the API key
+    const pushRoutes = require('./routes/push');
+    app.use('/api/push', pushRoutes);
+    console.log(chalk.cyan('✓ Push routes loaded'));
+
+    // Remote probe agents - authenticated by their probe token instead of the API key
+    const probeRoutes = require('./routes/probe');
+    app.use('/api/probe', probeRoutes);
+    console.log(chalk.cyan('✓ Probe routes loaded'));
+
+    // Prometheus scrape endpoint - protected by METRICS_TOKEN when set
+    const metricsRoutes = require('./routes/metrics');
+    app.use('/metrics', metricsRoutes);
+    console.log(chalk.cyan('✓ Metrics routes loaded'));
+
     // Public routes - load FIRST so they don't get caught by authenticated API routes
     if (argv.mode === 'public' || argv.mode === 'all') {
       const publicRoutes = require('./routes/public');
@@ -195,14 +222,39 @@ const startServer = async () => {
   }
 };
 
+// Probe agent mode: only run the checks assigned by a central LocalPing, no database or web server
+const startProbe = async () => {
+  try {
+    const probeAgentService = require('./services/probeAgentService');
+    await probeAgentService.start({
+      serverUrl: process.env.PROBE_SERVER_URL,
+      token: process.env.PROBE_TOKEN,
+    });
+    console.log(chalk.green(`✓ Probe running, reporting to ${process.env.PROBE_SERVER_URL}`));
+  } catch (error) {
+    console.error(chalk.red('Failed to start probe:'), error.message);
+    process.exit(1);
+  }
+};
+
 // Graceful shutdown
 const shutdown = async (signal) => {
   console.log(chalk.yellow(`\n✓ Received ${signal}, shutting down gracefully...`));
 
+  if (argv.mode === 'probe') {
+    const probeAgentService = require('./services/probeAgentService');
+    await probeAgentService.stop();
+    const pingService = require('./services/pingService');
+    await pingService.shutdown();
+    process.exit(0);
+  }
+
   try {
     monitorService.stopAllMonitoring();
     const pingService = require('./services/pingService');
     await pingService.shutdown();
+    const resultWriterService = require('./services/resultWriterService');
+    await resultWriterService.stop();
     await disconnectDB();
     console.log(chalk.green('✓ Server shut down successfully'));
     process.exit(0);
@@ -215,7 +267,11 @@ const shutdown = async (signal) => {
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 process.on('SIGINT', () => shutdown('SIGINT'));
 
-// Start server
-startServer();
+// Start server, or only the probe agent
+if (argv.mode === 'probe') {
+  startProbe();
+} else {
+  startServer();
+}
 
 module.exports = app;
@@ -5,7 +5,7 @@ const chalk = require('../utils/colors');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 const inquirer = require('inquirer');
-const { connectDB, getDB, closeDB } = require('../config/db');
+const { connectDB, disconnectDB } = require('../config/prisma');
 const pingService = require('../services/pingService');
 const gatewayService = require('../services/gatewayService');
 
@@ -56,14 +56,14 @@ async function main() {
     console.error(chalk.red('Error:'), error.message);
     process.exit(1);
   } finally {
-    await closeDB();
+    await disconnectDB();
   }
 }
 
 async function showStatus() {
-  const db = await connectDB();
+  const prisma = await connectDB();
 
-  const targets = await db.collection('targets').find({}).toArray();
+  const targets = await prisma.target.findMany();
   const upTargets = targets.filter((t) => t.enabled).length;
 
   console.log(chalk.cyan('\n📊 LocalPing Status\n'));
@@ -75,7 +75,7 @@ async function showStatus() {
     console.log(chalk.yellow('No targets configured. Use "localping config" to add targets.'));
   } else {
     console.log(chalk.cyan('\nRecent Alerts:'));
-    const alerts = await db.collection('alerts').find({}).sort({ timestamp: -1 }).limit(5).toArray();
+    const alerts = await prisma.alert.findMany({ orderBy: { timestamp: 'desc' }, take: 5 });
 
     if (alerts.length === 0) {
       console.log(chalk.green('✓ No alerts'));
@@ -113,7 +113,7 @@ async function testHost(host) {
 }
 
 async function configureTargets() {
-  const db = await connectDB();
+  const prisma = await connectDB();
 
   const answers = await inquirer.prompt([
     {
@@ -143,12 +143,13 @@ async function configureTargets() {
       { type: 'input', name: 'interval', message: 'Ping interval (seconds):', default: '60' },
     ]);
 
-    await db.collection('targets').insertOne({
-      ...target,
-      port: target.port ? parseInt(target.port) : null,
-      interval: parseInt(target.interval),
-      enabled: true,
-      createdAt: new Date(),
+    await prisma.target.create({
+      data: {
+        ...target,
+        port: target.port ? parseInt(target.port) : null,
+        interval: parseInt(target.interval),
+        enabled: true,
+      },
     });
 
     console.log(chalk.green('✓ Target added successfully!'));
@@ -156,9 +157,9 @@ async function configureTargets() {
 }
 
 async function listTargets() {
-  const db = await connectDB();
+  const prisma = await connectDB();
 
-  const targets = await db.collection('targets').find({}).toArray();
+  const targets = await prisma.target.findMany({ orderBy: { position: 'asc' } });
 
   console.log(chalk.cyan('\n📋 Configured Targets\n'));
 
@@ -201,7 +202,7 @@ async function showGateway() {
 }
 
 async function interactiveMonitor() {
-  const db = await connectDB();
+  await connectDB();
 
   console.log(chalk.cyan('\n📡 LocalPing Interactive Monitor\n'));
   console.log(chalk.gray('Press Ctrl+C to exit\n'));
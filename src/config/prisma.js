@@ -1,15 +1,56 @@
-const { PrismaClient } = require('@prisma/client');
+const fs = require('fs');
+const path = require('path');
 const chalk = require('../utils/colors');
 
+// Database used when neither DATABASE_URL nor the DB_* variables are set
+const DEFAULT_SQLITE_PATH = path.join('data', 'localping.db');
+
 // Singleton pattern for Prisma client
 let prisma = null;
 
+/**
+ * Connection URL of the database
+ * DATABASE_URL selects the backend: file:... for SQLite, postgresql://... for PostgreSQL.
+ * Without it, a PostgreSQL URL is built from DB_HOST/DB_PORT/DB_NAME/DB_USER/DB_PASSWORD
+ * (as written by install.sh), or SQLite at data/localping.db is used. Relative SQLite paths
+ * are resolved from the working directory, not from the schema file like Prisma does.
+ */
+const getDatabaseUrl = () => {
+  const url = process.env.DATABASE_URL;
+  if (url) {
+    const match = url.match(/^file:(.*?)(\?.*)?$/i);
+    if (match && !path.isAbsolute(match[1])) {
+      return `file:${path.resolve(match[1])}${match[2] || ''}`;
+    }
+    return url;
+  }
+
+  if (process.env.DB_HOST) {
+    const user = encodeURIComponent(process.env.DB_USER || 'localping');
+    const password = process.env.DB_PASSWORD ? `:${encodeURIComponent(process.env.DB_PASSWORD)}` : '';
+    const port = process.env.DB_PORT || 5432;
+    return `postgresql://${user}${password}@${process.env.DB_HOST}:${port}/${process.env.DB_NAME || 'localping'}`;
+  }
+
+  return `file:${path.resolve(DEFAULT_SQLITE_PATH)}`;
+};
+
+/**
+ * Database backend of the configured URL: 'sqlite' or 'postgresql'
+ */
+const getProvider = () => (/^file:/i.test(getDatabaseUrl()) ? 'sqlite' : 'postgresql');
+
+const isSQLite = () => getProvider() === 'sqlite';
+
 /**
  * Get or create the Prisma client instance
+ * Each backend has its own generated client (see scripts/prisma.js).
  */
 const getPrisma = () => {
   if (!prisma) {
+    const { PrismaClient } = isSQLite() ? require('.prisma/sqlite-client') : require('@prisma/client');
     prisma = new PrismaClient({
+      datasourceUrl: getDatabaseUrl(),
       log: process.env.NODE_ENV === 'development'
         ? ['warn', 'error']
         : ['error'],
@@ -18,17 +59,32 @@ const getPrisma = () => {
   return prisma;
 };
 
+const getDatabaseName = () => (isSQLite() ? 'SQLite' : 'PostgreSQL');
+
 /**
  * Connect to the database
  */
 const connectDB = async () => {
   try {
+    if (isSQLite()) {
+      // SQLite creates the file, but not its directory
+      const file = getDatabaseUrl().replace(/^file:/i, '').replace(/\?.*$/, '');
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+
     const client = getPrisma();
     await client.$connect();
-    console.log(chalk.green('✓ PostgreSQL database connected via Prisma'));
+
+    if (isSQLite()) {
+      // Readers don't block the writer, and writers wait for each other instead of failing
+      await client.$queryRawUnsafe('PRAGMA journal_mode = WAL');
+      await client.$queryRawUnsafe('PRAGMA busy_timeout = 5000');
+    }
+
+    console.log(chalk.green(`✓ ${getDatabaseName()} database connected via Prisma`));
     return client;
   } catch (error) {
-    console.error(chalk.red('✗ PostgreSQL connection failed:'), error.message);
+    console.error(chalk.red(`✗ ${getDatabaseName()} connection failed:`), error.message);
     process.exit(1);
   }
 };
@@ -39,11 +95,22 @@ const connectDB = async () => {
 const disconnectDB = async () => {
   if (prisma) {
     await prisma.$disconnect();
-    console.log(chalk.green('✓ PostgreSQL connection closed'));
+    console.log(chalk.green(`✓ ${getDatabaseName()} connection closed`));
     prisma = null;
   }
 };
 
+/**
+ * Size of the database in bytes
+ */
+const getDatabaseSize = async () => {
+  const client = getPrisma();
+  const result = isSQLite()
+    ? await client.$queryRawUnsafe('SELECT page_count * page_size AS size FROM pragma_page_count(), pragma_page_size()')
+    : await client.$queryRawUnsafe('SELECT pg_database_size(current_database()) AS size');
+  return Number(result[0]?.size) || 0;
+};
+
 /**
  * Execute raw SQL query
  * @param {string} sql - SQL query with $1, $2, etc. placeholders
@@ -59,7 +126,11 @@ const executeRawQuery = async (sql, params = []) => {
 
 module.exports = {
   getPrisma,
+  getDatabaseUrl,
+  getProvider,
+  isSQLite,
   connectDB,
   disconnectDB,
+  getDatabaseSize,
   executeRawQuery,
 };
@@ -9,7 +9,8 @@ class SQLiteSessionStore extends session.Store {
   constructor(options = {}) {
     super(options);
     const dbDir = path.join(process.cwd(), 'data');
-    const dbPath = path.join(dbDir, 'localping.db');
+    // Kept apart from data/localping.db, the default application database, whose tables Prisma manages
+    const dbPath = path.join(dbDir, 'sessions.db');
 
     // Ensure data directory exists
     if (!fs.existsSync(dbDir)) {
@@ -1,4 +1,14 @@
 const chalk = require('../utils/colors');
+const { SUPPORTED_RECORD_TYPES, isValidResolver } = require('../services/checks/dnsCheck');
+const { validateAssertions } = require('../services/checks/httpAssertions');
+const { MAX_PACKET_COUNT } = require('../services/checks/icmpCheck');
+const { validateAlertRouting } = require('../services/notifications');
+const { validateLatencyThresholds } = require('../services/checks/latency');
+const { validatePromQL } = require('../services/checks/promqlCheck');
+const { validateRetentionPolicy } = require('../utils/retentionPolicy');
+
+const VALID_PROTOCOLS = ['ICMP', 'TCP', 'UDP', 'HTTP', 'HTTPS', 'DNS', 'PUSH', 'PROMQL'];
+const MAX_PUSH_INTERVAL = 31 * 24 * 60 * 60; // 31 days
 
 /**
  * API Key Authentication Middleware
@@ -108,8 +118,12 @@ function createRateLimiter(windowMs = 15 * 60 * 1000, maxRequests = 100) {
  * For PUT requests, allows partial updates (only validates provided fields)
  */
 function validateTargetInput(req, res, next) {
-  const { name, host, protocol, port, interval } = req.body;
+  const {
+    name, host, protocol, port, interval, dnsRecordType, dnsResolver, dnsExpected, assertions, pushGracePeriod,
+    packetCount,
+  } = req.body;
   const isUpdate = req.method === 'PUT';
+  const isPush = typeof protocol === 'string' && protocol.toUpperCase() === 'PUSH';
 
   const errors = [];
 
@@ -121,15 +135,14 @@ function validateTargetInput(req, res, next) {
       errors.push('Target name is required and must be a non-empty string');
     }
 
-    // Validate host (required for POST)
-    if (!host || typeof host !== 'string' || host.trim().length === 0) {
+    // Validate host (required for POST, push monitors have none)
+    if (!isPush && (!host || typeof host !== 'string' || host.trim().length === 0)) {
       errors.push('Host is required and must be a non-empty string');
     }
 
     // Validate protocol (required for POST)
-    const validProtocols = ['ICMP', 'TCP', 'UDP', 'HTTP', 'HTTPS'];
-    if (!protocol || !validProtocols.includes(protocol.toUpperCase())) {
-      errors.push(`Protocol must be one of: ${validProtocols.join(', ')}`);
+    if (!protocol || !VALID_PROTOCOLS.includes(protocol.toUpperCase())) {
+      errors.push(`Protocol must be one of: ${VALID_PROTOCOLS.join(', ')}`);
     }
   } else {
     // For PUT requests, only validate provided fields
@@ -149,9 +162,8 @@ function validateTargetInput(req, res, next) {
 
     // Validate protocol if provided
     if (protocol !== undefined) {
-      const validProtocols = ['ICMP', 'TCP', 'UDP', 'HTTP', 'HTTPS'];
-      if (!validProtocols.includes(protocol.toUpperCase())) {
-        errors.push(`Protocol must be one of: ${validProtocols.join(', ')}`);
+      if (!VALID_PROTOCOLS.includes(protocol.toUpperCase())) {
+        errors.push(`Protocol must be one of: ${VALID_PROTOCOLS.join(', ')}`);
       }
     }
   }
@@ -165,10 +177,70 @@ function validateTargetInput(req, res, next) {
   }
 
   // Validate interval if provided (null means use default, which is valid)
+  // Push monitors cover cron jobs and may only report daily or monthly
   if (interval !== undefined && interval !== null) {
     const intervalNum = parseInt(interval, 10);
-    if (isNaN(intervalNum) || intervalNum < 5 || intervalNum > 3600) {
-      errors.push('Interval must be a number between 5 and 3600 seconds');
+    const maxInterval = isPush ? MAX_PUSH_INTERVAL : 3600;
+    if (isNaN(intervalNum) || intervalNum < 5 || intervalNum > maxInterval) {
+      errors.push(`Interval must be a number between 5 and ${maxInterval} seconds`);
+    }
+  }
+
+  if (pushGracePeriod !== undefined && pushGracePeriod !== null) {
+    const graceNum = parseInt(pushGracePeriod, 10);
+    if (isNaN(graceNum) || graceNum < 0 || graceNum > MAX_PUSH_INTERVAL) {
+      errors.push(`Push grace period must be a number between 0 and ${MAX_PUSH_INTERVAL} seconds`);
+    }
+  }
+
+  // Validate ICMP packet count if provided
+  if (packetCount !== undefined && packetCount !== null) {
+    const countNum = parseInt(packetCount, 10);
+    if (isNaN(countNum) || countNum < 1 || countNum > MAX_PACKET_COUNT) {
+      errors.push(`Packet count must be a number between 1 and ${MAX_PACKET_COUNT}`);
+    }
+  }
+
+  // Validate DNS options if provided
+  if (dnsRecordType !== undefined && dnsRecordType !== null) {
+    if (typeof dnsRecordType !== 'string' || !SUPPORTED_RECORD_TYPES.includes(dnsRecordType.toUpperCase())) {
+      errors.push(`DNS record type must be one of: ${SUPPORTED_RECORD_TYPES.join(', ')}`);
+    }
+  }
+
+  if (dnsResolver !== undefined && dnsResolver !== null) {
+    if (!isValidResolver(dnsResolver)) {
+      errors.push('DNS resolver must be the IP address of the resolver, e.g. 1.1.1.1');
+    }
+  }
+
+  if (dnsExpected !== undefined && dnsExpected !== null && typeof dnsExpected !== 'string') {
+    errors.push('Expected DNS answer must be a string');
+  }
+
+  // Validate HTTP content assertions if provided
+  errors.push(...validateAssertions(assertions));
+
+  // Validate the PromQL query and threshold of Prometheus monitors
+  errors.push(...validatePromQL(req.body, isUpdate));
+
+  // Validate the retention override if provided
+  errors.push(...validateRetentionPolicy(req.body.retentionPolicy));
+
+  // Validate notification routing and escalation if provided
+  errors.push(...validateAlertRouting(req.body));
+
+  // Validate latency thresholds if provided
+  const latencyError = validateLatencyThresholds(req.body.latencyWarning, req.body.latencyCritical);
+  if (latencyError) {
+    errors.push(latencyError);
+  }
+
+  // Validate parent monitors if provided
+  const { dependsOn } = req.body;
+  if (dependsOn !== undefined && dependsOn !== null) {
+    if (!Array.isArray(dependsOn) || dependsOn.some(id => typeof id !== 'string' || id.trim().length === 0)) {
+      errors.push('Depends on must be an array of monitor ids');
     }
   }
 
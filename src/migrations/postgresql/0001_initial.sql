@@ -0,0 +1,343 @@
+-- 0001 initial: tables of prisma/schema.prisma when versioned migrations were introduced
+-- Databases created before that with `prisma db push` are baselined at this version (npm run migrate).
+
+CREATE TABLE "schema_version" (
+    "version" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "appliedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "schema_version_pkey" PRIMARY KEY ("version")
+);
+
+CREATE TABLE "targets" (
+    "_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "host" TEXT NOT NULL,
+    "protocol" TEXT NOT NULL,
+    "port" INTEGER,
+    "path" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "publicVisible" BOOLEAN NOT NULL DEFAULT true,
+    "publicShowDetails" BOOLEAN NOT NULL DEFAULT false,
+    "publicShowStatus" BOOLEAN NOT NULL DEFAULT true,
+    "publicShowAppLink" BOOLEAN NOT NULL DEFAULT true,
+    "interval" INTEGER NOT NULL DEFAULT 60,
+    "retries" INTEGER NOT NULL DEFAULT 0,
+    "retryInterval" INTEGER NOT NULL DEFAULT 5,
+    "timeout" INTEGER NOT NULL DEFAULT 30,
+    "latencyWarning" INTEGER,
+    "latencyCritical" INTEGER,
+    "httpMethod" TEXT NOT NULL DEFAULT 'GET',
+    "statusCodes" TEXT NOT NULL DEFAULT '200-299',
+    "maxRedirects" INTEGER NOT NULL DEFAULT 5,
+    "ignoreSsl" BOOLEAN NOT NULL DEFAULT false,
+    "upsideDown" BOOLEAN NOT NULL DEFAULT false,
+    "important" BOOLEAN NOT NULL DEFAULT false,
+    "alertChannels" JSONB,
+    "alertThreshold" INTEGER NOT NULL DEFAULT 3,
+    "alertMode" TEXT NOT NULL DEFAULT 'immediate',
+    "escalateChannels" JSONB,
+    "escalateAfter" INTEGER,
+    "flapThreshold" INTEGER,
+    "flapWindow" INTEGER NOT NULL DEFAULT 10,
+    "dependsOn" JSONB,
+    "probes" JSONB,
+    "probeQuorum" INTEGER NOT NULL DEFAULT 1,
+    "checkLocally" BOOLEAN NOT NULL DEFAULT true,
+    "auth" JSONB,
+    "assertions" JSONB,
+    "dnsRecordType" TEXT NOT NULL DEFAULT 'A',
+    "dnsResolver" TEXT,
+    "dnsExpected" TEXT,
+    "promQuery" TEXT,
+    "promOperator" TEXT NOT NULL DEFAULT '>',
+    "promThreshold" DOUBLE PRECISION,
+    "certificate" JSONB,
+    "certExpiresAt" TIMESTAMP(3),
+    "certDaysRemaining" INTEGER,
+    "pushToken" TEXT,
+    "pushGracePeriod" INTEGER NOT NULL DEFAULT 60,
+    "packetCount" INTEGER NOT NULL DEFAULT 1,
+    "lastPushAt" TIMESTAMP(3),
+    "appUrl" TEXT,
+    "appIcon" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "group" TEXT,
+    "quickCommands" JSONB,
+    "retentionPolicy" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "targets_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "pingResults" (
+    "_id" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "success" BOOLEAN NOT NULL,
+    "responseTime" DOUBLE PRECISION,
+    "timestamp" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "statusCode" INTEGER,
+    "error" TEXT,
+    "protocol" TEXT,
+    "packetLoss" DOUBLE PRECISION,
+    "jitter" DOUBLE PRECISION,
+    "maintenance" BOOLEAN NOT NULL DEFAULT false,
+    "probeId" TEXT,
+
+    CONSTRAINT "pingResults_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "pingResultsMinutely" (
+    "_id" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "bucket" TIMESTAMP(3) NOT NULL,
+    "totalPings" INTEGER NOT NULL DEFAULT 0,
+    "successfulPings" INTEGER NOT NULL DEFAULT 0,
+    "measuredPings" INTEGER NOT NULL DEFAULT 0,
+    "avgResponseTime" DOUBLE PRECISION,
+    "minResponseTime" DOUBLE PRECISION,
+    "maxResponseTime" DOUBLE PRECISION,
+
+    CONSTRAINT "pingResultsMinutely_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "pingResultsHourly" (
+    "_id" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "bucket" TIMESTAMP(3) NOT NULL,
+    "totalPings" INTEGER NOT NULL DEFAULT 0,
+    "successfulPings" INTEGER NOT NULL DEFAULT 0,
+    "measuredPings" INTEGER NOT NULL DEFAULT 0,
+    "avgResponseTime" DOUBLE PRECISION,
+    "minResponseTime" DOUBLE PRECISION,
+    "maxResponseTime" DOUBLE PRECISION,
+
+    CONSTRAINT "pingResultsHourly_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "pingResultsDaily" (
+    "_id" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "bucket" TIMESTAMP(3) NOT NULL,
+    "totalPings" INTEGER NOT NULL DEFAULT 0,
+    "successfulPings" INTEGER NOT NULL DEFAULT 0,
+    "measuredPings" INTEGER NOT NULL DEFAULT 0,
+    "avgResponseTime" DOUBLE PRECISION,
+    "minResponseTime" DOUBLE PRECISION,
+    "maxResponseTime" DOUBLE PRECISION,
+
+    CONSTRAINT "pingResultsDaily_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "probes" (
+    "_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "location" TEXT,
+    "token" TEXT NOT NULL,
+    "version" TEXT,
+    "address" TEXT,
+    "lastSeenAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "probes_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "monitorStates" (
+    "_id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'unknown',
+    "statusSince" TIMESTAMP(3),
+    "consecutiveFailures" INTEGER NOT NULL DEFAULT 0,
+    "downSince" TIMESTAMP(3),
+    "lastNotifiedAt" TIMESTAMP(3),
+    "escalated" BOOLEAN NOT NULL DEFAULT false,
+    "rootCause" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "monitorStates_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "outages" (
+    "_id" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "endedAt" TIMESTAMP(3),
+    "duration" INTEGER,
+    "firstError" TEXT,
+    "failedChecks" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "outages_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "alerts" (
+    "_id" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "timestamp" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "message" TEXT,
+
+    CONSTRAINT "alerts_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "statistics" (
+    "_id" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "totalPings" INTEGER NOT NULL DEFAULT 0,
+    "successfulPings" INTEGER NOT NULL DEFAULT 0,
+    "failedPings" INTEGER NOT NULL DEFAULT 0,
+    "degradedPings" INTEGER NOT NULL DEFAULT 0,
+    "uptime" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "lastResponseTime" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "avgResponseTime" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "minResponseTime" INTEGER,
+    "maxResponseTime" INTEGER,
+    "p50ResponseTime" DOUBLE PRECISION,
+    "p95ResponseTime" DOUBLE PRECISION,
+    "p99ResponseTime" DOUBLE PRECISION,
+    "stdDevResponseTime" DOUBLE PRECISION,
+    "latencySketch" JSONB,
+
+    CONSTRAINT "statistics_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "incidents" (
+    "_id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "severity" TEXT NOT NULL DEFAULT 'major',
+    "status" TEXT NOT NULL DEFAULT 'investigating',
+    "affectedServices" JSONB,
+    "updates" JSONB,
+    "resolvedAt" TIMESTAMP(3),
+    "isScheduled" BOOLEAN NOT NULL DEFAULT false,
+    "scheduledStart" TIMESTAMP(3),
+    "scheduledEnd" TIMESTAMP(3),
+    "recurrence" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "incidents_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "eventRules" (
+    "_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "eventType" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "conditions" JSONB NOT NULL,
+    "incidentTitle" TEXT NOT NULL,
+    "incidentDescription" TEXT NOT NULL,
+    "incidentSeverity" TEXT NOT NULL DEFAULT 'major',
+    "incidentStatus" TEXT NOT NULL DEFAULT 'investigating',
+    "autoResolve" BOOLEAN NOT NULL DEFAULT false,
+    "autoResolveMessage" TEXT,
+    "cooldownMinutes" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "eventRules_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "actions" (
+    "_id" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "command" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "actions_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "favicons" (
+    "_id" TEXT NOT NULL,
+    "appUrl" TEXT NOT NULL,
+    "favicon" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "favicons_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "publicUISettings" (
+    "_id" TEXT NOT NULL DEFAULT 'settings',
+    "title" TEXT NOT NULL DEFAULT 'Homelab',
+    "subtitle" TEXT NOT NULL DEFAULT 'System Status & Application Dashboard',
+    "customCSS" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "publicUISettings_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "adminSettings" (
+    "_id" TEXT NOT NULL DEFAULT 'settings',
+    "sessionDurationDays" INTEGER NOT NULL DEFAULT 30,
+    "dataRetentionDays" INTEGER NOT NULL DEFAULT 30,
+    "retentionPolicy" JSONB,
+    "debugLogging" BOOLEAN NOT NULL DEFAULT false,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "adminSettings_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "notificationSettings" (
+    "_id" TEXT NOT NULL DEFAULT 'settings',
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "discord" JSONB,
+    "events" JSONB,
+    "channels" JSONB,
+    "digest" JSONB,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "notificationSettings_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE TABLE "posts" (
+    "_id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "published" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "posts_pkey" PRIMARY KEY ("_id")
+);
+
+CREATE UNIQUE INDEX "targets_name_key" ON "targets"("name");
+CREATE UNIQUE INDEX "targets_pushToken_key" ON "targets"("pushToken");
+CREATE INDEX "pingResults_targetId_idx" ON "pingResults"("targetId");
+CREATE INDEX "pingResults_timestamp_idx" ON "pingResults"("timestamp");
+CREATE UNIQUE INDEX "pingResultsMinutely_targetId_bucket_key" ON "pingResultsMinutely"("targetId", "bucket");
+CREATE INDEX "pingResultsMinutely_bucket_idx" ON "pingResultsMinutely"("bucket");
+CREATE UNIQUE INDEX "pingResultsHourly_targetId_bucket_key" ON "pingResultsHourly"("targetId", "bucket");
+CREATE INDEX "pingResultsHourly_bucket_idx" ON "pingResultsHourly"("bucket");
+CREATE UNIQUE INDEX "pingResultsDaily_targetId_bucket_key" ON "pingResultsDaily"("targetId", "bucket");
+CREATE INDEX "pingResultsDaily_bucket_idx" ON "pingResultsDaily"("bucket");
+CREATE UNIQUE INDEX "probes_name_key" ON "probes"("name");
+CREATE UNIQUE INDEX "probes_token_key" ON "probes"("token");
+CREATE INDEX "outages_targetId_startedAt_idx" ON "outages"("targetId", "startedAt");
+CREATE INDEX "outages_endedAt_idx" ON "outages"("endedAt");
+CREATE INDEX "alerts_targetId_idx" ON "alerts"("targetId");
+CREATE INDEX "alerts_timestamp_idx" ON "alerts"("timestamp");
+CREATE UNIQUE INDEX "statistics_targetId_date_key" ON "statistics"("targetId", "date");
+CREATE INDEX "statistics_targetId_idx" ON "statistics"("targetId");
+CREATE INDEX "statistics_date_idx" ON "statistics"("date");
+CREATE INDEX "incidents_status_idx" ON "incidents"("status");
+CREATE INDEX "incidents_isScheduled_scheduledStart_idx" ON "incidents"("isScheduled", "scheduledStart");
+CREATE INDEX "eventRules_enabled_idx" ON "eventRules"("enabled");
+CREATE UNIQUE INDEX "actions_targetId_name_key" ON "actions"("targetId", "name");
+CREATE INDEX "actions_targetId_idx" ON "actions"("targetId");
+CREATE UNIQUE INDEX "favicons_appUrl_key" ON "favicons"("appUrl");
+CREATE INDEX "posts_published_idx" ON "posts"("published");
+CREATE INDEX "posts_createdAt_idx" ON "posts"("createdAt");
+
+ALTER TABLE "pingResults" ADD CONSTRAINT "pingResults_targetId_fkey" FOREIGN KEY ("targetId") REFERENCES "targets"("_id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "pingResults" ADD CONSTRAINT "pingResults_probeId_fkey" FOREIGN KEY ("probeId") REFERENCES "probes"("_id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "pingResultsMinutely" ADD CONSTRAINT "pingResultsMinutely_targetId_fkey" FOREIGN KEY ("targetId") REFERENCES "targets"("_id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "pingResultsHourly" ADD CONSTRAINT "pingResultsHourly_targetId_fkey" FOREIGN KEY ("targetId") REFERENCES "targets"("_id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "pingResultsDaily" ADD CONSTRAINT "pingResultsDaily_targetId_fkey" FOREIGN KEY ("targetId") REFERENCES "targets"("_id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "monitorStates" ADD CONSTRAINT "monitorStates__id_fkey" FOREIGN KEY ("_id") REFERENCES "targets"("_id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "outages" ADD CONSTRAINT "outages_targetId_fkey" FOREIGN KEY ("targetId") REFERENCES "targets"("_id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "alerts" ADD CONSTRAINT "alerts_targetId_fkey" FOREIGN KEY ("targetId") REFERENCES "targets"("_id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "statistics" ADD CONSTRAINT "statistics_targetId_fkey" FOREIGN KEY ("targetId") REFERENCES "targets"("_id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "actions" ADD CONSTRAINT "actions_targetId_fkey" FOREIGN KEY ("targetId") REFERENCES "targets"("_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- 0002 backup settings: schedule, directory and rotation of automatic backups
+
+ALTER TABLE "adminSettings" ADD COLUMN "backupSettings" JSONB;
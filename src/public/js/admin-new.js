@@ -4,6 +4,13 @@ let editPanelOpen = false;
 let currentChartPeriod = '24h'; // Default period
 let currentStartDate = null;
 let currentEndDate = null;
+let monitorNames = new Map(); // Monitor names by id, for dependencies and root causes
+const RETENTION_FIELDS = [ // Per-monitor retention override inputs
+  { key: 'rawDays', id: 'editRetentionRawDays' },
+  { key: 'minuteDays', id: 'editRetentionMinuteDays' },
+  { key: 'hourlyDays', id: 'editRetentionHourlyDays' },
+  { key: 'dailyDays', id: 'editRetentionDailyDays' },
+];
 
 // Map URL paths to tab names
 const urlToTabMap = {
@@ -76,7 +83,8 @@ function switchTab(tabName, eventElement) {
   } else if (tabName === 'settings') {
     loadPublicUISettings();
   } else if (tabName === 'backup') {
-    // Backup tab doesn't need to load anything on switch
+    loadBackupSettings();
+    loadBackups();
   }
 }
 
@@ -98,6 +106,78 @@ function handleTabClick(event, tabName) {
   switchTab(tabName);
 }
 
+// Badge class, label and tooltip for a monitor's current status
+function getMonitorStatusDisplay(monitor) {
+  if (monitor.currentStatus === 'up') {
+    return { statusClass: 'up', text: 'Up', dotClass: 'bg-green-400', textClass: 'text-green-400', label: '✓ UP', title: '' };
+  }
+
+  if (monitor.currentStatus === 'flapping') {
+    return {
+      statusClass: 'flapping',
+      text: 'Flapping',
+      dotClass: 'bg-purple-400',
+      textClass: 'text-purple-400',
+      label: '〰 FLAPPING',
+      title: 'Repeatedly going up and down, up/down notifications are paused until it is stable',
+    };
+  }
+
+  if (monitor.currentStatus === 'unreachable') {
+    const rootName = monitorNames.get(monitor.rootCause);
+    return {
+      statusClass: 'unreachable',
+      text: 'Unreachable',
+      dotClass: 'bg-orange-400',
+      textClass: 'text-orange-400',
+      label: '⚠ UNREACHABLE',
+      title: rootName ? `Unreachable because ${rootName} is down` : 'Unreachable because a parent monitor is down',
+    };
+  }
+
+  if (monitor.currentStatus === 'degraded') {
+    const critical = monitor.latencyLevel === 'critical';
+    return {
+      statusClass: 'degraded',
+      text: critical ? 'Degraded (critical)' : 'Degraded',
+      dotClass: critical ? 'bg-orange-400' : 'bg-yellow-400',
+      textClass: critical ? 'text-orange-400' : 'text-yellow-400',
+      label: critical ? '⚠ DEGRADED (CRITICAL)' : '⚠ DEGRADED',
+      title: critical ? 'Responding slower than the critical threshold' : 'Responding slower than the warning threshold',
+    };
+  }
+
+  if (monitor.currentStatus === 'maintenance') {
+    return {
+      statusClass: 'maintenance',
+      text: 'Maintenance',
+      dotClass: 'bg-blue-400',
+      textClass: 'text-blue-400',
+      label: '🔧 MAINTENANCE',
+      title: 'In a maintenance window, failures are not alerted or counted toward uptime',
+    };
+  }
+
+  return { statusClass: 'down', text: 'Down', dotClass: 'bg-red-400', textClass: 'text-red-400', label: '✗ DOWN', title: '' };
+}
+
+// Render the parent monitor checkboxes, excluding the monitor being edited
+function renderDependsOnOptions(monitorId, selected) {
+  const list = document.getElementById('editDependsOn');
+  const options = Array.from(monitorNames.entries()).filter(([id]) => id !== monitorId);
+
+  list.innerHTML = options.length > 0
+    ? options.map(([id, name]) => `
+      <label class="flex items-center gap-2 cursor-pointer">
+        <input type="checkbox" class="checkbox-input" value="${id}">
+        <span class="text-sm text-slate-300">${name}</span>
+      </label>
+    `).join('')
+    : '<p class="text-slate-400 text-sm">No other monitors</p>';
+
+  setCheckboxSelection(list, selected);
+}
+
 // Load monitors list
 async function loadMonitors() {
   try {
@@ -112,9 +192,10 @@ async function loadMonitors() {
       return;
     }
 
+    monitorNames = new Map(targets.map(target => [target._id, target.name]));
+
     targets.forEach(target => {
-      const status = target.currentStatus === 'up' ? 'up' : 'down';
-      const statusText = status === 'up' ? 'Up' : 'Down';
+      const statusDisplay = getMonitorStatusDisplay(target);
 
       // Get favicon - prefer appIcon, then favicon from API, then try to get from appUrl
       let faviconHtml = '';
@@ -149,9 +230,9 @@ async function loadMonitors() {
             <h4 class="font-semibold text-sm truncate">${target.name}</h4>
             <p class="text-xs text-slate-400 truncate">${target.host}</p>
           </div>
-          <span class="status-badge ${status} flex-shrink-0">
-            <span class="w-2 h-2 rounded-full ${status === 'up' ? 'bg-green-400' : 'bg-red-400'}"></span>
-            ${statusText}
+          <span class="status-badge ${statusDisplay.statusClass} flex-shrink-0" title="${statusDisplay.title}">
+            <span class="w-2 h-2 rounded-full ${statusDisplay.dotClass}"></span>
+            ${statusDisplay.text}
           </span>
         </div>
       `;
@@ -199,6 +280,8 @@ async function selectMonitor(monitor) {
     document.getElementById('editAppIcon').value = fullMonitor.appIcon || '';
     document.getElementById('editRetries').value = fullMonitor.retries || 0;
     document.getElementById('editRetryInterval').value = fullMonitor.retryInterval || 5;
+    document.getElementById('editLatencyWarning').value = fullMonitor.latencyWarning || '';
+    document.getElementById('editLatencyCritical').value = fullMonitor.latencyCritical || '';
     document.getElementById('editHttpMethod').value = fullMonitor.httpMethod || 'GET';
     document.getElementById('editTimeout').value = fullMonitor.timeout || 30;
     document.getElementById('editStatusCodes').value = fullMonitor.statusCodes || '200-299';
@@ -208,6 +291,32 @@ async function selectMonitor(monitor) {
     document.getElementById('editImportant').checked = fullMonitor.important || false;
     document.getElementById('editPosition').value = fullMonitor.position || 0;
     document.getElementById('editQuickCommands').value = (fullMonitor.quickCommands || []).join(', ');
+    document.getElementById('editDnsRecordType').value = fullMonitor.dnsRecordType || 'A';
+    document.getElementById('editDnsResolver').value = fullMonitor.dnsResolver || '';
+    document.getElementById('editDnsExpected').value = fullMonitor.dnsExpected || '';
+    document.getElementById('editPromQuery').value = fullMonitor.promQuery || '';
+    document.getElementById('editPromOperator').value = fullMonitor.promOperator || '>';
+    document.getElementById('editPromThreshold').value = fullMonitor.promThreshold ?? '';
+    populateAssertionFields(fullMonitor.assertions);
+    document.getElementById('editPushUrl').value = fullMonitor.pushToken ? `${window.location.origin}/api/push/${fullMonitor.pushToken}` : '';
+    document.getElementById('editPushGracePeriod').value = fullMonitor.pushGracePeriod ?? 60;
+    document.getElementById('editPacketCount').value = fullMonitor.packetCount || 1;
+    await loadAlertChannelOptions();
+    document.getElementById('editAlertThreshold').value = fullMonitor.alertThreshold || 3;
+    document.getElementById('editAlertMode').value = fullMonitor.alertMode || 'immediate';
+    document.getElementById('editEscalateAfter').value = fullMonitor.escalateAfter || '';
+    document.getElementById('editFlapThreshold').value = fullMonitor.flapThreshold || '';
+    document.getElementById('editFlapWindow').value = fullMonitor.flapWindow || 10;
+    setCheckboxSelection(document.getElementById('editAlertChannels'), fullMonitor.alertChannels);
+    setCheckboxSelection(document.getElementById('editEscalateChannels'), fullMonitor.escalateChannels);
+    renderDependsOnOptions(fullMonitor._id, fullMonitor.dependsOn);
+    await loadProbeOptions();
+    setCheckboxSelection(document.getElementById('editProbes'), fullMonitor.probes);
+    document.getElementById('editProbeQuorum').value = fullMonitor.probeQuorum || 1;
+    document.getElementById('editCheckLocally').checked = fullMonitor.checkLocally !== false;
+    RETENTION_FIELDS.forEach(({ key, id }) => {
+      document.getElementById(id).value = fullMonitor.retentionPolicy?.[key] || '';
+    });
 
     // Handle authentication
     if (fullMonitor.auth) {
@@ -233,10 +342,10 @@ async function selectMonitor(monitor) {
     document.getElementById('monitorName').textContent = fullMonitor.name;
 
     // Update status
-    const status = fullMonitor.currentStatus === 'up' ? 'Up' : 'Down';
-    const statusColor = fullMonitor.currentStatus === 'up' ? 'text-green-400' : 'text-red-400';
-    document.getElementById('monitorStatus').textContent = status;
-    document.getElementById('monitorStatus').className = statusColor;
+    const statusDisplay = getMonitorStatusDisplay(fullMonitor);
+    document.getElementById('monitorStatus').textContent = statusDisplay.text;
+    document.getElementById('monitorStatus').className = statusDisplay.textClass;
+    document.getElementById('monitorStatus').title = statusDisplay.title;
 
     // Load real statistics (pass timeout for chart)
     await loadMonitorStatistics(fullMonitor._id, fullMonitor.timeout || 30);
@@ -344,6 +453,28 @@ function navigateTimePeriod(direction) {
   }
 }
 
+// Show TLS certificate details for monitors that have one
+function updateCertificateInfo(monitor) {
+  const container = document.getElementById('certificateInfo');
+  const certificate = monitor.certificate;
+  if (!certificate || !certificate.validTo) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  const days = monitor.certDaysRemaining ?? certificate.daysUntilExpiry;
+  const expiryDisplay = document.getElementById('certificateExpiryDisplay');
+  expiryDisplay.textContent = days < 0 ? `Expired ${Math.abs(days)} days ago` : `Expires in ${days} days`;
+  expiryDisplay.className = `text-sm font-bold ${days < 7 ? 'text-red-400' : days < 30 ? 'text-yellow-400' : 'text-green-400'}`;
+
+  document.getElementById('certificateSubjectDisplay').textContent = certificate.subject || '--';
+  document.getElementById('certificateIssuerDisplay').textContent = certificate.issuer || '--';
+  document.getElementById('certificateValidityDisplay').textContent =
+    `${new Date(certificate.validFrom).toLocaleDateString()} - ${new Date(certificate.validTo).toLocaleDateString()}`;
+  document.getElementById('certificateSansDisplay').textContent = (certificate.subjectAltNames || []).join(', ') || '--';
+  container.classList.remove('hidden');
+}
+
 // Load monitor statistics and draw chart
 async function loadMonitorStatistics(targetId, timeout = 30) {
   try {
@@ -356,7 +487,7 @@ async function loadMonitorStatistics(targetId, timeout = 30) {
     const uptimeData = statsResponse.data.uptime || {};
     const dailyStats = statsResponse.data.dailyStats || [];
     const monitor = statsResponse.data.target || {};
-    const isUp = monitor.currentStatus === 'up';
+    const statusDisplay = getMonitorStatusDisplay(monitor);
 
     const uptime24h = parseFloat(uptimeData['24h']?.uptime || 0);
     const uptime30d = parseFloat(uptimeData['30d']?.uptime || 0);
@@ -372,19 +503,21 @@ async function loadMonitorStatistics(targetId, timeout = 30) {
     }
 
     // Update stats displays
-    document.getElementById('currentStatusDisplay').textContent = isUp ? '✓ UP' : '✗ DOWN';
-    document.getElementById('currentStatusDisplay').className = `text-lg font-bold mt-1 ${isUp ? 'text-green-400' : 'text-red-400'}`;
+    document.getElementById('currentStatusDisplay').textContent = statusDisplay.label;
+    document.getElementById('currentStatusDisplay').className = `text-lg font-bold mt-1 ${statusDisplay.textClass}`;
+    document.getElementById('currentStatusDisplay').title = statusDisplay.title;
     document.getElementById('uptime24hDisplay').textContent = `${uptime24h.toFixed(2)}%`;
     document.getElementById('uptime30dDisplay').textContent = `${uptime30d.toFixed(2)}%`;
     document.getElementById('protocolDisplay').textContent = monitor.protocol || '--';
     document.getElementById('totalPingsDisplay').textContent = totalPings;
     document.getElementById('successfulPingsDisplay').textContent = successfulPings;
     document.getElementById('failedPingsDisplay').textContent = failedPings;
+    updateCertificateInfo(monitor);
 
     // Update legacy displays
     document.getElementById('monitorUptime').textContent = `${uptime24h.toFixed(2)}%`;
-    document.getElementById('monitorStatus').textContent = isUp ? 'Up' : 'Down';
-    document.getElementById('monitorStatus').className = isUp ? 'text-green-400' : 'text-red-400';
+    document.getElementById('monitorStatus').textContent = statusDisplay.text;
+    document.getElementById('monitorStatus').className = statusDisplay.textClass;
     
     const latestStat = stats.length > 0 ? stats[stats.length - 1] : null;
     const currentPing = latestStat?.lastResponseTime || 0;
@@ -402,21 +535,94 @@ async function loadMonitorStatistics(targetId, timeout = 30) {
     const avgPing = responseTimeCount > 0 ? totalResponseTime / responseTimeCount : 0;
     document.getElementById('monitorAvgPing').textContent = avgPing > 0 ? `${Math.round(avgPing)} ms` : '--';
 
+    // Percentiles and jitter over the selected period
+    const latency = statsResponse.data.latency || {};
+    const formatMs = (value) => (value != null ? `${Math.round(value)}` : '--');
+    document.getElementById('monitorPercentiles').textContent = latency.p50 != null
+      ? `${formatMs(latency.p50)} / ${formatMs(latency.p95)} / ${formatMs(latency.p99)} ms`
+      : '--';
+    document.getElementById('monitorJitter').textContent = latency.stdDev != null
+      ? `± ${latency.stdDev.toFixed(1)} ms (${formatMs(latency.min)}–${formatMs(latency.max)} ms)`
+      : '--';
+
     // Uptime blocks are generated from daily stats above
 
     // Draw chart (matching public UI style)
     drawStatusChart(stats, null, timeout * 1000);
+
+    loadMonitorOutages(targetId);
   } catch (error) {
     console.error('Error loading statistics:', error);
     document.getElementById('monitorUptime').textContent = '--';
     document.getElementById('monitorPing').textContent = '--';
     document.getElementById('monitorAvgPing').textContent = '--';
+    document.getElementById('monitorPercentiles').textContent = '--';
+    document.getElementById('monitorJitter').textContent = '--';
     document.getElementById('uptimeBlocksLabel').textContent = 'Error loading data';
     drawStatusChart([], null, 30000);
     generateUptimeBlocks([]);
   }
 }
 
+// Escape text from check results before inserting it as HTML
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Format a duration in seconds, e.g. "2h 5m"
+function formatOutageDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+// Load the outages of the last 30 days for the monitor detail page
+async function loadMonitorOutages(targetId) {
+  const list = document.getElementById('outageList');
+  const summaryEl = document.getElementById('outageSummary');
+
+  try {
+    const response = await axios.get(`/admin/api/targets/${targetId}/outages?days=30&limit=20`);
+    if (currentMonitorId !== targetId) return;
+
+    const { outages, summary } = response.data;
+    summaryEl.textContent = summary.count > 0
+      ? `${summary.count} outage(s), ${formatOutageDuration(summary.totalDuration)} total, longest ${formatOutageDuration(summary.longestDuration)}`
+      : '';
+
+    if (outages.length === 0) {
+      list.innerHTML = '<p class="text-slate-400 text-sm">No outages</p>';
+      return;
+    }
+
+    list.innerHTML = outages.map(outage => `
+      <div class="flex items-start justify-between gap-3 text-sm border-b border-slate-700/30 pb-2">
+        <div class="min-w-0">
+          <p class="text-slate-300">
+            ${new Date(outage.startedAt).toLocaleString()}
+            ${outage.ongoing ? '<span class="text-red-400 font-semibold ml-1">Ongoing</span>' : ` – ${new Date(outage.endedAt).toLocaleString()}`}
+          </p>
+          ${outage.firstError ? `<p class="text-xs text-slate-500 truncate" title="${escapeHtml(outage.firstError)}">${escapeHtml(outage.firstError)}</p>` : ''}
+        </div>
+        <div class="text-right flex-shrink-0">
+          <p class="font-semibold ${outage.ongoing ? 'text-red-400' : 'text-slate-300'}">${formatOutageDuration(outage.duration)}</p>
+          <p class="text-xs text-slate-500">${outage.failedChecks} failed check(s)</p>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading outages:', error);
+    summaryEl.textContent = '';
+    list.innerHTML = '<p class="text-slate-400 text-sm">Error loading outages</p>';
+  }
+}
+
 // Generate uptime block indicator from daily statistics (accurate)
 function generateUptimeBlocksFromDailyStats(dailyStats, days = 30) {
   const blocksContainer = document.getElementById('uptimeBlocks');
@@ -445,12 +651,15 @@ function generateUptimeBlocksFromDailyStats(dailyStats, days = 30) {
 
     const stat = statsMap.get(dateKey);
     let isUp = null;
+    let isDegraded = false;
 
     if (stat) {
       const totalPings = stat.totalPings || 0;
       const successfulPings = stat.successfulPings || 0;
       // Day is considered "up" if >= 50% of pings were successful
       isUp = totalPings === 0 ? null : (successfulPings / totalPings) >= 0.5;
+      // ...and "degraded" if at least 10% of them were slower than the warning threshold
+      isDegraded = isUp === true && (stat.degradedPings || 0) / totalPings >= 0.1;
     } else if (dayStart > now) {
       isUp = null; // Future day
     } else {
@@ -459,7 +668,8 @@ function generateUptimeBlocksFromDailyStats(dailyStats, days = 30) {
 
     blocks.push({
       period: dayStart,
-      isUp: isUp
+      isUp: isUp,
+      isDegraded: isDegraded
     });
 
     if (isUp === true) upCount++;
@@ -476,6 +686,9 @@ function generateUptimeBlocksFromDailyStats(dailyStats, days = 30) {
     if (block.isUp === null) {
       blockEl.classList.add('unknown');
       blockEl.title = `${titleText} - No data`;
+    } else if (block.isDegraded) {
+      blockEl.classList.add('degraded');
+      blockEl.title = `${titleText} - Degraded`;
     } else if (block.isUp) {
       blockEl.classList.add('up');
       blockEl.title = `${titleText} - Up`;
@@ -639,6 +852,7 @@ function drawStatusChart(stats, testResult = null, timeoutMs = 30000) {
   });
 
   const responseTimeData = [];
+  const p95Data = [];
   const downData = [];
 
   sortedStats.forEach(stat => {
@@ -646,13 +860,16 @@ function drawStatusChart(stats, testResult = null, timeoutMs = 30000) {
     const avgResponseTime = stat.avgResponseTime || 0;
     responseTimeData.push(Math.round(avgResponseTime));
 
+    // Tail latency, shown next to the average so spikes are not averaged away
+    p95Data.push(stat.p95ResponseTime != null ? Math.round(stat.p95ResponseTime) : null);
+
     // Add downtime indicator (will be scaled to max Y value later)
     const isDown = stat.successfulPings === 0;
     downData.push(isDown ? 1 : null); // Use 1 as placeholder, will scale to max
   });
 
   // Calculate max response time for scaling downtime indicator
-  const validResponseTimes = responseTimeData.filter(v => v > 0);
+  const validResponseTimes = [...responseTimeData, ...p95Data].filter(v => v > 0);
   const maxResponseTime = validResponseTimes.length > 0 ? Math.max(...validResponseTimes) : 100;
   const downtimeMaxValue = Math.round(Math.max(maxResponseTime * 1.1, 100)); // Add 10% padding, minimum 100, rounded
 
@@ -694,6 +911,19 @@ function drawStatusChart(stats, testResult = null, timeoutMs = 30000) {
           borderWidth: 3,
           spanGaps: false,
         },
+        {
+          label: 'p95',
+          data: p95Data,
+          borderColor: '#f59e0b',
+          backgroundColor: 'transparent',
+          borderDash: [6, 4],
+          fill: false,
+          tension: 0.4,
+          pointRadius: 0,
+          pointHoverRadius: 5,
+          borderWidth: 2,
+          spanGaps: false,
+        },
         {
           label: 'Downtime',
           data: scaledDownData,
@@ -743,6 +973,8 @@ function drawStatusChart(stats, testResult = null, timeoutMs = 30000) {
                 }
                 const pingTag = value < 50 ? '🟢 Excellent' : value < 100 ? '🟡 Good' : value < 200 ? '🟠 Fair' : '🔴 Poor';
                 return `${pingTag} ${Math.round(value)} ms`;
+              } else if (context.dataset.label === 'p95') {
+                return context.raw ? `p95 ${context.raw} ms` : '';
               } else {
                 return context.raw ? '🔴 Service Down' : '';
               }
@@ -750,10 +982,14 @@ function drawStatusChart(stats, testResult = null, timeoutMs = 30000) {
             afterBody: function(context) {
               if (context[0].datasetIndex === 0 && context[0].raw > 0) {
                 const value = context[0].raw;
-                if (value < 50) return '⚡ Excellent response time';
-                if (value < 100) return '✓ Good response time';
-                if (value < 200) return '⚠ Acceptable response time';
-                return '⚠ Slow response time';
+                const stat = sortedStats[context[0].dataIndex];
+                const percentiles = stat && stat.p50ResponseTime != null
+                  ? `p50 ${Math.round(stat.p50ResponseTime)} · p99 ${Math.round(stat.p99ResponseTime)} · max ${Math.round(stat.maxResponseTime)} ms\n`
+                  : '';
+                if (value < 50) return `${percentiles}⚡ Excellent response time`;
+                if (value < 100) return `${percentiles}✓ Good response time`;
+                if (value < 200) return `${percentiles}⚠ Acceptable response time`;
+                return `${percentiles}⚠ Slow response time`;
               }
               return '';
             }
@@ -831,6 +1067,12 @@ function updateProtocolSettings() {
   
   const httpSection = formContainer.querySelector('#httpOptionsSection');
   const authSection = formContainer.querySelector('#authSection');
+  const dnsSection = formContainer.querySelector('#dnsOptionsSection');
+  const promqlSection = formContainer.querySelector('#promqlOptionsSection');
+  const pushSection = formContainer.querySelector('#pushOptionsSection');
+  const icmpSection = formContainer.querySelector('#icmpOptionsSection');
+  const hostField = formContainer.querySelector('#hostField');
+  const intervalInput = formContainer.querySelector('#editInterval');
 
   if (httpSection && authSection) {
     if (protocol === 'HTTP' || protocol === 'HTTPS') {
@@ -838,9 +1080,48 @@ function updateProtocolSettings() {
       authSection.classList.remove('hidden');
     } else {
       httpSection.classList.add('hidden');
-      authSection.classList.add('hidden');
+      // Prometheus queries are HTTP requests that may need credentials too
+      authSection.classList.toggle('hidden', protocol !== 'PROMQL');
+    }
+  }
+
+  if (promqlSection) {
+    if (protocol === 'PROMQL') {
+      promqlSection.classList.remove('hidden');
+    } else {
+      promqlSection.classList.add('hidden');
+    }
+  }
+
+  if (dnsSection) {
+    if (protocol === 'DNS') {
+      dnsSection.classList.remove('hidden');
+    } else {
+      dnsSection.classList.add('hidden');
+    }
+  }
+
+  if (icmpSection) {
+    if (protocol === 'ICMP') {
+      icmpSection.classList.remove('hidden');
+    } else {
+      icmpSection.classList.add('hidden');
     }
   }
+
+  // Push monitors are passive: no host, and jobs may only run daily or monthly
+  if (pushSection && hostField) {
+    if (protocol === 'PUSH') {
+      pushSection.classList.remove('hidden');
+      hostField.classList.add('hidden');
+    } else {
+      pushSection.classList.add('hidden');
+      hostField.classList.remove('hidden');
+    }
+  }
+  if (intervalInput) {
+    intervalInput.max = protocol === 'PUSH' ? '2678400' : '3600';
+  }
 }
 
 // Update auth fields visibility
@@ -902,12 +1183,33 @@ function addNewMonitor() {
   document.getElementById('editEnabled').checked = true;
   document.getElementById('editRetries').value = '0';
   document.getElementById('editRetryInterval').value = '5';
+  document.getElementById('editLatencyWarning').value = '';
+  document.getElementById('editLatencyCritical').value = '';
   document.getElementById('editHttpMethod').value = 'GET';
   document.getElementById('editTimeout').value = '30';
   document.getElementById('editStatusCodes').value = '200-299';
   document.getElementById('editMaxRedirects').value = '5';
   document.getElementById('editPosition').value = '0';
   document.getElementById('editAuthMethod').value = 'none';
+  document.getElementById('editDnsRecordType').value = 'A';
+  document.getElementById('editPromOperator').value = '>';
+  populateAssertionFields([]);
+  document.getElementById('editPushUrl').value = '';
+  document.getElementById('editPushGracePeriod').value = '60';
+  document.getElementById('editPacketCount').value = '1';
+  document.getElementById('editAlertThreshold').value = '3';
+  document.getElementById('editAlertMode').value = 'immediate';
+  document.getElementById('editEscalateAfter').value = '';
+  document.getElementById('editFlapThreshold').value = '';
+  document.getElementById('editFlapWindow').value = '10';
+  loadAlertChannelOptions();
+  renderDependsOnOptions(null, []);
+  loadProbeOptions().then(() => setCheckboxSelection(document.getElementById('editProbes'), []));
+  document.getElementById('editProbeQuorum').value = '1';
+  document.getElementById('editCheckLocally').checked = true;
+  RETENTION_FIELDS.forEach(({ id }) => {
+    document.getElementById(id).value = '';
+  });
 
   // Update protocol settings
   updateProtocolSettings();
@@ -1064,6 +1366,102 @@ function getFormElement(id) {
   return document.getElementById(id);
 }
 
+// Notification channels offered in the monitor form
+let alertChannelOptions = null;
+
+// Render the channel checkboxes of the monitor form once
+async function loadAlertChannelOptions() {
+  if (alertChannelOptions) return;
+
+  try {
+    const response = await axios.get('/admin/api/notification-channels');
+    alertChannelOptions = response.data.channels || [];
+    ['editAlertChannels', 'editEscalateChannels'].forEach(listId => {
+      document.getElementById(listId).innerHTML = alertChannelOptions.map(channel => `
+        <label class="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" class="checkbox-input" value="${channel.id}">
+          <span class="text-sm text-slate-300"><i class="${channel.icon} mr-1"></i>${channel.name}</span>
+        </label>
+      `).join('');
+    });
+  } catch (error) {
+    console.error('Error loading notification channels:', error);
+  }
+}
+
+// Probes offered in the monitor form, reloaded after probes are added or deleted
+let probeOptions = null;
+
+// Render the probe checkboxes of the monitor form
+async function loadProbeOptions() {
+  if (probeOptions) return;
+
+  try {
+    const response = await axios.get('/admin/api/probes');
+    probeOptions = response.data.probes || [];
+    document.getElementById('editProbes').innerHTML = probeOptions.length > 0
+      ? probeOptions.map(probe => `
+        <label class="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" class="checkbox-input" value="${probe._id}">
+          <span class="text-sm text-slate-300">${escapeHtml(probe.name)}${probe.location ? ` <span class="text-slate-500">(${escapeHtml(probe.location)})</span>` : ''}</span>
+        </label>
+      `).join('')
+      : '<p class="text-slate-400 text-sm">No probes registered (add one under Settings)</p>';
+  } catch (error) {
+    console.error('Error loading probes:', error);
+  }
+}
+
+// Check the given values of a checkbox list
+function setCheckboxSelection(list, ids) {
+  if (!list) return;
+  const selected = Array.isArray(ids) ? ids : [];
+  list.querySelectorAll('input[type="checkbox"]').forEach(input => {
+    input.checked = selected.includes(input.value);
+  });
+}
+
+// Read the checked values of a checkbox list
+function getCheckboxSelection(list) {
+  if (!list) return [];
+  return Array.from(list.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+}
+
+// Fill the content assertion inputs from a monitor's assertions array
+function populateAssertionFields(assertions) {
+  const list = Array.isArray(assertions) ? assertions : [];
+  const keyword = list.find(a => a.type === 'contains' || a.type === 'notContains');
+  const regex = list.find(a => a.type === 'regex');
+  const jsonPath = list.find(a => a.type === 'jsonPath');
+
+  document.getElementById('editKeyword').value = keyword?.value || '';
+  document.getElementById('editKeywordMode').value = keyword?.type || 'contains';
+  document.getElementById('editBodyRegex').value = regex?.value || '';
+  document.getElementById('editJsonPath').value = jsonPath?.path || '';
+  document.getElementById('editJsonPathExpected').value = jsonPath?.expected ?? '';
+}
+
+// Build the assertions array from the content assertion inputs
+function collectAssertions() {
+  const assertions = [];
+  const keyword = getFormElement('editKeyword')?.value.trim();
+  const regex = getFormElement('editBodyRegex')?.value.trim();
+  const jsonPath = getFormElement('editJsonPath')?.value.trim();
+
+  if (keyword) {
+    assertions.push({ type: getFormElement('editKeywordMode')?.value || 'contains', value: keyword });
+  }
+  if (regex) {
+    assertions.push({ type: 'regex', value: regex });
+  }
+  if (jsonPath) {
+    const expected = getFormElement('editJsonPathExpected')?.value.trim();
+    assertions.push({ type: 'jsonPath', path: jsonPath, ...(expected && { operator: '==', expected }) });
+  }
+
+  return assertions.length > 0 ? assertions : null;
+}
+
 // Handle edit button click - mobile uses panel, desktop uses modal
 function handleEditClick() {
   // Check if we're on mobile (viewport width < 1024px)
@@ -1090,11 +1488,17 @@ function openEditMonitor() {
       // Copy all form values from desktop form to modal form
       const formFields = [
         'editName', 'editHost', 'editProtocol', 'editPort', 'editInterval', 
-        'editGroup', 'editAppUrl', 'editAppIcon', 'editRetries', 'editRetryInterval',
+        'editGroup', 'editAppUrl', 'editAppIcon', 'editRetries', 'editRetryInterval', 'editLatencyWarning', 'editLatencyCritical',
         'editHttpMethod', 'editTimeout', 'editStatusCodes', 'editMaxRedirects',
         'editPosition', 'editQuickCommands', 'editAuthMethod', 'editAuthUsername',
         'editAuthPassword', 'editAuthToken', 'editEnabled', 'editIgnoreSsl', 
-        'editUpsideDown', 'editImportant', 'editPublicVisible'
+        'editUpsideDown', 'editImportant', 'editPublicVisible',
+        'editDnsRecordType', 'editDnsResolver', 'editDnsExpected', 'editPromQuery', 'editPromOperator', 'editPromThreshold',
+        'editKeyword', 'editKeywordMode', 'editBodyRegex', 'editJsonPath', 'editJsonPathExpected',
+        'editPushUrl', 'editPushGracePeriod', 'editPacketCount',
+        'editAlertThreshold', 'editAlertMode', 'editEscalateAfter', 'editFlapThreshold', 'editFlapWindow',
+        'editProbeQuorum', 'editCheckLocally',
+        'editRetentionRawDays', 'editRetentionMinuteDays', 'editRetentionHourlyDays', 'editRetentionDailyDays'
       ];
       
       formFields.forEach(fieldId => {
@@ -1108,6 +1512,11 @@ function openEditMonitor() {
           }
         }
       });
+
+      // Copy notification channel, parent monitor and probe selections
+      ['editAlertChannels', 'editEscalateChannels', 'editDependsOn', 'editProbes'].forEach(listId => {
+        setCheckboxSelection(clonedForm.querySelector(`#${listId}`), getCheckboxSelection(desktopForm.querySelector(`#${listId}`)));
+      });
       
       // Re-attach event listeners
       const protocolSelect = clonedForm.querySelector('#editProtocol');
@@ -1163,6 +1572,8 @@ async function saveMonitor() {
     appIcon: getFormElement('editAppIcon')?.value || null,
     retries: parseInt(getFormElement('editRetries')?.value) || 0,
     retryInterval: parseInt(getFormElement('editRetryInterval')?.value) || 5,
+    latencyWarning: parseInt(getFormElement('editLatencyWarning')?.value) || null,
+    latencyCritical: parseInt(getFormElement('editLatencyCritical')?.value) || null,
     timeout: parseInt(getFormElement('editTimeout')?.value) || 30,
     httpMethod: getFormElement('editHttpMethod')?.value || 'GET',
     statusCodes: getFormElement('editStatusCodes')?.value || '200-299',
@@ -1173,7 +1584,28 @@ async function saveMonitor() {
     position: parseInt(getFormElement('editPosition')?.value) || 0,
     quickCommands: getFormElement('editQuickCommands')?.value
       ? getFormElement('editQuickCommands').value.split(',').map(cmd => cmd.trim()).filter(cmd => cmd)
-      : []
+      : [],
+    dnsRecordType: getFormElement('editDnsRecordType')?.value || 'A',
+    dnsResolver: getFormElement('editDnsResolver')?.value || null,
+    dnsExpected: getFormElement('editDnsExpected')?.value || null,
+    promQuery: getFormElement('editPromQuery')?.value.trim() || null,
+    promOperator: getFormElement('editPromOperator')?.value || '>',
+    promThreshold: getFormElement('editPromThreshold')?.value ? parseFloat(getFormElement('editPromThreshold').value) : null,
+    assertions: collectAssertions(),
+    pushGracePeriod: parseInt(getFormElement('editPushGracePeriod')?.value) || 0,
+    packetCount: parseInt(getFormElement('editPacketCount')?.value) || 1,
+    alertThreshold: parseInt(getFormElement('editAlertThreshold')?.value) || 3,
+    alertMode: getFormElement('editAlertMode')?.value || 'immediate',
+    alertChannels: getCheckboxSelection(getFormElement('editAlertChannels')),
+    escalateAfter: parseInt(getFormElement('editEscalateAfter')?.value) || null,
+    flapThreshold: parseInt(getFormElement('editFlapThreshold')?.value) || null,
+    flapWindow: parseInt(getFormElement('editFlapWindow')?.value) || 10,
+    escalateChannels: getCheckboxSelection(getFormElement('editEscalateChannels')),
+    dependsOn: getCheckboxSelection(getFormElement('editDependsOn')),
+    probes: getCheckboxSelection(getFormElement('editProbes')),
+    probeQuorum: parseInt(getFormElement('editProbeQuorum')?.value) || 1,
+    checkLocally: getFormElement('editCheckLocally')?.checked !== false,
+    retentionPolicy: Object.fromEntries(RETENTION_FIELDS.map(({ key, id }) => [key, parseInt(getFormElement(id)?.value) || null]))
   };
 
   // Add authentication if set
@@ -1191,8 +1623,8 @@ async function saveMonitor() {
     };
   }
 
-  // Validate
-  if (!data.name || !data.host) {
+  // Validate (push monitors have no host)
+  if (!data.name || (!data.host && data.protocol !== 'PUSH')) {
     showNotification('Please fill in all required fields', 'error');
     return;
   }
@@ -1263,6 +1695,8 @@ async function testMonitor() {
       maxRedirects: parseInt(getFormElement('editMaxRedirects')?.value) || 5,
       ignoreSsl: getFormElement('editIgnoreSsl')?.checked || false,
       upsideDown: getFormElement('editUpsideDown')?.checked || false,
+      assertions: collectAssertions(),
+      packetCount: parseInt(getFormElement('editPacketCount')?.value) || 1,
     };
 
     // Add authentication if set
@@ -1281,7 +1715,7 @@ async function testMonitor() {
     }
 
     // Validate required fields
-    if (!testData.host) {
+    if (!testData.host && testData.protocol !== 'PUSH') {
       showNotification('Please enter a host address', 'error');
       return;
     }
@@ -1396,7 +1830,20 @@ async function loadIncidents() {
       const date = new Date(incident.createdAt).toLocaleString();
       
       let scheduledInfo = '';
-      if (incident.isScheduled && incident.scheduledStart) {
+      if (incident.isScheduled && incident.recurrence) {
+        const nextWindow = incident.activeWindow
+          ? `<strong>In progress</strong> until ${new Date(incident.activeWindow.end).toLocaleString()}`
+          : incident.nextWindow ? `Next: ${new Date(incident.nextWindow.start).toLocaleString()}` : '';
+        scheduledInfo = `
+          <div class="mt-2 p-2 bg-purple-900/20 border border-purple-700/30 rounded">
+            <p class="text-xs text-purple-300">
+              <i class="fas fa-redo mr-1"></i>
+              <strong>Recurring:</strong> ${describeRecurrence(incident.recurrence)}
+              ${nextWindow ? ` · ${nextWindow}` : ''}
+            </p>
+          </div>
+        `;
+      } else if (incident.isScheduled && incident.scheduledStart) {
         const startDate = new Date(incident.scheduledStart).toLocaleString();
         const endDate = incident.scheduledEnd ? new Date(incident.scheduledEnd).toLocaleString() : null;
         scheduledInfo = `
@@ -1419,6 +1866,9 @@ async function loadIncidents() {
           </div>
         </div>
         <p class="text-sm text-slate-400 mb-3">${incident.description}</p>
+        ${Array.isArray(incident.affectedServices) && incident.affectedServices.length > 0
+          ? `<p class="text-xs text-slate-400"><i class="fas fa-server mr-1"></i>${incident.affectedServices.join(', ')}</p>`
+          : ''}
         ${scheduledInfo}
         <div class="flex justify-between items-center mt-3">
           <p class="text-xs text-slate-500">${date}</p>
@@ -1442,6 +1892,56 @@ async function loadIncidents() {
 
 let currentIncidentId = null;
 
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Human readable recurrence, e.g. "Every Sunday at 03:00 for 60 min"
+function describeRecurrence(recurrence) {
+  const days = recurrence.frequency === 'daily'
+    ? 'day'
+    : (recurrence.daysOfWeek || []).map(day => WEEKDAY_NAMES[day]).join(', ');
+  return `Every ${days} at ${recurrence.startTime} for ${recurrence.durationMinutes} min`;
+}
+
+// Render the affected service checkboxes; services are referenced by monitor name
+async function renderAffectedServiceOptions(selected) {
+  const list = document.getElementById('incidentAffectedServices');
+  try {
+    const response = await axios.get('/admin/api/targets');
+    const names = (response.data.targets || []).map(target => target.name);
+    list.innerHTML = names.length > 0
+      ? names.map(name => `
+        <label class="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" class="checkbox-input" value="${name}">
+          <span class="text-sm text-slate-300">${name}</span>
+        </label>
+      `).join('')
+      : '<p class="text-slate-400 text-sm">No monitors</p>';
+  } catch (error) {
+    list.innerHTML = '<p class="text-slate-400 text-sm">Error loading monitors</p>';
+  }
+  setCheckboxSelection(list, selected);
+}
+
+// Fill the recurrence inputs of the incident modal
+function setRecurrenceFields(recurrence) {
+  document.getElementById('incidentRecurring').checked = Boolean(recurrence);
+  document.getElementById('incidentRecurrenceFrequency').value = recurrence?.frequency || 'weekly';
+  document.getElementById('incidentRecurrenceTime').value = recurrence?.startTime || '03:00';
+  document.getElementById('incidentRecurrenceDuration').value = recurrence?.durationMinutes || 60;
+  setCheckboxSelection(document.getElementById('incidentRecurrenceDays'), (recurrence?.daysOfWeek || [0]).map(String));
+  toggleRecurrenceFields();
+}
+
+// Toggle recurrence fields visibility
+function toggleRecurrenceFields() {
+  const isRecurring = document.getElementById('incidentRecurring').checked;
+  const isWeekly = document.getElementById('incidentRecurrenceFrequency').value === 'weekly';
+  document.getElementById('recurrenceFields').classList.toggle('hidden', !isRecurring);
+  document.getElementById('incidentRecurrenceDays').classList.toggle('hidden', !isWeekly);
+  // Recurring windows start on their own schedule, the start date only bounds the series
+  document.getElementById('incidentScheduledStart').required = document.getElementById('incidentIsScheduled').checked && !isRecurring;
+}
+
 // Show create incident modal
 function showCreateIncidentModal() {
   currentIncidentId = null;
@@ -1454,6 +1954,8 @@ function showCreateIncidentModal() {
   document.getElementById('incidentScheduledStart').value = '';
   document.getElementById('incidentScheduledEnd').value = '';
   document.getElementById('scheduledFields').classList.add('hidden');
+  setRecurrenceFields(null);
+  renderAffectedServiceOptions([]);
   document.getElementById('incidentModal').classList.add('active');
   
   // Focus on title input
@@ -1471,11 +1973,13 @@ function toggleScheduledFields() {
   
   if (isScheduled) {
     scheduledFields.classList.remove('hidden');
-    scheduledStart.required = true;
-    // Set default start time to 1 hour from now
-    const now = new Date();
-    now.setHours(now.getHours() + 1);
-    scheduledStart.value = now.toISOString().slice(0, 16);
+    scheduledStart.required = !document.getElementById('incidentRecurring').checked;
+    // Set default start time to 1 hour from now, keeping the start of an edited incident
+    if (!scheduledStart.value) {
+      const now = new Date();
+      now.setHours(now.getHours() + 1);
+      scheduledStart.value = now.toISOString().slice(0, 16);
+    }
   } else {
     scheduledFields.classList.add('hidden');
     scheduledStart.required = false;
@@ -1522,7 +2026,9 @@ async function editIncident(incidentId) {
       document.getElementById('incidentScheduledEnd').value = '';
     }
     
+    setRecurrenceFields(incident.recurrence);
     toggleScheduledFields();
+    await renderAffectedServiceOptions(incident.affectedServices);
     document.getElementById('incidentModal').classList.add('active');
     
     // Focus on title input
@@ -1548,13 +2054,15 @@ async function saveIncident(event) {
   const isScheduled = document.getElementById('incidentIsScheduled').checked;
   const scheduledStart = document.getElementById('incidentScheduledStart').value;
   const scheduledEnd = document.getElementById('incidentScheduledEnd').value;
+  const isRecurring = isScheduled && document.getElementById('incidentRecurring').checked;
+  const affectedServices = getCheckboxSelection(document.getElementById('incidentAffectedServices'));
 
   if (!title || !description) {
     showNotification('Title and description are required', 'error');
     return;
   }
 
-  if (isScheduled && !scheduledStart) {
+  if (isScheduled && !isRecurring && !scheduledStart) {
     showNotification('Scheduled start time is required for scheduled maintenance', 'error');
     return;
   }
@@ -1566,8 +2074,15 @@ async function saveIncident(event) {
       severity,
       status,
       isScheduled,
+      affectedServices,
       scheduledStart: isScheduled && scheduledStart ? scheduledStart : null,
-      scheduledEnd: isScheduled && scheduledEnd ? scheduledEnd : null
+      scheduledEnd: isScheduled && scheduledEnd ? scheduledEnd : null,
+      recurrence: isRecurring ? {
+        frequency: document.getElementById('incidentRecurrenceFrequency').value,
+        daysOfWeek: getCheckboxSelection(document.getElementById('incidentRecurrenceDays')).map(Number),
+        startTime: document.getElementById('incidentRecurrenceTime').value,
+        durationMinutes: parseInt(document.getElementById('incidentRecurrenceDuration').value, 10),
+      } : null
     };
 
     if (currentIncidentId) {
@@ -2270,9 +2785,10 @@ async function loadPublicUISettings() {
       updateAdminHeaderTitle('LocalPing');
     }
 
-    // Also load admin settings and notification settings
+    // Also load admin settings, notification settings and probes
     await loadAdminSettings();
     await loadNotificationSettings();
+    await loadProbes();
   } catch (error) {
     console.error('Error loading public UI settings:', error);
     // Don't show notification on initial load error, just use default
@@ -2298,6 +2814,11 @@ async function loadAdminSettings() {
       if (dataRetentionEl) {
         dataRetentionEl.value = settings.dataRetentionDays || 30;
       }
+      const retention = response.data.retention || {};
+      ['minuteDays', 'hourlyDays', 'dailyDays'].forEach(key => {
+        const el = document.getElementById(`retention${key.charAt(0).toUpperCase()}${key.slice(1)}`);
+        if (el) el.value = retention[key] || '';
+      });
       const debugLoggingEl = document.getElementById('debugLogging');
       if (debugLoggingEl) {
         debugLoggingEl.checked = settings.debugLogging === true;
@@ -2314,6 +2835,80 @@ async function loadAdminSettings() {
   }
 }
 
+// Load the probe list of the settings tab
+async function loadProbes() {
+  const list = document.getElementById('probeList');
+  if (!list) return;
+
+  try {
+    const response = await axios.get('/admin/api/probes');
+    const probes = response.data.probes || [];
+
+    if (probes.length === 0) {
+      list.innerHTML = '<p class="text-slate-400 text-sm">No probes yet. Add one and start it with <code>--mode probe</code> at the remote location.</p>';
+      return;
+    }
+
+    list.innerHTML = probes.map(probe => `
+      <div class="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg border border-slate-700/30">
+        <div>
+          <p class="font-semibold">
+            <span class="inline-block w-2 h-2 rounded-full mr-2 ${probe.online ? 'bg-green-400' : 'bg-slate-500'}"></span>${escapeHtml(probe.name)}
+            ${probe.location ? `<span class="text-slate-400 text-sm ml-1">${escapeHtml(probe.location)}</span>` : ''}
+          </p>
+          <p class="text-slate-400 text-xs mt-1">
+            ${probe.lastSeenAt ? `Last seen ${new Date(probe.lastSeenAt).toLocaleString()}` : 'Never connected'}${probe.version ? ` · v${escapeHtml(probe.version)}` : ''}
+          </p>
+        </div>
+        <button onclick="deleteProbe('${probe._id}')" class="btn-danger text-sm">
+          <i class="fas fa-trash-alt"></i>
+        </button>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading probes:', error);
+  }
+}
+
+// Create a probe and show its token once
+async function createProbe() {
+  const name = document.getElementById('probeName').value.trim();
+  const location = document.getElementById('probeLocation').value.trim();
+  if (!name) {
+    showNotification('Probe name is required', 'error');
+    return;
+  }
+
+  try {
+    const response = await axios.post('/admin/api/probes', { name, location: location || null });
+    document.getElementById('probeName').value = '';
+    document.getElementById('probeLocation').value = '';
+    document.getElementById('probeTokenValue').textContent = response.data.token;
+    document.getElementById('probeTokenNotice').classList.remove('hidden');
+    probeOptions = null;
+    showNotification('Probe created successfully', 'success');
+    loadProbes();
+  } catch (error) {
+    console.error('Error creating probe:', error);
+    showNotification('Error creating probe: ' + (error.response?.data?.error || error.message), 'error');
+  }
+}
+
+// Delete a probe; monitors assigned to it stop using it
+async function deleteProbe(probeId) {
+  if (!confirm('Are you sure you want to delete this probe? Monitors assigned to it will no longer be checked from its location.')) return;
+
+  try {
+    await axios.delete(`/admin/api/probes/${probeId}`);
+    probeOptions = null;
+    showNotification('Probe deleted successfully', 'success');
+    loadProbes();
+  } catch (error) {
+    console.error('Error deleting probe:', error);
+    showNotification('Error deleting probe: ' + (error.response?.data?.error || error.message), 'error');
+  }
+}
+
 // Format file size to human-readable format
 function formatFileSize(bytes) {
   if (bytes === 0) return '0 B';
@@ -2346,6 +2941,7 @@ async function saveAdminSettings() {
     await axios.put('/admin/api/admin-settings', {
       sessionDurationDays: sessionDurationDays,
       dataRetentionDays: dataRetentionDays,
+      retentionPolicy: getRetentionTiers(),
       debugLogging: debugLogging
     });
 
@@ -2356,6 +2952,56 @@ async function saveAdminSettings() {
   }
 }
 
+// Aggregate tiers of the global retention settings
+function getRetentionTiers() {
+  return {
+    minuteDays: parseInt(document.getElementById('retentionMinuteDays')?.value) || null,
+    hourlyDays: parseInt(document.getElementById('retentionHourlyDays')?.value) || null,
+    dailyDays: parseInt(document.getElementById('retentionDailyDays')?.value) || null
+  };
+}
+
+// Show what the entered retention settings would keep and drop, without changing data
+async function previewRetention() {
+  const container = document.getElementById('retentionPreview');
+  if (!container) return;
+
+  try {
+    const policy = {
+      rawDays: parseInt(document.getElementById('dataRetentionDays')?.value) || null,
+      ...getRetentionTiers()
+    };
+    const response = await axios.post('/admin/api/retention/dry-run', { policy });
+    const totals = response.data.totals;
+    const labels = { raw: 'Raw results', minute: '1-minute rollups', hourly: 'Hourly rollups', daily: 'Daily rollups' };
+    const format = (value) => Number(value).toLocaleString();
+
+    container.innerHTML = `
+      <table class="w-full text-sm">
+        <thead>
+          <tr class="text-slate-400 text-left">
+            <th class="py-1">Tier</th><th class="py-1 text-right">Keep</th><th class="py-1 text-right">Drop</th><th class="py-1 text-right">New buckets</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${Object.entries(totals).map(([tier, counts]) => `
+            <tr class="border-t border-slate-700/30 text-slate-300">
+              <td class="py-1">${labels[tier] || escapeHtml(tier)}</td>
+              <td class="py-1 text-right">${format(counts.keep)}</td>
+              <td class="py-1 text-right">${format(counts.drop)}</td>
+              <td class="py-1 text-right">${tier === 'raw' ? '-' : format(counts.rollup)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p class="form-help mt-2">Dry run over ${response.data.targets.length} monitors, per-monitor overrides included. Nothing was changed.</p>
+    `;
+  } catch (error) {
+    console.error('Error previewing retention:', error);
+    showNotification(error.response?.data?.error || 'Error previewing retention', 'error');
+  }
+}
+
 // Update admin header title
 function updateAdminHeaderTitle(customTitle) {
   const headerTitle = document.getElementById('adminHeaderTitle');
@@ -2393,11 +3039,100 @@ function previewPublicUI() {
   window.open('/', '_blank');
 }
 
+// Notification channel definitions from the server registry
+let notificationChannels = [];
+
+const NOTIFICATION_EVENT_LABELS = {
+  monitorDown: 'Monitor down',
+  monitorUp: 'Monitor up',
+  incidentCreated: 'Incident created',
+  incidentUpdated: 'Incident updated',
+};
+
+// Render one settings card per notification channel
+function renderNotificationChannels(channels, events) {
+  const container = document.getElementById('notificationChannels');
+  if (!container) return;
+
+  container.innerHTML = channels.map(channel => `
+    <details class="bg-slate-800/40 rounded-lg border border-slate-700/30 p-4" data-channel="${channel.id}">
+      <summary class="cursor-pointer flex items-center justify-between">
+        <span class="font-semibold text-slate-200"><i class="${channel.icon} mr-2"></i>${channel.name}</span>
+        <span class="text-xs text-slate-400" id="channelStatus-${channel.id}">Disabled</span>
+      </summary>
+      <div class="space-y-4 mt-4">
+        <label class="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" id="channel-${channel.id}-enabled" class="checkbox-input">
+          <span class="form-label mb-0">Enable ${channel.name} Notifications</span>
+        </label>
+        <div class="grid grid-cols-2 gap-4">
+          ${channel.fields.map(field => renderNotificationField(channel, field)).join('')}
+        </div>
+        <div>
+          <p class="form-label">Events</p>
+          <div class="flex flex-wrap gap-4">
+            ${events.map(event => `
+              <label class="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" id="channel-${channel.id}-event-${event}" class="checkbox-input" checked>
+                <span class="text-sm text-slate-300">${NOTIFICATION_EVENT_LABELS[event] || event}</span>
+              </label>
+            `).join('')}
+          </div>
+        </div>
+        <div>
+          <button type="button" onclick="testNotificationChannel('${channel.id}')" class="btn-secondary">
+            <i class="fas fa-paper-plane mr-2"></i>Test Notification
+          </button>
+        </div>
+      </div>
+    </details>
+  `).join('');
+}
+
+function renderNotificationField(channel, field) {
+  const id = `channel-${channel.id}-${field.key}`;
+  const label = `${field.label}${field.required ? ' *' : ''}`;
+
+  if (field.type === 'checkbox') {
+    return `
+      <label class="flex items-center gap-2 cursor-pointer">
+        <input type="checkbox" id="${id}" class="checkbox-input">
+        <span class="form-label mb-0">${label}</span>
+      </label>
+    `;
+  }
+
+  if (field.type === 'textarea') {
+    return `
+      <div class="col-span-2">
+        <label class="form-label">${label}</label>
+        <textarea id="${id}" class="form-input" rows="3" placeholder="${field.placeholder || ''}"></textarea>
+      </div>
+    `;
+  }
+
+  return `
+    <div>
+      <label class="form-label">${label}</label>
+      <input type="${field.type}" id="${id}" class="form-input" placeholder="${field.placeholder || ''}" autocomplete="off">
+    </div>
+  `;
+}
+
 // Load notification settings
 async function loadNotificationSettings() {
   try {
-    const response = await axios.get('/admin/api/notification-settings');
-    const settings = response.data.settings;
+    const [channelsResponse, settingsResponse] = await Promise.all([
+      axios.get('/admin/api/notification-channels'),
+      axios.get('/admin/api/notification-settings'),
+    ]);
+    notificationChannels = channelsResponse.data.channels || [];
+    renderNotificationChannels(notificationChannels, channelsResponse.data.events || []);
+    document.getElementById('digestChannel').innerHTML = notificationChannels
+      .map(channel => `<option value="${channel.id}">${channel.name}</option>`)
+      .join('');
+
+    const settings = settingsResponse.data.settings;
 
     if (settings) {
       const enabledEl = document.getElementById('notificationEnabled');
@@ -2405,25 +3140,32 @@ async function loadNotificationSettings() {
         enabledEl.checked = settings.enabled === true;
       }
 
-      const discordEnabledEl = document.getElementById('discordEnabled');
-      if (discordEnabledEl) {
-        discordEnabledEl.checked = settings.discord?.enabled === true;
-      }
+      notificationChannels.forEach(channel => {
+        const config = settings.channels?.[channel.id] || {};
 
-      const discordWebhookEl = document.getElementById('discordWebhookUrl');
-      if (discordWebhookEl) {
-        discordWebhookEl.value = settings.discord?.webhookUrl || '';
-      }
+        document.getElementById(`channel-${channel.id}-enabled`).checked = config.enabled === true;
+        document.getElementById(`channelStatus-${channel.id}`).textContent = config.enabled ? 'Enabled' : 'Disabled';
 
-      const discordUsernameEl = document.getElementById('discordUsername');
-      if (discordUsernameEl) {
-        discordUsernameEl.value = settings.discord?.username || 'LocalPing';
-      }
+        channel.fields.forEach(field => {
+          const el = document.getElementById(`channel-${channel.id}-${field.key}`);
+          if (field.type === 'checkbox') {
+            el.checked = config[field.key] === true;
+          } else {
+            el.value = config[field.key] ?? '';
+          }
+        });
 
-      const discordAvatarEl = document.getElementById('discordAvatarUrl');
-      if (discordAvatarEl) {
-        discordAvatarEl.value = settings.discord?.avatarUrl || '';
-      }
+        Object.keys(NOTIFICATION_EVENT_LABELS).forEach(event => {
+          const el = document.getElementById(`channel-${channel.id}-event-${event}`);
+          if (el) {
+            el.checked = config.events?.[event] !== false;
+          }
+        });
+      });
+
+      document.getElementById('digestEnabled').checked = settings.digest?.enabled === true;
+      document.getElementById('digestChannel').value = settings.digest?.channel || notificationChannels[0]?.id || '';
+      document.getElementById('digestInterval').value = settings.digest?.intervalMinutes || 60;
 
       const eventMonitorDownEl = document.getElementById('eventMonitorDown');
       if (eventMonitorDownEl) {
@@ -2450,34 +3192,73 @@ async function loadNotificationSettings() {
   }
 }
 
+// Read the settings form of one channel
+function collectNotificationChannel(channel) {
+  const config = {
+    enabled: document.getElementById(`channel-${channel.id}-enabled`).checked,
+    events: {},
+  };
+
+  channel.fields.forEach(field => {
+    const el = document.getElementById(`channel-${channel.id}-${field.key}`);
+    if (field.type === 'checkbox') {
+      config[field.key] = el.checked;
+    } else if (field.type === 'number') {
+      config[field.key] = el.value === '' ? null : parseInt(el.value, 10);
+    } else {
+      config[field.key] = el.value.trim() || null;
+    }
+  });
+
+  Object.keys(NOTIFICATION_EVENT_LABELS).forEach(event => {
+    const el = document.getElementById(`channel-${channel.id}-event-${event}`);
+    if (el) {
+      config.events[event] = el.checked;
+    }
+  });
+
+  return config;
+}
+
 // Save notification settings
-async function saveNotificationSettings() {
+async function saveNotificationSettings({ silent = false } = {}) {
   try {
     const enabled = document.getElementById('notificationEnabled').checked;
-    const discordEnabled = document.getElementById('discordEnabled').checked;
-    const discordWebhookUrl = document.getElementById('discordWebhookUrl').value.trim();
-    const discordUsername = document.getElementById('discordUsername').value.trim() || 'LocalPing';
-    const discordAvatarUrl = document.getElementById('discordAvatarUrl').value.trim() || null;
-
-    // Validate Discord webhook URL if Discord is enabled
-    if (discordEnabled && !discordWebhookUrl) {
-      showNotification('Discord webhook URL is required when Discord notifications are enabled', 'error');
-      return;
+    const channels = {};
+
+    for (const channel of notificationChannels) {
+      const config = collectNotificationChannel(channel);
+
+      // Validate required fields of enabled channels
+      const missing = channel.fields.filter(field => field.required && (config[field.key] === null || config[field.key] === ''));
+      if (config.enabled && missing.length > 0) {
+        showNotification(`${channel.name}: ${missing.map(field => field.label).join(', ')} required`, 'error');
+        return false;
+      }
+
+      if (channel.id === 'discord' && config.webhookUrl && !config.webhookUrl.startsWith('https://discord.com/api/webhooks/')) {
+        showNotification('Invalid Discord webhook URL. It should start with https://discord.com/api/webhooks/', 'error');
+        return false;
+      }
+
+      channels[channel.id] = config;
     }
 
-    if (discordWebhookUrl && !discordWebhookUrl.startsWith('https://discord.com/api/webhooks/')) {
-      showNotification('Invalid Discord webhook URL. It should start with https://discord.com/api/webhooks/', 'error');
-      return;
+    const digest = {
+      enabled: document.getElementById('digestEnabled').checked,
+      channel: document.getElementById('digestChannel').value || null,
+      intervalMinutes: parseInt(document.getElementById('digestInterval').value) || 60,
+    };
+
+    if (digest.enabled && !channels[digest.channel]?.enabled) {
+      showNotification('The digest channel must be enabled', 'error');
+      return false;
     }
 
     const data = {
       enabled: enabled,
-      discord: {
-        enabled: discordEnabled,
-        webhookUrl: discordWebhookUrl || null,
-        username: discordUsername,
-        avatarUrl: discordAvatarUrl,
-      },
+      channels,
+      digest,
       events: {
         monitorDown: document.getElementById('eventMonitorDown').checked,
         monitorUp: document.getElementById('eventMonitorUp').checked,
@@ -2487,45 +3268,49 @@ async function saveNotificationSettings() {
     };
 
     await axios.put('/admin/api/notification-settings', data);
-    showNotification('Notification settings saved successfully', 'success');
+
+    notificationChannels.forEach(channel => {
+      document.getElementById(`channelStatus-${channel.id}`).textContent = channels[channel.id].enabled ? 'Enabled' : 'Disabled';
+    });
+
+    if (!silent) {
+      showNotification('Notification settings saved successfully', 'success');
+    }
+    return true;
   } catch (error) {
     console.error('Error saving notification settings:', error);
     showNotification(error.response?.data?.error || 'Error saving notification settings', 'error');
+    return false;
   }
 }
 
-// Test Discord notification
-async function testDiscordNotification() {
+// Test one notification channel
+async function testNotificationChannel(provider) {
   try {
-    const discordEnabled = document.getElementById('discordEnabled').checked;
-    const discordWebhookUrl = document.getElementById('discordWebhookUrl').value.trim();
+    const channel = notificationChannels.find(c => c.id === provider);
+    if (!channel) return;
 
-    if (!discordEnabled) {
-      showNotification('Please enable Discord notifications first', 'error');
+    if (!document.getElementById(`channel-${provider}-enabled`).checked) {
+      showNotification(`Please enable ${channel.name} notifications first`, 'error');
       return;
     }
 
-    if (!discordWebhookUrl) {
-      showNotification('Please enter a Discord webhook URL first', 'error');
+    // Save settings first so the test uses the values in the form
+    if (!await saveNotificationSettings({ silent: true })) {
       return;
     }
 
-    // Save settings first to ensure webhook URL is saved
-    await saveNotificationSettings();
-
     showNotification('Sending test notification...', 'success');
 
-    const response = await axios.post('/admin/api/notification-settings/test', {
-      provider: 'discord',
-    });
+    const response = await axios.post('/admin/api/notification-settings/test', { provider });
 
     if (response.data.success) {
-      showNotification('Test notification sent successfully! Check your Discord channel.', 'success');
+      showNotification(`Test notification sent successfully! Check your ${channel.name} channel.`, 'success');
     } else {
       showNotification(response.data.error || 'Failed to send test notification', 'error');
     }
   } catch (error) {
-    console.error('Error testing Discord notification:', error);
+    console.error(`Error testing ${provider} notification:`, error);
     showNotification(error.response?.data?.error || 'Error testing notification', 'error');
   }
 }
@@ -2629,11 +3414,17 @@ function toggleEditPanel() {
           // outerHTML doesn't preserve dynamically set input values
           const formFields = [
             'editName', 'editHost', 'editProtocol', 'editPort', 'editInterval',
-            'editGroup', 'editAppUrl', 'editAppIcon', 'editRetries', 'editRetryInterval',
+            'editGroup', 'editAppUrl', 'editAppIcon', 'editRetries', 'editRetryInterval', 'editLatencyWarning', 'editLatencyCritical',
             'editHttpMethod', 'editTimeout', 'editStatusCodes', 'editMaxRedirects',
             'editPosition', 'editQuickCommands', 'editAuthMethod', 'editAuthUsername',
             'editAuthPassword', 'editAuthToken', 'editEnabled', 'editIgnoreSsl',
-            'editUpsideDown', 'editImportant', 'editPublicVisible'
+            'editUpsideDown', 'editImportant', 'editPublicVisible',
+            'editDnsRecordType', 'editDnsResolver', 'editDnsExpected', 'editPromQuery', 'editPromOperator', 'editPromThreshold',
+            'editKeyword', 'editKeywordMode', 'editBodyRegex', 'editJsonPath', 'editJsonPathExpected',
+            'editPushUrl', 'editPushGracePeriod', 'editPacketCount',
+            'editAlertThreshold', 'editAlertMode', 'editEscalateAfter', 'editFlapThreshold', 'editFlapWindow',
+            'editProbeQuorum', 'editCheckLocally',
+            'editRetentionRawDays', 'editRetentionMinuteDays', 'editRetentionHourlyDays', 'editRetentionDailyDays'
           ];
 
           formFields.forEach(fieldId => {
@@ -2648,6 +3439,11 @@ function toggleEditPanel() {
             }
           });
 
+          // Copy notification channel, parent monitor and probe selections
+          ['editAlertChannels', 'editEscalateChannels', 'editDependsOn', 'editProbes'].forEach(listId => {
+            setCheckboxSelection(clonedForm.querySelector(`#${listId}`), getCheckboxSelection(desktopForm.querySelector(`#${listId}`)));
+          });
+
           const protocolSelect = clonedForm.querySelector('#editProtocol');
           const authSelect = clonedForm.querySelector('#editAuthMethod');
           if (protocolSelect) protocolSelect.onchange = updateProtocolSettings;
@@ -2680,6 +3476,142 @@ function attachFormListeners() {
 
 // ============ BACKUP FUNCTIONS ============
 
+// Load the scheduled backup settings
+async function loadBackupSettings() {
+  try {
+    const response = await axios.get('/admin/api/admin-settings');
+    const backup = response.data.backup || {};
+    document.getElementById('backupEnabled').checked = backup.enabled === true;
+    document.getElementById('backupSchedule').value = backup.schedule || '';
+    document.getElementById('backupDirectory').value = backup.directory || '';
+    document.getElementById('backupCompress').checked = backup.compress !== false;
+    document.getElementById('backupEncrypt').checked = backup.encrypt === true;
+    document.getElementById('backupKeepLast').value = backup.keepLast ?? '';
+    document.getElementById('backupKeepDaily').value = backup.keepDaily ?? '';
+    document.getElementById('backupKeepWeekly').value = backup.keepWeekly ?? '';
+  } catch (error) {
+    console.error('Error loading backup settings:', error);
+  }
+}
+
+window.saveBackupSettings = async function saveBackupSettings() {
+  const number = (id) => {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : parseInt(value, 10);
+  };
+
+  try {
+    await axios.put('/admin/api/admin-settings', {
+      backupSettings: {
+        enabled: document.getElementById('backupEnabled').checked,
+        schedule: document.getElementById('backupSchedule').value.trim() || null,
+        directory: document.getElementById('backupDirectory').value.trim() || null,
+        compress: document.getElementById('backupCompress').checked,
+        encrypt: document.getElementById('backupEncrypt').checked,
+        keepLast: number('backupKeepLast'),
+        keepDaily: number('backupKeepDaily'),
+        keepWeekly: number('backupKeepWeekly'),
+      }
+    });
+    showNotification('Backup schedule saved successfully', 'success');
+    loadBackups();
+  } catch (error) {
+    console.error('Error saving backup settings:', error);
+    showNotification(error.response?.data?.error || 'Error saving backup schedule', 'error');
+  }
+}
+
+// Load the backup files on the server
+async function loadBackups() {
+  const list = document.getElementById('backupFileList');
+  const status = document.getElementById('backupScheduleStatus');
+  if (!list) return;
+
+  try {
+    const response = await axios.get('/admin/api/backup/files');
+    const { backups, directory, nextBackupAt, lastBackup } = response.data;
+
+    const parts = [`Directory: ${escapeHtml(directory)}`];
+    parts.push(nextBackupAt ? `Next backup: ${new Date(nextBackupAt).toLocaleString()}` : 'Scheduled backups are off');
+    if (lastBackup?.error) {
+      parts.push(`<span class="text-red-400">Last backup failed: ${escapeHtml(lastBackup.error)}</span>`);
+    }
+    status.innerHTML = parts.join(' · ');
+
+    if (backups.length === 0) {
+      list.innerHTML = '<p class="text-slate-400 text-sm">No backups yet.</p>';
+      return;
+    }
+
+    list.innerHTML = backups.map(backup => `
+      <div class="flex items-center justify-between p-3 bg-slate-800/50 rounded-lg border border-slate-700/30">
+        <div>
+          <p class="font-semibold font-mono text-sm">
+            ${backup.encrypted ? '<i class="fas fa-lock text-slate-400 mr-1" title="Encrypted"></i>' : ''}${escapeHtml(backup.name)}
+          </p>
+          <p class="text-slate-400 text-xs mt-1">${new Date(backup.createdAt).toLocaleString()} · ${formatFileSize(backup.size)}</p>
+        </div>
+        <div class="flex gap-2">
+          <a href="/admin/api/backup/files/${encodeURIComponent(backup.name)}" class="btn-secondary text-sm" title="Download">
+            <i class="fas fa-download"></i>
+          </a>
+          <button onclick="restoreBackupFile('${escapeHtml(backup.name)}')" class="btn-secondary text-sm" title="Restore">
+            <i class="fas fa-undo"></i>
+          </button>
+          <button onclick="deleteBackupFile('${escapeHtml(backup.name)}')" class="btn-danger text-sm" title="Delete">
+            <i class="fas fa-trash-alt"></i>
+          </button>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading backups:', error);
+    list.innerHTML = `<p class="text-red-400 text-sm">${escapeHtml(error.response?.data?.error || 'Error loading backups')}</p>`;
+  }
+}
+
+window.createBackupNow = async function createBackupNow() {
+  try {
+    showNotification('Writing backup...', 'success');
+    const response = await axios.post('/admin/api/backup/files');
+    showNotification(`Backup ${response.data.backup.name} written`, 'success');
+    loadBackups();
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    showNotification(error.response?.data?.error || 'Error creating backup', 'error');
+  }
+}
+
+// Restore a backup file on the server; "Overwrite existing data" and the passphrase of the import section apply
+window.restoreBackupFile = async function restoreBackupFile(name) {
+  const overwrite = document.getElementById('importOverwrite').checked;
+  const passphrase = document.getElementById('importPassphrase').value || undefined;
+  if (!confirm(`Restore ${name}?${overwrite ? ' Existing data with the same IDs will be overwritten.' : ''}`)) return;
+
+  try {
+    showNotification('Restoring backup...', 'success');
+    const response = await axios.post(`/admin/api/backup/files/${encodeURIComponent(name)}/restore`, { overwrite, passphrase });
+    const errors = response.data.results.errors || [];
+    showNotification(errors.length > 0 ? `Backup restored with ${errors.length} error(s)` : 'Backup restored successfully', errors.length > 0 ? 'error' : 'success');
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    showNotification(error.response?.data?.error || 'Error restoring backup', 'error');
+  }
+}
+
+window.deleteBackupFile = async function deleteBackupFile(name) {
+  if (!confirm(`Are you sure you want to delete ${name}?`)) return;
+
+  try {
+    await axios.delete(`/admin/api/backup/files/${encodeURIComponent(name)}`);
+    showNotification('Backup deleted successfully', 'success');
+    loadBackups();
+  } catch (error) {
+    console.error('Error deleting backup:', error);
+    showNotification(error.response?.data?.error || 'Error deleting backup', 'error');
+  }
+}
+
 // Toggle export options based on full backup checkbox
 window.toggleExportOptions = function toggleExportOptions() {
   const fullBackup = document.getElementById('exportFull').checked;
@@ -2720,9 +3652,12 @@ window.exportBackup = async function exportBackup() {
       return;
     }
 
+    const redact = document.getElementById('exportRedact').checked;
+    const passphrase = document.getElementById('exportPassphrase').value;
+
     showNotification('Exporting backup...', 'success');
     
-    const response = await axios.post('/admin/api/backup/export', exportOptions);
+    const response = await axios.post('/admin/api/backup/export', { ...exportOptions, redact, passphrase: passphrase || undefined });
     
     if (response.data.success) {
       // Create download link
@@ -2731,7 +3666,7 @@ window.exportBackup = async function exportBackup() {
       const url = URL.createObjectURL(dataBlob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `localping-backup-${new Date().toISOString().split('T')[0]}.json`;
+      link.download = `localping-backup-${new Date().toISOString().split('T')[0]}${redact ? '-redacted' : ''}.json${passphrase ? '.enc' : ''}`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
@@ -2758,19 +3693,22 @@ window.importBackup = async function importBackup() {
       return;
     }
 
-    if (!file.name.endsWith('.json')) {
+    if (!['.json', '.json.gz', '.json.enc', '.json.gz.enc'].some(extension => file.name.endsWith(extension))) {
       showNotification('Please select a valid JSON backup file', 'error');
       return;
     }
 
     showNotification('Reading backup file...', 'success');
     
-    const fileContent = await new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
-      reader.onerror = reject;
-      reader.readAsText(file);
-    });
+    // Compressed backups of the scheduled backups are unpacked in the browser
+    const fileContent = file.name.endsWith('.gz')
+      ? await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text()
+      : await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = reject;
+        reader.readAsText(file);
+      });
 
     let importData;
     try {
@@ -2780,8 +3718,16 @@ window.importBackup = async function importBackup() {
       return;
     }
 
+    // Encrypted backups are decrypted on the server
+    const passphrase = document.getElementById('importPassphrase').value;
+    const encrypted = importData.format === 'localping-encrypted-backup';
+    if (encrypted && !passphrase) {
+      showNotification('This backup is encrypted, enter its passphrase', 'error');
+      return;
+    }
+
     // Validate import data structure
-    if (!importData.data || typeof importData.data !== 'object') {
+    if (!encrypted && (!importData.data || typeof importData.data !== 'object')) {
       showNotification('Invalid backup file format', 'error');
       return;
     }
@@ -2793,6 +3739,7 @@ window.importBackup = async function importBackup() {
     const response = await axios.post('/admin/api/backup/import', {
       importData,
       overwrite,
+      passphrase: encrypted ? passphrase : undefined,
     });
 
     if (response.data.success) {
@@ -2807,6 +3754,7 @@ window.importBackup = async function importBackup() {
           if (data.imported) parts.push(`${data.imported} imported`);
           if (data.updated) parts.push(`${data.updated} updated`);
           if (data.skipped) parts.push(`${data.skipped} skipped`);
+          if (data.failed) parts.push(`${data.failed} failed`);
           if (parts.length > 0) {
             message += `\n${key}: ${parts.join(', ')}`;
           }
@@ -2968,8 +3916,8 @@ async function editEventRule(ruleId) {
         
         updateTargetDisplay('conditionTargetIds');
       }
-      // Handle targetIds for multiple_monitors_down
-      if (currentEventType === 'multiple_monitors_down') {
+      // Handle targetIds for multiple_monitors_down, certificate_expiring and flapping
+      if (currentEventType === 'multiple_monitors_down' || currentEventType === 'certificate_expiring' || currentEventType === 'flapping') {
         if (conditions.targetIds && Array.isArray(conditions.targetIds)) {
           conditions.targetIds.forEach(targetId => {
             const checkbox = document.querySelector(`#conditionTargetIdsDropdown .target-checkbox[value="${targetId}"]`);
@@ -2996,6 +3944,10 @@ async function editEventRule(ruleId) {
         const input = document.getElementById('conditionPeriod');
         if (input) input.value = conditions.period;
       }
+      if (conditions.days !== undefined) {
+        const input = document.getElementById('conditionDays');
+        if (input) input.value = conditions.days;
+      }
       if (conditions.expression) {
         const textarea = document.getElementById('conditionExpression');
         if (textarea) textarea.value = conditions.expression;
@@ -3129,6 +4081,54 @@ function updateEventRuleConditions() {
         </div>
       `;
       break;
+    case 'certificate_expiring':
+      html += `
+        <div>
+          <label class="form-label">Select Monitors</label>
+          <div class="relative">
+            <button type="button" id="conditionTargetIdsToggle" class="form-input w-full text-left flex justify-between items-center" onclick="toggleTargetDropdown('conditionTargetIds')">
+              <span id="conditionTargetIdsDisplay">Select monitors...</span>
+              <i class="fas fa-chevron-down"></i>
+            </button>
+            <div id="conditionTargetIdsDropdown" class="hidden absolute z-10 w-full mt-1 bg-slate-800 border border-slate-700 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+              ${allTargets.filter(t => t.protocol === 'HTTPS').map(t => `
+                <label class="flex items-center px-4 py-2 hover:bg-slate-700 cursor-pointer">
+                  <input type="checkbox" class="target-checkbox mr-3" value="${t._id}" data-name="${t.name}" onchange="updateTargetDisplay('conditionTargetIds')">
+                  <span class="text-slate-300">${t.name}</span>
+                </label>
+              `).join('')}
+            </div>
+          </div>
+          <p class="text-xs text-slate-400 mt-1">Leave empty to check every HTTPS monitor</p>
+        </div>
+        <div>
+          <label class="form-label">Days Before Expiry</label>
+          <input type="number" id="conditionDays" class="form-input" min="0" value="14">
+        </div>
+      `;
+      break;
+    case 'flapping':
+      html += `
+        <div>
+          <label class="form-label">Select Monitors</label>
+          <div class="relative">
+            <button type="button" id="conditionTargetIdsToggle" class="form-input w-full text-left flex justify-between items-center" onclick="toggleTargetDropdown('conditionTargetIds')">
+              <span id="conditionTargetIdsDisplay">Select monitors...</span>
+              <i class="fas fa-chevron-down"></i>
+            </button>
+            <div id="conditionTargetIdsDropdown" class="hidden absolute z-10 w-full mt-1 bg-slate-800 border border-slate-700 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+              ${allTargets.map(t => `
+                <label class="flex items-center px-4 py-2 hover:bg-slate-700 cursor-pointer">
+                  <input type="checkbox" class="target-checkbox mr-3" value="${t._id}" data-name="${t.name}" onchange="updateTargetDisplay('conditionTargetIds')">
+                  <span class="text-slate-300">${t.name}</span>
+                </label>
+              `).join('')}
+            </div>
+          </div>
+          <p class="text-xs text-slate-400 mt-1">Leave empty to check every monitor with flap detection enabled</p>
+        </div>
+      `;
+      break;
     case 'custom_condition':
       html += `
         <div>
@@ -3195,6 +4195,23 @@ async function saveEventRule(event) {
       conditions.threshold = parseFloat(document.getElementById('conditionThreshold')?.value || '95');
       conditions.period = document.getElementById('conditionPeriod')?.value || '24h';
       break;
+    case 'certificate_expiring':
+      {
+        const checkboxes = document.querySelectorAll('#conditionTargetIdsDropdown .target-checkbox:checked');
+        if (checkboxes.length > 0) {
+          conditions.targetIds = Array.from(checkboxes).map(cb => cb.value);
+        }
+        conditions.days = parseInt(document.getElementById('conditionDays')?.value || '14');
+      }
+      break;
+    case 'flapping':
+      {
+        const checkboxes = document.querySelectorAll('#conditionTargetIdsDropdown .target-checkbox:checked');
+        if (checkboxes.length > 0) {
+          conditions.targetIds = Array.from(checkboxes).map(cb => cb.value);
+        }
+      }
+      break;
     case 'custom_condition':
       conditions.expression = document.getElementById('conditionExpression')?.value || '';
       break;
@@ -3285,9 +4302,64 @@ if (typeof document !== 'undefined') {
   });
 }
 
+// Apply a streamed status transition to the monitor list and details panel
+function applyMonitorStatus(event) {
+  const monitor = { currentStatus: event.status, latencyLevel: event.latencyLevel, rootCause: event.rootCause };
+  const statusDisplay = getMonitorStatusDisplay(monitor);
+
+  const badge = document.querySelector(`.monitor-card[data-monitor-id="${event.targetId}"] .status-badge`);
+  if (badge) {
+    badge.className = `status-badge ${statusDisplay.statusClass} flex-shrink-0`;
+    badge.title = statusDisplay.title;
+    badge.innerHTML = `<span class="w-2 h-2 rounded-full ${statusDisplay.dotClass}"></span>${statusDisplay.text}`;
+  }
+
+  if (currentMonitorId === event.targetId) {
+    const statusEl = document.getElementById('monitorStatus');
+    statusEl.textContent = statusDisplay.text;
+    statusEl.className = statusDisplay.textClass;
+    statusEl.title = statusDisplay.title;
+    loadMonitorOutages(event.targetId);
+  }
+}
+
+// Subscribe to live status transitions, ping results and incident updates
+function connectEventStream() {
+  if (typeof EventSource === 'undefined') return;
+
+  const source = new EventSource('/admin/api/events');
+  let connected = false;
+
+  source.addEventListener('status', (message) => {
+    applyMonitorStatus(JSON.parse(message.data));
+  });
+
+  source.addEventListener('ping', (message) => {
+    const ping = JSON.parse(message.data);
+    if (currentMonitorId === ping.targetId && ping.responseTime) {
+      document.getElementById('monitorPing').textContent = `${Math.round(ping.responseTime)} ms`;
+    }
+  });
+
+  source.addEventListener('incident', () => {
+    if (getCurrentTabFromUrl() === 'incidents') {
+      loadIncidents();
+    }
+  });
+
+  // Catch up on transitions missed while the stream was reconnecting
+  source.addEventListener('open', () => {
+    if (connected && getCurrentTabFromUrl() === 'monitors') {
+      loadMonitors();
+    }
+    connected = true;
+  });
+}
+
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
   loadMonitors();
+  connectEventStream();
   attachFormListeners();
   loadPublicUISettings(); // Load custom title for header
   
@@ -8,6 +8,7 @@ let previousIncidents = new Map(); // Track previous incidents for change detect
 let statisticsCache = null; // Cache for statistics data
 let statisticsCacheTime = null; // Timestamp of when cache was created
 const STATISTICS_CACHE_DURATION = 60 * 60 * 1000; // 60 minutes in milliseconds
+const DEGRADED_DAY_RATIO = 0.1; // Share of slow checks that marks a day as degraded
 
 // Load previous incidents from localStorage on page load
 function loadPreviousIncidents() {
@@ -39,8 +40,37 @@ loadPreviousIncidents();
 // Load on page load
 loadData();
 
-// Auto-refresh every 10 seconds
-setInterval(loadData, 10000);
+// Live updates: reload status and incidents when the server streams a change
+// Falls back to polling every 10 seconds when Server-Sent Events are unavailable
+let liveReloadTimer = null;
+
+function scheduleLiveReload() {
+  // Coalesce bursts of events (e.g. a gateway taking its dependents down) into one reload
+  clearTimeout(liveReloadTimer);
+  liveReloadTimer = setTimeout(loadData, 500);
+}
+
+function connectEventStream() {
+  if (typeof EventSource === 'undefined') {
+    setInterval(loadData, 10000);
+    return;
+  }
+
+  const source = new EventSource('/api/public/events');
+  let connected = false;
+  source.addEventListener('status', scheduleLiveReload);
+  source.addEventListener('incident', scheduleLiveReload);
+  // Catch up on changes missed while the stream was reconnecting
+  source.addEventListener('open', () => {
+    if (connected) scheduleLiveReload();
+    connected = true;
+  });
+}
+
+connectEventStream();
+
+// Statistics (uptime bars) are not streamed, refresh them when the cache expires
+setInterval(loadData, STATISTICS_CACHE_DURATION);
 
 async function loadBlogPosts() {
   try {
@@ -137,6 +167,8 @@ async function loadData() {
                   ...cachedTarget,
                   currentStatus: freshTarget.currentStatus,
                   isUp: freshTarget.isUp,
+                  rootCause: freshTarget.rootCause,
+                  maintenance: freshTarget.maintenance,
                 };
               }
               return cachedTarget;
@@ -217,13 +249,25 @@ function updateHeaderStatus(status) {
   } else if (status.overallStatus === 'degraded') {
     statusText = '⚠ Degraded Performance';
     statusClass = 'degraded';
-    message = `${status.downTargets} system(s) experiencing issues.`;
+    message = status.downTargets > 0 ? `${status.downTargets} system(s) experiencing issues.` : '';
+    if (status.degradedTargets > 0) {
+      message = `${message} ${status.degradedTargets} system(s) responding slowly.`.trim();
+    }
   } else {
     statusText = '✗ System Down';
     statusClass = 'down';
     message = `${status.downTargets} system(s) down.`;
   }
 
+  if (status.maintenanceTargets > 0) {
+    message += ` ${status.maintenanceTargets} system(s) under scheduled maintenance.`;
+  }
+
+  // Name the root cause instead of listing every unreachable dependent
+  (status.rootCauses || []).forEach(rootCause => {
+    message += ` ${rootCause.name} is down, ${rootCause.affectedTargets} dependent system(s) unreachable.`;
+  });
+
   statusEl.textContent = statusText;
   statusEl.className = `text-lg font-semibold ${
     statusClass === 'operational' ? 'text-green-400' :
@@ -236,6 +280,16 @@ function updateHeaderStatus(status) {
   timeEl.textContent = `Last updated: ${new Date().toLocaleTimeString()}`;
 }
 
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Describe a recurring maintenance window, e.g. "Every Sunday at 03:00 for 60 min"
+function describeRecurrence(recurrence) {
+  const days = recurrence.frequency === 'daily'
+    ? 'day'
+    : (recurrence.daysOfWeek || []).map(day => WEEKDAY_NAMES[day]).join(', ');
+  return `Every ${days} at ${recurrence.startTime} for ${recurrence.durationMinutes} min`;
+}
+
 // Format date for scheduled maintenance display
 function formatScheduledTime(dateString) {
   if (!dateString) return '';
@@ -301,11 +355,20 @@ function displayHomeIncidents(incidents) {
           'minor': 'bg-yellow-500/20 text-yellow-300'
         };
 
-        const isScheduled = incident.isScheduled && (incident.scheduledStart || incident.scheduledEnd);
+        const isScheduled = incident.isScheduled && (incident.scheduledStart || incident.scheduledEnd || incident.recurrence);
         let scheduledTimeHtml = '';
         
         if (isScheduled) {
-          if (incident.scheduledStart && incident.scheduledEnd) {
+          if (incident.recurrence) {
+            scheduledTimeHtml = `
+              <div class="mt-2 pt-2 border-t border-slate-600/30">
+                <p class="text-slate-400 text-xs flex items-center gap-1">
+                  <i class="fas fa-redo"></i>
+                  <span>${describeRecurrence(incident.recurrence)}</span>
+                </p>
+              </div>
+            `;
+          } else if (incident.scheduledStart && incident.scheduledEnd) {
             scheduledTimeHtml = `
               <div class="mt-2 pt-2 border-t border-slate-600/30">
                 <p class="text-slate-400 text-xs flex items-center gap-1">
@@ -400,11 +463,20 @@ function displayIncidents(incidents) {
           'scheduled': 'bg-purple-900/30 text-purple-300'
         };
 
-        const isScheduled = incident.isScheduled && (incident.scheduledStart || incident.scheduledEnd);
+        const isScheduled = incident.isScheduled && (incident.scheduledStart || incident.scheduledEnd || incident.recurrence);
         let scheduledTimeHtml = '';
         
         if (isScheduled) {
-          if (incident.scheduledStart && incident.scheduledEnd) {
+          if (incident.recurrence) {
+            scheduledTimeHtml = `
+              <div class="mt-2 pt-2 border-t border-slate-600/50">
+                <p class="text-slate-300 text-xs">
+                  <i class="fas fa-redo mr-1"></i>
+                  <strong>Recurring:</strong> ${describeRecurrence(incident.recurrence)}
+                </p>
+              </div>
+            `;
+          } else if (incident.scheduledStart && incident.scheduledEnd) {
             scheduledTimeHtml = `
               <div class="mt-2 pt-2 border-t border-slate-600/50">
                 <p class="text-slate-300 text-xs">
@@ -474,11 +546,18 @@ function displayIncidentHistory(incidents) {
         };
 
         const isResolved = incident.status === 'resolved';
-        const isScheduled = incident.isScheduled && (incident.scheduledStart || incident.scheduledEnd);
+        const isScheduled = incident.isScheduled && (incident.scheduledStart || incident.scheduledEnd || incident.recurrence);
         let scheduledTimeHtml = '';
         
         if (isScheduled) {
-          if (incident.scheduledStart && incident.scheduledEnd) {
+          if (incident.recurrence) {
+            scheduledTimeHtml = `
+              <p class="text-slate-400 text-xs ml-6 mt-1">
+                <i class="fas fa-redo mr-1"></i>
+                <strong>Recurring:</strong> ${describeRecurrence(incident.recurrence)}
+              </p>
+            `;
+          } else if (incident.scheduledStart && incident.scheduledEnd) {
             scheduledTimeHtml = `
               <p class="text-slate-400 text-xs ml-6 mt-1">
                 <i class="fas fa-calendar-alt mr-1"></i>
@@ -659,10 +738,63 @@ function displayApps(targets) {
   setupSearchAndCommands(sortedApps);
 }
 
+// Badge class, label and tooltip for a target's current status
+function getStatusDisplay(target) {
+  if (target.currentStatus === 'degraded') {
+    return {
+      statusClass: 'degraded',
+      text: 'Degraded',
+      dotClass: 'bg-yellow-400',
+      textClass: 'text-yellow-400',
+      label: '⚠ DEGRADED',
+      title: 'Responding slowly',
+    };
+  }
+
+  if (target.isUp) {
+    return { statusClass: 'up', text: 'Up', dotClass: 'bg-green-400', textClass: 'text-green-400', label: '✓ UP', title: '' };
+  }
+
+  if (target.currentStatus === 'flapping') {
+    return {
+      statusClass: 'flapping',
+      text: 'Flapping',
+      dotClass: 'bg-purple-400',
+      textClass: 'text-purple-400',
+      label: '〰 FLAPPING',
+      title: 'Repeatedly going up and down',
+    };
+  }
+
+  if (target.currentStatus === 'unreachable') {
+    return {
+      statusClass: 'unreachable',
+      text: 'Unreachable',
+      dotClass: 'bg-orange-400',
+      textClass: 'text-orange-400',
+      label: '⚠ UNREACHABLE',
+      title: target.rootCause ? `Unreachable because ${target.rootCause.name} is down` : 'Unreachable',
+    };
+  }
+
+  if (target.currentStatus === 'maintenance') {
+    const until = target.maintenance?.end ? ` until ${new Date(target.maintenance.end).toLocaleString()}` : '';
+    return {
+      statusClass: 'maintenance',
+      text: 'Maintenance',
+      dotClass: 'bg-blue-400',
+      textClass: 'text-blue-400',
+      label: '🔧 MAINTENANCE',
+      title: target.maintenance ? `${target.maintenance.title}${until}` : 'Under maintenance',
+    };
+  }
+
+  return { statusClass: 'down', text: 'Down', dotClass: 'bg-red-400', textClass: 'text-red-400', label: '✗ DOWN', title: '' };
+}
+
 function buildAppCard(app) {
-  const isDown = !app.isUp;
-  const statusClass = isDown ? 'down' : 'up';
-  const statusText = isDown ? 'Down' : 'Up';
+  const isDown = !app.isUp && app.currentStatus !== 'maintenance';
+  const { statusClass, text: statusText, title: statusTitle } = getStatusDisplay(app);
 
   // Determine icon - prioritize appIcon (manually configured), then cached favicon, then API favicon, then fallback icon
   let iconHTML = '';
@@ -704,7 +836,7 @@ function buildAppCard(app) {
         ${iconHTML}
       </div>
       <div class="app-name">${app.name}</div>
-      <div class="app-status ${statusClass}">${statusText}</div>
+      <div class="app-status ${statusClass}" title="${statusTitle}">${statusText}</div>
     </div>
   `;
 }
@@ -1156,9 +1288,7 @@ function updateServicesList(targets) {
       }
     } else {
       // Update existing service - preserve expanded state at all costs
-      const isUp = target.isUp;
-      const statusBadgeClass = isUp ? 'up' : 'down';
-      const statusText = isUp ? 'Up' : 'Down';
+      const statusDisplay = getStatusDisplay(target);
 
       const row = serviceEl.querySelector('.service-row');
       if (!row) return; // Safety check
@@ -1176,8 +1306,9 @@ function updateServicesList(targets) {
 
       // Update status badge only
       if (badgeEl) {
-        badgeEl.className = `service-status-badge status-badge ${statusBadgeClass}`;
-        badgeEl.innerHTML = `<span class="w-2 h-2 rounded-full ${isUp ? 'bg-green-400' : 'bg-red-400'} inline-block"></span>${statusText}`;
+        badgeEl.className = `service-status-badge status-badge ${statusDisplay.statusClass}`;
+        badgeEl.title = statusDisplay.title;
+        badgeEl.innerHTML = `<span class="w-2 h-2 rounded-full ${statusDisplay.dotClass} inline-block"></span>${statusDisplay.text}`;
       }
 
       // CRITICAL: Always preserve expanded state - never close if it's expanded
@@ -1227,9 +1358,7 @@ function updateServicesList(targets) {
 }
 
 function createServiceElement(target) {
-  const isUp = target.isUp;
-  const statusBadgeClass = isUp ? 'up' : 'down';
-  const statusText = isUp ? 'Up' : 'Down';
+  const statusDisplay = getStatusDisplay(target);
   const isExpanded = expandedServiceId === target._id;
   const showDetails = target.publicShowDetails === true;
 
@@ -1251,9 +1380,9 @@ function createServiceElement(target) {
         <div class="service-bars">
           ${generateUptimeBars(target._id)}
         </div>
-        <div class="service-status-badge status-badge ${statusBadgeClass}">
-          <span class="w-2 h-2 rounded-full ${isUp ? 'bg-green-400' : 'bg-red-400'} inline-block"></span>
-          ${statusText}
+        <div class="service-status-badge status-badge ${statusDisplay.statusClass}" title="${statusDisplay.title}">
+          <span class="w-2 h-2 rounded-full ${statusDisplay.dotClass} inline-block"></span>
+          ${statusDisplay.text}
         </div>
         <div class="service-expand-icon expand-icon text-slate-400${isExpanded ? ' rotated' : ''}"><svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M5 12h14"/><path d="m12 5 7 7-7 7"/></svg></div>
       </div>
@@ -1306,9 +1435,11 @@ async function loadAndDisplayUptimeBars(targetId) {
     let html = '';
     stats.forEach(stat => {
       const isUp = stat.successfulPings > 0;
-      const status = isUp ? 'up' : 'down';
+      const isDegraded = isUp && stat.totalPings > 0 && (stat.degradedPings || 0) / stat.totalPings >= DEGRADED_DAY_RATIO;
+      const status = isDegraded ? 'degraded' : (isUp ? 'up' : 'down');
       const uptime = stat.successfulPings > 0 ? ((stat.successfulPings / stat.totalPings) * 100).toFixed(0) : 0;
-      html += `<div class="uptime-segment ${status}" title="${new Date(stat.date).toLocaleDateString()}: ${uptime}% up"></div>`;
+      const slow = isDegraded ? `, ${stat.degradedPings} slow checks` : '';
+      html += `<div class="uptime-segment ${status}" title="${new Date(stat.date).toLocaleDateString()}: ${uptime}% up${slow}"></div>`;
     });
 
     // If no stats yet, show loading state
@@ -1413,13 +1544,15 @@ async function loadServiceDetails(serviceId) {
     
     // Chart data will be loaded separately when needed (only when details are expanded)
 
+    const statusDisplay = getStatusDisplay(target);
+
     contentEl.innerHTML = `
       <div class="space-y-4 p-4 border-t border-slate-700">
         <!-- Stats Grid -->
         <div class="grid ${target.publicShowDetails ? 'grid-cols-2 md:grid-cols-4' : 'grid-cols-3'} gap-3">
           <div class="bg-gradient-to-br from-slate-700/40 to-slate-800/40 rounded-lg p-3 border border-slate-600/50 backdrop-blur-sm shadow-lg">
             <p class="text-slate-400 text-xs mb-1">Current Status</p>
-            <p class="text-lg font-bold ${target.isUp ? 'text-green-400' : 'text-red-400'} mt-1">${target.isUp ? '✓ UP' : '✗ DOWN'}</p>
+            <p class="text-lg font-bold ${statusDisplay.textClass} mt-1" title="${statusDisplay.title}">${statusDisplay.label}</p>
           </div>
           <div class="bg-gradient-to-br from-slate-700/40 to-slate-800/40 rounded-lg p-3 border border-slate-600/50 backdrop-blur-sm shadow-lg">
             <p class="text-slate-400 text-xs mb-1">Uptime (24h)</p>
@@ -1521,9 +1654,10 @@ async function loadServiceDetailsUpdate(serviceId) {
     
     // Update status if changed
     if (statusEl) {
-      const isUp = target.isUp;
-      statusEl.className = `text-lg font-bold ${isUp ? 'text-green-400' : 'text-red-400'} mt-1`;
-      statusEl.textContent = isUp ? '✓ UP' : '✗ DOWN';
+      const statusDisplay = getStatusDisplay(target);
+      statusEl.className = `text-lg font-bold ${statusDisplay.textClass} mt-1`;
+      statusEl.title = statusDisplay.title;
+      statusEl.textContent = statusDisplay.label;
     }
 
     // Update chart data dynamically if chart exists
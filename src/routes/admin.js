@@ -1,10 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
-const { getPrisma } = require('../config/prisma');
+const fs = require('fs');
+const { getPrisma, getDatabaseSize } = require('../config/prisma');
 const monitorService = require('../services/monitorService');
 const IncidentService = require('../services/incidentService');
+const maintenanceService = require('../services/maintenanceService');
+const eventStreamService = require('../services/eventStreamService');
+const probeService = require('../services/probeService');
+const resultWriterService = require('../services/resultWriterService');
+const pingQueryService = require('../services/pingQueryService');
 const { adminPageAuth } = require('../middleware/auth');
+const { generatePushToken, DEFAULT_GRACE_PERIOD } = require('../services/checks/pushCheck');
+const { validateLatencyThresholds } = require('../services/checks/latency');
+const { validatePromQL } = require('../services/checks/promqlCheck');
+const { validateRetentionPolicy, normalizeRetentionPolicy, resolveRetentionPolicy } = require('../utils/retentionPolicy');
+const { validateBackupSettings, resolveBackupSettings } = require('../utils/backupPolicy');
+const { validatePassphrase } = require('../utils/backupCrypto');
+const { mergeSketches, summarizeSketch } = require('../utils/latencySketch');
 const chalk = require('../utils/colors');
 const { v4: uuidv4 } = require('uuid');
 
@@ -144,6 +157,11 @@ router.use('/api', (req, res, next) => {
   adminPageAuth(req, res, next);
 });
 
+// Live status transitions, ping results and incident updates (Server-Sent Events)
+router.get('/api/events', (req, res) => {
+  eventStreamService.subscribe(req, res);
+});
+
 // Dashboard API
 router.get('/api/dashboard', async (req, res) => {
   try {
@@ -174,6 +192,8 @@ router.get('/api/dashboard', async (req, res) => {
       ...target,
       _id: target.id,
       currentStatus: monitorService.getTargetStatus(target.id),
+      latencyLevel: monitorService.getLatencyLevel(target.id),
+      rootCause: monitorService.getRootCause(target.id),
     }));
 
     const alerts = await prisma.alert.findMany({
@@ -281,7 +301,15 @@ router.get('/api/incidents', async (req, res) => {
     const prisma = getPrisma();
     const incidentService = new IncidentService(prisma);
     const incidents = await incidentService.getIncidents();
-    res.json({ success: true, incidents: incidents.map(i => ({ ...i, _id: i.id })) });
+    res.json({
+      success: true,
+      incidents: incidents.map(i => ({
+        ...i,
+        _id: i.id,
+        activeWindow: maintenanceService.getActiveWindow(i),
+        nextWindow: maintenanceService.getNextWindow(i),
+      })),
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -303,7 +331,7 @@ router.post('/api/incidents', async (req, res) => {
   try {
     const prisma = getPrisma();
     const incidentService = new IncidentService(prisma);
-    const { title, description, status, severity, affectedServices, isScheduled, scheduledStart, scheduledEnd } = req.body;
+    const { title, description, status, severity, affectedServices, isScheduled, scheduledStart, scheduledEnd, recurrence } = req.body;
 
     if (!title || !description) {
       return res.status(400).json({ success: false, error: 'Title and description are required' });
@@ -311,6 +339,11 @@ router.post('/api/incidents', async (req, res) => {
 
     // Ensure isScheduled is a boolean
     const isScheduledBool = isScheduled === true || isScheduled === 'true' || isScheduled === 1;
+
+    const normalized = maintenanceService.normalizeRecurrence(isScheduledBool ? recurrence : null);
+    if (normalized.errors.length > 0) {
+      return res.status(400).json({ success: false, error: normalized.errors.join(', ') });
+    }
     
     const result = await incidentService.createIncident({ 
       title, 
@@ -320,7 +353,8 @@ router.post('/api/incidents', async (req, res) => {
       affectedServices,
       isScheduled: isScheduledBool,
       scheduledStart,
-      scheduledEnd
+      scheduledEnd,
+      recurrence: normalized.recurrence
     });
     res.json(result);
   } catch (error) {
@@ -332,14 +366,21 @@ router.put('/api/incidents/:id', async (req, res) => {
   try {
     const prisma = getPrisma();
     const incidentService = new IncidentService(prisma);
-    const { title, description, status, severity, affectedServices, updateMessage, isScheduled, scheduledStart, scheduledEnd } = req.body;
+    const { title, description, status, severity, affectedServices, updateMessage, isScheduled, scheduledStart, scheduledEnd, recurrence } = req.body;
 
     // Ensure isScheduled is a boolean
     const isScheduledBool = isScheduled === true || isScheduled === 'true' || isScheduled === 1;
 
+    // Only scheduled incidents recur, clearing the schedule clears the recurrence
+    const normalized = maintenanceService.normalizeRecurrence(isScheduledBool ? recurrence : null);
+    if (normalized.errors.length > 0) {
+      return res.status(400).json({ success: false, error: normalized.errors.join(', ') });
+    }
+
     const updated = await incidentService.updateIncident(req.params.id, {
       title, description, status, severity, affectedServices, updateMessage,
-      isScheduled: isScheduledBool, scheduledStart, scheduledEnd
+      isScheduled: isScheduledBool, scheduledStart, scheduledEnd,
+      recurrence: isScheduledBool && recurrence === undefined ? undefined : normalized.recurrence
     });
 
     if (!updated) return res.status(404).json({ success: false, error: 'Incident not found' });
@@ -466,6 +507,9 @@ router.get('/api/targets', async (req, res) => {
       ...target,
       _id: target.id,
       currentStatus: monitorService.getTargetStatus(target.id),
+      latencyLevel: monitorService.getLatencyLevel(target.id),
+      rootCause: monitorService.getRootCause(target.id),
+      schedule: monitorService.getSchedule(target.id),
     }));
 
     res.json({ success: true, targets: targetsWithStatus });
@@ -482,7 +526,15 @@ router.get('/api/targets/:id', async (req, res) => {
 
     res.json({
       success: true,
-      target: { ...target, _id: target.id, currentStatus: monitorService.getTargetStatus(target.id) },
+      target: {
+        ...target,
+        _id: target.id,
+        currentStatus: monitorService.getTargetStatus(target.id),
+        latencyLevel: monitorService.getLatencyLevel(target.id),
+        rootCause: monitorService.getRootCause(target.id),
+        schedule: monitorService.getSchedule(target.id),
+        locations: monitorService.getLocationResults(target.id),
+      },
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -496,16 +548,45 @@ router.post('/api/targets', async (req, res) => {
       publicShowDetails, publicShowStatus, publicShowAppLink, appUrl, appIcon,
       retries, retryInterval, timeout, httpMethod, statusCodes, maxRedirects,
       ignoreSsl, upsideDown, important, auth, position, group, quickCommands,
+      dnsRecordType, dnsResolver, dnsExpected, promQuery, promOperator, promThreshold, assertions, pushGracePeriod, packetCount,
+      alertChannels, alertThreshold, alertMode, escalateChannels, escalateAfter, dependsOn,
+      latencyWarning, latencyCritical, flapThreshold, flapWindow, probes, probeQuorum, checkLocally, retentionPolicy,
     } = req.body;
 
-    if (!name || !host || !protocol) {
+    const isPush = protocol && protocol.toUpperCase() === 'PUSH';
+    if (!name || (!host && !isPush) || !protocol) {
       return res.status(400).json({ success: false, error: 'Missing required fields: name, host, protocol' });
     }
 
+    const latencyError = validateLatencyThresholds(latencyWarning, latencyCritical);
+    if (latencyError) {
+      return res.status(400).json({ success: false, error: latencyError });
+    }
+
+    const promqlErrors = validatePromQL(req.body);
+    if (promqlErrors.length > 0) {
+      return res.status(400).json({ success: false, error: promqlErrors.join(', ') });
+    }
+
+    const retentionErrors = validateRetentionPolicy(retentionPolicy);
+    if (retentionErrors.length > 0) {
+      return res.status(400).json({ success: false, error: retentionErrors.join(', ') });
+    }
+
     const prisma = getPrisma();
+    const dependencyError = await monitorService.validateDependencies(null, dependsOn);
+    if (dependencyError) {
+      return res.status(400).json({ success: false, error: dependencyError });
+    }
+
+    const probeError = await probeService.validateAssignment(probes, probeQuorum, checkLocally);
+    if (probeError) {
+      return res.status(400).json({ success: false, error: probeError });
+    }
+
     const target = await prisma.target.create({
       data: {
-        name, host, port: port || null, protocol: protocol.toUpperCase(), path: path || null,
+        name, host: host || '', port: port || null, protocol: protocol.toUpperCase(), path: path || null,
         interval: interval || 60, enabled: enabled !== false, publicVisible: publicVisible !== false,
         publicShowDetails: publicShowDetails === true, publicShowStatus: publicShowStatus !== false,
         publicShowAppLink: publicShowAppLink !== false, appUrl: appUrl || null, appIcon: appIcon || null,
@@ -514,6 +595,25 @@ router.post('/api/targets', async (req, res) => {
         maxRedirects: maxRedirects !== undefined ? maxRedirects : 5, ignoreSsl: ignoreSsl === true,
         upsideDown: upsideDown === true, important: important === true, auth: auth || null, position: position || 0,
         group: group || null, quickCommands: quickCommands || null,
+        dnsRecordType: dnsRecordType ? dnsRecordType.toUpperCase() : 'A', dnsResolver: dnsResolver || null,
+        dnsExpected: dnsExpected || null,
+        promQuery: promQuery || null, promOperator: promOperator || '>',
+        promThreshold: promThreshold !== undefined && promThreshold !== null && promThreshold !== '' ? Number(promThreshold) : null,
+        assertions: assertions || null,
+        pushToken: isPush ? generatePushToken() : null,
+        pushGracePeriod: pushGracePeriod !== undefined ? pushGracePeriod : DEFAULT_GRACE_PERIOD,
+        packetCount: packetCount || 1,
+        alertChannels: alertChannels && alertChannels.length > 0 ? alertChannels : null,
+        alertThreshold: alertThreshold || 3, alertMode: alertMode || 'immediate',
+        escalateChannels: escalateChannels && escalateChannels.length > 0 ? escalateChannels : null,
+        escalateAfter: escalateAfter || null,
+        flapThreshold: flapThreshold || null, flapWindow: flapWindow || 10,
+        dependsOn: dependsOn && dependsOn.length > 0 ? dependsOn : null,
+        latencyWarning: latencyWarning ? Number(latencyWarning) : null,
+        latencyCritical: latencyCritical ? Number(latencyCritical) : null,
+        probes: probes && probes.length > 0 ? probes : null,
+        probeQuorum: probeQuorum || 1, checkLocally: checkLocally !== false,
+        retentionPolicy: normalizeRetentionPolicy(retentionPolicy),
       },
     });
 
@@ -563,6 +663,55 @@ router.put('/api/targets/:id', async (req, res) => {
     delete updateData._id;
 
     if (updateData.protocol) updateData.protocol = updateData.protocol.toUpperCase();
+    if (updateData.dnsRecordType) updateData.dnsRecordType = updateData.dnsRecordType.toUpperCase();
+    const promqlErrors = validatePromQL(updateData, true);
+    if (promqlErrors.length > 0) {
+      return res.status(400).json({ success: false, error: promqlErrors.join(', ') });
+    }
+    if (updateData.promThreshold !== undefined) {
+      updateData.promThreshold = updateData.promThreshold !== null && updateData.promThreshold !== '' ? Number(updateData.promThreshold) : null;
+    }
+
+    if (updateData.retentionPolicy !== undefined) {
+      const retentionErrors = validateRetentionPolicy(updateData.retentionPolicy);
+      if (retentionErrors.length > 0) {
+        return res.status(400).json({ success: false, error: retentionErrors.join(', ') });
+      }
+      updateData.retentionPolicy = normalizeRetentionPolicy(updateData.retentionPolicy);
+    }
+
+    if (updateData.latencyWarning !== undefined || updateData.latencyCritical !== undefined) {
+      const latencyError = validateLatencyThresholds(updateData.latencyWarning, updateData.latencyCritical);
+      if (latencyError) {
+        return res.status(400).json({ success: false, error: latencyError });
+      }
+      if (updateData.latencyWarning !== undefined) updateData.latencyWarning = updateData.latencyWarning ? Number(updateData.latencyWarning) : null;
+      if (updateData.latencyCritical !== undefined) updateData.latencyCritical = updateData.latencyCritical ? Number(updateData.latencyCritical) : null;
+    }
+
+    if (updateData.dependsOn !== undefined) {
+      const dependencyError = await monitorService.validateDependencies(targetId, updateData.dependsOn);
+      if (dependencyError) {
+        return res.status(400).json({ success: false, error: dependencyError });
+      }
+      if (Array.isArray(updateData.dependsOn) && updateData.dependsOn.length === 0) updateData.dependsOn = null;
+    }
+
+    if (updateData.probes !== undefined || updateData.probeQuorum !== undefined || updateData.checkLocally !== undefined) {
+      const existing = await prisma.target.findUnique({ where: { id: targetId }, select: { probes: true, probeQuorum: true, checkLocally: true } });
+      const merged = { ...existing, ...updateData };
+      const probeError = await probeService.validateAssignment(merged.probes, merged.probeQuorum, merged.checkLocally);
+      if (probeError) {
+        return res.status(400).json({ success: false, error: probeError });
+      }
+      if (Array.isArray(updateData.probes) && updateData.probes.length === 0) updateData.probes = null;
+    }
+
+    // Switching to a push monitor needs a token for its heartbeat URL
+    if (updateData.protocol === 'PUSH') {
+      const existing = await prisma.target.findUnique({ where: { id: targetId }, select: { pushToken: true } });
+      if (existing && !existing.pushToken) updateData.pushToken = generatePushToken();
+    }
 
     await prisma.target.update({ where: { id: targetId }, data: updateData });
 
@@ -595,6 +744,7 @@ router.delete('/api/targets/:id', async (req, res) => {
     const targetId = req.params.id;
 
     monitorService.stopTargetMonitor(targetId);
+    resultWriterService.removeTarget(targetId);
     
     // Manually delete related data to avoid foreign key constraint issues
     await prisma.pingResult.deleteMany({ where: { targetId } });
@@ -604,6 +754,7 @@ router.delete('/api/targets/:id', async (req, res) => {
     
     // Now delete the target
     await prisma.target.delete({ where: { id: targetId } });
+    await monitorService.removeDependency(targetId);
 
     res.json({ success: true, message: 'Target deleted' });
   } catch (error) {
@@ -623,6 +774,9 @@ router.get('/api/targets/:id/statistics', async (req, res) => {
     const targetWithStatus = {
       ...target, _id: target.id,
       currentStatus: monitorService.getTargetStatus(targetId),
+      latencyLevel: monitorService.getLatencyLevel(targetId),
+      rootCause: monitorService.getRootCause(targetId),
+      schedule: monitorService.getSchedule(targetId),
     };
 
     const period = req.query.period || '24h';
@@ -656,7 +810,15 @@ router.get('/api/targets/:id/statistics', async (req, res) => {
           date: true,
           totalPings: true,
           successfulPings: true,
+          degradedPings: true,
           avgResponseTime: true,
+          minResponseTime: true,
+          maxResponseTime: true,
+          p50ResponseTime: true,
+          p95ResponseTime: true,
+          p99ResponseTime: true,
+          stdDevResponseTime: true,
+          latencySketch: true,
         },
       });
 
@@ -664,11 +826,21 @@ router.get('/api/targets/:id/statistics', async (req, res) => {
         date: s.date.toISOString(),
         totalPings: s.totalPings || 0,
         successfulPings: s.successfulPings || 0,
+        degradedPings: s.degradedPings || 0,
         failedPings: (s.totalPings || 0) - (s.successfulPings || 0),
         uptime: s.totalPings > 0 ? ((s.successfulPings / s.totalPings) * 100) : 0,
         avgResponseTime: s.avgResponseTime || 0,
+        minResponseTime: s.minResponseTime,
+        maxResponseTime: s.maxResponseTime,
+        p50ResponseTime: s.p50ResponseTime,
+        p95ResponseTime: s.p95ResponseTime,
+        p99ResponseTime: s.p99ResponseTime,
+        stdDevResponseTime: s.stdDevResponseTime,
       }));
 
+      // Latency over the whole history from the merged daily sketches
+      const latency = summarizeSketch(mergeSketches(...dailyStats.map(s => s.latencySketch)));
+
       // Get uptime data using aggregation
       const uptime24hStart = new Date();
       uptime24hStart.setDate(uptime24hStart.getDate() - 1);
@@ -695,6 +867,7 @@ router.get('/api/targets/:id/statistics', async (req, res) => {
         success: true,
         target: targetWithStatus,
         statistics: stats,
+        latency,
         uptime: {
           '24h': {
             uptime: totalPings24h > 0 ? (successfulPings24h / totalPings24h) * 100 : 0,
@@ -712,39 +885,15 @@ router.get('/api/targets/:id/statistics', async (req, res) => {
       });
     }
 
-    const intervalSeconds = intervalMinutes * 60;
-    const startEpoch = Math.floor(startDateObj.getTime() / 1000);
-    const endEpoch = Math.floor(endDateObj.getTime() / 1000);
-
-    const result = await prisma.$queryRaw`
-      WITH time_buckets AS (
-        SELECT (to_timestamp(bucket_epoch) AT TIME ZONE 'UTC')::timestamp as bucket_time
-        FROM generate_series(${startEpoch}::bigint, ${endEpoch}::bigint, ${intervalSeconds}::bigint) as bucket_epoch
-        ORDER BY bucket_epoch
-        LIMIT ${maxPoints}
-      )
-      SELECT
-        time_buckets.bucket_time::text as date,
-        COALESCE(COUNT(pr."_id"), 0)::integer as "totalPings",
-        COALESCE(SUM(CASE WHEN pr.success = true THEN 1 ELSE 0 END), 0)::integer as "successfulPings",
-        COALESCE(AVG(CASE WHEN pr."responseTime" IS NOT NULL THEN pr."responseTime"::real ELSE NULL END), 0) as "avgResponseTime"
-      FROM time_buckets
-      LEFT JOIN "pingResults" pr ON
-        pr."targetId" = ${targetId}
-        AND pr.timestamp >= time_buckets.bucket_time
-        AND pr.timestamp < (time_buckets.bucket_time + (${intervalSeconds} || ' seconds')::interval)
-      GROUP BY time_buckets.bucket_time
-      ORDER BY time_buckets.bucket_time ASC
-    `;
-
-    const stats = result.map(r => ({
-      date: r.date,
-      totalPings: Number(r.totalPings) || 0,
-      successfulPings: Number(r.successfulPings) || 0,
-      failedPings: (Number(r.totalPings) || 0) - (Number(r.successfulPings) || 0),
-      uptime: r.totalPings > 0 ? ((r.successfulPings / r.totalPings) * 100) : 0,
-      avgResponseTime: Number(r.avgResponseTime) || 0,
-    }));
+    const stats = await pingQueryService.getResponseBuckets(targetId, {
+      start: startDateObj,
+      end: endDateObj,
+      intervalSeconds: intervalMinutes * 60,
+      maxPoints,
+    });
+
+    // Latency over the whole period; successful checks only, like the daily statistics
+    const latency = await pingQueryService.getLatencySummary(targetId, startDateObj);
 
     // Get uptime data using aggregation (much faster)
     const uptime24hStart = new Date();
@@ -773,6 +922,7 @@ router.get('/api/targets/:id/statistics', async (req, res) => {
       success: true,
       target: targetWithStatus,
       statistics: stats,
+      latency,
       uptime: {
         '24h': {
           uptime: totalPings24h > 0 ? (successfulPings24h / totalPings24h) * 100 : 0,
@@ -826,6 +976,98 @@ router.get('/api/targets/:id/uptime', async (req, res) => {
   }
 });
 
+// Outages (downtime periods) of a target, most recent first
+router.get('/api/targets/:id/outages', async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const targetId = req.params.id;
+    const days = parseInt(req.query.days) || 30;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    // Include outages that started before the range but were still ongoing in it
+    const where = {
+      targetId,
+      OR: [{ endedAt: null }, { endedAt: { gte: startDate } }],
+    };
+    const [outages, allOutages] = await Promise.all([
+      prisma.outage.findMany({ where, orderBy: { startedAt: 'desc' }, take: limit }),
+      prisma.outage.findMany({ where, select: { startedAt: true, endedAt: true, duration: true } }),
+    ]);
+
+    // Ongoing outages count up to now
+    const now = Date.now();
+    const getDuration = (outage) => outage.duration ?? Math.round((now - new Date(outage.startedAt).getTime()) / 1000);
+    const durations = allOutages.map(getDuration);
+    const totalDuration = durations.reduce((sum, duration) => sum + duration, 0);
+
+    res.json({
+      success: true,
+      outages: outages.map(outage => ({
+        ...outage,
+        _id: outage.id,
+        duration: getDuration(outage),
+        ongoing: outage.endedAt === null,
+      })),
+      summary: {
+        days,
+        count: durations.length,
+        totalDuration,
+        longestDuration: durations.length > 0 ? Math.max(...durations) : 0,
+        averageDuration: durations.length > 0 ? Math.round(totalDuration / durations.length) : 0,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/api/probes', async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const probes = await prisma.probe.findMany({ orderBy: { name: 'asc' } });
+    res.json({ success: true, probes: probes.map(probe => probeService.serialize(probe)) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The token is only returned here, the probe agent needs it as PROBE_TOKEN
+router.post('/api/probes', async (req, res) => {
+  try {
+    const { name, location } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, error: 'Probe name is required' });
+    }
+
+    const prisma = getPrisma();
+    const probe = await prisma.probe.create({
+      data: { name: String(name).trim(), location: location || null, token: probeService.generateToken() },
+    });
+
+    res.json({ success: true, probe: probeService.serialize(probe), token: probe.token });
+  } catch (error) {
+    if (error.code === 'P2002') return res.status(400).json({ success: false, error: 'A probe with this name already exists' });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/api/probes/:id', async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const probeId = req.params.id;
+    await prisma.probe.delete({ where: { id: probeId } });
+    await monitorService.removeProbe(probeId);
+
+    res.json({ success: true, message: 'Probe deleted' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ success: false, error: 'Probe not found' });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 router.post('/api/targets/:id/test', async (req, res) => {
   const timeout = setTimeout(() => {
     if (!res.headersSent) res.status(504).json({ success: false, error: 'Test timeout' });
@@ -938,11 +1180,20 @@ router.post('/api/clear-ping-data', async (req, res) => {
     const prisma = getPrisma();
     const pingResults = await prisma.pingResult.deleteMany({});
     const statistics = await prisma.statistic.deleteMany({});
+    const rollups = await prisma.$transaction([
+      prisma.pingRollupMinute.deleteMany({}),
+      prisma.pingRollupHour.deleteMany({}),
+      prisma.pingRollupDay.deleteMany({}),
+    ]);
 
     res.json({
       success: true,
       message: 'All ping data cleared',
-      details: { pingResults: pingResults.count, statistics: statistics.count },
+      details: {
+        pingResults: pingResults.count,
+        statistics: statistics.count,
+        rollups: rollups.reduce((sum, result) => sum + result.count, 0),
+      },
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -967,10 +1218,21 @@ router.post('/api/targets/:id/clear-ping-data', async (req, res) => {
     // Clear statistics for this target
     const statistics = await prisma.statistic.deleteMany({ where: { targetId: targetId } });
 
+    // Clear rolled up ping results for this target
+    const rollups = await prisma.$transaction([
+      prisma.pingRollupMinute.deleteMany({ where: { targetId: targetId } }),
+      prisma.pingRollupHour.deleteMany({ where: { targetId: targetId } }),
+      prisma.pingRollupDay.deleteMany({ where: { targetId: targetId } }),
+    ]);
+
     res.json({
       success: true,
       message: `Ping data cleared for ${target.name}`,
-      details: { pingResults: pingResults.count, statistics: statistics.count },
+      details: {
+        pingResults: pingResults.count,
+        statistics: statistics.count,
+        rollups: rollups.reduce((sum, result) => sum + result.count, 0),
+      },
     });
   } catch (error) {
     console.error('Error clearing ping data for target:', error);
@@ -993,13 +1255,18 @@ router.get('/api/admin-settings', async (req, res) => {
     // Get database size
     let dbSize = 0;
     try {
-      const result = await prisma.$queryRaw`SELECT pg_database_size(current_database()) as size`;
-      dbSize = Number(result[0]?.size) || 0;
+      dbSize = await getDatabaseSize();
     } catch (dbSizeError) {
       console.error('Error getting database size:', dbSizeError.message);
     }
 
-    res.json({ success: true, settings, dbSize });
+    res.json({
+      success: true,
+      settings,
+      retention: resolveRetentionPolicy(settings, null),
+      backup: resolveBackupSettings(settings.backupSettings),
+      dbSize,
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -1008,11 +1275,32 @@ router.get('/api/admin-settings', async (req, res) => {
 router.put('/api/admin-settings', async (req, res) => {
   try {
     const prisma = getPrisma();
-    const { sessionDurationDays, dataRetentionDays, debugLogging } = req.body;
+    const { sessionDurationDays, dataRetentionDays, retentionPolicy, backupSettings, debugLogging } = req.body;
+
+    const retentionErrors = validateRetentionPolicy(retentionPolicy);
+    if (retentionErrors.length > 0) {
+      return res.status(400).json({ success: false, error: retentionErrors.join(', ') });
+    }
+    const backupErrors = validateBackupSettings(backupSettings);
+    // The passphrase of encrypted backups is only read from the environment
+    if (resolveBackupSettings(backupSettings).encrypt) {
+      const passphraseError = validatePassphrase(process.env.BACKUP_PASSPHRASE);
+      if (passphraseError) backupErrors.push(`Set BACKUP_PASSPHRASE to encrypt backups: ${passphraseError}`);
+    }
+    if (backupErrors.length > 0) {
+      return res.status(400).json({ success: false, error: backupErrors.join(', ') });
+    }
 
     const updateData = {};
     if (sessionDurationDays !== undefined) updateData.sessionDurationDays = parseInt(sessionDurationDays, 10);
     if (dataRetentionDays !== undefined) updateData.dataRetentionDays = parseInt(dataRetentionDays, 10);
+    if (retentionPolicy !== undefined) {
+      // The raw tier is the data retention period
+      const { rawDays, ...tiers } = normalizeRetentionPolicy(retentionPolicy) || {};
+      if (rawDays !== undefined) updateData.dataRetentionDays = rawDays;
+      updateData.retentionPolicy = Object.keys(tiers).length > 0 ? tiers : null;
+    }
+    if (backupSettings !== undefined) updateData.backupSettings = backupSettings ? resolveBackupSettings(backupSettings) : null;
     if (debugLogging !== undefined) updateData.debugLogging = debugLogging === true || debugLogging === 'true';
 
     await prisma.adminSettings.upsert({
@@ -1021,12 +1309,50 @@ router.put('/api/admin-settings', async (req, res) => {
       create: { id: 'settings', sessionDurationDays: 30, dataRetentionDays: 30, debugLogging: false, ...updateData },
     });
 
+    if (backupSettings !== undefined) {
+      const backupService = require('../services/backupService');
+      await backupService.scheduleBackups();
+    }
+
     res.json({ success: true, message: 'Admin settings updated' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// ============ DATA RETENTION ============
+// Report how many rows each retention tier would keep, drop and roll up, without changing data
+router.post('/api/retention/dry-run', async (req, res) => {
+  try {
+    const { targetId, policy } = req.body || {};
+
+    const retentionErrors = validateRetentionPolicy(policy);
+    if (retentionErrors.length > 0) {
+      return res.status(400).json({ success: false, error: retentionErrors.join(', ') });
+    }
+
+    const dataRetentionService = require('../services/dataRetentionService');
+    const report = await dataRetentionService.dryRun({ targetId, policy });
+    if (targetId && report.targets.length === 0) {
+      return res.status(404).json({ success: false, error: 'Target not found' });
+    }
+
+    res.json({ success: true, dryRun: true, ...report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/api/retention/run', async (req, res) => {
+  try {
+    const dataRetentionService = require('../services/dataRetentionService');
+    const result = await dataRetentionService.processRetentionForAllTargets();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============ PUBLIC UI SETTINGS ============
 router.get('/api/public-ui-settings', async (req, res) => {
   try {
@@ -1063,22 +1389,18 @@ router.put('/api/public-ui-settings', async (req, res) => {
 });
 
 // ============ NOTIFICATION SETTINGS ============
+router.get('/api/notification-channels', (req, res) => {
+  const { describeChannels, NOTIFICATION_EVENTS } = require('../services/notifications');
+  res.json({ success: true, channels: describeChannels(), events: NOTIFICATION_EVENTS });
+});
+
 router.get('/api/notification-settings', async (req, res) => {
   try {
-    const prisma = getPrisma();
-    let settings = await prisma.notificationSettings.findUnique({ where: { id: 'settings' } });
-
-    if (!settings) {
-      settings = {
-        id: 'settings', _id: 'settings', enabled: false,
-        discord: { enabled: false, webhookUrl: null, username: 'LocalPing', avatarUrl: null },
-        events: { monitorDown: true, monitorUp: true, incidentCreated: true, incidentUpdated: true },
-      };
-    } else {
-      settings = { ...settings, _id: settings.id };
-    }
+    const notificationService = require('../services/notificationService');
+    notificationService.invalidateCache();
+    const settings = await notificationService.getSettings();
 
-    res.json({ success: true, settings });
+    res.json({ success: true, settings: { ...settings, id: 'settings', _id: 'settings' } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -1087,17 +1409,38 @@ router.get('/api/notification-settings', async (req, res) => {
 router.put('/api/notification-settings', async (req, res) => {
   try {
     const prisma = getPrisma();
-    const { enabled, discord, events } = req.body;
+    const { enabled, discord, events, channels, digest } = req.body;
+    const { getChannel } = require('../services/notifications');
 
     const updateData = {};
     if (enabled !== undefined) updateData.enabled = enabled === true;
     if (discord !== undefined) updateData.discord = discord;
     if (events !== undefined) updateData.events = events;
 
+    if (digest !== undefined) {
+      if (digest?.channel && !getChannel(digest.channel)) {
+        return res.status(400).json({ success: false, error: `Unknown notification channel: ${digest.channel}` });
+      }
+      updateData.digest = digest;
+    }
+
+    if (channels !== undefined) {
+      const unknown = Object.keys(channels).filter(id => !getChannel(id));
+      if (unknown.length > 0) {
+        return res.status(400).json({ success: false, error: `Unknown notification channel: ${unknown.join(', ')}` });
+      }
+
+      // Discord keeps its own column for backwards compatibility
+      const { discord: discordChannel, ...otherChannels } = channels;
+      if (discordChannel !== undefined) updateData.discord = discordChannel;
+      const existing = await prisma.notificationSettings.findUnique({ where: { id: 'settings' } });
+      updateData.channels = { ...(existing?.channels || {}), ...otherChannels };
+    }
+
     await prisma.notificationSettings.upsert({
       where: { id: 'settings' },
       update: updateData,
-      create: { id: 'settings', enabled: false, discord: null, events: null, ...updateData },
+      create: { id: 'settings', enabled: false, discord: null, events: null, channels: null, digest: null, ...updateData },
     });
 
     const notificationService = require('../services/notificationService');
@@ -1129,6 +1472,12 @@ router.post('/api/notification-settings/test', async (req, res) => {
 router.post('/api/backup/export', async (req, res) => {
   try {
     const backupService = require('../services/backupService');
+    if (req.body.passphrase) {
+      const passphraseError = validatePassphrase(req.body.passphrase);
+      if (passphraseError) {
+        return res.status(400).json({ success: false, error: passphraseError });
+      }
+    }
     const exportData = await backupService.exportData(req.body);
     res.json({ success: true, data: exportData });
   } catch (error) {
@@ -1139,17 +1488,92 @@ router.post('/api/backup/export', async (req, res) => {
 router.post('/api/backup/import', async (req, res) => {
   try {
     const backupService = require('../services/backupService');
-    const { importData, overwrite } = req.body;
+    const { importData, overwrite, passphrase } = req.body;
 
     if (!importData?.data) {
       return res.status(400).json({ success: false, error: 'Invalid import data format' });
     }
 
-    const results = await backupService.importData(importData, { overwrite: overwrite === true });
+    const results = await backupService.importData(importData, { overwrite: overwrite === true, passphrase });
     res.json({ success: true, results });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Backup files written by scheduled backups or "Backup now"
+router.get('/api/backup/files', async (req, res) => {
+  try {
+    const backupService = require('../services/backupService');
+    const settings = await backupService.getBackupSettings();
+    const backups = await backupService.listBackups(settings);
+    res.json({
+      success: true,
+      backups,
+      directory: settings.directory,
+      passphraseConfigured: !!process.env.BACKUP_PASSPHRASE,
+      ...backupService.getBackupSchedule(),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/api/backup/files', async (req, res) => {
+  try {
+    const backupService = require('../services/backupService');
+    const backup = await backupService.createBackup();
+    res.json({ success: true, backup });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/api/backup/files/:name', async (req, res) => {
+  try {
+    const backupService = require('../services/backupService');
+    const file = await backupService.getBackupPath(req.params.name);
+    if (!file) {
+      return res.status(400).json({ success: false, error: 'Invalid backup file name' });
+    }
+    if (!fs.existsSync(file)) {
+      return res.status(404).json({ success: false, error: 'Backup not found' });
+    }
+    res.download(file, req.params.name);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/api/backup/files/:name/restore', async (req, res) => {
+  try {
+    const backupService = require('../services/backupService');
+    if (!(await backupService.getBackupPath(req.params.name))) {
+      return res.status(400).json({ success: false, error: 'Invalid backup file name' });
+    }
+    const results = await backupService.restoreBackup(req.params.name, {
+      overwrite: req.body?.overwrite === true,
+      passphrase: req.body?.passphrase,
+    });
+    res.json({ success: true, results });
+  } catch (error) {
+    const status = error.code === 'ENOENT' ? 404 : 500;
+    res.status(status).json({ success: false, error: status === 404 ? 'Backup not found' : error.message });
+  }
+});
+
+router.delete('/api/backup/files/:name', async (req, res) => {
+  try {
+    const backupService = require('../services/backupService');
+    if (!(await backupService.getBackupPath(req.params.name))) {
+      return res.status(400).json({ success: false, error: 'Invalid backup file name' });
+    }
+    await backupService.deleteBackup(req.params.name);
+    res.json({ success: true, message: 'Backup deleted' });
+  } catch (error) {
+    const status = error.code === 'ENOENT' ? 404 : 500;
+    res.status(status).json({ success: false, error: status === 404 ? 'Backup not found' : error.message });
+  }
+});
+
 module.exports = router;
@@ -6,8 +6,13 @@ const monitorService = require('../services/monitorService');
 const pingService = require('../services/pingService');
 const actionService = require('../services/actionService');
 const gatewayService = require('../services/gatewayService');
+const probeService = require('../services/probeService');
+const resultWriterService = require('../services/resultWriterService');
+const pingQueryService = require('../services/pingQueryService');
 const chalk = require('../utils/colors');
 const { validateTargetInput } = require('../middleware/auth');
+const { generatePushToken, DEFAULT_GRACE_PERIOD } = require('../services/checks/pushCheck');
+const { normalizeRetentionPolicy } = require('../utils/retentionPolicy');
 
 // Get all targets
 router.get('/targets', async (req, res) => {
@@ -19,6 +24,8 @@ router.get('/targets', async (req, res) => {
       ...target,
       _id: target.id,
       currentStatus: monitorService.getTargetStatus(target.id),
+      latencyLevel: monitorService.getLatencyLevel(target.id),
+      rootCause: monitorService.getRootCause(target.id),
     }));
 
     res.json({ success: true, targets: targetsWithStatus });
@@ -40,7 +47,13 @@ router.get('/targets/:id', async (req, res) => {
 
     res.json({
       success: true,
-      target: { ...target, _id: target.id, currentStatus: monitorService.getTargetStatus(target.id) },
+      target: {
+        ...target,
+        _id: target.id,
+        currentStatus: monitorService.getTargetStatus(target.id),
+        latencyLevel: monitorService.getLatencyLevel(target.id),
+        rootCause: monitorService.getRootCause(target.id),
+      },
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -56,10 +69,14 @@ router.post('/targets', validateTargetInput, async (req, res) => {
     const {
       name, host, port, protocol, interval, enabled, path, appUrl, appIcon,
       retries, retryInterval, timeout, httpMethod, statusCodes, maxRedirects,
-      ignoreSsl, upsideDown, auth, position, group, quickCommands,
+      ignoreSsl, upsideDown, important, auth, position, group, quickCommands,
+      dnsRecordType, dnsResolver, dnsExpected, promQuery, promOperator, promThreshold, assertions, pushGracePeriod, packetCount,
+      alertChannels, alertThreshold, alertMode, escalateChannels, escalateAfter, dependsOn,
+      latencyWarning, latencyCritical, flapThreshold, flapWindow, probes, probeQuorum, checkLocally, retentionPolicy,
     } = req.body;
 
-    if (!name || !host || !protocol) {
+    const isPush = protocol && protocol.toUpperCase() === 'PUSH';
+    if (!name || (!host && !isPush) || !protocol) {
       return res.status(400).json({ success: false, error: 'Missing required fields: name, host, protocol' });
     }
 
@@ -97,9 +114,19 @@ router.post('/targets', validateTargetInput, async (req, res) => {
       }
     }
 
+    const dependencyError = await monitorService.validateDependencies(null, dependsOn);
+    if (dependencyError) {
+      return res.status(400).json({ success: false, error: dependencyError });
+    }
+
+    const probeError = await probeService.validateAssignment(probes, probeQuorum, checkLocally);
+    if (probeError) {
+      return res.status(400).json({ success: false, error: probeError });
+    }
+
     const target = await prisma.target.create({
       data: {
-        name, host, port: port || null, protocol: protocol.toUpperCase(), path: path || null,
+        name, host: host || '', port: port || null, protocol: protocol.toUpperCase(), path: path || null,
         interval: interval || 60, enabled: enabled !== false, appUrl: finalAppUrl || null,
         appIcon: fetchedAppIcon || null,         retries: retries !== undefined ? retries : 0,
         retryInterval: retryInterval !== undefined ? retryInterval : 5,
@@ -107,6 +134,25 @@ router.post('/targets', validateTargetInput, async (req, res) => {
         statusCodes: statusCodes || '200-299', maxRedirects: maxRedirects !== undefined ? maxRedirects : 5,
         ignoreSsl: ignoreSsl === true, upsideDown: upsideDown === true, important: important === true, auth: auth || null,
         position: position !== undefined ? position : 0, group: group || null, quickCommands: quickCommands || [],
+        dnsRecordType: dnsRecordType ? dnsRecordType.toUpperCase() : 'A', dnsResolver: dnsResolver || null,
+        dnsExpected: dnsExpected || null,
+        promQuery: promQuery || null, promOperator: promOperator || '>',
+        promThreshold: promThreshold !== undefined && promThreshold !== null && promThreshold !== '' ? Number(promThreshold) : null,
+        assertions: assertions || null,
+        pushToken: isPush ? generatePushToken() : null,
+        pushGracePeriod: pushGracePeriod !== undefined ? pushGracePeriod : DEFAULT_GRACE_PERIOD,
+        packetCount: packetCount || 1,
+        alertChannels: alertChannels && alertChannels.length > 0 ? alertChannels : null,
+        alertThreshold: alertThreshold || 3, alertMode: alertMode || 'immediate',
+        escalateChannels: escalateChannels && escalateChannels.length > 0 ? escalateChannels : null,
+        escalateAfter: escalateAfter || null,
+        flapThreshold: flapThreshold || null, flapWindow: flapWindow || 10,
+        dependsOn: dependsOn && dependsOn.length > 0 ? dependsOn : null,
+        latencyWarning: latencyWarning ? Number(latencyWarning) : null,
+        latencyCritical: latencyCritical ? Number(latencyCritical) : null,
+        probes: probes && probes.length > 0 ? probes : null,
+        probeQuorum: probeQuorum || 1, checkLocally: checkLocally !== false,
+        retentionPolicy: normalizeRetentionPolicy(retentionPolicy),
       },
     });
 
@@ -129,7 +175,10 @@ router.put('/targets/:id', validateTargetInput, async (req, res) => {
     const {
       name, host, port, protocol, interval, enabled, path, appUrl, appIcon,
       retries, retryInterval, timeout, httpMethod, statusCodes, maxRedirects,
-      ignoreSsl, upsideDown, auth, position, group, quickCommands,
+      ignoreSsl, upsideDown, important, auth, position, group, quickCommands,
+      dnsRecordType, dnsResolver, dnsExpected, promQuery, promOperator, promThreshold, assertions, pushGracePeriod, packetCount,
+      alertChannels, alertThreshold, alertMode, escalateChannels, escalateAfter, dependsOn,
+      latencyWarning, latencyCritical, flapThreshold, flapWindow, probes, probeQuorum, checkLocally, retentionPolicy,
     } = req.body;
 
     const updateData = {};
@@ -149,10 +198,59 @@ router.put('/targets/:id', validateTargetInput, async (req, res) => {
     if (maxRedirects !== undefined) updateData.maxRedirects = maxRedirects;
     if (ignoreSsl !== undefined) updateData.ignoreSsl = ignoreSsl === true;
     if (upsideDown !== undefined) updateData.upsideDown = upsideDown === true;
+    if (important !== undefined) updateData.important = important === true;
     if (auth !== undefined) updateData.auth = auth;
     if (position !== undefined) updateData.position = position;
     if (group !== undefined) updateData.group = group;
     if (quickCommands !== undefined) updateData.quickCommands = quickCommands;
+    if (dnsRecordType !== undefined) updateData.dnsRecordType = dnsRecordType ? dnsRecordType.toUpperCase() : 'A';
+    if (dnsResolver !== undefined) updateData.dnsResolver = dnsResolver || null;
+    if (dnsExpected !== undefined) updateData.dnsExpected = dnsExpected || null;
+    if (promQuery !== undefined) updateData.promQuery = promQuery || null;
+    if (promOperator !== undefined) updateData.promOperator = promOperator || '>';
+    if (promThreshold !== undefined) updateData.promThreshold = promThreshold !== null && promThreshold !== '' ? Number(promThreshold) : null;
+    if (assertions !== undefined) updateData.assertions = assertions;
+    if (pushGracePeriod !== undefined) updateData.pushGracePeriod = pushGracePeriod;
+    if (packetCount !== undefined) updateData.packetCount = packetCount || 1;
+    if (alertChannels !== undefined) updateData.alertChannels = alertChannels && alertChannels.length > 0 ? alertChannels : null;
+    if (alertThreshold !== undefined) updateData.alertThreshold = alertThreshold || 3;
+    if (alertMode !== undefined) updateData.alertMode = alertMode || 'immediate';
+    if (escalateChannels !== undefined) updateData.escalateChannels = escalateChannels && escalateChannels.length > 0 ? escalateChannels : null;
+    if (escalateAfter !== undefined) updateData.escalateAfter = escalateAfter || null;
+    if (flapThreshold !== undefined) updateData.flapThreshold = flapThreshold || null;
+    if (flapWindow !== undefined) updateData.flapWindow = flapWindow || 10;
+    if (latencyWarning !== undefined) updateData.latencyWarning = latencyWarning ? Number(latencyWarning) : null;
+    if (latencyCritical !== undefined) updateData.latencyCritical = latencyCritical ? Number(latencyCritical) : null;
+    if (retentionPolicy !== undefined) updateData.retentionPolicy = normalizeRetentionPolicy(retentionPolicy);
+    if (dependsOn !== undefined) {
+      const dependencyError = await monitorService.validateDependencies(targetId, dependsOn);
+      if (dependencyError) {
+        return res.status(400).json({ success: false, error: dependencyError });
+      }
+      updateData.dependsOn = dependsOn && dependsOn.length > 0 ? dependsOn : null;
+    }
+    if (probes !== undefined || probeQuorum !== undefined || checkLocally !== undefined) {
+      const existing = await prisma.target.findUnique({ where: { id: targetId }, select: { probes: true, probeQuorum: true, checkLocally: true } });
+      const merged = {
+        ...existing,
+        ...(probes !== undefined && { probes }),
+        ...(probeQuorum !== undefined && { probeQuorum }),
+        ...(checkLocally !== undefined && { checkLocally }),
+      };
+      const probeError = await probeService.validateAssignment(merged.probes, merged.probeQuorum, merged.checkLocally);
+      if (probeError) {
+        return res.status(400).json({ success: false, error: probeError });
+      }
+      if (probes !== undefined) updateData.probes = probes && probes.length > 0 ? probes : null;
+      if (probeQuorum !== undefined) updateData.probeQuorum = probeQuorum || 1;
+      if (checkLocally !== undefined) updateData.checkLocally = checkLocally !== false;
+    }
+
+    // Switching to a push monitor needs a token for its heartbeat URL
+    if (updateData.protocol === 'PUSH') {
+      const existing = await prisma.target.findUnique({ where: { id: targetId }, select: { pushToken: true } });
+      if (existing && !existing.pushToken) updateData.pushToken = generatePushToken();
+    }
 
     await prisma.target.update({ where: { id: targetId }, data: updateData });
 
@@ -180,6 +278,7 @@ router.delete('/targets/:id', async (req, res) => {
     const targetId = req.params.id;
 
     monitorService.stopTargetMonitor(targetId);
+    resultWriterService.removeTarget(targetId);
     
     // Manually delete related data to avoid foreign key constraint issues
     await prisma.pingResult.deleteMany({ where: { targetId } });
@@ -189,6 +288,7 @@ router.delete('/targets/:id', async (req, res) => {
     
     // Now delete the target
     await prisma.target.delete({ where: { id: targetId } });
+    await monitorService.removeDependency(targetId);
 
     res.json({ success: true, message: 'Target deleted' });
   } catch (error) {
@@ -318,38 +418,13 @@ router.get('/targets/:id/statistics', async (req, res) => {
       });
     }
 
-    const intervalSeconds = intervalMinutes * 60;
-    const startEpoch = Math.floor(startDateObj.getTime() / 1000);
-    const endEpoch = Math.floor(endDateObj.getTime() / 1000);
-
-    const result = await prisma.$queryRaw`
-      WITH time_buckets AS (
-        SELECT (to_timestamp(bucket_epoch) AT TIME ZONE 'UTC')::timestamp as bucket_time
-        FROM generate_series(${startEpoch}::bigint, ${endEpoch}::bigint, ${intervalSeconds}::bigint) as bucket_epoch
-        ORDER BY bucket_epoch
-        LIMIT ${maxPoints}
-      )
-      SELECT
-        time_buckets.bucket_time::text as date,
-        COALESCE(COUNT(pr."_id"), 0)::integer as "totalPings",
-        COALESCE(SUM(CASE WHEN pr.success = true THEN 1 ELSE 0 END), 0)::integer as "successfulPings",
-        COALESCE(AVG(CASE WHEN pr."responseTime" IS NOT NULL THEN pr."responseTime"::real ELSE NULL END), 0) as "avgResponseTime"
-      FROM time_buckets
-      LEFT JOIN "pingResults" pr ON
-        pr."targetId" = ${targetId}
-        AND pr.timestamp >= time_buckets.bucket_time
-        AND pr.timestamp < (time_buckets.bucket_time + (${intervalSeconds} || ' seconds')::interval)
-      GROUP BY time_buckets.bucket_time
-      ORDER BY time_buckets.bucket_time ASC
-    `;
-
-    const stats = result.map(r => ({
-      date: r.date,
-      totalPings: Number(r.totalPings) || 0,
-      successfulPings: Number(r.successfulPings) || 0,
-      failedPings: (Number(r.totalPings) || 0) - (Number(r.successfulPings) || 0),
-      uptime: r.totalPings > 0 ? ((r.successfulPings / r.totalPings) * 100) : 0,
-      avgResponseTime: Number(r.avgResponseTime) || 0,
+    const stats = (await pingQueryService.getResponseBuckets(targetId, {
+      start: startDateObj,
+      end: endDateObj,
+      intervalSeconds: intervalMinutes * 60,
+      maxPoints,
+    })).map(({ date, totalPings, successfulPings, failedPings, uptime, avgResponseTime }) => ({
+      date, totalPings, successfulPings, failedPings, uptime, avgResponseTime,
     }));
 
     const uptime24hStart = new Date();
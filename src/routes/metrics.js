@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { getPrisma } = require('../config/prisma');
+const monitorService = require('../services/monitorService');
+const metricsService = require('../services/metricsService');
+const cacheService = require('../services/cacheService');
+const eventStreamService = require('../services/eventStreamService');
+const schedulerService = require('../services/schedulerService');
+const resultWriterService = require('../services/resultWriterService');
+const workerPool = require('../services/workers/workerPool');
+
+const TARGET_STATUSES = ['up', 'degraded', 'down', 'unreachable', 'flapping', 'maintenance', 'unknown'];
+const LATENCY_LEVELS = ['ok', 'warning', 'critical'];
+
+/**
+ * Optional bearer token for the scrape endpoint (METRICS_TOKEN)
+ * Without a token configured the endpoint is open, but only reports the monitors shown on the
+ * status page unless the request comes from a logged-in admin.
+ */
+function metricsAuth(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    req.metricsPublicOnly = !(req.session && req.session.adminAuthenticated);
+    return next();
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const provided = authHeader.replace('Bearer ', '') || req.query.token || '';
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(String(provided));
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return res.status(401).type('text/plain').send('Unauthorized: Invalid or missing metrics token\n');
+  }
+
+  next();
+}
+
+// Prometheus scrape endpoint
+router.get('/', metricsAuth, async (req, res) => {
+  try {
+    const prisma = getPrisma();
+    const targets = await prisma.target.findMany({
+      where: req.metricsPublicOnly ? { enabled: true, publicVisible: true } : { enabled: true },
+      select: { id: true, name: true, protocol: true, group: true },
+      orderBy: { position: 'asc' },
+    });
+
+    // 24h is a rolling window over the ping results; 30d covers the last 30 calendar days,
+    // today included, since the statistics are kept per day
+    const uptime24hStart = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const uptime30dStart = new Date();
+    uptime30dStart.setHours(0, 0, 0, 0);
+    uptime30dStart.setDate(uptime30dStart.getDate() - 29);
+    const [uptime24h, uptime30d] = await Promise.all([
+      metricsService.getRecentUptimeRatios(uptime24hStart),
+      metricsService.getDailyUptimeRatios(uptime30dStart),
+    ]);
+
+    const labels = new Map(targets.map(target => [target.id, {
+      target_id: target.id,
+      name: target.name,
+      protocol: target.protocol,
+      group: target.group || '',
+    }]));
+
+    const perTarget = (getValue) => targets
+      .map(target => ({ labels: labels.get(target.id), value: getValue(target) }))
+      .filter(sample => sample.value !== null && sample.value !== undefined);
+
+    const status = (target) => monitorService.getTargetStatus(target.id);
+    const pool = workerPool.getStats();
+    const cache = cacheService.getStats();
+    const jobIds = schedulerService.getJobIds();
+    const writerStats = resultWriterService.getStats();
+
+    const families = [
+      {
+        name: 'localping_target_up',
+        help: 'Whether the target answers (1) or not (0); missing while its status is unknown',
+        type: 'gauge',
+        samples: perTarget(target => {
+          const current = status(target);
+          if (current === 'unknown' || current === 'maintenance') return null;
+          return current === 'up' || current === 'degraded' ? 1 : 0;
+        }),
+      },
+      {
+        name: 'localping_target_status',
+        help: 'Current status of the target, one series per possible status',
+        type: 'gauge',
+        samples: targets.flatMap(target => TARGET_STATUSES.map(value => ({
+          labels: { ...labels.get(target.id), status: value },
+          value: status(target) === value ? 1 : 0,
+        }))),
+      },
+      {
+        name: 'localping_target_latency_level',
+        help: 'Latency level of the target against its thresholds, one series per level; missing while the target does not answer',
+        type: 'gauge',
+        samples: targets
+          .filter(target => status(target) === 'up' || status(target) === 'degraded')
+          .flatMap(target => LATENCY_LEVELS.map(value => ({
+            labels: { ...labels.get(target.id), level: value },
+            value: (monitorService.getLatencyLevel(target.id) || 'ok') === value ? 1 : 0,
+          }))),
+      },
+      {
+        name: 'localping_target_response_time_seconds',
+        help: 'Response time of the last check',
+        type: 'gauge',
+        samples: perTarget(target => {
+          const last = metricsService.getLastResult(target.id);
+          return last && last.responseTime !== null ? last.responseTime / 1000 : null;
+        }),
+      },
+      {
+        name: 'localping_target_last_check_timestamp_seconds',
+        help: 'Unix time of the last processed check',
+        type: 'gauge',
+        samples: perTarget(target => {
+          const last = metricsService.getLastResult(target.id);
+          return last ? last.timestamp / 1000 : null;
+        }),
+      },
+      {
+        name: 'localping_target_check_duration_seconds',
+        help: 'Duration of the checks run by this server, including timeouts',
+        type: 'histogram',
+        samples: metricsService.getCheckDurationSamples(targetId => labels.get(targetId) || null),
+      },
+      {
+        name: 'localping_target_consecutive_failures',
+        help: 'Failed checks in a row',
+        type: 'gauge',
+        samples: perTarget(target => monitorService.getState(target.id).consecutiveFailures),
+      },
+      {
+        name: 'localping_target_uptime_ratio',
+        help: 'Share of successful checks over the window: 24h from the ping results of the last 24 hours, 30d from the daily statistics of the last 30 days',
+        type: 'gauge',
+        samples: [
+          ...perTarget(target => uptime24h.get(target.id)).map(sample => ({ ...sample, labels: { ...sample.labels, window: '24h' } })),
+          ...perTarget(target => uptime30d.get(target.id)).map(sample => ({ ...sample, labels: { ...sample.labels, window: '30d' } })),
+        ],
+      },
+      {
+        name: 'localping_worker_pool_workers',
+        help: 'Ping worker threads',
+        type: 'gauge',
+        samples: [
+          { labels: { state: 'total' }, value: pool.totalWorkers },
+          { labels: { state: 'busy' }, value: pool.busyWorkers },
+        ],
+      },
+      {
+        name: 'localping_worker_pool_queue_length',
+        help: 'Pings waiting for a free worker',
+        type: 'gauge',
+        samples: [{ value: pool.queueLength }],
+      },
+      {
+        name: 'localping_worker_pool_active_tasks',
+        help: 'Pings running in the worker pool',
+        type: 'gauge',
+        samples: [{ value: pool.activeTasks }],
+      },
+      {
+        name: 'localping_cache_entries',
+        help: 'Entries of the response cache',
+        type: 'gauge',
+        samples: [
+          { labels: { state: 'active' }, value: cache.active },
+          { labels: { state: 'expired' }, value: cache.expired },
+        ],
+      },
+      {
+        name: 'localping_cache_max_entries',
+        help: 'Capacity of the response cache',
+        type: 'gauge',
+        samples: [{ value: cache.maxSize }],
+      },
+      {
+        name: 'localping_event_stream_clients',
+        help: 'Connected live update (SSE) clients',
+        type: 'gauge',
+        samples: [{ value: eventStreamService.getStats().clients }],
+      },
+      {
+        name: 'localping_scheduler_jobs',
+        help: 'Scheduled checks',
+        type: 'gauge',
+        samples: [
+          { labels: { state: 'scheduled' }, value: jobIds.length },
+          { labels: { state: 'running' }, value: jobIds.filter(id => schedulerService.getSchedule(id)?.running).length },
+        ],
+      },
+      {
+        name: 'localping_result_writer_buffered',
+        help: 'Check results waiting to be written to the database',
+        type: 'gauge',
+        samples: [
+          { labels: { kind: 'ping_results' }, value: writerStats.pingResults },
+          { labels: { kind: 'statistics' }, value: writerStats.statistics },
+        ],
+      },
+      {
+        name: 'localping_process_uptime_seconds',
+        help: 'Time since LocalPing started',
+        type: 'gauge',
+        samples: [{ value: process.uptime() }],
+      },
+    ];
+
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metricsService.render(families));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const monitorService = require('../services/monitorService');
+const probeService = require('../services/probeService');
+
+const SYNC_INTERVAL = 60; // seconds between target syncs of a probe
+const MAX_RESULTS_PER_REPORT = 1000;
+
+// Fields a probe needs to run a check
+const CHECK_FIELDS = [
+  'id', 'name', 'host', 'protocol', 'port', 'path', 'interval', 'timeout', 'httpMethod', 'statusCodes',
+  'maxRedirects', 'ignoreSsl', 'auth', 'assertions', 'dnsRecordType', 'dnsResolver', 'dnsExpected', 'packetCount',
+  'promQuery', 'promOperator', 'promThreshold',
+];
+
+/**
+ * Authenticate a probe agent by its token
+ * The probe token replaces the API key, so these routes are mounted before the API key check.
+ */
+async function probeAuth(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.replace('Bearer ', '') || req.headers['x-probe-token'];
+    const probe = await probeService.authenticate(token);
+
+    if (!probe) {
+      return res.status(401).json({ success: false, error: 'Unauthorized: Invalid or missing probe token' });
+    }
+
+    req.probe = probe;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+router.use(probeAuth);
+
+// Probe announces itself on startup
+router.post('/register', async (req, res) => {
+  try {
+    const probe = await probeService.markSeen(req.probe, { version: req.body?.version, address: req.ip });
+    res.json({
+      success: true,
+      probe: { id: probe.id, name: probe.name, location: probe.location },
+      syncInterval: SYNC_INTERVAL,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Targets assigned to the probe
+router.get('/targets', async (req, res) => {
+  try {
+    await probeService.markSeen(req.probe);
+    const targets = await probeService.getAssignedTargets(req.probe.id);
+
+    res.json({
+      success: true,
+      targets: targets.map(target => Object.fromEntries(CHECK_FIELDS.map(field => [field, target[field]]))),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Results of checks run by the probe: {results: [{targetId, success, responseTime, ..., timestamp}]}
+router.post('/results', async (req, res) => {
+  try {
+    const results = Array.isArray(req.body?.results) ? req.body.results.slice(0, MAX_RESULTS_PER_REPORT) : null;
+    if (!results) {
+      return res.status(400).json({ success: false, error: 'results must be an array' });
+    }
+
+    await probeService.markSeen(req.probe);
+    const targets = new Map((await probeService.getAssignedTargets(req.probe.id)).map(target => [target.id, target]));
+
+    let accepted = 0;
+    for (const result of results) {
+      const target = targets.get(result.targetId);
+      if (!target) continue; // No longer assigned to this probe
+
+      const timestamp = result.timestamp ? new Date(result.timestamp) : new Date();
+      monitorService.recordProbeResult(target, req.probe.id, {
+        success: result.success === true,
+        responseTime: typeof result.responseTime === 'number' ? result.responseTime : null,
+        statusCode: result.statusCode || null,
+        error: result.error || null,
+        protocol: result.protocol || target.protocol,
+        packetLoss: result.packetLoss ?? null,
+        jitter: result.jitter ?? null,
+      }, isNaN(timestamp.getTime()) || timestamp > new Date() ? new Date() : timestamp);
+      accepted++;
+    }
+
+    res.json({ success: true, accepted });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
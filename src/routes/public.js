@@ -4,6 +4,56 @@ const axios = require('axios');
 const { getPrisma } = require('../config/prisma');
 const monitorService = require('../services/monitorService');
 const faviconService = require('../services/faviconService');
+const pingQueryService = require('../services/pingQueryService');
+const maintenanceService = require('../services/maintenanceService');
+const eventStreamService = require('../services/eventStreamService');
+const IncidentService = require('../services/incidentService');
+
+/**
+ * Root causes of unreachable targets
+ * Root causes that are not publicly visible are only named generically.
+ * @returns {Promise<Map<string, Object>>} targetId -> {_id, name}
+ */
+async function getRootCauses(targets) {
+  const rootIds = new Map();
+  targets.forEach(target => {
+    const rootId = monitorService.getRootCause(target.id);
+    if (rootId) rootIds.set(target.id, rootId);
+  });
+
+  if (rootIds.size === 0) {
+    return new Map();
+  }
+
+  const prisma = getPrisma();
+  const roots = await prisma.target.findMany({
+    where: { id: { in: [...new Set(rootIds.values())] } },
+    select: { id: true, name: true, publicVisible: true },
+  });
+  const rootsById = new Map(roots.map(root => [root.id, root]));
+
+  const rootCauses = new Map();
+  rootIds.forEach((rootId, targetId) => {
+    const root = rootsById.get(rootId);
+    rootCauses.set(targetId, root?.publicVisible
+      ? { _id: root.id, name: root.name }
+      : { _id: null, name: 'an upstream dependency' });
+  });
+  return rootCauses;
+}
+
+/**
+ * Group unreachable targets by root cause for the status summary
+ */
+function summarizeRootCauses(targets) {
+  const summary = new Map();
+  targets.filter(target => target.rootCause).forEach(target => {
+    const key = target.rootCause._id || target.rootCause.name;
+    if (!summary.has(key)) summary.set(key, { ...target.rootCause, affectedTargets: 0 });
+    summary.get(key).affectedTargets++;
+  });
+  return Array.from(summary.values());
+}
 
 // Public status page
 router.get('/', async (req, res) => {
@@ -140,40 +190,14 @@ router.get('/api/targets/:id/statistics', async (req, res) => {
         avgResponseTime: s.avgResponseTime || 0,
       }));
     } else {
-      // Use optimized raw query for shorter time periods
-      const intervalSeconds = intervalMinutes * 60;
-      const startEpoch = Math.floor(startDateObj.getTime() / 1000);
-      const endEpoch = Math.floor(endDateObj.getTime() / 1000);
-
-      // Optimized query with proper index usage
-      const result = await prisma.$queryRaw`
-        WITH time_buckets AS (
-          SELECT (to_timestamp(bucket_epoch) AT TIME ZONE 'UTC')::timestamp as bucket_time
-          FROM generate_series(${startEpoch}::bigint, ${endEpoch}::bigint, ${intervalSeconds}::bigint) as bucket_epoch
-          ORDER BY bucket_epoch
-          LIMIT ${maxPoints}
-        )
-        SELECT
-          time_buckets.bucket_time::text as date,
-          COALESCE(COUNT(pr."_id"), 0)::integer as "totalPings",
-          COALESCE(SUM(CASE WHEN pr.success = true THEN 1 ELSE 0 END), 0)::integer as "successfulPings",
-          COALESCE(AVG(CASE WHEN pr."responseTime" IS NOT NULL THEN pr."responseTime"::real ELSE NULL END), 0) as "avgResponseTime"
-        FROM time_buckets
-        LEFT JOIN "pingResults" pr ON
-          pr."targetId" = ${targetId}
-          AND pr.timestamp >= time_buckets.bucket_time
-          AND pr.timestamp < (time_buckets.bucket_time + (${intervalSeconds} || ' seconds')::interval)
-        GROUP BY time_buckets.bucket_time
-        ORDER BY time_buckets.bucket_time ASC
-      `;
-
-      stats = result.map(r => ({
-        date: r.date,
-        totalPings: Number(r.totalPings) || 0,
-        successfulPings: Number(r.successfulPings) || 0,
-        failedPings: (Number(r.totalPings) || 0) - (Number(r.successfulPings) || 0),
-        uptime: r.totalPings > 0 ? ((r.successfulPings / r.totalPings) * 100) : 0,
-        avgResponseTime: Number(r.avgResponseTime) || 0,
+      // Bucket raw results for shorter time periods
+      stats = (await pingQueryService.getResponseBuckets(targetId, {
+        start: startDateObj,
+        end: endDateObj,
+        intervalSeconds: intervalMinutes * 60,
+        maxPoints,
+      })).map(({ date, totalPings, successfulPings, failedPings, uptime, avgResponseTime }) => ({
+        date, totalPings, successfulPings, failedPings, uptime, avgResponseTime,
       }));
     }
 
@@ -280,6 +304,32 @@ router.get('/api/targets/:id/uptime', async (req, res) => {
   }
 });
 
+// Public API - Live status transitions and incident updates (Server-Sent Events)
+// Only publicly visible monitors are streamed, ping results stay admin-only
+router.get('/api/public/events', (req, res) => {
+  eventStreamService.subscribe(req, res, {
+    format: (event) => {
+      if (event.type === 'incident') {
+        return new IncidentService(getPrisma()).toPublicIncidents([event.data.incident])
+          .then(([incident]) => (incident ? { ...event.data, incident } : null));
+      }
+      if (event.type !== 'status') {
+        return null;
+      }
+      const target = monitorService.targets.get(event.data.targetId);
+      if (!target || target.publicVisible === false) {
+        return null;
+      }
+      return {
+        targetId: event.data.targetId,
+        status: event.data.status,
+        isUp: event.data.status === 'up' || event.data.status === 'degraded',
+        timestamp: event.data.timestamp,
+      };
+    },
+  });
+});
+
 // Public API - Get all data for public UI (consolidated endpoint)
 router.get('/api/public/all', async (req, res) => {
   try {
@@ -328,30 +378,20 @@ router.get('/api/public/all', async (req, res) => {
       });
     }
 
-    // Use raw SQL for efficient aggregation across all targets
+    // Aggregate across all targets in the database
     const [uptime24hData, uptime30dData, dailyStatsData] = await Promise.all([
       // 24h uptime aggregation for all targets
-      prisma.$queryRaw`
-        SELECT 
-          "targetId",
-          COALESCE(SUM("totalPings"), 0)::bigint as "totalPings",
-          COALESCE(SUM("successfulPings"), 0)::bigint as "successfulPings"
-        FROM statistics
-        WHERE "targetId" = ANY(${targetIds}::text[])
-        AND date >= ${uptime24hStart}
-        GROUP BY "targetId"
-      `,
+      prisma.statistic.groupBy({
+        by: ['targetId'],
+        where: { targetId: { in: targetIds }, date: { gte: uptime24hStart } },
+        _sum: { totalPings: true, successfulPings: true },
+      }),
       // 30d uptime aggregation for all targets
-      prisma.$queryRaw`
-        SELECT 
-          "targetId",
-          COALESCE(SUM("totalPings"), 0)::bigint as "totalPings",
-          COALESCE(SUM("successfulPings"), 0)::bigint as "successfulPings"
-        FROM statistics
-        WHERE "targetId" = ANY(${targetIds}::text[])
-        AND date >= ${uptime30dStart}
-        GROUP BY "targetId"
-      `,
+      prisma.statistic.groupBy({
+        by: ['targetId'],
+        where: { targetId: { in: targetIds }, date: { gte: uptime30dStart } },
+        _sum: { totalPings: true, successfulPings: true },
+      }),
       // Daily stats for last 30 days (for uptime bars)
       prisma.statistic.findMany({
         where: {
@@ -363,6 +403,7 @@ router.get('/api/public/all', async (req, res) => {
           date: true,
           totalPings: true,
           successfulPings: true,
+          degradedPings: true,
         },
         orderBy: { date: 'asc' },
       }),
@@ -371,8 +412,8 @@ router.get('/api/public/all', async (req, res) => {
     // Create lookup maps for fast access
     const uptime24hMap = new Map();
     uptime24hData.forEach(item => {
-      const total = Number(item.totalPings) || 0;
-      const successful = Number(item.successfulPings) || 0;
+      const total = item._sum.totalPings || 0;
+      const successful = item._sum.successfulPings || 0;
       const uptime = total > 0 ? (successful / total) * 100 : 0;
       uptime24hMap.set(item.targetId, {
         uptime: parseFloat(uptime.toFixed(2)),
@@ -384,8 +425,8 @@ router.get('/api/public/all', async (req, res) => {
 
     const uptime30dMap = new Map();
     uptime30dData.forEach(item => {
-      const total = Number(item.totalPings) || 0;
-      const successful = Number(item.successfulPings) || 0;
+      const total = item._sum.totalPings || 0;
+      const successful = item._sum.successfulPings || 0;
       const uptime = total > 0 ? (successful / total) * 100 : 0;
       uptime30dMap.set(item.targetId, {
         uptime: parseFloat(uptime.toFixed(2)),
@@ -407,10 +448,13 @@ router.get('/api/public/all', async (req, res) => {
         totalPings: stat.totalPings || 0,
         successfulPings: stat.successfulPings || 0,
         failedPings: (stat.totalPings || 0) - (stat.successfulPings || 0),
+        degradedPings: stat.degradedPings || 0,
         uptime: parseFloat(dailyUptime.toFixed(2)),
       });
     });
 
+    const rootCauses = await getRootCauses(targets);
+
     // Build response with targets and their statistics (only include needed fields)
     const targetsWithStats = targets.map(target => {
       const status = monitorService.getTargetStatus(target.id);
@@ -423,7 +467,9 @@ router.get('/api/public/all', async (req, res) => {
         _id: target.id,
         name: target.name,
         currentStatus: status,
-        isUp: status === 'up',
+        isUp: status === 'up' || status === 'degraded',
+        rootCause: rootCauses.get(target.id) || null,
+        maintenance: maintenanceService.getMaintenance(target),
         publicShowDetails: showDetails,
         publicShowStatus: target.publicShowStatus !== false,
         publicShowAppLink: target.publicShowAppLink !== false,
@@ -462,12 +508,16 @@ router.get('/api/public/all', async (req, res) => {
       return result;
     });
 
-    // Calculate overall status
+    // Calculate overall status, monitors in maintenance are neither up nor down
     const upCount = targetsWithStats.filter(t => t.isUp).length;
-    const downCount = targetsWithStats.length - upCount;
+    const degradedCount = targetsWithStats.filter(t => t.currentStatus === 'degraded').length;
+    const maintenanceCount = targetsWithStats.filter(t => t.currentStatus === 'maintenance').length;
+    const downCount = targetsWithStats.length - upCount - maintenanceCount;
     let overallStatus = 'operational';
     if (downCount > 0) {
       overallStatus = downCount === targetsWithStats.length ? 'down' : 'degraded';
+    } else if (degradedCount > 0) {
+      overallStatus = 'degraded';
     }
 
     res.json({
@@ -476,6 +526,10 @@ router.get('/api/public/all', async (req, res) => {
         overallStatus,
         upTargets: upCount,
         downTargets: downCount,
+        unreachableTargets: targetsWithStats.filter(t => t.currentStatus === 'unreachable').length,
+        maintenanceTargets: maintenanceCount,
+        degradedTargets: degradedCount,
+        rootCauses: summarizeRootCauses(targetsWithStats),
         totalTargets: targetsWithStats.length,
       },
       targets: targetsWithStats,
@@ -495,6 +549,8 @@ router.get('/api/status', async (req, res) => {
       where: { enabled: true, publicVisible: true },
     });
 
+    const rootCauses = await getRootCauses(targets);
+
     const targetsWithStatus = targets.map((target) => {
       const status = monitorService.getTargetStatus(target.id);
       return {
@@ -505,7 +561,9 @@ router.get('/api/status', async (req, res) => {
         appUrl: target.appUrl,
         appIcon: target.appIcon || null,
         currentStatus: status,
-        isUp: status === 'up',
+        isUp: status === 'up' || status === 'degraded',
+        rootCause: rootCauses.get(target.id) || null,
+        maintenance: maintenanceService.getMaintenance(target),
         position: target.position || 0,
         group: target.group || null,
         quickCommands: target.quickCommands || [],
@@ -516,7 +574,9 @@ router.get('/api/status', async (req, res) => {
     });
 
     const upCount = targetsWithStatus.filter((t) => t.isUp).length;
-    const downCount = targetsWithStatus.length - upCount;
+    const degradedCount = targetsWithStatus.filter((t) => t.currentStatus === 'degraded').length;
+    const maintenanceCount = targetsWithStatus.filter((t) => t.currentStatus === 'maintenance').length;
+    const downCount = targetsWithStatus.length - upCount - maintenanceCount;
 
     res.json({
       success: true,
@@ -524,7 +584,11 @@ router.get('/api/status', async (req, res) => {
         totalTargets: targetsWithStatus.length,
         upTargets: upCount,
         downTargets: downCount,
-        overallStatus: downCount === 0 ? 'operational' : downCount < upCount ? 'degraded' : 'down',
+        unreachableTargets: targetsWithStatus.filter(t => t.currentStatus === 'unreachable').length,
+        maintenanceTargets: maintenanceCount,
+        degradedTargets: degradedCount,
+        rootCauses: summarizeRootCauses(targetsWithStatus),
+        overallStatus: downCount === 0 ? (degradedCount > 0 ? 'degraded' : 'operational') : downCount < upCount ? 'degraded' : 'down',
       },
       targets: targetsWithStatus,
       timestamp: new Date(),
@@ -576,7 +640,11 @@ router.get('/api/incidents', async (req, res) => {
   try {
     const prisma = getPrisma();
     const incidents = await prisma.incident.findMany({ orderBy: { createdAt: 'desc' } });
-    res.json({ success: true, incidents: incidents.map(i => ({ ...i, _id: i.id })) });
+    const incidentService = new IncidentService(prisma);
+    res.json({
+      success: true,
+      incidents: await incidentService.toPublicIncidents(incidents.map(i => ({ ...i, _id: i.id }))),
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
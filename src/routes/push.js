@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { getPrisma } = require('../config/prisma');
+const monitorService = require('../services/monitorService');
+
+/**
+ * Receive a heartbeat from a push monitor
+ * The token in the URL authenticates the caller, so these routes skip the API key.
+ * Optional parameters (query string or body): status=up|down, msg=<text>, ping=<ms>
+ */
+async function handleHeartbeat(req, res) {
+  try {
+    const prisma = getPrisma();
+    const target = await prisma.target.findUnique({ where: { pushToken: req.params.token } });
+
+    if (!target || target.protocol !== 'PUSH') {
+      return res.status(404).json({ success: false, error: 'Push monitor not found' });
+    }
+
+    const params = { ...req.query, ...(req.body || {}) };
+    const status = String(params.status || 'up').toLowerCase();
+    const responseTime = parseFloat(params.ping);
+
+    await monitorService.recordHeartbeat(target, {
+      success: status !== 'down',
+      message: params.msg || null,
+      responseTime: isNaN(responseTime) ? null : responseTime,
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+router.get('/:token', handleHeartbeat);
+router.post('/:token', handleHeartbeat);
+
+module.exports = router;
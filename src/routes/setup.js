@@ -147,9 +147,12 @@ router.post('/', async (req, res) => {
         },
       ];
 
+      // Everything else depends on the gateway, so a router reboot is reported once
+      let gatewayTargetId = null;
+
       for (const target of targets) {
         try {
-          await prisma.target.create({
+          const created = await prisma.target.create({
             data: {
               name: target.name,
               host: target.host,
@@ -159,8 +162,10 @@ router.post('/', async (req, res) => {
               enabled: true,
               interval: 60,
               timeout: 30,
+              dependsOn: gatewayTargetId ? [gatewayTargetId] : null,
             },
           });
+          if (target.host === gatewayIp) gatewayTargetId = created.id;
         } catch (err) {
           // Ignore duplicate key errors (P2002 is Prisma's unique constraint error)
           if (err.code !== 'P2002') {
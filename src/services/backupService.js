@@ -1,20 +1,199 @@
 const { getPrisma } = require('../config/prisma');
 const path = require('path');
 const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+const chalk = require('../utils/colors');
+const { getNextRun } = require('../utils/cronExpression');
+const { resolveBackupSettings, selectBackupsToKeep } = require('../utils/backupPolicy');
+const { isEncryptedBackup, encryptBackup, createEncryptStream, parseEncryptedBackup, decryptBackup } = require('../utils/backupCrypto');
+const { REDACTED, redactFields, keepRedactedFields } = require('../utils/backupSecrets');
+const { parseAuth } = require('./checks/httpRequest');
+const { generatePushToken } = require('./checks/pushCheck');
+const { RETENTION_TIERS } = require('../utils/retentionPolicy');
+const probeService = require('./probeService');
+const channelRegistry = require('./notifications');
+const notificationService = require('./notificationService');
+
+const gunzip = promisify(zlib.gunzip);
+
+// localping-backup-2026-10-19T03-00-00Z.json(.gz)(.enc), named after the UTC time it was written
+const BACKUP_FILE_PATTERN = /^localping-backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})Z\.json(\.gz)?(\.enc)?$/;
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000; // Longer timeouts overflow; the timer re-arms until the backup is due
+const EXPORT_PAGE_SIZE = 1000; // Rows read at a time while writing a backup file
+
+let scheduleTimer = null;
+let schedule = null; // {settings, nextBackupAt}
+let lastScheduledBackup = null; // {at, name, deleted, error}
+
+// Secrets of exported records, replaced by a placeholder in redacted exports
+const TARGET_SECRETS = ['auth.password', 'auth.token', 'pushToken'];
+const ACTION_SECRETS = ['command'];
+const PROBE_SECRETS = ['token'];
+
+// Aggregate tables of the retention tiers, exported with the data points
+const ROLLUP_TIERS = RETENTION_TIERS.filter(tier => tier.model !== 'pingResult');
+
+// Exported tables by export option, in import order; `key` is the id field, `redact` replaces the secrets of a record
+const EXPORT_TABLES = [
+  { option: 'monitors', name: 'targets', model: 'target', redact: target => redactFields({ ...target, auth: parseAuth(target.auth) }, TARGET_SECRETS) },
+  { option: 'monitors', name: 'probes', model: 'probe', redact: probe => redactFields(probe, PROBE_SECRETS) },
+  { option: 'monitors', name: 'monitorStates', model: 'monitorState', key: 'targetId' },
+  { option: 'incidents', name: 'incidents', model: 'incident' },
+  { option: 'incidents', name: 'eventRules', model: 'eventRule' },
+  { option: 'posts', name: 'posts', model: 'post' },
+  { option: 'dataPoints', name: 'pingResults', model: 'pingResult' },
+  { option: 'dataPoints', name: 'statistics', model: 'statistic' },
+  ...ROLLUP_TIERS.map(tier => ({ option: 'dataPoints', name: tier.table, model: tier.model })),
+  { option: 'dataPoints', name: 'outages', model: 'outage' },
+  { option: 'actions', name: 'actions', model: 'action', redact: action => redactFields(action, ACTION_SECRETS) },
+  { option: 'alerts', name: 'alerts', model: 'alert' },
+  { option: 'favicons', name: 'favicons', model: 'favicon' },
+];
+
+// Settings kept in a single 'settings' record
+const EXPORT_SETTINGS = [
+  { option: 'settings', name: 'adminSettings', model: 'adminSettings' },
+  { option: 'settings', name: 'publicUISettings', model: 'publicUISettings' },
+  { option: 'settings', name: 'notificationSettings', model: 'notificationSettings', redact: settings => redactFields(settings, getNotificationSecrets()) },
+];
+
+/**
+ * Secret notification channel settings; Discord keeps its own column, the other channels are stored in `channels`
+ */
+function getNotificationSecrets() {
+  return channelRegistry.getChannels().flatMap(channel => channel.fields
+    .filter(field => field.secret)
+    .map(field => (channel.id === 'discord' ? `discord.${field.key}` : `channels.${channel.id}.${field.key}`)));
+}
+
+/**
+ * Exported form of a record: id mapped to _id for compatibility, secrets replaced with `redact`
+ */
+function toExportRecord(table, row, redact) {
+  const record = { ...row, _id: row[table.key || 'id'] };
+  return redact && table.redact ? table.redact(record) : record;
+}
+
+/**
+ * Full export as JSON text, read page by page so the tables are never all in memory
+ * Written to backup files; the legacy names of the data points are left out, as imports
+ * only read them from old exports.
+ */
+async function* streamFullExport(prisma) {
+  yield `{"version":"1.0.0","exportDate":${JSON.stringify(new Date().toISOString())},"data":{`;
+
+  for (const [index, table] of EXPORT_TABLES.entries()) {
+    yield `${index > 0 ? ',' : ''}${JSON.stringify(table.name)}:[`;
+    const key = table.key || 'id';
+    let cursor = null;
+    let written = 0;
+    for (;;) {
+      const rows = await prisma[table.model].findMany({
+        orderBy: { [key]: 'asc' },
+        take: EXPORT_PAGE_SIZE,
+        ...(cursor !== null ? { cursor: { [key]: cursor }, skip: 1 } : {}),
+      });
+      if (rows.length > 0) {
+        yield `${written > 0 ? ',' : ''}${rows.map(row => JSON.stringify(toExportRecord(table, row))).join(',')}`;
+        written += rows.length;
+      }
+      if (rows.length < EXPORT_PAGE_SIZE) break;
+      cursor = rows[rows.length - 1][key];
+    }
+    yield ']';
+  }
+
+  for (const settings of EXPORT_SETTINGS) {
+    const row = await prisma[settings.model].findUnique({ where: { id: 'settings' } });
+    yield `,${JSON.stringify(settings.name)}:${JSON.stringify(row ? toExportRecord(settings, row) : null)}`;
+  }
+  yield '}}';
+}
+
+/**
+ * Target to import with its redacted secrets taken from the existing target
+ * Push monitors whose token was redacted get a new token when there is no existing one.
+ */
+function keepTargetSecrets(target, existing) {
+  const restored = keepRedactedFields(target, existing && { ...existing, auth: parseAuth(existing.auth) }, TARGET_SECRETS);
+  if (target.pushToken === REDACTED && !restored.pushToken && String(target.protocol).toUpperCase() === 'PUSH') {
+    restored.pushToken = generatePushToken();
+  }
+  return restored;
+}
+
+/**
+ * Probe to import with its redacted token taken from the existing probe; a new probe whose
+ * token was redacted gets a new token, which its agent has to be given again
+ */
+function keepProbeSecrets(probe, existing) {
+  const restored = keepRedactedFields(probe, existing, PROBE_SECRETS);
+  if (probe.token === REDACTED && !restored.token) {
+    restored.token = probeService.generateToken();
+  }
+  return restored;
+}
+
+/**
+ * Import the records of one table one by one, counted in `results.imported[type]`
+ * A record that fails is reported in `results.errors` and the import goes on with the next one;
+ * records clashing with a unique value of an existing record are skipped.
+ * @param {Function} importRecord - async (record) => 'imported', 'updated' or 'skipped'
+ */
+async function importRecords(results, type, records, importRecord) {
+  const counts = { imported: 0, updated: 0, skipped: 0, failed: 0 };
+  for (const record of records) {
+    try {
+      counts[await importRecord(record)]++;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        counts.skipped++;
+      } else {
+        counts.failed++;
+        results.errors.push({ type, id: record.id || record._id, error: error.message });
+      }
+    }
+  }
+  results.imported[type] = counts;
+}
+
+/**
+ * Create a record that does not exist yet, or update the existing one when `update` is set
+ * @param {Object} options - {update, key: id field (default id), prepare: (record, existing) => record to write}
+ * @returns {Promise<string>} 'imported', 'updated' or 'skipped'
+ */
+async function importById(prisma, model, record, { update = false, key = 'id', prepare = r => r } = {}) {
+  const id = record[key] || record._id;
+  const existing = await prisma[model].findUnique({ where: { [key]: id } });
+  if (existing) {
+    if (!update) return 'skipped';
+    const { [key]: _key, _id, ...updateData } = prepare(record, existing);
+    await prisma[model].update({ where: { [key]: id }, data: updateData });
+    return 'updated';
+  }
+  const { _id, ...insertData } = prepare(record, null);
+  await prisma[model].create({ data: { ...insertData, [key]: id } });
+  return 'imported';
+}
 
 /**
  * Export data from the database
  * @param {Object} options - Export options
  * @param {boolean} options.full - Export everything
- * @param {boolean} options.monitors - Export monitors (targets)
- * @param {boolean} options.incidents - Export incidents
+ * @param {boolean} options.monitors - Export monitors (targets), their state and the remote probes
+ * @param {boolean} options.incidents - Export incidents and the event rules that open them
  * @param {boolean} options.posts - Export blog posts
- * @param {boolean} options.dataPoints - Export ping results and statistics
+ * @param {boolean} options.dataPoints - Export ping results, statistics, rollups and outages
  * @param {boolean} options.actions - Export actions
  * @param {boolean} options.alerts - Export alerts
- * @param {boolean} options.settings - Export admin and public UI settings
+ * @param {boolean} options.settings - Export admin, public UI and notification settings
  * @param {boolean} options.favicons - Export favicons
- * @returns {Promise<Object>} Exported data
+ * @param {boolean} options.redact - Replace passwords, tokens (including probe tokens), webhook URLs and action commands with a placeholder
+ * @param {string} options.passphrase - Encrypt the export with this passphrase
+ * @returns {Promise<Object>} Exported data, or the encrypted export (see encryptBackup) with a passphrase
  */
 async function exportData(options = {}) {
   const prisma = getPrisma();
@@ -36,77 +215,38 @@ async function exportData(options = {}) {
     options.favicons = true;
   }
 
-  // Export monitors (targets)
-  if (options.monitors) {
-    const targets = await prisma.target.findMany();
-    // Map id to _id for compatibility
-    exportResult.data.targets = targets.map(target => ({
-      ...target,
-      _id: target.id,
-    }));
-  }
-
-  // Export incidents
-  if (options.incidents) {
-    const incidents = await prisma.incident.findMany();
-    exportResult.data.incidents = incidents.map(inc => ({ ...inc, _id: inc.id }));
+  for (const table of EXPORT_TABLES.filter(t => options[t.option])) {
+    const rows = await prisma[table.model].findMany();
+    exportResult.data[table.name] = rows.map(row => toExportRecord(table, row, options.redact));
   }
 
-  // Export posts
-  if (options.posts) {
-    const posts = await prisma.post.findMany();
-    exportResult.data.posts = posts.map(post => ({ ...post, _id: post.id }));
+  for (const settings of EXPORT_SETTINGS.filter(t => options[t.option])) {
+    const row = await prisma[settings.model].findUnique({ where: { id: 'settings' } });
+    exportResult.data[settings.name] = row ? toExportRecord(settings, row, options.redact) : null;
   }
 
-  // Export data points (ping results and statistics)
+  // Legacy format names for compatibility
   if (options.dataPoints) {
-    const pingResults = await prisma.pingResult.findMany();
-    const statistics = await prisma.statistic.findMany();
-
-    // Map id to _id for compatibility
-    exportResult.data.pingResults = pingResults.map(pr => ({ ...pr, _id: pr.id }));
-    exportResult.data.statistics = statistics.map(s => ({ ...s, _id: s.id }));
-
-    // Legacy format names for compatibility
     exportResult.data.ping_results = exportResult.data.pingResults;
     exportResult.data.daily_stats = exportResult.data.statistics;
   }
 
-  // Export actions
-  if (options.actions) {
-    const actions = await prisma.action.findMany();
-    exportResult.data.actions = actions.map(a => ({ ...a, _id: a.id }));
-  }
-
-  // Export alerts
-  if (options.alerts) {
-    const alerts = await prisma.alert.findMany();
-    exportResult.data.alerts = alerts.map(a => ({ ...a, _id: a.id }));
+  if (options.redact) {
+    exportResult.redacted = true;
   }
 
-  // Export settings
-  if (options.settings) {
-    const adminSettings = await prisma.adminSettings.findUnique({ where: { id: 'settings' } });
-    const publicUISettings = await prisma.publicUISettings.findUnique({ where: { id: 'settings' } });
-    exportResult.data.adminSettings = adminSettings ? { ...adminSettings, _id: adminSettings.id } : null;
-    exportResult.data.publicUISettings = publicUISettings ? { ...publicUISettings, _id: publicUISettings.id } : null;
-  }
-
-  // Export favicons
-  if (options.favicons) {
-    const favicons = await prisma.favicon.findMany();
-    exportResult.data.favicons = favicons.map(f => ({ ...f, _id: f.id }));
-  }
-
-  return exportResult;
+  return options.passphrase ? encryptBackup(exportResult, options.passphrase) : exportResult;
 }
 
 /**
  * Import data into the database
  * @param {Object} importData - Data to import
+ * Secrets redacted in the export keep their existing values. Records are imported one by one;
+ * failed ones are listed in `errors` without stopping the import.
  * @param {Object} options - Import options
  * @param {boolean} options.overwrite - Overwrite existing data
- * @returns {Promise<Object>} Import result
+ * @param {string} options.passphrase - Passphrase of an encrypted export
+ * @returns {Promise<Object>} {imported: {[table]: {imported, updated, skipped, failed}}, errors: [{type, id, error}]}
  */
 async function importData(importDataObj, options = {}) {
   const prisma = getPrisma();
@@ -116,271 +256,148 @@ async function importData(importDataObj, options = {}) {
   };
 
   try {
+    if (isEncryptedBackup(importDataObj)) {
+      importDataObj = await decryptBackup(importDataObj, options.passphrase);
+    }
+
     // Validate import data structure
     if (!importDataObj.data || typeof importDataObj.data !== 'object') {
       throw new Error('Invalid import data format');
     }
 
+    const data = importDataObj.data;
+    const list = (records) => (Array.isArray(records) ? records : null);
+
+    // Tables are imported in foreign key order: targets and probes before the rows that refer to them
+
     // Import targets (monitors)
-    if (importDataObj.data.targets && Array.isArray(importDataObj.data.targets)) {
-      try {
-        let imported = 0;
-        let updated = 0;
-        let skipped = 0;
-        for (const target of importDataObj.data.targets) {
-          try {
-            const targetId = target.id || target._id;
-            // Check if target exists by id
-            const existingById = await prisma.target.findUnique({ where: { id: targetId } });
-            if (existingById) {
-              if (options.overwrite) {
-                const { id, _id, ...updateData } = target;
-                await prisma.target.update({
-                  where: { id: targetId },
-                  data: updateData,
-                });
-                updated++;
-              } else {
-                skipped++;
-              }
-            } else {
-              // Check if target with same name exists (UNIQUE constraint on name)
-              const existingByName = await prisma.target.findUnique({ where: { name: target.name } });
-              if (existingByName) {
-                if (options.overwrite) {
-                  const { id, _id, ...updateData } = target;
-                  await prisma.target.update({
-                    where: { id: existingByName.id },
-                    data: updateData,
-                  });
-                  updated++;
-                } else {
-                  skipped++;
-                }
-              } else {
-                const { _id, ...insertData } = target;
-                await prisma.target.create({
-                  data: {
-                    id: targetId,
-                    ...insertData,
-                  },
-                });
-                imported++;
-              }
-            }
-          } catch (error) {
-            // Handle individual target errors (e.g., UNIQUE constraint)
-            if (error.code === 'P2002') {
-              skipped++;
-            } else {
-              throw error;
-            }
-          }
+    if (list(data.targets)) {
+      await importRecords(results, 'targets', data.targets, async (target) => {
+        const targetId = target.id || target._id;
+        // Check if target exists by id, then by name (UNIQUE constraint on name)
+        const existing = await prisma.target.findUnique({ where: { id: targetId } })
+          || await prisma.target.findUnique({ where: { name: target.name } });
+        if (existing) {
+          if (!options.overwrite) return 'skipped';
+          const { id, _id, ...updateData } = keepTargetSecrets(target, existing);
+          await prisma.target.update({ where: { id: existing.id }, data: updateData });
+          return 'updated';
         }
-        results.imported.targets = { imported, updated, skipped };
-      } catch (error) {
-        results.errors.push({ type: 'targets', error: error.message });
-      }
+        const { _id, ...insertData } = keepTargetSecrets(target, null);
+        await prisma.target.create({ data: { id: targetId, ...insertData } });
+        return 'imported';
+      });
+    }
+
+    if (list(data.probes)) {
+      await importRecords(results, 'probes', data.probes, probe => importById(prisma, 'probe', probe, {
+        update: options.overwrite,
+        prepare: keepProbeSecrets,
+      }));
+    }
+
+    if (list(data.monitorStates)) {
+      await importRecords(results, 'monitorStates', data.monitorStates, state => importById(prisma, 'monitorState', state, {
+        update: options.overwrite,
+        key: 'targetId',
+      }));
     }
 
     // Import incidents
-    if (importDataObj.data.incidents && Array.isArray(importDataObj.data.incidents)) {
-      try {
-        let imported = 0;
-        let updated = 0;
-        for (const incident of importDataObj.data.incidents) {
-          const incidentId = incident.id || incident._id;
-          const existing = await prisma.incident.findUnique({ where: { id: incidentId } });
-          if (existing) {
-            if (options.overwrite) {
-              const { id, _id, ...updateData } = incident;
-              await prisma.incident.update({ where: { id: incidentId }, data: updateData });
-              updated++;
-            }
-          } else {
-            const { _id, ...insertData } = incident;
-            await prisma.incident.create({ data: { id: incidentId, ...insertData } });
-            imported++;
-          }
-        }
-        results.imported.incidents = { imported, updated };
-      } catch (error) {
-        results.errors.push({ type: 'incidents', error: error.message });
-      }
+    if (list(data.incidents)) {
+      await importRecords(results, 'incidents', data.incidents, incident => importById(prisma, 'incident', incident, { update: options.overwrite }));
+    }
+
+    if (list(data.eventRules)) {
+      await importRecords(results, 'eventRules', data.eventRules, rule => importById(prisma, 'eventRule', rule, { update: options.overwrite }));
     }
 
     // Import posts
-    if (importDataObj.data.posts && Array.isArray(importDataObj.data.posts)) {
-      try {
-        let imported = 0;
-        let updated = 0;
-        for (const post of importDataObj.data.posts) {
-          const postId = post.id || post._id;
-          const existing = await prisma.post.findUnique({ where: { id: postId } });
-          if (existing) {
-            if (options.overwrite) {
-              const { id, _id, ...updateData } = post;
-              await prisma.post.update({ where: { id: postId }, data: updateData });
-              updated++;
-            }
-          } else {
-            const { _id, ...insertData } = post;
-            await prisma.post.create({ data: { id: postId, ...insertData } });
-            imported++;
-          }
-        }
-        results.imported.posts = { imported, updated };
-      } catch (error) {
-        results.errors.push({ type: 'posts', error: error.message });
-      }
+    if (list(data.posts)) {
+      await importRecords(results, 'posts', data.posts, post => importById(prisma, 'post', post, { update: options.overwrite }));
     }
 
     // Import data points
-    if (importDataObj.data.pingResults && Array.isArray(importDataObj.data.pingResults)) {
-      try {
-        let imported = 0;
-        for (const pingResult of importDataObj.data.pingResults) {
-          const pingResultId = pingResult.id || pingResult._id;
-          const existing = await prisma.pingResult.findUnique({ where: { id: pingResultId } });
-          if (!existing) {
-            const { _id, ...insertData } = pingResult;
-            await prisma.pingResult.create({ data: { id: pingResultId, ...insertData } });
-            imported++;
-          }
-        }
-        results.imported.pingResults = { imported };
-      } catch (error) {
-        results.errors.push({ type: 'pingResults', error: error.message });
-      }
+    if (list(data.pingResults)) {
+      // Results of probes that are neither in the export nor in the database are kept as local results
+      const probeIds = new Set((await prisma.probe.findMany({ select: { id: true } })).map(probe => probe.id));
+      await importRecords(results, 'pingResults', data.pingResults, pingResult => importById(prisma, 'pingResult', pingResult, {
+        prepare: record => (record.probeId && !probeIds.has(record.probeId) ? { ...record, probeId: null } : record),
+      }));
     }
 
-    if (importDataObj.data.statistics && Array.isArray(importDataObj.data.statistics)) {
-      try {
-        let imported = 0;
-        for (const stat of importDataObj.data.statistics) {
-          const statId = stat.id || stat._id;
-          const existing = await prisma.statistic.findUnique({ where: { id: statId } });
-          if (!existing) {
-            const { _id, ...insertData } = stat;
-            await prisma.statistic.create({ data: { id: statId, ...insertData } });
-            imported++;
-          }
-        }
-        results.imported.statistics = { imported };
-      } catch (error) {
-        results.errors.push({ type: 'statistics', error: error.message });
-      }
+    if (list(data.statistics)) {
+      await importRecords(results, 'statistics', data.statistics, stat => importById(prisma, 'statistic', stat));
     }
 
     // Import ping_results (legacy format) - convert to pingResults
-    if (importDataObj.data.ping_results && Array.isArray(importDataObj.data.ping_results)) {
-      try {
-        let imported = 0;
-        for (const pingResult of importDataObj.data.ping_results) {
-          try {
-            await prisma.pingResult.create({
-              data: {
-                targetId: pingResult.targetId,
-                success: pingResult.success === 1 || pingResult.success === true,
-                responseTime: pingResult.responseTime || null,
-                timestamp: pingResult.timestamp ? new Date(pingResult.timestamp) : new Date(),
-                statusCode: pingResult.statusCode || null,
-                error: pingResult.error || null,
-                protocol: pingResult.protocol || null,
-              },
-            });
-            imported++;
-          } catch (error) {
-            // Skip duplicates
-          }
-        }
-        results.imported.ping_results = { imported };
-      } catch (error) {
-        results.errors.push({ type: 'ping_results', error: error.message });
-      }
+    // Current exports carry both names for the same rows, only old exports are imported from here
+    if (list(data.ping_results) && !data.pingResults) {
+      await importRecords(results, 'ping_results', data.ping_results, async (pingResult) => {
+        await prisma.pingResult.create({
+          data: {
+            targetId: pingResult.targetId,
+            success: pingResult.success === 1 || pingResult.success === true,
+            responseTime: pingResult.responseTime || null,
+            timestamp: pingResult.timestamp ? new Date(pingResult.timestamp) : new Date(),
+            statusCode: pingResult.statusCode || null,
+            error: pingResult.error || null,
+            protocol: pingResult.protocol || null,
+          },
+        });
+        return 'imported';
+      });
     }
 
     // Import daily_stats (legacy format) - convert to statistics
-    if (importDataObj.data.daily_stats && Array.isArray(importDataObj.data.daily_stats)) {
-      try {
-        let imported = 0;
-        for (const stat of importDataObj.data.daily_stats) {
-          try {
-            await prisma.statistic.create({
-              data: {
-                targetId: stat.targetId,
-                date: stat.date ? new Date(stat.date) : new Date(),
-                totalPings: stat.totalPings || 0,
-                successfulPings: stat.successfulPings || 0,
-                failedPings: (stat.totalPings || 0) - (stat.successfulPings || 0),
-                uptime: stat.totalPings > 0 ? (stat.successfulPings / stat.totalPings) * 100 : 0,
-                lastResponseTime: 0,
-                avgResponseTime: stat.avgResponseTime || 0,
-                minResponseTime: stat.minResponseTime || null,
-                maxResponseTime: stat.maxResponseTime || null,
-              },
-            });
-            imported++;
-          } catch (error) {
-            // Skip duplicates
-          }
-        }
-        results.imported.daily_stats = { imported };
-      } catch (error) {
-        results.errors.push({ type: 'daily_stats', error: error.message });
+    if (list(data.daily_stats) && !data.statistics) {
+      await importRecords(results, 'daily_stats', data.daily_stats, async (stat) => {
+        await prisma.statistic.create({
+          data: {
+            targetId: stat.targetId,
+            date: stat.date ? new Date(stat.date) : new Date(),
+            totalPings: stat.totalPings || 0,
+            successfulPings: stat.successfulPings || 0,
+            failedPings: (stat.totalPings || 0) - (stat.successfulPings || 0),
+            uptime: stat.totalPings > 0 ? (stat.successfulPings / stat.totalPings) * 100 : 0,
+            lastResponseTime: 0,
+            avgResponseTime: stat.avgResponseTime || 0,
+            minResponseTime: stat.minResponseTime || null,
+            maxResponseTime: stat.maxResponseTime || null,
+          },
+        });
+        return 'imported';
+      });
+    }
+
+    for (const tier of ROLLUP_TIERS) {
+      if (list(data[tier.table])) {
+        await importRecords(results, tier.table, data[tier.table], row => importById(prisma, tier.model, row));
       }
     }
 
+    if (list(data.outages)) {
+      await importRecords(results, 'outages', data.outages, outage => importById(prisma, 'outage', outage, { update: options.overwrite }));
+    }
+
     // Import actions
-    if (importDataObj.data.actions && Array.isArray(importDataObj.data.actions)) {
-      try {
-        let imported = 0;
-        let updated = 0;
-        for (const action of importDataObj.data.actions) {
-          const actionId = action.id || action._id;
-          const existing = await prisma.action.findUnique({ where: { id: actionId } });
-          if (existing) {
-            if (options.overwrite) {
-              const { id, _id, ...updateData } = action;
-              await prisma.action.update({ where: { id: actionId }, data: updateData });
-              updated++;
-            }
-          } else {
-            const { _id, ...insertData } = action;
-            await prisma.action.create({ data: { id: actionId, ...insertData } });
-            imported++;
-          }
-        }
-        results.imported.actions = { imported, updated };
-      } catch (error) {
-        results.errors.push({ type: 'actions', error: error.message });
-      }
+    if (list(data.actions)) {
+      await importRecords(results, 'actions', data.actions, action => importById(prisma, 'action', action, {
+        update: options.overwrite,
+        prepare: (record, existing) => keepRedactedFields(record, existing, ACTION_SECRETS),
+      }));
     }
 
     // Import alerts
-    if (importDataObj.data.alerts && Array.isArray(importDataObj.data.alerts)) {
-      try {
-        let imported = 0;
-        for (const alert of importDataObj.data.alerts) {
-          const alertId = alert.id || alert._id;
-          const existing = await prisma.alert.findUnique({ where: { id: alertId } });
-          if (!existing) {
-            const { _id, ...insertData } = alert;
-            await prisma.alert.create({ data: { id: alertId, ...insertData } });
-            imported++;
-          }
-        }
-        results.imported.alerts = { imported };
-      } catch (error) {
-        results.errors.push({ type: 'alerts', error: error.message });
-      }
+    if (list(data.alerts)) {
+      await importRecords(results, 'alerts', data.alerts, alert => importById(prisma, 'alert', alert));
     }
 
     // Import settings
-    if (importDataObj.data.adminSettings) {
+    if (data.adminSettings) {
       try {
         const existing = await prisma.adminSettings.findUnique({ where: { id: 'settings' } });
-        const { id, _id, ...settingsData } = importDataObj.data.adminSettings;
+        const { id, _id, ...settingsData } = data.adminSettings;
         if (existing) {
           if (options.overwrite) {
             await prisma.adminSettings.update({ where: { id: 'settings' }, data: settingsData });
@@ -395,10 +412,10 @@ async function importData(importDataObj, options = {}) {
       }
     }
 
-    if (importDataObj.data.publicUISettings) {
+    if (data.publicUISettings) {
       try {
         const existing = await prisma.publicUISettings.findUnique({ where: { id: 'settings' } });
-        const { id, _id, ...settingsData } = importDataObj.data.publicUISettings;
+        const { id, _id, ...settingsData } = data.publicUISettings;
         if (existing) {
           if (options.overwrite) {
             await prisma.publicUISettings.update({ where: { id: 'settings' }, data: settingsData });
@@ -413,39 +430,252 @@ async function importData(importDataObj, options = {}) {
       }
     }
 
-    // Import favicons
-    if (importDataObj.data.favicons && Array.isArray(importDataObj.data.favicons)) {
+    if (data.notificationSettings) {
       try {
-        let imported = 0;
-        let updated = 0;
-        for (const favicon of importDataObj.data.favicons) {
-          const faviconId = favicon.id || favicon._id;
-          const existing = await prisma.favicon.findUnique({ where: { id: faviconId } });
-          if (existing) {
-            if (options.overwrite) {
-              const { id, _id, ...updateData } = favicon;
-              await prisma.favicon.update({ where: { id: faviconId }, data: updateData });
-              updated++;
-            }
-          } else {
-            const { _id, ...insertData } = favicon;
-            await prisma.favicon.create({ data: { id: faviconId, ...insertData } });
-            imported++;
+        const existing = await prisma.notificationSettings.findUnique({ where: { id: 'settings' } });
+        const { id, _id, ...settingsData } = keepRedactedFields(data.notificationSettings, existing, getNotificationSecrets());
+        if (existing) {
+          if (options.overwrite) {
+            await prisma.notificationSettings.update({ where: { id: 'settings' }, data: settingsData });
+            results.imported.notificationSettings = { updated: 1 };
           }
+        } else {
+          await prisma.notificationSettings.create({ data: { id: 'settings', ...settingsData } });
+          results.imported.notificationSettings = { imported: 1 };
         }
-        results.imported.favicons = { imported, updated };
+        notificationService.invalidateCache();
       } catch (error) {
-        results.errors.push({ type: 'favicons', error: error.message });
+        results.errors.push({ type: 'notificationSettings', error: error.message });
       }
     }
 
+    // Import favicons
+    if (list(data.favicons)) {
+      await importRecords(results, 'favicons', data.favicons, favicon => importById(prisma, 'favicon', favicon, { update: options.overwrite }));
+    }
+
     return results;
   } catch (error) {
     throw new Error(`Import failed: ${error.message}`);
   }
 }
 
+/**
+ * Backup settings saved in the admin settings, over the defaults
+ */
+async function getBackupSettings() {
+  const prisma = getPrisma();
+  const settings = await prisma.adminSettings.findUnique({ where: { id: 'settings' } });
+  return resolveBackupSettings(settings?.backupSettings);
+}
+
+/**
+ * Backup files in the backup directory, newest first
+ * @returns {Promise<Array>} [{name, size, createdAt, compressed, encrypted}]
+ */
+async function listBackups(settings) {
+  settings = settings || await getBackupSettings();
+  const directory = path.resolve(settings.directory);
+
+  let files;
+  try {
+    files = await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const backups = [];
+  for (const name of files) {
+    const match = name.match(BACKUP_FILE_PATTERN);
+    if (!match) continue;
+    const stat = await fs.promises.stat(path.join(directory, name));
+    backups.push({
+      name,
+      size: stat.size,
+      createdAt: new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}Z`),
+      compressed: !!match[5],
+      encrypted: !!match[6],
+    });
+  }
+  return backups.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Path of a backup file; null for names that are not backup files, e.g. ../../etc/passwd
+ */
+async function getBackupPath(name, settings) {
+  if (!BACKUP_FILE_PATTERN.test(name || '')) {
+    return null;
+  }
+  settings = settings || await getBackupSettings();
+  return path.join(path.resolve(settings.directory), name);
+}
+
+/**
+ * Write a full export to a new file in the backup directory
+ * The export is streamed table by table through compression and encryption (see
+ * createEncryptStream), so large tables are never held in memory at once.
+ * @returns {Promise<Object>} {name, size, createdAt, compressed, encrypted}
+ */
+async function createBackup(settings) {
+  settings = settings || await getBackupSettings();
+  const directory = path.resolve(settings.directory);
+  const passphrase = settings.encrypt ? process.env.BACKUP_PASSPHRASE : null;
+  if (settings.encrypt && !passphrase) {
+    throw new Error('Encrypted backups need a passphrase in the BACKUP_PASSPHRASE environment variable');
+  }
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const createdAt = new Date();
+  createdAt.setMilliseconds(0);
+  const name = `localping-backup-${createdAt.toISOString().replace(/:/g, '-').replace('.000', '')}.json${settings.compress ? '.gz' : ''}${settings.encrypt ? '.enc' : ''}`;
+  const file = path.join(directory, name);
+  if (fs.existsSync(file)) {
+    throw new Error(`Backup ${name} already exists`);
+  }
+
+  const streams = [Readable.from(streamFullExport(getPrisma()))];
+  if (settings.compress) {
+    streams.push(zlib.createGzip());
+  }
+  if (settings.encrypt) {
+    streams.push(await createEncryptStream(passphrase, { compress: settings.compress }));
+  }
+
+  // Written under a temporary name, so an interrupted backup never looks like a complete one
+  try {
+    await pipeline(...streams, fs.createWriteStream(`${file}.tmp`));
+  } catch (error) {
+    await fs.promises.rm(`${file}.tmp`, { force: true });
+    throw error;
+  }
+  await fs.promises.rename(`${file}.tmp`, file);
+
+  const { size } = await fs.promises.stat(file);
+  return { name, size, createdAt, compressed: settings.compress, encrypted: settings.encrypt };
+}
+
+/**
+ * Parsed content of a backup file; encrypted backups are returned encrypted
+ */
+async function readBackup(name) {
+  const file = await getBackupPath(name);
+  if (!file) {
+    throw new Error('Invalid backup file name');
+  }
+  const content = await fs.promises.readFile(file);
+  if (name.endsWith('.enc')) {
+    return parseEncryptedBackup(content);
+  }
+  return JSON.parse((name.endsWith('.gz') ? await gunzip(content) : content).toString('utf8'));
+}
+
+/**
+ * Import a backup file
+ * @param {Object} options - {overwrite, passphrase}, see importData; encrypted backups default to BACKUP_PASSPHRASE
+ */
+async function restoreBackup(name, options = {}) {
+  return importData(await readBackup(name), { ...options, passphrase: options.passphrase || process.env.BACKUP_PASSPHRASE });
+}
+
+async function deleteBackup(name) {
+  const file = await getBackupPath(name);
+  if (!file) {
+    throw new Error('Invalid backup file name');
+  }
+  await fs.promises.unlink(file);
+}
+
+/**
+ * Delete the backups the rotation settings do not keep
+ * @returns {Promise<string[]>} Names of the deleted backups
+ */
+async function rotateBackups(settings) {
+  settings = settings || await getBackupSettings();
+  const backups = await listBackups(settings);
+  const keep = selectBackupsToKeep(backups, settings);
+
+  const deleted = [];
+  for (const backup of backups.filter(b => !keep.has(b.name))) {
+    await fs.promises.unlink(path.join(path.resolve(settings.directory), backup.name));
+    deleted.push(backup.name);
+  }
+  return deleted;
+}
+
+/**
+ * (Re)start the backup schedule from the saved settings; call after changing them
+ * @returns {Promise<Date|null>} Time of the next backup, null when scheduled backups are off
+ */
+async function scheduleBackups() {
+  clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+  schedule = null;
+
+  const settings = await getBackupSettings();
+  const nextBackupAt = settings.enabled ? getNextRun(settings.schedule) : null;
+  if (!nextBackupAt) {
+    return null;
+  }
+
+  schedule = { settings, nextBackupAt };
+  armBackupTimer();
+  console.log(chalk.cyan(`⏲ Next backup at ${nextBackupAt.toLocaleString()}`));
+  return nextBackupAt;
+}
+
+function armBackupTimer() {
+  const delay = Math.min(Math.max(schedule.nextBackupAt - Date.now(), 0), MAX_TIMER_DELAY);
+  scheduleTimer = setTimeout(runDueBackup, delay);
+  scheduleTimer.unref?.();
+}
+
+async function runDueBackup() {
+  scheduleTimer = null;
+  const current = schedule;
+  if (!current) return;
+
+  if (Date.now() >= current.nextBackupAt.getTime()) {
+    try {
+      const backup = await createBackup(current.settings);
+      const deleted = await rotateBackups(current.settings);
+      lastScheduledBackup = { at: new Date(), name: backup.name, deleted: deleted.length, error: null };
+      console.log(chalk.green(`✓ Backup written to ${backup.name}${deleted.length > 0 ? `, ${deleted.length} old backups deleted` : ''}`));
+    } catch (error) {
+      lastScheduledBackup = { at: new Date(), name: null, deleted: 0, error: error.message };
+      console.error(chalk.red('✗ Scheduled backup failed:'), error.message);
+    }
+    current.nextBackupAt = getNextRun(current.settings.schedule);
+  }
+
+  // Settings changed while the backup ran
+  if (schedule !== current || !current.nextBackupAt) return;
+  armBackupTimer();
+}
+
+/**
+ * State of the backup schedule
+ * @returns {Object} {nextBackupAt, lastBackup: {at, name, deleted, error}}
+ */
+function getBackupSchedule() {
+  return {
+    nextBackupAt: schedule ? schedule.nextBackupAt : null,
+    lastBackup: lastScheduledBackup,
+  };
+}
+
 module.exports = {
   exportData,
   importData,
+  getBackupSettings,
+  listBackups,
+  getBackupPath,
+  createBackup,
+  readBackup,
+  restoreBackup,
+  deleteBackup,
+  rotateBackups,
+  scheduleBackups,
+  getBackupSchedule,
 };
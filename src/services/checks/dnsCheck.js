@@ -0,0 +1,115 @@
+const { Resolver } = require('dns').promises;
+const { isIP } = require('net');
+
+const SUPPORTED_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV'];
+
+/**
+ * Normalize a DNS answer to a comparable string
+ * MX answers become "<priority> <exchange>", SRV answers "<priority> <weight> <port> <name>"
+ * and TXT chunks are joined together
+ */
+function formatAnswer(recordType, answer) {
+  switch (recordType) {
+    case 'MX':
+      return `${answer.priority} ${answer.exchange}`;
+    case 'SRV':
+      return `${answer.priority} ${answer.weight} ${answer.port} ${answer.name}`;
+    case 'TXT':
+      return Array.isArray(answer) ? answer.join('') : String(answer);
+    default:
+      return String(answer);
+  }
+}
+
+/**
+ * Compare a normalized answer with the expected value
+ * Hostnames are compared case-insensitively and without a trailing dot.
+ * For MX and SRV records the expected value may also be just the target host.
+ */
+function answerMatches(recordType, answer, formatted, expected) {
+  const normalize = (value) => String(value).trim().toLowerCase().replace(/\.$/, '');
+  const wanted = normalize(expected);
+
+  if (normalize(formatted) === wanted) return true;
+  if (recordType === 'MX' && normalize(answer.exchange) === wanted) return true;
+  if (recordType === 'SRV' && normalize(answer.name) === wanted) return true;
+  return false;
+}
+
+/**
+ * Whether a resolver is an IP address; IPv6 addresses may be in brackets
+ */
+function isValidResolver(resolver) {
+  return typeof resolver === 'string' && isIP(resolver.trim().replace(/^\[(.*)\]$/, '$1')) !== 0;
+}
+
+/**
+ * Resolve a record against a specific resolver and optionally assert on the answer
+ * @param {string} host - Name to resolve
+ * @param {Object} options - {recordType, resolver, port, expected, timeout (ms)}
+ * @returns {Promise<Object>} Result {success, answers, error}
+ */
+async function checkDNS(host, options = {}) {
+  const recordType = (options.recordType || 'A').toUpperCase();
+
+  if (!SUPPORTED_RECORD_TYPES.includes(recordType)) {
+    return {
+      success: false,
+      error: 'Unsupported DNS record type: ' + recordType,
+      protocol: 'DNS',
+    };
+  }
+
+  try {
+    const resolver = new Resolver({ timeout: options.timeout || 5000, tries: 1 });
+    if (options.resolver) {
+      const server = options.resolver.includes(':') && !options.resolver.startsWith('[')
+        ? `[${options.resolver}]` // bare IPv6 address
+        : options.resolver;
+      resolver.setServers([`${server}:${options.port || 53}`]);
+    }
+
+    const rawAnswers = await resolver.resolve(host, recordType);
+    const answers = rawAnswers.map(answer => formatAnswer(recordType, answer));
+
+    if (answers.length === 0) {
+      return {
+        success: false,
+        answers,
+        error: `No ${recordType} records returned for ${host}`,
+        protocol: 'DNS',
+      };
+    }
+
+    if (options.expected) {
+      const matched = rawAnswers.some((answer, i) => answerMatches(recordType, answer, answers[i], options.expected));
+      if (!matched) {
+        return {
+          success: false,
+          answers,
+          error: `DNS answer mismatch: expected "${options.expected}", got "${answers.join(', ')}"`,
+          protocol: 'DNS',
+        };
+      }
+    }
+
+    return {
+      success: true,
+      answers,
+      protocol: 'DNS',
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `DNS ${recordType} lookup failed: ${error.code || error.message}`,
+      protocol: 'DNS',
+    };
+  }
+}
+
+module.exports = {
+  SUPPORTED_RECORD_TYPES,
+  isValidResolver,
+  checkDNS,
+  formatAnswer,
+};
@@ -0,0 +1,254 @@
+const ASSERTION_TYPES = ['contains', 'notContains', 'regex', 'jsonPath'];
+const JSON_PATH_OPERATORS = ['==', '!=', '>=', '<=', '>', '<'];
+
+/**
+ * Parse assertions stored on a target (Prisma returns JSON, legacy rows may hold a string)
+ */
+function parseAssertions(assertions) {
+  if (!assertions) return [];
+  if (typeof assertions === 'string') {
+    try {
+      assertions = JSON.parse(assertions);
+    } catch (e) {
+      return [];
+    }
+  }
+  return Array.isArray(assertions) ? assertions.filter(a => a && a.type) : [];
+}
+
+/**
+ * Split a JSON path into property/index segments
+ * Supports "$.a.b", "$.items[0].name" and "$['key with spaces']"
+ */
+function tokenizeJsonPath(path) {
+  const trimmed = String(path).trim();
+  if (!trimmed.startsWith('$')) {
+    throw new Error(`JSON path must start with "$": ${path}`);
+  }
+
+  const segments = [];
+  const pattern = /\.([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+  const rest = trimmed.slice(1);
+  let match;
+  let consumed = 0;
+
+  while ((match = pattern.exec(rest)) !== null) {
+    if (match.index !== consumed) break;
+    consumed = pattern.lastIndex;
+    if (match[1] !== undefined) segments.push(match[1]);
+    else if (match[2] !== undefined) segments.push(parseInt(match[2], 10));
+    else segments.push(match[3]);
+  }
+
+  if (consumed !== rest.length) {
+    throw new Error(`Invalid JSON path: ${path}`);
+  }
+
+  return segments;
+}
+
+/**
+ * Resolve a JSON path against a parsed object
+ * @returns {{found: boolean, value: *}}
+ */
+function resolveJsonPath(data, path) {
+  let current = data;
+  for (const segment of tokenizeJsonPath(path)) {
+    if (current === null || current === undefined || typeof current !== 'object' || !(segment in current)) {
+      return { found: false, value: undefined };
+    }
+    current = current[segment];
+  }
+  return { found: true, value: current };
+}
+
+/**
+ * Split an expression like `$.status == "ok"` into path, operator and expected value
+ */
+function parseJsonPathExpression(expression) {
+  for (const operator of JSON_PATH_OPERATORS) {
+    const index = expression.indexOf(` ${operator} `);
+    if (index !== -1) {
+      return {
+        path: expression.slice(0, index).trim(),
+        operator,
+        expected: expression.slice(index + operator.length + 2).trim(),
+      };
+    }
+  }
+  return { path: expression.trim(), operator: null, expected: undefined };
+}
+
+/**
+ * Turn an expected value from the UI into a comparable JS value
+ * Quoted strings stay strings, everything else is parsed as JSON when possible (numbers, booleans, null)
+ */
+function parseExpectedValue(expected) {
+  if (typeof expected !== 'string') return expected;
+  const trimmed = expected.trim();
+  if (/^(['"]).*\1$/.test(trimmed)) return trimmed.slice(1, -1);
+  try {
+    return JSON.parse(trimmed);
+  } catch (e) {
+    return trimmed;
+  }
+}
+
+function compareValues(actual, operator, expected) {
+  switch (operator) {
+    case '==':
+      return typeof actual === 'object' ? JSON.stringify(actual) === JSON.stringify(expected) : String(actual) === String(expected);
+    case '!=':
+      return typeof actual === 'object' ? JSON.stringify(actual) !== JSON.stringify(expected) : String(actual) !== String(expected);
+    case '>':
+      return Number(actual) > Number(expected);
+    case '>=':
+      return Number(actual) >= Number(expected);
+    case '<':
+      return Number(actual) < Number(expected);
+    case '<=':
+      return Number(actual) <= Number(expected);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a single JSON path assertion
+ * Accepts either {path, operator, expected} or an expression in `value`, e.g. `$.status == "ok"`
+ */
+function evaluateJsonPath(body, assertion) {
+  let { path, operator, expected } = assertion;
+  if (!path && assertion.value) {
+    ({ path, operator, expected } = parseJsonPathExpression(assertion.value));
+  }
+  operator = operator || (expected !== undefined && expected !== null && expected !== '' ? '==' : null);
+
+  let data = body;
+  if (typeof body === 'string') {
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      return 'Response body is not valid JSON';
+    }
+  }
+
+  let resolved;
+  try {
+    resolved = resolveJsonPath(data, path);
+  } catch (e) {
+    return e.message;
+  }
+
+  if (!resolved.found) {
+    return `JSON path ${path} not found in response`;
+  }
+
+  // Without an operator the assertion only checks that the path exists
+  if (!operator) return null;
+
+  const expectedValue = parseExpectedValue(expected);
+  if (!compareValues(resolved.value, operator, expectedValue)) {
+    return `JSON path ${path} is ${JSON.stringify(resolved.value)}, expected ${operator} ${JSON.stringify(expectedValue)}`;
+  }
+  return null;
+}
+
+/**
+ * Evaluate all content assertions against a response body
+ * @param {string|Object} body - Response body
+ * @param {Array|string} assertions - Assertions [{type, value, path, operator, expected, caseSensitive}]
+ * @returns {string|null} Reason of the first failed assertion, or null when all pass
+ */
+function evaluateAssertions(body, assertions) {
+  const list = parseAssertions(assertions);
+  if (list.length === 0) return null;
+
+  const text = typeof body === 'string' ? body : JSON.stringify(body ?? '');
+
+  for (const assertion of list) {
+    switch (assertion.type) {
+      case 'contains':
+      case 'notContains': {
+        const keyword = String(assertion.value ?? '');
+        const haystack = assertion.caseSensitive ? text : text.toLowerCase();
+        const needle = assertion.caseSensitive ? keyword : keyword.toLowerCase();
+        const found = haystack.includes(needle);
+        if (assertion.type === 'contains' && !found) {
+          return `Keyword "${keyword}" not found in response`;
+        }
+        if (assertion.type === 'notContains' && found) {
+          return `Keyword "${keyword}" found in response`;
+        }
+        break;
+      }
+      case 'regex': {
+        let regex;
+        try {
+          regex = new RegExp(assertion.value, assertion.caseSensitive ? '' : 'i');
+        } catch (e) {
+          return `Invalid regex /${assertion.value}/: ${e.message}`;
+        }
+        if (!regex.test(text)) {
+          return `Response does not match /${assertion.value}/`;
+        }
+        break;
+      }
+      case 'jsonPath': {
+        const failure = evaluateJsonPath(body, assertion);
+        if (failure) return failure;
+        break;
+      }
+      default:
+        return `Unknown assertion type: ${assertion.type}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate assertions submitted through the API
+ * @returns {string[]} Validation errors
+ */
+function validateAssertions(assertions) {
+  if (assertions === null || assertions === undefined) return [];
+  if (!Array.isArray(assertions)) return ['Assertions must be an array'];
+
+  const errors = [];
+  assertions.forEach((assertion, i) => {
+    if (!assertion || !ASSERTION_TYPES.includes(assertion.type)) {
+      errors.push(`Assertion ${i + 1}: type must be one of: ${ASSERTION_TYPES.join(', ')}`);
+      return;
+    }
+    if (assertion.type === 'jsonPath') {
+      const path = assertion.path || (assertion.value && parseJsonPathExpression(assertion.value).path);
+      try {
+        tokenizeJsonPath(path || '');
+      } catch (e) {
+        errors.push(`Assertion ${i + 1}: ${e.message}`);
+      }
+      return;
+    }
+    if (typeof assertion.value !== 'string' || assertion.value.length === 0) {
+      errors.push(`Assertion ${i + 1}: value must be a non-empty string`);
+      return;
+    }
+    if (assertion.type === 'regex') {
+      try {
+        new RegExp(assertion.value);
+      } catch (e) {
+        errors.push(`Assertion ${i + 1}: invalid regex (${e.message})`);
+      }
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  ASSERTION_TYPES,
+  parseAssertions,
+  evaluateAssertions,
+  validateAssertions,
+  resolveJsonPath,
+};
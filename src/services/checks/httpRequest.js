@@ -0,0 +1,59 @@
+const { createCertificateAgent } = require('./tlsCertificate');
+
+/**
+ * Parse the auth settings of a target, stored as JSON or as a JSON string
+ */
+function parseAuth(auth) {
+  if (auth && typeof auth === 'string') {
+    try {
+      return JSON.parse(auth);
+    } catch (e) {
+      return null;
+    }
+  }
+  return auth || null;
+}
+
+/**
+ * Axios config for a request to a target: timeout, redirects, method, TLS and authentication
+ * Shared by the HTTP/HTTPS checks and checks that query an HTTP API (PromQL).
+ * @param {Object} target - {timeout (s), maxRedirects, httpMethod, ignoreSsl, auth}
+ * @returns {Object} {config, certificateAgent}; the agent records the peer certificate
+ */
+function createRequestConfig(target = {}) {
+  const config = {
+    timeout: (target.timeout || 30) * 1000,
+    validateStatus: () => true, // Don't throw on any status code
+    maxRedirects: target.maxRedirects !== undefined ? target.maxRedirects : 5,
+    method: (target.httpMethod || 'GET').toUpperCase(),
+  };
+
+  // Handle SSL/TLS options; the HTTPS agent also records the peer certificate
+  const ignoreSsl = target.ignoreSsl === true || target.ignoreSsl === 1;
+  const certificateAgent = createCertificateAgent({ rejectUnauthorized: !ignoreSsl });
+  config.httpsAgent = certificateAgent.agent;
+  if (ignoreSsl) {
+    config.httpAgent = require('http').Agent({ rejectUnauthorized: false });
+  }
+
+  const auth = parseAuth(target.auth);
+  if (auth) {
+    if (auth.type === 'basic') {
+      config.auth = {
+        username: auth.username,
+        password: auth.password,
+      };
+    } else if (auth.type === 'bearer') {
+      config.headers = {
+        'Authorization': `Bearer ${auth.token}`,
+      };
+    }
+  }
+
+  return { config, certificateAgent };
+}
+
+module.exports = {
+  parseAuth,
+  createRequestConfig,
+};
@@ -0,0 +1,110 @@
+const { execFile } = require('child_process');
+
+const MAX_PACKET_COUNT = 20;
+const PACKET_INTERVAL = 0.2; // seconds between packets, the lowest value allowed without root
+
+/**
+ * Build the system ping command for the current platform
+ * @returns {{file: string, args: string[]}}
+ */
+function buildPingCommand(host, count, timeout, platform = process.platform) {
+  if (platform === 'win32') {
+    return { file: 'ping', args: ['-n', String(count), '-w', String(timeout), host] };
+  }
+
+  const args = ['-c', String(count), '-W', String(Math.max(1, Math.ceil(timeout / 1000)))];
+  if (count > 1) {
+    args.push('-i', String(PACKET_INTERVAL));
+  }
+  args.push(host);
+  return { file: 'ping', args };
+}
+
+/**
+ * Parse the output of the system ping command (iputils, BSD/macOS, BusyBox and Windows)
+ * @returns {Object} {rtts, transmitted, received, packetLoss, avg, jitter}
+ */
+function parsePingOutput(output = '') {
+  const rtts = [];
+  const replyPattern = /time[=<]\s*([\d.]+)\s*ms/gi;
+  let match;
+  while ((match = replyPattern.exec(output)) !== null) {
+    rtts.push(parseFloat(match[1]));
+  }
+
+  let transmitted = null;
+  let received = null;
+  const unixSummary = output.match(/(\d+) packets transmitted, (\d+) (?:packets )?received/);
+  const windowsSummary = output.match(/Sent = (\d+), Received = (\d+)/);
+  if (unixSummary) {
+    transmitted = parseInt(unixSummary[1], 10);
+    received = parseInt(unixSummary[2], 10);
+  } else if (windowsSummary) {
+    transmitted = parseInt(windowsSummary[1], 10);
+    // "Destination host unreachable" replies count as received on Windows but carry no time
+    received = Math.min(parseInt(windowsSummary[2], 10), rtts.length);
+  }
+
+  const packetLoss = transmitted
+    ? Math.round(((transmitted - received) / transmitted) * 1000) / 10
+    : null;
+
+  const avg = rtts.length > 0
+    ? rtts.reduce((sum, rtt) => sum + rtt, 0) / rtts.length
+    : null;
+
+  // Jitter as the mean difference between consecutive round trips
+  let jitter = null;
+  if (rtts.length > 1) {
+    let totalDiff = 0;
+    for (let i = 1; i < rtts.length; i++) {
+      totalDiff += Math.abs(rtts[i] - rtts[i - 1]);
+    }
+    jitter = totalDiff / (rtts.length - 1);
+  }
+
+  return { rtts, transmitted, received, packetLoss, avg, jitter };
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+/**
+ * Send ICMP echo requests with the system ping command and report the measured round trip
+ * @param {string} host - Host to ping
+ * @param {Object} options - {count, timeout (ms per reply)}
+ * @returns {Promise<Object>} Result {success, responseTime, packetLoss, jitter, error}
+ */
+function checkICMP(host, options = {}) {
+  const count = Math.min(Math.max(parseInt(options.count, 10) || 1, 1), MAX_PACKET_COUNT);
+  const timeout = options.timeout || 5000;
+  const { file, args } = buildPingCommand(host, count, timeout);
+  const execTimeout = timeout + (count - 1) * PACKET_INTERVAL * 1000 + 1000;
+
+  return new Promise((resolve) => {
+    execFile(file, args, { timeout: execTimeout }, (error, stdout = '') => {
+      const stats = parsePingOutput(String(stdout));
+      const result = {
+        success: stats.rtts.length > 0,
+        responseTime: round(stats.avg),
+        packetLoss: stats.packetLoss ?? (stats.rtts.length > 0 ? 0 : 100),
+        jitter: round(stats.jitter),
+        protocol: 'ICMP',
+      };
+
+      if (!result.success) {
+        result.error = error && stats.transmitted === null
+          ? 'ICMP ping failed: ' + error.message
+          : `ICMP ping failed: ${result.packetLoss}% packet loss`;
+      }
+
+      resolve(result);
+    });
+  });
+}
+
+module.exports = {
+  MAX_PACKET_COUNT,
+  buildPingCommand,
+  parsePingOutput,
+  checkICMP,
+};
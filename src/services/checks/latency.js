@@ -0,0 +1,54 @@
+/**
+ * Latency level of a successful check against the target's thresholds (ms)
+ * @returns {string} 'ok', 'warning' or 'critical'
+ */
+function getLatencyLevel(target, responseTime) {
+  if (typeof responseTime !== 'number') {
+    return 'ok';
+  }
+  if (target.latencyCritical && responseTime >= target.latencyCritical) {
+    return 'critical';
+  }
+  if (target.latencyWarning && responseTime >= target.latencyWarning) {
+    return 'warning';
+  }
+  return 'ok';
+}
+
+/**
+ * Apply latency thresholds to a check result
+ * Slow answers are degraded, not failed: the service still responds, so it is not an outage.
+ * @returns {Object} Result, with `degraded` and `latencyLevel` ('warning' or 'critical') set above a threshold
+ */
+function applyLatencyThresholds(target, result) {
+  if (!result.success || target.upsideDown === true) {
+    return result;
+  }
+
+  const level = getLatencyLevel(target, result.responseTime);
+  if (level === 'ok') {
+    return result;
+  }
+  return { ...result, degraded: true, latencyLevel: level };
+}
+
+/**
+ * Validate warning/critical latency thresholds
+ * @returns {string|null} Error message or null
+ */
+function validateLatencyThresholds(warning, critical) {
+  const isValid = (value) => value === undefined || value === null || value === '' || (Number.isInteger(Number(value)) && Number(value) > 0);
+  if (!isValid(warning) || !isValid(critical)) {
+    return 'Latency thresholds must be positive whole numbers of milliseconds';
+  }
+  if (warning && critical && Number(warning) >= Number(critical)) {
+    return 'Latency warning threshold must be lower than the critical threshold';
+  }
+  return null;
+}
+
+module.exports = {
+  getLatencyLevel,
+  applyLatencyThresholds,
+  validateLatencyThresholds,
+};
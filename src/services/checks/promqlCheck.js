@@ -0,0 +1,159 @@
+const axios = require('axios');
+const { createRequestConfig } = require('./httpRequest');
+
+const PROMQL_OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+const DEFAULT_PROMETHEUS_PORT = 9090;
+const MAX_REPORTED_SERIES = 3;
+
+/**
+ * Base URL of the Prometheus-compatible API of a target
+ * The host may be a full URL (http://prometheus.lan:9090/prometheus) or a host name,
+ * which is queried over plain HTTP on the port (default 9090) and path of the target.
+ */
+function getPrometheusUrl(target) {
+  const host = String(target.host || '').trim().replace(/\/+$/, '');
+  if (/^https?:\/\//i.test(host)) {
+    return host;
+  }
+  const path = target.path && target.path !== '/' ? `/${target.path.replace(/^\/+|\/+$/g, '')}` : '';
+  return `http://${host}:${target.port || DEFAULT_PROMETHEUS_PORT}${path}`;
+}
+
+/**
+ * Flatten a query result into series with a single value
+ * Range vectors use their latest sample.
+ * @param {Object} data - `data` of a /api/v1/query response {resultType, result}
+ * @returns {Array} [{metric, value}]
+ */
+function extractSeries(data) {
+  if (!data || !data.result) return [];
+
+  switch (data.resultType) {
+    case 'scalar':
+      return [{ metric: {}, value: Number(data.result[1]) }];
+    case 'vector':
+      return data.result.map(series => ({ metric: series.metric || {}, value: Number(series.value[1]) }));
+    case 'matrix':
+      return data.result
+        .filter(series => series.values && series.values.length > 0)
+        .map(series => ({ metric: series.metric || {}, value: Number(series.values[series.values.length - 1][1]) }));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Whether a value crosses the threshold, i.e. `value <operator> threshold` holds
+ */
+function crossesThreshold(value, operator, threshold) {
+  switch (operator) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case '==': return value === threshold;
+    case '!=': return value !== threshold;
+    default: return false;
+  }
+}
+
+/**
+ * Readable name of a series, e.g. node_filesystem_avail_bytes{mountpoint="/"}
+ */
+function formatSeries(metric) {
+  const { __name__: name = '', ...labels } = metric;
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${value}"`);
+  if (pairs.length === 0) return name || 'result';
+  return `${name}{${pairs.join(', ')}}`;
+}
+
+/**
+ * Run an instant PromQL query and compare the result with the target's threshold
+ * The target is down when the query returns no data or any series crosses the threshold
+ * (`promOperator` `promThreshold`, e.g. "> 90"); without a threshold only empty results fail.
+ * @param {Object} target - {host, port, path, promQuery, promOperator, promThreshold, timeout, auth, ignoreSsl}
+ * @returns {Promise<Object>} Result {success, statusCode, value, error}
+ */
+async function checkPromQL(target) {
+  const { config } = createRequestConfig({ ...target, httpMethod: 'GET' });
+
+  try {
+    const response = await axios(`${getPrometheusUrl(target)}/api/v1/query`, {
+      ...config,
+      params: { query: target.promQuery },
+    });
+
+    const body = response.data || {};
+    if (response.status !== 200 || body.status !== 'success') {
+      return {
+        success: false,
+        statusCode: response.status,
+        error: `Query failed: ${body.error || `HTTP ${response.status}`}`,
+        protocol: 'PROMQL',
+      };
+    }
+
+    const series = extractSeries(body.data);
+    if (series.length === 0) {
+      return { success: false, statusCode: response.status, error: 'Query returned no data', protocol: 'PROMQL' };
+    }
+
+    const threshold = target.promThreshold;
+    const operator = target.promOperator || '>';
+    const crossing = threshold !== null && threshold !== undefined && threshold !== ''
+      ? series.filter(entry => crossesThreshold(entry.value, operator, Number(threshold)))
+      : [];
+
+    if (crossing.length > 0) {
+      const shown = crossing.slice(0, MAX_REPORTED_SERIES).map(entry => `${formatSeries(entry.metric)} = ${entry.value}`);
+      const more = crossing.length > MAX_REPORTED_SERIES ? ` and ${crossing.length - MAX_REPORTED_SERIES} more` : '';
+      return {
+        success: false,
+        statusCode: response.status,
+        value: crossing[0].value,
+        error: `${shown.join(', ')}${more} (${operator} ${threshold})`,
+        protocol: 'PROMQL',
+      };
+    }
+
+    return { success: true, statusCode: response.status, value: series[0].value, protocol: 'PROMQL' };
+  } catch (error) {
+    return { success: false, error: error.message, protocol: 'PROMQL' };
+  }
+}
+
+/**
+ * Validate the PromQL settings of a target
+ * @param {Object} options - {protocol, promQuery, promOperator, promThreshold}
+ * @param {boolean} isUpdate - Only validate the provided fields
+ * @returns {string[]} Error messages
+ */
+function validatePromQL({ protocol, promQuery, promOperator, promThreshold }, isUpdate = false) {
+  const errors = [];
+  const isPromQL = typeof protocol === 'string' && protocol.toUpperCase() === 'PROMQL';
+
+  if (promQuery !== undefined && promQuery !== null && typeof promQuery !== 'string') {
+    errors.push('PromQL query must be a string');
+  } else if (isPromQL && (!isUpdate || promQuery !== undefined) && !(promQuery || '').trim()) {
+    errors.push('PromQL query is required for Prometheus monitors');
+  }
+
+  if (promOperator !== undefined && promOperator !== null && !PROMQL_OPERATORS.includes(promOperator)) {
+    errors.push(`PromQL operator must be one of: ${PROMQL_OPERATORS.join(' ')}`);
+  }
+
+  if (promThreshold !== undefined && promThreshold !== null && promThreshold !== '' && isNaN(Number(promThreshold))) {
+    errors.push('PromQL threshold must be a number');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  PROMQL_OPERATORS,
+  getPrometheusUrl,
+  extractSeries,
+  crossesThreshold,
+  checkPromQL,
+  validatePromQL,
+};
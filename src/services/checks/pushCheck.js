@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+const DEFAULT_GRACE_PERIOD = 60; // seconds
+
+/**
+ * Generate the secret token used in a push monitor URL
+ */
+function generatePushToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Seconds a push monitor may stay silent before it is considered down
+ */
+function getAllowedSilence(target) {
+  const grace = target.pushGracePeriod ?? DEFAULT_GRACE_PERIOD;
+  return (target.interval || 60) + grace;
+}
+
+/**
+ * Time (ms) at which a push monitor misses its deadline
+ * @param {Object} target - Push target {interval, pushGracePeriod, lastPushAt}
+ * @param {number} since - Reference used when no heartbeat was ever received (e.g. monitor start)
+ */
+function getPushDeadline(target, since = Date.now()) {
+  const lastPush = target.lastPushAt ? new Date(target.lastPushAt).getTime() : since;
+  return lastPush + getAllowedSilence(target) * 1000;
+}
+
+/**
+ * Evaluate a push monitor from its last heartbeat
+ * @returns {Object} Result {success, error, protocol}
+ */
+function checkHeartbeat(target, now = Date.now()) {
+  if (!target.lastPushAt) {
+    return {
+      success: false,
+      error: 'No heartbeat received yet',
+      protocol: 'PUSH',
+    };
+  }
+
+  const silence = Math.round((now - new Date(target.lastPushAt).getTime()) / 1000);
+  if (silence > getAllowedSilence(target)) {
+    return {
+      success: false,
+      error: `No heartbeat received for ${silence}s (expected every ${target.interval || 60}s)`,
+      protocol: 'PUSH',
+    };
+  }
+
+  return {
+    success: true,
+    protocol: 'PUSH',
+  };
+}
+
+module.exports = {
+  DEFAULT_GRACE_PERIOD,
+  generatePushToken,
+  getPushDeadline,
+  checkHeartbeat,
+};
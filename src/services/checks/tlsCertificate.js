@@ -0,0 +1,66 @@
+const https = require('https');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Extract a readable name from a certificate subject/issuer object
+ */
+function formatName(name) {
+  if (!name) return null;
+  return name.CN || name.O || Object.values(name).join(', ') || null;
+}
+
+/**
+ * Convert a peer certificate into the shape stored on targets
+ * @param {Object} cert - Result of TLSSocket#getPeerCertificate()
+ * @param {number} now - Reference time in ms
+ * @returns {Object|null} {subject, issuer, subjectAltNames, validFrom, validTo, daysUntilExpiry}
+ */
+function summarizeCertificate(cert, now = Date.now()) {
+  if (!cert || !cert.valid_to) return null;
+
+  const validTo = new Date(cert.valid_to);
+  const subjectAltNames = cert.subjectaltname
+    ? cert.subjectaltname.split(',').map(name => name.trim().replace(/^(DNS|IP Address):/, ''))
+    : [];
+
+  return {
+    subject: formatName(cert.subject),
+    issuer: formatName(cert.issuer),
+    subjectAltNames,
+    validFrom: new Date(cert.valid_from).toISOString(),
+    validTo: validTo.toISOString(),
+    daysUntilExpiry: Math.floor((validTo.getTime() - now) / DAY_MS),
+  };
+}
+
+/**
+ * Create an HTTPS agent that records the peer certificate of every TLS connection it opens
+ * A fresh agent is used per check so the socket is never reused and the certificate is always seen.
+ * @param {Object} options - https.Agent options (e.g. rejectUnauthorized)
+ * @returns {{agent: https.Agent, getCertificate: Function}}
+ */
+function createCertificateAgent(options = {}) {
+  const agent = new https.Agent(options);
+  const createConnection = agent.createConnection.bind(agent);
+  let certificate = null;
+
+  agent.createConnection = (connectOptions, callback) => {
+    const socket = createConnection(connectOptions, callback);
+    socket.once('secureConnect', () => {
+      // With redirects the last connection wins, i.e. the host that answered
+      certificate = summarizeCertificate(socket.getPeerCertificate());
+    });
+    return socket;
+  };
+
+  return {
+    agent,
+    getCertificate: () => certificate,
+  };
+}
+
+module.exports = {
+  createCertificateAgent,
+  summarizeCertificate,
+};
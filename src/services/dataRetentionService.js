@@ -1,13 +1,18 @@
-const { getPrisma } = require('../config/prisma');
+const { getPrisma, isSQLite } = require('../config/prisma');
 const chalk = require('../utils/colors');
+const { v4: uuidv4 } = require('uuid');
+
+const { RETENTION_TIERS, normalizeRetentionPolicy, resolveRetentionPolicy, getActiveTiers } = require('../utils/retentionPolicy');
 
 /**
  * Data Retention Service
  *
- * Manages data retention by:
- * 1. Keeping all data points within the retention period
- * 2. For data older than retention period, minimizing data points
- *    by keeping only important ones (min, max, and strategic samples)
+ * Applies the tiered retention policy (see utils/retentionPolicy):
+ * 1. Raw ping results are kept for the data retention period
+ * 2. Older results are rolled up into 1-minute, hourly and daily aggregate tables
+ * 3. Aggregates older than the last tier are deleted
+ * The daily statistics table is always kept for uptime calculations.
+ * PostgreSQL rolls up with INSERT ... SELECT; on SQLite the buckets are computed here.
  */
 class DataRetentionService {
   /**
@@ -25,199 +30,188 @@ class DataRetentionService {
   }
 
   /**
-   * Process data retention for a specific target
-   * Optimized strategy:
-   * - Last 30 days: Keep all raw data (for 1H, 24H, 7D, 30D graphs)
-   * - 31-90 days: Aggregate to hourly buckets (keep 1 point per hour)
-   * - 90+ days: Aggregate to daily buckets (keep 1 point per day)
-   * - Statistics table always maintained for uptime calculations
+   * Global retention policy: the data retention period as raw tier plus the aggregate tiers
    */
-  async processRetentionForTarget(targetId) {
-    try {
-      const prisma = getPrisma();
-      const now = new Date();
-
-      // Define retention periods
-      const keepRawDays = 30; // Keep all raw data for last 30 days
-      const keepHourlyDays = 90; // Keep hourly aggregations for 31-90 days
-      
-      const rawCutoff = new Date(now);
-      rawCutoff.setDate(rawCutoff.getDate() - keepRawDays);
-      
-      const hourlyCutoff = new Date(now);
-      hourlyCutoff.setDate(hourlyCutoff.getDate() - keepHourlyDays);
+  async getGlobalPolicy() {
+    const prisma = getPrisma();
+    const settings = await prisma.adminSettings.findUnique({ where: { id: 'settings' } });
+    return resolveRetentionPolicy(settings, null);
+  }
 
-      let totalDeleted = 0;
+  /**
+   * Policy of a target: its own settings over the global policy
+   */
+  getTargetPolicy(target, policy) {
+    return { ...policy, ...normalizeRetentionPolicy(target.retentionPolicy) };
+  }
 
-      // Step 1: Process 31-90 days range - aggregate to hourly buckets
-      const hourlyData = await prisma.pingResult.findMany({
-        where: {
-          targetId: targetId,
-          timestamp: {
-            gte: hourlyCutoff,
-            lt: rawCutoff,
-          },
-        },
-        orderBy: { timestamp: 'asc' },
-      });
+  /**
+   * SELECT that rolls the rows of the tier before `tier` into buckets of `tier`
+   * Parameters: $1 target id, $2 end of the rolled up range. Rows already past the age of `tier`
+   * are rolled up too and passed on to the next tier, so no history is lost after a policy
+   * change. Raw results of probes and of maintenance windows are left out, like in the daily
+   * statistics.
+   */
+  getRollupQuery(tier) {
+    const source = tier.source;
+    const bucket = `date_trunc('${tier.unit}', "${source.timeColumn}")`;
+    const range = `"targetId" = $1 AND "${source.timeColumn}" < $2`;
+
+    if (source.name === 'raw') {
+      return `
+        SELECT md5("targetId" || ${bucket}::text)::uuid::text AS "_id", "targetId", ${bucket} AS "bucket",
+          COUNT(*) AS "totalPings",
+          COUNT(*) FILTER (WHERE "success") AS "successfulPings",
+          COUNT("responseTime") AS "measuredPings",
+          AVG("responseTime") AS "avgResponseTime",
+          MIN("responseTime") AS "minResponseTime",
+          MAX("responseTime") AS "maxResponseTime"
+        FROM "pingResults"
+        WHERE ${range} AND "probeId" IS NULL AND NOT "maintenance"
+        GROUP BY "targetId", ${bucket}`;
+    }
 
-      if (hourlyData.length > 0) {
-        // Group by hour
-        const hourlyBuckets = new Map();
-        hourlyData.forEach(row => {
-          const hourKey = new Date(row.timestamp);
-          hourKey.setMinutes(0, 0, 0);
-          const key = hourKey.toISOString();
-          
-          if (!hourlyBuckets.has(key)) {
-            hourlyBuckets.set(key, []);
-          }
-          hourlyBuckets.get(key).push(row);
-        });
+    return `
+      SELECT md5("targetId" || ${bucket}::text)::uuid::text AS "_id", "targetId", ${bucket} AS "bucket",
+        SUM("totalPings") AS "totalPings",
+        SUM("successfulPings") AS "successfulPings",
+        SUM("measuredPings") AS "measuredPings",
+        SUM("avgResponseTime" * "measuredPings") / NULLIF(SUM("measuredPings"), 0) AS "avgResponseTime",
+        MIN("minResponseTime") AS "minResponseTime",
+        MAX("maxResponseTime") AS "maxResponseTime"
+      FROM "${source.table}"
+      WHERE ${range}
+      GROUP BY "targetId", ${bucket}`;
+  }
 
-        // For each hour, keep only representative points (min, max, first, last, status changes)
-        const idsToKeep = new Set();
-        
-        for (const [hourKey, hourData] of hourlyBuckets.entries()) {
-          if (hourData.length === 0) continue;
-          
-          // Always keep first and last of the hour
-          idsToKeep.add(hourData[0].id);
-          idsToKeep.add(hourData[hourData.length - 1].id);
-
-          // Keep min and max response times
-          const withResponseTime = hourData.filter(d => d.responseTime !== null);
-          if (withResponseTime.length > 0) {
-            const minPoint = withResponseTime.reduce((min, d) =>
-              d.responseTime < min.responseTime ? d : min
-            );
-            const maxPoint = withResponseTime.reduce((max, d) =>
-              d.responseTime > max.responseTime ? d : max
-            );
-            idsToKeep.add(minPoint.id);
-            idsToKeep.add(maxPoint.id);
-          }
+  /**
+   * Add rolled up rows to an aggregate table, merging buckets that already exist
+   */
+  getRollupInsert(tier) {
+    return `
+      INSERT INTO "${tier.table}" AS t (
+        "_id", "targetId", "bucket", "totalPings", "successfulPings", "measuredPings",
+        "avgResponseTime", "minResponseTime", "maxResponseTime"
+      )
+      ${this.getRollupQuery(tier)}
+      ON CONFLICT ("targetId", "bucket") DO UPDATE SET
+        "totalPings" = t."totalPings" + EXCLUDED."totalPings",
+        "successfulPings" = t."successfulPings" + EXCLUDED."successfulPings",
+        "measuredPings" = t."measuredPings" + EXCLUDED."measuredPings",
+        "avgResponseTime" = (COALESCE(t."avgResponseTime" * t."measuredPings", 0)
+          + COALESCE(EXCLUDED."avgResponseTime" * EXCLUDED."measuredPings", 0))
+          / NULLIF(t."measuredPings" + EXCLUDED."measuredPings", 0),
+        "minResponseTime" = LEAST(t."minResponseTime", EXCLUDED."minResponseTime"),
+        "maxResponseTime" = GREATEST(t."maxResponseTime", EXCLUDED."maxResponseTime")`;
+  }
 
-          // Keep status change points
-          for (let i = 1; i < hourData.length; i++) {
-            if (hourData[i].success !== hourData[i - 1].success) {
-              idsToKeep.add(hourData[i - 1].id);
-              idsToKeep.add(hourData[i].id);
-            }
-          }
+  /**
+   * Buckets of `tier` from the rows of the tier before it, like getRollupQuery (SQLite)
+   * @returns {Promise<Array>} [{targetId, bucket, totalPings, successfulPings, measuredPings, avgResponseTime, minResponseTime, maxResponseTime}]
+   */
+  async computeRollup(prisma, targetId, tier) {
+    const source = tier.source;
+    const where = { targetId, [source.timeColumn]: { lt: source.cutoff } };
+    const rows = source.name === 'raw'
+      ? (await prisma.pingResult.findMany({
+        where: { ...where, probeId: null, maintenance: false },
+        select: { timestamp: true, success: true, responseTime: true },
+      })).map(result => ({
+        time: result.timestamp,
+        totalPings: 1,
+        successfulPings: result.success ? 1 : 0,
+        measuredPings: result.responseTime === null ? 0 : 1,
+        avgResponseTime: result.responseTime,
+        minResponseTime: result.responseTime,
+        maxResponseTime: result.responseTime,
+      }))
+      : (await prisma[source.model].findMany({ where })).map(row => ({ ...row, time: row.bucket }));
+
+    const buckets = new Map();
+    for (const row of rows) {
+      const bucket = truncateDate(row.time, tier.unit);
+      const key = bucket.getTime();
+      if (!buckets.has(key)) {
+        buckets.set(key, { targetId, bucket, totalPings: 0, successfulPings: 0, measuredPings: 0, avgResponseTime: null, minResponseTime: null, maxResponseTime: null });
+      }
+      mergeBucket(buckets.get(key), row);
+    }
+    return [...buckets.values()];
+  }
 
-          // If hour has many points, sample evenly (keep ~5-10 points per hour)
-          if (hourData.length > 10) {
-            const sampleRate = Math.max(1, Math.floor(hourData.length / 8));
-            for (let i = 0; i < hourData.length; i += sampleRate) {
-              idsToKeep.add(hourData[i].id);
-            }
-          } else {
-            // Keep all if less than 10 points
-            hourData.forEach(row => idsToKeep.add(row.id));
-          }
-        }
+  /**
+   * Add computed buckets to the table of `tier`, merging buckets that already exist (SQLite)
+   */
+  async mergeRollup(tx, tier, buckets) {
+    for (const bucket of buckets) {
+      const where = { targetId_bucket: { targetId: bucket.targetId, bucket: bucket.bucket } };
+      const stored = await tx[tier.model].findUnique({ where });
+      if (stored) {
+        const { id, ...data } = mergeBucket(stored, bucket);
+        await tx[tier.model].update({ where: { id }, data });
+      } else {
+        await tx[tier.model].create({ data: { id: uuidv4(), ...bucket } });
+      }
+    }
+  }
 
-        // Delete points not in keep set
-        const idsToDelete = hourlyData
-          .filter(row => !idsToKeep.has(row.id))
-          .map(row => row.id);
+  /**
+   * Process data retention for a specific target
+   * Each tier takes over the rows of the tier before it once they pass that tier's age, in tier
+   * order, so rows older than several tiers cascade down to the oldest tier that keeps them; the
+   * rollup and the deletion of the rolled up rows run in one transaction.
+   * @param {Object} target - {id, retentionPolicy}
+   * @param {Object} policy - Global policy from getGlobalPolicy()
+   * @returns {Promise<Object>} {rolledUp, deleted}
+   */
+  async processRetentionForTarget(target, policy) {
+    try {
+      const prisma = getPrisma();
+      const tiers = getActiveTiers(this.getTargetPolicy(target, policy));
+      let rolledUp = 0;
+      let deleted = 0;
+
+      for (const tier of tiers.filter(t => t.source)) {
+        const source = tier.source;
+        const deleteSource = (client) => client[source.model].deleteMany({
+          where: { targetId: target.id, [source.timeColumn]: { lt: source.cutoff } },
+        });
 
-        if (idsToDelete.length > 0) {
-          await prisma.pingResult.deleteMany({
-            where: { id: { in: idsToDelete } },
+        if (isSQLite()) {
+          const buckets = await this.computeRollup(prisma, target.id, tier);
+          const removed = await prisma.$transaction(async (tx) => {
+            await this.mergeRollup(tx, tier, buckets);
+            return deleteSource(tx);
           });
-          totalDeleted += idsToDelete.length;
+          rolledUp += buckets.length;
+          deleted += removed.count;
+        } else {
+          const [rows, removed] = await prisma.$transaction([
+            prisma.$executeRawUnsafe(this.getRollupInsert(tier), target.id, source.cutoff),
+            deleteSource(prisma),
+          ]);
+          rolledUp += rows;
+          deleted += removed.count;
         }
       }
 
-      // Step 2: Process 90+ days range - aggregate to daily buckets
-      const dailyData = await prisma.pingResult.findMany({
-        where: {
-          targetId: targetId,
-          timestamp: { lt: hourlyCutoff },
-        },
-        orderBy: { timestamp: 'asc' },
-      });
-
-      if (dailyData.length > 0) {
-        // Group by day
-        const dailyBuckets = new Map();
-        dailyData.forEach(row => {
-          const dayKey = new Date(row.timestamp);
-          dayKey.setHours(0, 0, 0, 0);
-          const key = dayKey.toISOString().split('T')[0];
-          
-          if (!dailyBuckets.has(key)) {
-            dailyBuckets.set(key, []);
-          }
-          dailyBuckets.get(key).push(row);
+      // Final deletion, including tables of tiers that are not in use
+      const last = tiers[tiers.length - 1];
+      for (const tier of RETENTION_TIERS.filter(t => t.name === last.name || !tiers.some(active => active.name === t.name))) {
+        const removed = await prisma[tier.model].deleteMany({
+          where: { targetId: target.id, [tier.timeColumn]: { lt: last.cutoff } },
         });
-
-        // For each day, keep only representative points
-        const idsToKeep = new Set();
-        
-        for (const [dayKey, dayData] of dailyBuckets.entries()) {
-          if (dayData.length === 0) continue;
-          
-          // Always keep first and last of the day
-          idsToKeep.add(dayData[0].id);
-          idsToKeep.add(dayData[dayData.length - 1].id);
-
-          // Keep min and max response times
-          const withResponseTime = dayData.filter(d => d.responseTime !== null);
-          if (withResponseTime.length > 0) {
-            const minPoint = withResponseTime.reduce((min, d) =>
-              d.responseTime < min.responseTime ? d : min
-            );
-            const maxPoint = withResponseTime.reduce((max, d) =>
-              d.responseTime > max.responseTime ? d : max
-            );
-            idsToKeep.add(minPoint.id);
-            idsToKeep.add(maxPoint.id);
-          }
-
-          // Keep status change points
-          for (let i = 1; i < dayData.length; i++) {
-            if (dayData[i].success !== dayData[i - 1].success) {
-              idsToKeep.add(dayData[i - 1].id);
-              idsToKeep.add(dayData[i].id);
-            }
-          }
-
-          // Sample evenly - keep ~3-5 points per day for very old data
-          if (dayData.length > 5) {
-            const sampleRate = Math.max(1, Math.floor(dayData.length / 4));
-            for (let i = 0; i < dayData.length; i += sampleRate) {
-              idsToKeep.add(dayData[i].id);
-            }
-          } else {
-            // Keep all if less than 5 points
-            dayData.forEach(row => idsToKeep.add(row.id));
-          }
-        }
-
-        // Delete points not in keep set
-        const idsToDelete = dailyData
-          .filter(row => !idsToKeep.has(row.id))
-          .map(row => row.id);
-
-        if (idsToDelete.length > 0) {
-          await prisma.pingResult.deleteMany({
-            where: { id: { in: idsToDelete } },
-          });
-          totalDeleted += idsToDelete.length;
-        }
+        deleted += removed.count;
       }
 
-      if (totalDeleted > 0) {
-        console.log(chalk.yellow(`⊘ Processed retention for target ${targetId}: deleted ${totalDeleted} old data points`));
+      if (deleted > 0) {
+        console.log(chalk.yellow(`⊘ Processed retention for target ${target.id}: ${rolledUp} buckets rolled up, ${deleted} rows deleted`));
       }
 
-      return { processed: hourlyData.length + dailyData.length, deleted: totalDeleted };
+      return { rolledUp, deleted };
     } catch (error) {
-      console.error(chalk.red(`Error processing retention for target ${targetId}:`), error.message);
-      return { processed: 0, deleted: 0, error: error.message };
+      console.error(chalk.red(`Error processing retention for target ${target.id}:`), error.message);
+      return { rolledUp: 0, deleted: 0, error: error.message };
     }
   }
 
@@ -227,28 +221,92 @@ class DataRetentionService {
   async processRetentionForAllTargets() {
     try {
       const prisma = getPrisma();
-      const targets = await prisma.target.findMany();
+      const policy = await this.getGlobalPolicy();
+      const targets = await prisma.target.findMany({ select: { id: true, retentionPolicy: true } });
 
-      let totalProcessed = 0;
+      let totalRolledUp = 0;
       let totalDeleted = 0;
 
       for (const target of targets) {
-        const result = await this.processRetentionForTarget(target.id);
-        totalProcessed += result.processed || 0;
+        const result = await this.processRetentionForTarget(target, policy);
+        totalRolledUp += result.rolledUp || 0;
         totalDeleted += result.deleted || 0;
       }
 
       if (totalDeleted > 0) {
-        console.log(chalk.green(`✓ Data retention complete: processed ${totalProcessed} points, deleted ${totalDeleted} redundant points`));
+        console.log(chalk.green(`✓ Data retention complete: ${totalRolledUp} buckets rolled up, ${totalDeleted} rows deleted`));
       }
 
-      return { totalProcessed, totalDeleted };
+      return { totalRolledUp, totalDeleted };
     } catch (error) {
       console.error(chalk.red('Error processing retention for all targets:'), error.message);
       throw error;
     }
   }
 
+  /**
+   * Report what processing the retention policy would do, without changing anything
+   * @param {Object} options - {targetId: only this target, policy: global policy to preview instead of the saved one}
+   * @returns {Promise<Object>} {policy, targets: [{targetId, name, policy, tiers}], totals}
+   */
+  async dryRun(options = {}) {
+    const prisma = getPrisma();
+    const policy = { ...(await this.getGlobalPolicy()), ...normalizeRetentionPolicy(options.policy) };
+    const targets = await prisma.target.findMany({
+      where: options.targetId ? { id: options.targetId } : undefined,
+      select: { id: true, name: true, retentionPolicy: true },
+      orderBy: { position: 'asc' },
+    });
+
+    const totals = Object.fromEntries(RETENTION_TIERS.map(tier => [tier.name, { keep: 0, drop: 0, rollup: 0 }]));
+    const reports = [];
+
+    for (const target of targets) {
+      const targetPolicy = this.getTargetPolicy(target, policy);
+      const tiers = getActiveTiers(targetPolicy);
+      const last = tiers[tiers.length - 1];
+      const report = [];
+
+      for (const tier of RETENTION_TIERS) {
+        const active = tiers.find(t => t.name === tier.name);
+        // Rows of a tier are kept until the tier after it takes them over, or the final deletion
+        const cutoff = active ? active.cutoff : last.cutoff;
+        const [keep, drop] = await Promise.all([
+          prisma[tier.model].count({ where: { targetId: target.id, [tier.timeColumn]: { gte: cutoff } } }),
+          prisma[tier.model].count({ where: { targetId: target.id, [tier.timeColumn]: { lt: cutoff } } }),
+        ]);
+
+        let rollup = 0;
+        if (active?.source && isSQLite()) {
+          rollup = (await this.computeRollup(prisma, target.id, active)).length;
+        } else if (active?.source) {
+          const [buckets] = await prisma.$queryRawUnsafe(
+            `SELECT COUNT(*) AS count FROM (${this.getRollupQuery(active)}) buckets`,
+            target.id, active.source.cutoff
+          );
+          rollup = Number(buckets.count);
+        }
+
+        const entry = {
+          tier: tier.name,
+          days: active ? active.days : null,
+          active: !!active,
+          keep,
+          drop,
+          rollup,
+        };
+        report.push(entry);
+        totals[tier.name].keep += entry.keep;
+        totals[tier.name].drop += entry.drop;
+        totals[tier.name].rollup += entry.rollup;
+      }
+
+      reports.push({ targetId: target.id, name: target.name, policy: targetPolicy, tiers: report });
+    }
+
+    return { policy, targets: reports, totals };
+  }
+
   /**
    * Clean up data older than retention period (hard delete)
    * This is a more aggressive cleanup that removes data entirely
@@ -333,4 +391,35 @@ class DataRetentionService {
   }
 }
 
+/**
+ * Start of the UTC minute, hour or day of a date, like date_trunc on the stored timestamps
+ */
+function truncateDate(date, unit) {
+  const bucket = new Date(date);
+  if (unit === 'day') bucket.setUTCHours(0, 0, 0, 0);
+  else if (unit === 'hour') bucket.setUTCMinutes(0, 0, 0);
+  else bucket.setUTCSeconds(0, 0);
+  return bucket;
+}
+
+/**
+ * Add the counts of `row` to `bucket`; the average is weighted by the measured pings
+ */
+function mergeBucket(bucket, row) {
+  const measuredPings = bucket.measuredPings + row.measuredPings;
+  if (row.measuredPings > 0) {
+    bucket.avgResponseTime = ((bucket.avgResponseTime || 0) * bucket.measuredPings + row.avgResponseTime * row.measuredPings) / measuredPings;
+  }
+  bucket.totalPings += row.totalPings;
+  bucket.successfulPings += row.successfulPings;
+  bucket.measuredPings = measuredPings;
+  if (row.minResponseTime !== null && (bucket.minResponseTime === null || row.minResponseTime < bucket.minResponseTime)) {
+    bucket.minResponseTime = row.minResponseTime;
+  }
+  if (row.maxResponseTime !== null && (bucket.maxResponseTime === null || row.maxResponseTime > bucket.maxResponseTime)) {
+    bucket.maxResponseTime = row.maxResponseTime;
+  }
+  return bucket;
+}
+
 module.exports = new DataRetentionService();
@@ -3,6 +3,37 @@ const IncidentService = require('./incidentService');
 const chalk = require('../utils/colors');
 const { v4: uuidv4 } = require('uuid');
 
+/**
+ * Conditions of a rule, stored as JSON or as a JSON string; null when they cannot be parsed
+ */
+function parseConditions(rule) {
+  if (typeof rule.conditions !== 'string') {
+    return rule.conditions || {};
+  }
+  try {
+    return JSON.parse(rule.conditions);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether the conditions restrict the rule to some targets (targetIds, legacy targetId or targetGroups)
+ */
+function hasTargetFilter({ targetId, targetIds, targetGroups }) {
+  return !!targetId || (Array.isArray(targetIds) && targetIds.length > 0) || (Array.isArray(targetGroups) && targetGroups.length > 0);
+}
+
+/**
+ * Whether the target of the context is one the conditions name, by id or group
+ */
+function matchesTarget({ targetId, targetIds, targetGroups }, context) {
+  if (!context.targetId) return false;
+  if (Array.isArray(targetIds) && targetIds.includes(context.targetId)) return true;
+  if (targetId && context.targetId === targetId) return true; // Legacy single targetId
+  return Array.isArray(targetGroups) && !!context.targetGroup && targetGroups.includes(context.targetGroup);
+}
+
 class EventDetectionService {
   constructor() {
     this.prisma = null;
@@ -27,8 +58,12 @@ class EventDetectionService {
         await this.initialize();
       }
 
+      // Callers can restrict evaluation to specific event types (e.g. certificate checks)
       const rules = await this.prisma.eventRule.findMany({
-        where: { enabled: true },
+        where: {
+          enabled: true,
+          ...(context.eventTypes && { eventType: { in: context.eventTypes } }),
+        },
       });
 
       for (const rule of rules) {
@@ -76,6 +111,10 @@ class EventDetectionService {
         return await this.evaluateResponseTime(rule, context);
       case 'uptime_threshold':
         return await this.evaluateUptimeThreshold(rule, context);
+      case 'certificate_expiring':
+        return await this.evaluateCertificateExpiring(rule, context);
+      case 'flapping':
+        return await this.evaluateFlapping(rule, context);
       case 'custom_condition':
         return await this.evaluateCustomCondition(rule, context);
       default:
@@ -287,6 +326,44 @@ class EventDetectionService {
     return uptime < threshold;
   }
 
+  /**
+   * Evaluate certificate expiring condition
+   * Triggers when the target's TLS certificate expires within `days` days.
+   * Without targetIds/targetGroups the rule applies to every monitored certificate.
+   */
+  async evaluateCertificateExpiring(rule, context) {
+    const conditions = parseConditions(rule);
+    if (!conditions) return false;
+    const { days = 14 } = conditions;
+
+    if (!context.targetId) return false;
+
+    if (hasTargetFilter(conditions) && !matchesTarget(conditions, context)) return false;
+
+    const daysRemaining = context.certificate
+      ? context.certificate.daysUntilExpiry
+      : await this.getCertificateDaysRemaining(context.targetId);
+    if (daysRemaining === null || daysRemaining === undefined) return false;
+
+    return daysRemaining <= days;
+  }
+
+  /**
+   * Evaluate flapping condition
+   * Triggers while the target keeps going up and down, see monitorService.detectFlapping.
+   * Without targetIds/targetGroups the rule applies to every monitor.
+   */
+  async evaluateFlapping(rule, context) {
+    const conditions = parseConditions(rule);
+    if (!conditions) return false;
+    if (!context.targetId) return false;
+
+    if (hasTargetFilter(conditions) && !matchesTarget(conditions, context)) return false;
+
+    const status = context.status || await this.getTargetStatus(context.targetId);
+    return status === 'flapping';
+  }
+
   /**
    * Evaluate custom condition (JavaScript expression)
    */
@@ -432,6 +509,22 @@ class EventDetectionService {
     }
   }
 
+  /**
+   * Get persisted days until certificate expiry for a target
+   */
+  async getCertificateDaysRemaining(targetId) {
+    try {
+      const target = await this.prisma.target.findUnique({
+        where: { id: targetId },
+        select: { certDaysRemaining: true },
+      });
+
+      return target?.certDaysRemaining ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Get uptime percentage for a target over a period
    */
@@ -515,6 +608,10 @@ class EventDetectionService {
     result = result.replace(/\{\{target\.host\}\}/g, context.target?.host || 'Unknown');
     result = result.replace(/\{\{status\}\}/g, context.status || 'unknown');
     result = result.replace(/\{\{responseTime\}\}/g, context.responseTime || 'N/A');
+
+    const certificate = context.certificate || context.target?.certificate;
+    result = result.replace(/\{\{certificate\.daysRemaining\}\}/g, certificate?.daysUntilExpiry ?? 'N/A');
+    result = result.replace(/\{\{certificate\.expiresAt\}\}/g, certificate?.validTo ? new Date(certificate.validTo).toLocaleDateString() : 'N/A');
     
     return result;
   }
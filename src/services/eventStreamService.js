@@ -0,0 +1,100 @@
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keeps proxies from closing idle streams
+
+/**
+ * Live event stream over Server-Sent Events
+ * Emits status transitions, ping results and incident updates to connected dashboards.
+ */
+class EventStreamService {
+  constructor() {
+    this.clients = new Set();
+    this.nextEventId = 1;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Send an event to every subscribed client
+   * @param {string} type - 'status', 'ping' or 'incident'
+   * @param {Object} data - Event payload
+   */
+  publish(type, data) {
+    if (this.clients.size === 0) {
+      return;
+    }
+
+    const event = { id: this.nextEventId++, type, data };
+    for (const client of this.clients) {
+      try {
+        const payload = client.format ? client.format(event) : event.data;
+        if (payload && typeof payload.then === 'function') {
+          // Formats that look something up resolve later, the client may be gone by then
+          payload
+            .then(resolved => this.clients.has(client) && this.send(client, event, resolved))
+            .catch(() => this.clients.delete(client));
+        } else {
+          this.send(client, event, payload);
+        }
+      } catch (error) {
+        this.clients.delete(client);
+      }
+    }
+  }
+
+  /**
+   * Write an event to a client, skipped when the format left no payload
+   */
+  send(client, event, payload) {
+    if (payload) {
+      client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    }
+  }
+
+  /**
+   * Turn a request into an event stream until the client disconnects
+   * @param {Object} options - {format(event)} returns the payload sent to this client (or a promise of it), or null to skip the event
+   */
+  subscribe(req, res, options = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { res, format: options.format };
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': heartbeat\n\n');
+      }
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  getStats() {
+    return { clients: this.clients.size };
+  }
+}
+
+module.exports = new EventStreamService();
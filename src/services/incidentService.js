@@ -1,4 +1,28 @@
 const chalk = require('../utils/colors');
+const maintenanceService = require('./maintenanceService');
+const eventStreamService = require('./eventStreamService');
+
+/**
+ * Incident as shown publicly, null when it only affects hidden monitors
+ * Affected services are monitor ids or names; those of hidden monitors are left out, other services stay.
+ * @param {Iterable} targets - Monitors [{id, name, publicVisible}]
+ */
+function toPublicIncident(incident, targets) {
+  const hidden = new Set();
+  for (const target of targets) {
+    if (target.publicVisible === false) {
+      hidden.add(String(target.id));
+      hidden.add(target.name);
+    }
+  }
+
+  const affected = Array.isArray(incident.affectedServices) ? incident.affectedServices : [];
+  const visible = affected.filter(service => !hidden.has(String(service)));
+  if (affected.length > 0 && visible.length === 0) {
+    return null;
+  }
+  return { ...incident, affectedServices: visible };
+}
 
 class IncidentService {
   constructor(prisma) {
@@ -8,8 +32,10 @@ class IncidentService {
   async createIncident(data) {
     try {
       // Ensure isScheduled is a boolean, not a string or date
-      const isScheduled = (data.isScheduled === true || data.isScheduled === 'true') && data.scheduledStart;
-      const initialStatus = isScheduled && new Date(data.scheduledStart) > new Date() 
+      // Recurring maintenance needs no start date and stays scheduled between its windows
+      const recurrence = data.recurrence || null;
+      const isScheduled = (data.isScheduled === true || data.isScheduled === 'true') && (data.scheduledStart || recurrence);
+      const initialStatus = isScheduled && (recurrence || new Date(data.scheduledStart) > new Date())
         ? 'scheduled' 
         : (data.status || 'investigating');
 
@@ -23,6 +49,7 @@ class IncidentService {
           isScheduled: Boolean(isScheduled),
           scheduledStart: data.scheduledStart ? new Date(data.scheduledStart) : null,
           scheduledEnd: data.scheduledEnd ? new Date(data.scheduledEnd) : null,
+          recurrence: isScheduled ? recurrence : null,
           updates: [
             {
               message: data.description,
@@ -47,6 +74,9 @@ class IncidentService {
         }
       });
 
+      this.refreshMaintenance();
+      this.publishIncident('created', incident);
+
       return { success: true, incidentId: incident.id, incident };
     } catch (error) {
       console.error(chalk.red('Error creating incident:'), error.message);
@@ -97,6 +127,7 @@ class IncidentService {
       if (data.isScheduled !== undefined) updateData.isScheduled = Boolean(data.isScheduled === true || data.isScheduled === 'true');
       if (data.scheduledStart !== undefined) updateData.scheduledStart = data.scheduledStart ? new Date(data.scheduledStart) : null;
       if (data.scheduledEnd !== undefined) updateData.scheduledEnd = data.scheduledEnd ? new Date(data.scheduledEnd) : null;
+      if (data.recurrence !== undefined) updateData.recurrence = data.recurrence || null;
 
       if (data.status === 'resolved') {
         updateData.resolvedAt = new Date();
@@ -125,6 +156,9 @@ class IncidentService {
       });
 
       if (result) {
+        this.refreshMaintenance();
+        this.publishIncident('updated', result);
+
         // Send external notifications (non-blocking)
         setImmediate(async () => {
           try {
@@ -158,6 +192,8 @@ class IncidentService {
       await this.prisma.incident.delete({
         where: { id: incidentId },
       });
+      this.refreshMaintenance();
+      this.publishIncident('deleted', { id: incidentId });
       return true;
     } catch (error) {
       if (error.code === 'P2025') {
@@ -184,6 +220,30 @@ class IncidentService {
     }
   }
 
+  /**
+   * Incidents as shown publicly, without those that only affect hidden monitors
+   * Visibility comes from the database, so disabled hidden monitors stay hidden too.
+   */
+  async toPublicIncidents(incidents) {
+    const targets = await this.prisma.target.findMany({ select: { id: true, name: true, publicVisible: true } });
+    return incidents.map(incident => toPublicIncident(incident, targets)).filter(Boolean);
+  }
+
+  /**
+   * Reload maintenance windows in the background after an incident changes
+   */
+  refreshMaintenance() {
+    maintenanceService.refresh().catch(() => {});
+  }
+
+  /**
+   * Stream an incident change to live dashboards
+   * @param {string} action - 'created', 'updated' or 'deleted'
+   */
+  publishIncident(action, incident) {
+    eventStreamService.publish('incident', { action, incident: { ...incident, _id: incident.id } });
+  }
+
   /**
    * Process scheduled incidents - activate them when start time arrives, resolve when end time passes
    */
@@ -192,17 +252,18 @@ class IncidentService {
       const now = new Date();
       
       // Find scheduled incidents that need to be activated (start time has passed, status is still 'scheduled')
-      const scheduledToActivate = await this.prisma.incident.findMany({
+      // Recurring maintenance stays scheduled, its windows are tracked by the maintenance service
+      const scheduledToActivate = (await this.prisma.incident.findMany({
         where: {
           isScheduled: true,
           status: 'scheduled',
           scheduledStart: { lte: now },
         },
-      });
+      })).filter(incident => !incident.recurrence);
 
       for (const incident of scheduledToActivate) {
         // Activate the incident
-        await this.prisma.incident.update({
+        const activated = await this.prisma.incident.update({
           where: { id: incident.id },
           data: {
             status: 'investigating',
@@ -216,6 +277,7 @@ class IncidentService {
             ],
           },
         });
+        this.publishIncident('updated', activated);
         console.log(chalk.green(`✓ Activated scheduled incident: ${incident.title}`));
       }
 
@@ -230,7 +292,7 @@ class IncidentService {
 
       for (const incident of scheduledToResolve) {
         // Resolve the incident
-        await this.prisma.incident.update({
+        const resolved = await this.prisma.incident.update({
           where: { id: incident.id },
           data: {
             status: 'resolved',
@@ -245,9 +307,12 @@ class IncidentService {
             ],
           },
         });
+        this.publishIncident('updated', resolved);
         console.log(chalk.green(`✓ Resolved scheduled incident: ${incident.title}`));
       }
 
+      await maintenanceService.refresh();
+
       return {
         activated: scheduledToActivate.length,
         resolved: scheduledToResolve.length,
@@ -0,0 +1,232 @@
+const { getPrisma } = require('../config/prisma');
+const chalk = require('../utils/colors');
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly'];
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+/**
+ * Parse "HH:MM" into minutes after midnight, or null when invalid
+ */
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Start of the recurring window on the day of `date` (server local time)
+ */
+function windowStartOn(date, startMinutes) {
+  const start = new Date(date);
+  start.setHours(Math.floor(startMinutes / 60), startMinutes % 60, 0, 0);
+  return start;
+}
+
+/**
+ * Whether a recurring window may start on the day of `date`
+ */
+function runsOnDay(recurrence, date) {
+  if (recurrence.frequency === 'daily') {
+    return true;
+  }
+  return recurrence.daysOfWeek.includes(date.getDay());
+}
+
+class MaintenanceService {
+  constructor() {
+    this.windows = []; // Scheduled and recurring maintenance incidents
+    this.lastRefresh = null;
+  }
+
+  /**
+   * Validate and normalize a recurrence definition
+   * @returns {Object} {recurrence, errors} - recurrence is null when none was given
+   */
+  normalizeRecurrence(input) {
+    if (input === undefined || input === null || input === '' || input === false) {
+      return { recurrence: null, errors: [] };
+    }
+
+    const errors = [];
+    const frequency = input.frequency || 'weekly';
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+      errors.push(`Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+    }
+
+    const daysOfWeek = [...new Set((Array.isArray(input.daysOfWeek) ? input.daysOfWeek : [])
+      .map(day => parseInt(day, 10)))].sort();
+    if (frequency === 'weekly') {
+      if (daysOfWeek.length === 0) {
+        errors.push('Weekly maintenance needs at least one day of the week');
+      } else if (daysOfWeek.some(day => isNaN(day) || day < 0 || day > 6)) {
+        errors.push('Days of the week must be between 0 (Sunday) and 6 (Saturday)');
+      }
+    }
+
+    if (parseTime(input.startTime) === null) {
+      errors.push('Recurrence start time must be in HH:MM format');
+    }
+
+    const durationMinutes = parseInt(input.durationMinutes, 10);
+    if (isNaN(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_WINDOW_MINUTES) {
+      errors.push(`Maintenance duration must be between 1 and ${MAX_WINDOW_MINUTES} minutes`);
+    }
+
+    if (errors.length > 0) {
+      return { recurrence: null, errors };
+    }
+
+    return {
+      recurrence: {
+        frequency,
+        daysOfWeek: frequency === 'weekly' ? daysOfWeek : [],
+        startTime: String(input.startTime).trim().padStart(5, '0'),
+        durationMinutes,
+      },
+      errors: [],
+    };
+  }
+
+  /**
+   * Whether an incident is a maintenance window that silences its affected services
+   */
+  isMaintenance(incident) {
+    return incident.isScheduled === true && incident.status !== 'resolved';
+  }
+
+  /**
+   * Current window {start, end} of a maintenance incident, or null when it is not active
+   */
+  getActiveWindow(incident, now = new Date()) {
+    if (!this.isMaintenance(incident)) {
+      return null;
+    }
+
+    const seriesStart = incident.scheduledStart ? new Date(incident.scheduledStart) : null;
+    const seriesEnd = incident.scheduledEnd ? new Date(incident.scheduledEnd) : null;
+
+    if (!incident.recurrence) {
+      if (!seriesStart || now < seriesStart || (seriesEnd && now >= seriesEnd)) {
+        return null;
+      }
+      return { start: seriesStart, end: seriesEnd };
+    }
+
+    // For recurring windows scheduledStart/scheduledEnd bound the whole series
+    if ((seriesStart && now < seriesStart) || (seriesEnd && now >= seriesEnd)) {
+      return null;
+    }
+
+    const recurrence = incident.recurrence;
+    const startMinutes = parseTime(recurrence.startTime);
+    const duration = recurrence.durationMinutes * 60 * 1000;
+
+    // A window that started on an earlier day may still be running
+    const daysBack = Math.ceil(recurrence.durationMinutes / (24 * 60));
+    for (let offset = 0; offset <= daysBack; offset++) {
+      const day = new Date(now);
+      day.setDate(day.getDate() - offset);
+      if (!runsOnDay(recurrence, day)) {
+        continue;
+      }
+      const start = windowStartOn(day, startMinutes);
+      const end = new Date(start.getTime() + duration);
+      if (now >= start && now < end) {
+        return { start, end };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Next window {start, end} of a maintenance incident that has not started yet
+   */
+  getNextWindow(incident, now = new Date()) {
+    if (!this.isMaintenance(incident)) {
+      return null;
+    }
+
+    const seriesStart = incident.scheduledStart ? new Date(incident.scheduledStart) : null;
+    const seriesEnd = incident.scheduledEnd ? new Date(incident.scheduledEnd) : null;
+
+    if (!incident.recurrence) {
+      return seriesStart && seriesStart > now ? { start: seriesStart, end: seriesEnd } : null;
+    }
+
+    const recurrence = incident.recurrence;
+    const startMinutes = parseTime(recurrence.startTime);
+    const from = seriesStart && seriesStart > now ? seriesStart : now;
+
+    for (let offset = 0; offset <= 7; offset++) {
+      const day = new Date(from);
+      day.setDate(day.getDate() + offset);
+      if (!runsOnDay(recurrence, day)) {
+        continue;
+      }
+      const start = windowStartOn(day, startMinutes);
+      if (start < from) {
+        continue;
+      }
+      if (seriesEnd && start >= seriesEnd) {
+        return null;
+      }
+      return { start, end: new Date(start.getTime() + recurrence.durationMinutes * 60 * 1000) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Reload maintenance incidents from the database
+   */
+  async refresh() {
+    try {
+      const prisma = getPrisma();
+      this.windows = await prisma.incident.findMany({
+        where: {
+          isScheduled: true,
+          status: { not: 'resolved' },
+        },
+      });
+      this.lastRefresh = new Date();
+    } catch (error) {
+      console.error(chalk.red('Error loading maintenance windows:'), error.message);
+    }
+    return this.windows;
+  }
+
+  /**
+   * Active maintenance incident covering a target, matched by id or name in affectedServices
+   */
+  getMaintenance(target, now = new Date()) {
+    const targetId = (target.id || target._id)?.toString();
+    for (const incident of this.windows) {
+      const affected = Array.isArray(incident.affectedServices) ? incident.affectedServices.map(String) : [];
+      if (!affected.includes(targetId) && !affected.includes(target.name)) {
+        continue;
+      }
+      const window = this.getActiveWindow(incident, now);
+      if (window) {
+        return { incidentId: incident.id, title: incident.title, start: window.start, end: window.end };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a target is inside an active maintenance window
+   */
+  isInMaintenance(target, now = new Date()) {
+    return this.getMaintenance(target, now) !== null;
+  }
+}
+
+module.exports = new MaintenanceService();
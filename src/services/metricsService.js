@@ -0,0 +1,156 @@
+const { getPrisma } = require('../config/prisma');
+
+const CHECK_DURATION_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]; // seconds
+
+/**
+ * Escape a label value for the Prometheus text format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value !== 'number' || isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function toRatios(entries) {
+  const ratios = new Map();
+  for (const [targetId, total, successful] of entries) {
+    if (total > 0) {
+      ratios.set(targetId, successful / total);
+    }
+  }
+  return ratios;
+}
+
+/**
+ * Prometheus metrics
+ * Keeps the check measurements that are not stored anywhere else and renders metric families
+ * in the Prometheus text exposition format.
+ */
+class MetricsService {
+  constructor() {
+    this.checkDurations = new Map(); // Check duration histogram per target {counts, sum, count}
+    this.lastResults = new Map(); // Last result per target {responseTime, timestamp}
+  }
+
+  /**
+   * Record how long a check of a target took, including timeouts
+   */
+  observeCheckDuration(targetId, durationMs) {
+    const seconds = durationMs / 1000;
+    let histogram = this.checkDurations.get(targetId);
+    if (!histogram) {
+      histogram = { counts: CHECK_DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+      this.checkDurations.set(targetId, histogram);
+    }
+
+    CHECK_DURATION_BUCKETS.forEach((bucket, i) => {
+      if (seconds <= bucket) histogram.counts[i]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  /**
+   * Remember the latest processed result of a target
+   */
+  recordResult(targetId, result) {
+    this.lastResults.set(targetId, {
+      responseTime: typeof result.responseTime === 'number' ? result.responseTime : null,
+      timestamp: Date.now(),
+    });
+  }
+
+  getLastResult(targetId) {
+    return this.lastResults.get(targetId) || null;
+  }
+
+  removeTarget(targetId) {
+    this.checkDurations.delete(targetId);
+    this.lastResults.delete(targetId);
+  }
+
+  reset() {
+    this.checkDurations.clear();
+    this.lastResults.clear();
+  }
+
+  /**
+   * Samples of the check duration histogram
+   * @param {Function} labelsFor - targetId => labels, or null to skip the target
+   */
+  getCheckDurationSamples(labelsFor) {
+    const samples = [];
+    for (const [targetId, histogram] of this.checkDurations.entries()) {
+      const labels = labelsFor(targetId);
+      if (!labels) continue;
+
+      CHECK_DURATION_BUCKETS.forEach((bucket, i) => {
+        samples.push({ suffix: '_bucket', labels: { ...labels, le: bucket }, value: histogram.counts[i] });
+      });
+      samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: histogram.count });
+      samples.push({ suffix: '_sum', labels, value: histogram.sum });
+      samples.push({ suffix: '_count', labels, value: histogram.count });
+    }
+    return samples;
+  }
+
+  /**
+   * Share of successful checks per target since a time, from the ping results
+   * Checks during maintenance and the results reported by remote probes are left out,
+   * as in the daily statistics.
+   */
+  async getRecentUptimeRatios(since) {
+    const prisma = getPrisma();
+    const where = { timestamp: { gte: since }, maintenance: false, probeId: null };
+    const [totals, successes] = await Promise.all([
+      prisma.pingResult.groupBy({ by: ['targetId'], where, _count: { _all: true } }),
+      prisma.pingResult.groupBy({ by: ['targetId'], where: { ...where, success: true }, _count: { _all: true } }),
+    ]);
+
+    const successful = new Map(successes.map(row => [row.targetId, row._count._all]));
+    return toRatios(totals.map(row => [row.targetId, row._count._all, successful.get(row.targetId) || 0]));
+  }
+
+  /**
+   * Share of successful checks per target since a day, from the daily statistics
+   */
+  async getDailyUptimeRatios(since) {
+    const rows = await getPrisma().statistic.groupBy({
+      by: ['targetId'],
+      where: { date: { gte: since } },
+      _sum: { totalPings: true, successfulPings: true },
+    });
+
+    return toRatios(rows.map(row => [row.targetId, row._sum.totalPings || 0, row._sum.successfulPings || 0]));
+  }
+
+  /**
+   * Render metric families in the Prometheus text exposition format
+   * @param {Array} families - [{name, help, type, samples: [{labels, value, suffix}]}]
+   */
+  render(families) {
+    const lines = [];
+    for (const family of families) {
+      lines.push(`# HELP ${family.name} ${family.help}`);
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+      for (const sample of family.samples) {
+        lines.push(`${family.name}${sample.suffix || ''}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = new MetricsService();
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { getPrisma, getProvider } = require('../config/prisma');
+const chalk = require('../utils/colors');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+/**
+ * Versioned schema migrations
+ * Each migration is a numbered SQL file per database (src/migrations/<provider>/0002_name.sql)
+ * and is applied once, in its own transaction; schema_version records the applied versions.
+ * Migrations only go forward: a database with a version this build does not know is refused.
+ */
+class MigrationService {
+  /**
+   * Migrations of a database, in order
+   * @returns {Array} [{version, name, file}]
+   */
+  getMigrations(provider = getProvider()) {
+    const dir = path.join(MIGRATIONS_DIR, provider);
+    return fs.readdirSync(dir)
+      .map(file => file.match(/^(\d+)_(\w+)\.sql$/))
+      .filter(Boolean)
+      .map(([file, version, name]) => ({ version: Number(version), name, file: path.join(dir, file) }))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  getLatestVersion() {
+    const migrations = this.getMigrations();
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  }
+
+  async tableExists(prisma, table) {
+    const [row] = getProvider() === 'sqlite'
+      ? await prisma.$queryRaw`SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name = ${table}`
+      : await prisma.$queryRaw`SELECT COUNT(*) AS count FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ${table}`;
+    return Number(row.count) > 0;
+  }
+
+  /**
+   * Schema version of the database
+   * @returns {Promise<Object>} {current, latest, pending: [{version, name}], legacy: tables created without migrations}
+   */
+  async getStatus() {
+    const prisma = getPrisma();
+    const migrations = this.getMigrations();
+    const latest = this.getLatestVersion();
+
+    let current = 0;
+    let legacy = false;
+    if (await this.tableExists(prisma, 'schema_version')) {
+      const applied = await prisma.schemaVersion.findFirst({ orderBy: { version: 'desc' } });
+      current = applied ? applied.version : 0;
+    } else {
+      legacy = await this.tableExists(prisma, 'targets');
+    }
+
+    return {
+      current,
+      latest,
+      pending: migrations.filter(m => m.version > current).map(({ version, name }) => ({ version, name })),
+      legacy,
+    };
+  }
+
+  /**
+   * Apply pending migrations
+   * @returns {Promise<Array>} Applied migrations
+   */
+  async migrate() {
+    const status = await this.getStatus();
+
+    if (status.current > status.latest) {
+      throw new Error(`Database schema version ${status.current} is newer than this LocalPing supports (${status.latest}). Upgrade LocalPing or restore a backup.`);
+    }
+    if (status.legacy) {
+      throw new Error('Database was created without versioned migrations. Run `npm run migrate` once to baseline it.');
+    }
+
+    const prisma = getPrisma();
+    const applied = [];
+    for (const migration of this.getMigrations().filter(m => m.version > status.current)) {
+      const statements = splitStatements(fs.readFileSync(migration.file, 'utf8'));
+      await prisma.$transaction(async (tx) => {
+        for (const statement of statements) {
+          await tx.$executeRawUnsafe(statement);
+        }
+        await tx.schemaVersion.create({ data: { version: migration.version, name: migration.name } });
+      }, { timeout: 60000 });
+
+      console.log(chalk.green(`✓ Applied migration ${migration.version} (${migration.name})`));
+      applied.push({ version: migration.version, name: migration.name });
+    }
+    return applied;
+  }
+
+  /**
+   * Record a database whose tables were created with `prisma db push` as being at `version`,
+   * without running its migrations; the tables must already match that version
+   */
+  async baseline(version = this.getLatestVersion()) {
+    const prisma = getPrisma();
+    const migrations = this.getMigrations().filter(m => m.version <= version);
+
+    if (!(await this.tableExists(prisma, 'schema_version'))) {
+      const [initial] = migrations;
+      const createTable = splitStatements(fs.readFileSync(initial.file, 'utf8'))
+        .find(statement => statement.startsWith('CREATE TABLE "schema_version"'));
+      await prisma.$executeRawUnsafe(createTable);
+    }
+
+    await prisma.schemaVersion.createMany({
+      data: migrations.map(m => ({ version: m.version, name: m.name })),
+    });
+    console.log(chalk.green(`✓ Baselined database at schema version ${version}`));
+  }
+}
+
+/**
+ * Statements of a migration file; comments are dropped and statements end with a ; at the end of a line
+ */
+function splitStatements(sql) {
+  return sql
+    .split('\n')
+    .filter(line => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(/;\s*$/m)
+    .map(statement => statement.trim())
+    .filter(Boolean);
+}
+
+module.exports = new MigrationService();
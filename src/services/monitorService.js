@@ -1,18 +1,55 @@
 const { getPrisma } = require('../config/prisma');
 const pingService = require('./pingService');
+const maintenanceService = require('./maintenanceService');
+const eventStreamService = require('./eventStreamService');
+const schedulerService = require('./schedulerService');
+const probeService = require('./probeService');
+const metricsService = require('./metricsService');
+const resultWriterService = require('./resultWriterService');
+const { checkHeartbeat, getPushDeadline } = require('./checks/pushCheck');
+const { applyLatencyThresholds } = require('./checks/latency');
 const chalk = require('../utils/colors');
 const { v4: uuidv4 } = require('uuid');
 
+const DEFAULT_FLAP_WINDOW = 10; // minutes
+const LOCAL_LOCATION = 'local'; // Location key of checks run by this server
+
+/**
+ * Whether a status means the target answers (possibly slowly)
+ */
+function isOperational(status) {
+  return status === 'up' || status === 'degraded';
+}
+
+/**
+ * Ids of the targets a target depends on
+ */
+function getParentIds(target) {
+  return Array.isArray(target.dependsOn) ? target.dependsOn.map(String) : [];
+}
+
 class MonitorService {
   constructor() {
-    this.intervals = new Map();
     this.targetStatus = new Map(); // Track current status of targets
+    this.latencyLevel = new Map(); // Latency level ('warning' or 'critical') of degraded targets
     this.debugLogging = false; // Cache debug logging setting
     this.debugLoggingChecked = false; // Track if we've checked the setting
     this.lastAlertTime = new Map(); // Prevent alert spam
     this.failureCount = new Map(); // Track consecutive failures for retry logic
     this.downTimestamp = new Map(); // Track when monitor went down
-    this.notificationSent = new Map(); // Track if notification was sent for current down state
+    this.notificationSent = new Map(); // When the notification for the current down state was sent
+    this.certificateState = new Map(); // Last persisted certificate expiry per target
+    this.pushTargets = new Map(); // Push monitors waiting for heartbeats
+    this.escalationTimers = new Map(); // Pending escalations for monitors that are down
+    this.escalated = new Set(); // Monitors whose current outage was escalated
+    this.targets = new Map(); // Monitored targets, used to re-check parents
+    this.rootCause = new Map(); // Down ancestor of each unreachable target
+    this.parentChecks = new Map(); // In-flight parent re-checks shared by failing children
+    this.statusSince = new Map(); // When each target entered its current status
+    this.persistedState = new Map(); // Last state written to the database, to skip unchanged writes
+    this.openOutages = new Map(); // Outage being recorded per target {id, startedAt, failedChecks, pending}
+    this.flapState = new Map(); // Recent up/down transitions per target {transitions, lastSide, lastStatus, flapping}
+    this.locationResults = new Map(); // Latest result per location (this server or a probe) of targets checked by probes
   }
 
   /**
@@ -24,25 +61,37 @@ class MonitorService {
       try {
         const prisma = getPrisma();
         const targets = await prisma.target.findMany({ where: { enabled: true } });
+        await maintenanceService.refresh();
+
+        // Rehydrate status, outage start and notification state from before the restart
+        const states = await prisma.monitorState.findMany({
+          where: { targetId: { in: targets.map(target => target.id) } },
+        });
+        for (const state of states) {
+          this.restoreState(state);
+        }
+        if (states.length > 0) {
+          console.log(chalk.green(`✓ Restored state of ${states.length} monitors`));
+        }
+        const openOutages = await prisma.outage.findMany({
+          where: { endedAt: null, targetId: { in: targets.map(target => target.id) } },
+          orderBy: { startedAt: 'asc' },
+        });
+        for (const outage of openOutages) {
+          this.openOutages.set(outage.targetId, {
+            id: outage.id,
+            startedAt: outage.startedAt,
+            failedChecks: outage.failedChecks,
+            pending: Promise.resolve(),
+          });
+        }
 
         console.log(chalk.green(`✓ Starting monitor for ${targets.length} targets`));
 
-        // Set up monitoring intervals for all targets immediately
+        // Schedule all targets, the scheduler spreads their first checks over a few seconds
         for (const target of targets) {
           this.startTargetMonitor(target);
-        }
-
-        // Ping all targets in background to get current status (non-blocking)
-        if (targets.length > 0) {
-          console.log(chalk.blue('↪ Pinging all monitors to get current status (background)...'));
-          // Don't await - let it run in background
-          Promise.allSettled(targets.map(target => this.pingTarget(target)))
-            .then(() => {
-              console.log(chalk.green('✓ Initial ping complete, status updated'));
-            })
-            .catch((error) => {
-              console.error(chalk.yellow('Some initial pings failed:'), error.message);
-            });
+          this.resumeEscalation(target);
         }
       } catch (error) {
         console.error(chalk.red('Error starting monitoring:'), error.message);
@@ -57,35 +106,246 @@ class MonitorService {
     // Support both Prisma's 'id' and legacy '_id'
     const targetIdStr = (target.id || target._id).toString();
 
-    // Clear existing interval if any
-    if (this.intervals.has(targetIdStr)) {
-      clearInterval(this.intervals.get(targetIdStr));
-    }
-
-    // Status should already be set from initial ping in startMonitoring()
-    // If not, initialize to 'unknown'
+    // Status may already be restored from before a restart, otherwise it is unknown until the first check
     if (!this.targetStatus.has(targetIdStr)) {
       this.targetStatus.set(targetIdStr, 'unknown');
     }
+    this.targets.set(targetIdStr, target);
 
-    // Set up interval (initial ping already done in startMonitoring())
-    const interval = setInterval(() => {
-      this.pingTarget(target);
-    }, (target.interval || 60) * 1000);
+    // Push monitors schedule deadline checks instead of active pings
+    if (target.protocol?.toUpperCase() === 'PUSH') {
+      if (checkHeartbeat(target).success) {
+        this.targetStatus.set(targetIdStr, 'up');
+      }
+      this.pushTargets.set(targetIdStr, target);
+      schedulerService.cancel(targetIdStr);
+      this.schedulePushCheck(target, getPushDeadline(target) - Date.now());
+      console.log(chalk.blue(`↪ Expecting heartbeat from ${target.name} every ${target.interval || 60}s`));
+      return;
+    }
+
+    // The scheduler replaces any job of the target, never overlaps its checks and runs the first one after a jitter
+    schedulerService.schedule(targetIdStr, async () => {
+      await this.pingTarget(target);
+      return this.getNextCheckDelay(target);
+    }, { interval: (target.interval || 60) * 1000 });
 
-    this.intervals.set(targetIdStr, interval);
     console.log(chalk.blue(`↪ Monitoring ${target.name} every ${target.interval || 60}s`));
   }
 
+  /**
+   * Delay until the next check: retryInterval while failures are being retried, interval otherwise
+   */
+  getNextCheckDelay(target) {
+    const failures = this.failureCount.get((target.id || target._id).toString()) || 0;
+    if (failures > 0 && failures <= (target.retries || 0)) {
+      return (target.retryInterval || 5) * 1000;
+    }
+    return (target.interval || 60) * 1000;
+  }
+
+  /**
+   * Next and last check time of a target
+   * @returns {Object|null} {nextRunAt, lastRunAt, lastDuration, running}
+   */
+  getSchedule(targetId) {
+    return schedulerService.getSchedule(targetId.toString ? targetId.toString() : targetId);
+  }
+
   /**
    * Ping a target and store result (non-blocking)
    */
   async pingTarget(target) {
+    try {
+      const locations = this.getLocations(target);
+      if (locations.length === 1 && locations[0] === LOCAL_LOCATION) {
+        // Ping is now non-blocking via worker threads
+        const result = await this.runCheck(target);
+        await this.processResult(target, result);
+        return;
+      }
+
+      // Checked from several locations: the status follows the quorum of their latest results
+      if (target.checkLocally !== false) {
+        const result = await this.runCheck(target);
+        this.recordLocationResult(target, null, result);
+      }
+      await this.processResult(target, this.getQuorumResult(target), { recordResult: false });
+    } catch (error) {
+      console.error(chalk.red(`Error pinging ${target.name}:`), error.message);
+    }
+  }
+
+  /**
+   * Run one check of a target from this server and time it for the metrics
+   */
+  async runCheck(target) {
+    const startedAt = Date.now();
+    const result = await pingService.ping(target);
+    metricsService.observeCheckDuration((target.id || target._id).toString(), Date.now() - startedAt);
+    return result;
+  }
+
+  /**
+   * Locations checking a target: this server unless checkLocally is off, and its probes
+   */
+  getLocations(target) {
+    if (target.protocol?.toUpperCase() === 'PUSH') {
+      return [LOCAL_LOCATION];
+    }
+    const probes = probeService.getProbeIds(target);
+    return target.checkLocally === false ? probes : [LOCAL_LOCATION, ...probes];
+  }
+
+  /**
+   * Store a result of one location as the latest of that location and queue it as a ping result
+   * @param {string|null} probeId - Probe that ran the check, null for this server
+   */
+  recordLocationResult(target, probeId, result, timestamp = new Date()) {
+    const targetIdStr = (target.id || target._id).toString();
+    if (!this.locationResults.has(targetIdStr)) {
+      this.locationResults.set(targetIdStr, new Map());
+    }
+    this.locationResults.get(targetIdStr).set(probeId || LOCAL_LOCATION, { result, at: timestamp.getTime() });
+
+    resultWriterService.addPingResult({
+      targetId: target.id || target._id,
+      probeId: probeId || null,
+      success: result.success,
+      responseTime: result.responseTime || null,
+      timestamp,
+      statusCode: result.statusCode || null,
+      error: result.error || null,
+      protocol: result.protocol || null,
+      packetLoss: result.packetLoss ?? null,
+      jitter: result.jitter ?? null,
+      maintenance: maintenanceService.isInMaintenance(target),
+    });
+  }
+
+  /**
+   * Record a result pushed by a probe; the target's next scheduled evaluation takes it into account
+   */
+  recordProbeResult(target, probeId, result, timestamp = new Date()) {
+    const monitored = this.targets.get((target.id || target._id).toString()) || target;
+    this.recordLocationResult(monitored, probeId, result, timestamp);
+  }
+
+  /**
+   * Combine the latest results of all locations of a target
+   * The target fails when at least probeQuorum locations with a recent result report a failure.
+   * @returns {Object} Result {success, responseTime, error, locations: {failing, reporting, total}}
+   */
+  getQuorumResult(target, now = Date.now()) {
+    const targetIdStr = (target.id || target._id).toString();
+    const locations = this.getLocations(target);
+    const latest = this.locationResults.get(targetIdStr) || new Map();
+
+    // Results older than two intervals are from a location that stopped reporting
+    const maxAge = ((target.interval || 60) * 2 + (target.timeout || 30)) * 1000;
+    const fresh = locations
+      .map(location => latest.get(location))
+      .filter(entry => entry && now - entry.at <= maxAge)
+      .map(entry => entry.result);
+
+    const failing = fresh.filter(result => !result.success);
+    const summary = { failing: failing.length, reporting: fresh.length, total: locations.length };
+
+    if (fresh.length === 0) {
+      return { success: false, responseTime: null, error: 'No recent results from any location', locations: summary };
+    }
+
+    const quorum = Math.min(Math.max(target.probeQuorum || 1, 1), locations.length);
+    if (failing.length >= quorum) {
+      return {
+        ...failing[0],
+        success: false,
+        error: `Failing from ${failing.length} of ${fresh.length} locations: ${failing[0].error || 'check failed'}`,
+        locations: summary,
+      };
+    }
+
+    const passing = fresh.find(result => result.success);
+    return { ...(passing || { responseTime: null }), success: true, error: null, locations: summary };
+  }
+
+  /**
+   * Latest result of every location of a target
+   * @returns {Array} [{probeId, success, responseTime, error, timestamp}], probeId null for this server
+   */
+  getLocationResults(targetId) {
+    const latest = this.locationResults.get(targetId.toString ? targetId.toString() : targetId) || new Map();
+    return Array.from(latest.entries()).map(([location, { result, at }]) => ({
+      probeId: location === LOCAL_LOCATION ? null : location,
+      success: result.success,
+      responseTime: result.responseTime ?? null,
+      error: result.error || null,
+      timestamp: new Date(at),
+    }));
+  }
+
+  /**
+   * Schedule the next deadline check of a push monitor
+   */
+  schedulePushCheck(target, delay) {
+    const targetIdStr = (target.id || target._id).toString();
+
+    if (schedulerService.has(targetIdStr)) {
+      schedulerService.reschedule(targetIdStr, delay);
+      return;
+    }
+
+    schedulerService.schedule(targetIdStr, async () => {
+      await this.processResult(target, { ...checkHeartbeat(target), responseTime: 0 });
+      // Keep reporting failures every interval while the job stays silent
+      const untilDeadline = getPushDeadline(target) - Date.now();
+      return untilDeadline > 0 ? untilDeadline : undefined;
+    }, { interval: (target.interval || 60) * 1000, delay });
+  }
+
+  /**
+   * Record a heartbeat received on a push monitor's URL
+   * @param {Object} target - Target from the database
+   * @param {Object} heartbeat - {success, message, responseTime}
+   */
+  async recordHeartbeat(target, heartbeat = {}) {
+    const targetId = target.id || target._id;
+    const targetIdStr = targetId.toString();
+    const now = new Date();
+
+    const prisma = getPrisma();
+    await prisma.target.update({ where: { id: targetId }, data: { lastPushAt: now } });
+
+    // Disabled monitors only keep track of the last heartbeat
+    const monitored = this.pushTargets.get(targetIdStr);
+    if (!monitored) return;
+
+    monitored.lastPushAt = now;
+    await this.processResult(monitored, {
+      success: heartbeat.success !== false,
+      responseTime: heartbeat.responseTime || 0,
+      error: heartbeat.success === false ? (heartbeat.message || 'Job reported a failure') : null,
+      protocol: 'PUSH',
+    });
+    this.schedulePushCheck(monitored, getPushDeadline(monitored) - Date.now());
+  }
+
+  /**
+   * Apply a check result to a target: update status, store the result and send alerts (non-blocking)
+   * Shared by active pings and push heartbeats
+   * @param {Object} options - {recheckParents: ping parents that look up before declaring the target down,
+   *   recordResult: store the result as a ping result, off when the locations already stored theirs}
+   */
+  async processResult(target, result, options = {}) {
     try {
       // Support both Prisma's 'id' and legacy '_id'
       const targetId = target.id || target._id;
       const targetIdStr = targetId.toString();
 
+      // Slow answers are degraded
+      result = applyLatencyThresholds(target, result);
+      metricsService.recordResult(targetIdStr, result);
+
       // Check debug logging setting (cache it, check every 60 seconds)
       if (!this.debugLoggingChecked || Date.now() - (this.debugLoggingLastCheck || 0) > 60000) {
         try {
@@ -100,13 +360,10 @@ class MonitorService {
         }
       }
 
-      // Ping is now non-blocking via worker threads
-      const result = await pingService.ping(target);
-
       // Debug logging
       if (this.debugLogging) {
         const timestamp = new Date().toISOString();
-        const status = result.success ? chalk.green('✓ UP') : chalk.red('✗ DOWN');
+        const status = !result.success ? chalk.red('✗ DOWN') : result.degraded ? chalk.yellow('⚠ DEGRADED') : chalk.green('✓ UP');
         const responseTime = result.responseTime ? `${Math.round(result.responseTime)}ms` : 'N/A';
         const protocol = result.protocol || target.protocol || 'UNKNOWN';
         console.log(chalk.cyan(`[${timestamp}]`) + ` ${status} ${chalk.yellow(target.name)} (${target.host}:${target.port || 'default'}) - ${protocol} - ${responseTime}`);
@@ -131,17 +388,33 @@ class MonitorService {
       const maxRetries = target.retries || 0;
       let newStatus = 'unknown';
       let downtimeDuration = null; // Capture downtime duration for notification
+      let recovery = null; // Whether the outage was notified/escalated, for the recovery notification
+      const inMaintenance = maintenanceService.isInMaintenance(target);
 
-      if (pingSuccess) {
+      if (inMaintenance) {
+        // Failures during a maintenance window do not count toward alerts, notifications or uptime
+        newStatus = 'maintenance';
+        this.failureCount.set(targetIdStr, 0);
+        this.rootCause.delete(targetIdStr);
+        this.downTimestamp.delete(targetIdStr);
+        this.notificationSent.delete(targetIdStr);
+        this.clearEscalation(targetIdStr);
+      } else if (pingSuccess) {
         // Success - reset failure counter
         this.failureCount.set(targetIdStr, 0);
-        newStatus = 'up';
+        newStatus = result.degraded ? 'degraded' : 'up';
         // Calculate downtime duration before clearing the timestamp
         const downTime = this.downTimestamp.get(targetIdStr);
         downtimeDuration = downTime ? Date.now() - downTime : null;
-        // Clear down timestamp and notification flag when coming back up
+        recovery = {
+          notify: this.notificationSent.has(targetIdStr),
+          escalated: this.escalated.has(targetIdStr),
+        };
+        // Clear down timestamp, notification flag and pending escalation when coming back up
+        this.rootCause.delete(targetIdStr);
         this.downTimestamp.delete(targetIdStr);
         this.notificationSent.delete(targetIdStr);
+        this.clearEscalation(targetIdStr);
       } else {
         // Failure - increment counter
         const currentFailures = (this.failureCount.get(targetIdStr) || 0) + 1;
@@ -149,10 +422,18 @@ class MonitorService {
 
         // Only mark as down if we've exceeded retry threshold
         if (currentFailures > maxRetries) {
-          newStatus = 'down';
-          // Track when monitor went down (only set once)
-          if (!this.downTimestamp.has(targetIdStr)) {
-            this.downTimestamp.set(targetIdStr, Date.now());
+          // A down parent explains the failure: the target is unreachable rather than down
+          const rootCause = await this.findRootCause(target, options.recheckParents !== false);
+          if (rootCause) {
+            newStatus = 'unreachable';
+            this.rootCause.set(targetIdStr, rootCause);
+          } else {
+            newStatus = 'down';
+            this.rootCause.delete(targetIdStr);
+            // Track when monitor went down (only set once)
+            if (!this.downTimestamp.has(targetIdStr)) {
+              this.downTimestamp.set(targetIdStr, Date.now());
+            }
           }
         } else {
           // Still retrying, keep current status or mark as unknown
@@ -160,18 +441,66 @@ class MonitorService {
         }
       }
 
+      // Targets oscillating between up and down are reported as flapping instead of on every transition
+      const flap = this.detectFlapping(target, newStatus);
+      const settledStatus = newStatus;
+      newStatus = flap.status;
+      if (flap.change === 'flapping') {
+        this.notificationSent.delete(targetIdStr);
+        this.clearEscalation(targetIdStr);
+      } else if (flap.change === 'stable' && settledStatus === 'down') {
+        // The stable notice reports the outage, so its recovery is notified as usual
+        this.notificationSent.set(targetIdStr, Date.now());
+        this.scheduleEscalation(target);
+      }
+
       // Always update status immediately (in-memory, fast)
       this.targetStatus.set(targetIdStr, newStatus);
+      const previousLatencyLevel = this.getLatencyLevel(targetIdStr);
+      if (newStatus === 'degraded') {
+        this.latencyLevel.set(targetIdStr, result.latencyLevel);
+      } else {
+        this.latencyLevel.delete(targetIdStr);
+      }
+      const latencyLevel = this.getLatencyLevel(targetIdStr);
+      this.trackOutage(target, result, pingSuccess);
+
+      // Stream the check and any status transition to live dashboards
+      const checkedAt = new Date().toISOString();
+      eventStreamService.publish('ping', {
+        targetId: targetIdStr,
+        status: newStatus,
+        latencyLevel,
+        success: result.success,
+        responseTime: result.responseTime ?? null,
+        statusCode: result.statusCode || null,
+        error: result.error || null,
+        timestamp: checkedAt,
+      });
+      // A degraded target going from warning to critical latency is streamed as a transition too
+      if (newStatus !== currentStatus || latencyLevel !== previousLatencyLevel) {
+        if (newStatus !== currentStatus) {
+          this.statusSince.set(targetIdStr, Date.now());
+        }
+        eventStreamService.publish('status', {
+          targetId: targetIdStr,
+          name: target.name,
+          status: newStatus,
+          latencyLevel,
+          previousStatus: currentStatus || null,
+          rootCause: this.getRootCause(targetIdStr),
+          timestamp: checkedAt,
+        });
+      }
 
       // Defer database operations to next tick to avoid blocking
       setImmediate(async () => {
         try {
-          const prisma = getPrisma();
           const timestamp = new Date();
 
-          // Store ping result in database (non-blocking)
-          prisma.pingResult.create({
-            data: {
+          // Queue the ping result; results are written in batches
+          if (options.recordResult !== false) {
+            resultWriterService.addPingResult({
               targetId: targetId,
               success: result.success,
               responseTime: result.responseTime || null,
@@ -179,36 +508,36 @@ class MonitorService {
               statusCode: result.statusCode || null,
               error: result.error || null,
               protocol: result.protocol || null,
-            },
-          }).then(() => {
-            // Debug logging for successful DB write
-            if (this.debugLogging) {
-              console.log(chalk.gray(`  → Ping result saved to database`));
-            }
-          }).catch(err => {
-            // Log DB errors to help diagnose issues
-            console.error(chalk.red(`✗ DB write error for ${target.name}:`), err.message);
-            console.error(chalk.gray('  Error details:'), err);
-          });
+              packetLoss: result.packetLoss ?? null,
+              jitter: result.jitter ?? null,
+              maintenance: inMaintenance,
+            });
+          }
 
-          // Update statistics (non-blocking)
-          this.updateStatistics(target, result).then(() => {
-            // Debug logging for successful statistics update
-            if (this.debugLogging) {
-              console.log(chalk.gray(`  → Statistics updated`));
-            }
-          }).catch((err) => {
-            // Log statistics errors to help diagnose issues
-            console.error(chalk.red(`✗ Statistics update error for ${target.name}:`), err.message);
-            console.error(chalk.gray('  Error details:'), err);
-          });
+          // Count the check in the daily statistics, maintenance checks are left out of uptime
+          if (!inMaintenance) {
+            resultWriterService.addStatistic(targetId, result, timestamp);
+          }
+
+          if (this.debugLogging) {
+            console.log(chalk.gray(`  → Result queued for the database`));
+          }
+
+          // Persist TLS certificate details when they change (non-blocking)
+          if (result.certificate) {
+            this.updateCertificate(target, result.certificate).catch((err) => {
+              console.error(chalk.red(`✗ Certificate update error for ${target.name}:`), err.message);
+            });
+          }
 
           // Handle alerts (non-blocking)
-          // Check if we need to send DOWN notification (after 3+ consecutive failures)
+          // Check if we need to send DOWN notification (after the target's failure threshold)
           if (newStatus === 'down') {
             const consecutiveFailures = this.failureCount.get(targetIdStr) || 0;
-            if (consecutiveFailures >= 3 && !this.notificationSent.get(targetIdStr)) {
-              this.notificationSent.set(targetIdStr, true);
+            const alertThreshold = Math.max(target.alertThreshold ?? 3, 1);
+            if (consecutiveFailures >= alertThreshold && !this.notificationSent.has(targetIdStr)) {
+              this.notificationSent.set(targetIdStr, Date.now());
+              this.scheduleEscalation(target);
               this.handleTargetDown(target, result.responseTime).catch(err => {
                 if (process.env.NODE_ENV === 'development') {
                   console.error(chalk.yellow(`Alert error for ${target.name}:`), err.message);
@@ -217,11 +546,20 @@ class MonitorService {
             }
           }
           
+          // Flapping replaces the per-transition notifications with one flapping and one stable notice
+          if (flap.change) {
+            this.handleTargetFlapping(target, flap.change, settledStatus, result.responseTime).catch(err => {
+              if (process.env.NODE_ENV === 'development') {
+                console.error(chalk.yellow(`Alert error for ${target.name}:`), err.message);
+              }
+            });
+          }
+
           // Handle status changes
-          if (newStatus !== currentStatus && currentStatus !== 'unknown') {
-            if (newStatus === 'up') {
+          if (newStatus !== currentStatus && currentStatus !== 'unknown' && !inMaintenance) {
+            if (isOperational(newStatus) && !isOperational(currentStatus) && currentStatus !== 'flapping') {
               // Use downtime duration calculated before timestamp was deleted (captured in closure)
-              this.handleTargetUp(target, result.responseTime, downtimeDuration).catch(err => {
+              this.handleTargetUp(target, result.responseTime, downtimeDuration, recovery).catch(err => {
                 if (process.env.NODE_ENV === 'development') {
                   console.error(chalk.yellow(`Alert error for ${target.name}:`), err.message);
                 }
@@ -247,6 +585,8 @@ class MonitorService {
               }
             });
           }
+
+          this.persistState(targetIdStr);
         } catch (error) {
           // Silently handle errors to avoid blocking
           if (process.env.NODE_ENV === 'development') {
@@ -255,10 +595,48 @@ class MonitorService {
         }
       });
     } catch (error) {
-      console.error(chalk.red(`Error pinging ${target.name}:`), error.message);
+      console.error(chalk.red(`Error processing result for ${target.name}:`), error.message);
     }
   }
 
+  /**
+   * Store certificate details and days until expiry on the target
+   * Only writes when the certificate or the remaining days change, then evaluates certificate rules
+   */
+  async updateCertificate(target, certificate) {
+    const targetId = target.id || target._id;
+    const targetIdStr = targetId.toString();
+    const stateKey = `${certificate.validTo}|${certificate.daysUntilExpiry}`;
+
+    if (this.certificateState.get(targetIdStr) === stateKey) {
+      return;
+    }
+    this.certificateState.set(targetIdStr, stateKey);
+
+    const prisma = getPrisma();
+    await prisma.target.update({
+      where: { id: targetId },
+      data: {
+        certificate,
+        certExpiresAt: new Date(certificate.validTo),
+        certDaysRemaining: certificate.daysUntilExpiry,
+      },
+    });
+
+    target.certificate = certificate;
+    target.certDaysRemaining = certificate.daysUntilExpiry;
+
+    const eventDetectionService = require('./eventDetectionService');
+    await eventDetectionService.evaluateRules({
+      targetId: targetIdStr,
+      target,
+      status: this.targetStatus.get(targetIdStr),
+      certificate,
+      targetGroup: target.group,
+      eventTypes: ['certificate_expiring'],
+    });
+  }
+
   /**
    * Handle target going down
    */
@@ -288,6 +666,13 @@ class MonitorService {
 
     // Send external notifications (non-blocking)
     setImmediate(async () => {
+      // A parent went down in the meantime: the parent's notification covers this target
+      if (this.targetStatus.get(targetIdStr) === 'unreachable') {
+        this.notificationSent.delete(targetIdStr);
+        this.clearEscalation(targetIdStr);
+        return;
+      }
+
       try {
         const notificationService = require('./notificationService');
         await notificationService.notifyMonitorStatus(target, 'down', responseTime);
@@ -300,10 +685,84 @@ class MonitorService {
     });
   }
 
+  /**
+   * Open an outage when a target goes down, count its failed checks and close it once it is no longer down
+   * An outage lasts as long as the down timestamp; writes of one outage are chained so they apply in order.
+   */
+  trackOutage(target, result, pingSuccess) {
+    const targetIdStr = (target.id || target._id).toString();
+    const downSince = this.downTimestamp.get(targetIdStr);
+    const outage = this.openOutages.get(targetIdStr);
+    const prisma = getPrisma();
+    const logError = (err) => {
+      console.error(chalk.red(`✗ Outage update error for ${target.name}:`), err.message);
+    };
+
+    if (downSince && !outage) {
+      const record = { id: null, startedAt: new Date(downSince), failedChecks: this.failureCount.get(targetIdStr) || 1 };
+      record.pending = prisma.outage.create({
+        data: {
+          targetId: targetIdStr,
+          startedAt: record.startedAt,
+          firstError: result.error || null,
+          failedChecks: record.failedChecks,
+        },
+      }).then((created) => {
+        record.id = created.id;
+      }).catch(logError);
+      this.openOutages.set(targetIdStr, record);
+      return;
+    }
+
+    if (!outage) {
+      return;
+    }
+
+    if (downSince) {
+      if (!pingSuccess) {
+        outage.failedChecks++;
+        const failedChecks = outage.failedChecks;
+        outage.pending = outage.pending
+          .then(() => prisma.outage.update({ where: { id: outage.id }, data: { failedChecks } }))
+          .catch(logError);
+      }
+      return;
+    }
+
+    // Recovered, or the failures stopped counting (maintenance)
+    this.closeOutage(targetIdStr, target.name);
+  }
+
+  /**
+   * Record the end of the open outage of a target, if it has one
+   */
+  closeOutage(targetIdStr, name = targetIdStr) {
+    const outage = this.openOutages.get(targetIdStr);
+    if (!outage) {
+      return;
+    }
+
+    this.openOutages.delete(targetIdStr);
+    const endedAt = new Date();
+    outage.pending
+      .then(() => getPrisma().outage.update({
+        where: { id: outage.id },
+        data: {
+          endedAt,
+          duration: Math.round((endedAt - outage.startedAt) / 1000), // seconds
+          failedChecks: outage.failedChecks,
+        },
+      }))
+      .catch((err) => {
+        console.error(chalk.red(`✗ Outage update error for ${name}:`), err.message);
+      });
+  }
+
   /**
    * Handle target coming back up
+   * @param {Object} recovery - {notify: the outage was notified, escalated: the outage was escalated}
    */
-  async handleTargetUp(target, responseTime = null, downtimeDuration = null) {
+  async handleTargetUp(target, responseTime = null, downtimeDuration = null, recovery = { notify: true, escalated: false }) {
     const prisma = getPrisma();
     const targetId = target.id || target._id;
 
@@ -320,11 +779,18 @@ class MonitorService {
     // Log recovery
     console.log(chalk.green(`✓ ${target.name} is UP`));
 
+    // Outages that never reached the failure threshold were not notified, so neither is the recovery
+    if (!recovery.notify) {
+      return;
+    }
+
     // Send external notifications (non-blocking)
     setImmediate(async () => {
       try {
         const notificationService = require('./notificationService');
-        await notificationService.notifyMonitorStatus(target, 'up', responseTime, downtimeDuration);
+        await notificationService.notifyMonitorStatus(target, 'up', responseTime, downtimeDuration, {
+          escalated: recovery.escalated,
+        });
       } catch (error) {
         // Silently fail - notifications are not critical
         if (process.env.NODE_ENV === 'development') {
@@ -335,126 +801,392 @@ class MonitorService {
   }
 
   /**
-   * Update statistics for target
+   * Track up/down transitions of a target and decide whether it is flapping
+   * A target flaps once it changes state flapThreshold times within flapWindow minutes, and is
+   * stable again after a whole window without transitions.
+   * @returns {Object} {status: reported status, change: 'flapping', 'stable' or null}
    */
-  async updateStatistics(target, pingResult) {
-    try {
-      const prisma = getPrisma();
-      const targetId = target.id || target._id;
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-
-      // Use upsert for atomic update or insert
-      const stats = await prisma.statistic.findUnique({
-        where: {
-          targetId_date: {
-            targetId: targetId,
-            date: today,
-          },
-        },
-      });
+  detectFlapping(target, status, now = Date.now()) {
+    const targetIdStr = (target.id || target._id).toString();
+    if (!target.flapThreshold || status === 'maintenance') {
+      this.flapState.delete(targetIdStr);
+      return { status: status === 'flapping' ? 'unknown' : status, change: null };
+    }
 
-      if (stats) {
-        // Update existing stats
-        const newTotalPings = stats.totalPings + 1;
-        const newSuccessfulPings = pingResult.success ? stats.successfulPings + 1 : stats.successfulPings;
-        const newFailedPings = !pingResult.success ? stats.failedPings + 1 : stats.failedPings;
+    const state = this.flapState.get(targetIdStr) || { transitions: [], lastSide: null, lastStatus: null, flapping: false };
+    this.flapState.set(targetIdStr, state);
 
-        await prisma.statistic.update({
-          where: {
-            targetId_date: {
-              targetId: targetId,
-              date: today,
-            },
-          },
-          data: {
-            totalPings: newTotalPings,
-            successfulPings: newSuccessfulPings,
-            failedPings: newFailedPings,
-            uptime: (newSuccessfulPings / newTotalPings) * 100,
-            lastResponseTime: pingResult.responseTime || 0,
-            avgResponseTime:
-              (stats.avgResponseTime * stats.totalPings + (pingResult.responseTime || 0)) / newTotalPings,
-          },
-        });
-      } else {
-        // Create new stats
-        await prisma.statistic.create({
-          data: {
-            targetId: targetId,
-            date: today,
-            totalPings: 1,
-            successfulPings: pingResult.success ? 1 : 0,
-            failedPings: pingResult.success ? 0 : 1,
-            uptime: pingResult.success ? 100 : 0,
-            lastResponseTime: pingResult.responseTime || 0,
-            avgResponseTime: pingResult.responseTime || 0,
-          },
+    // Retries keep the previous status, which is 'flapping' while the target flaps
+    if (status === 'flapping') {
+      status = state.lastStatus || 'unknown';
+    }
+
+    const side = status === 'down' ? 'down' : (isOperational(status) ? 'up' : null);
+    if (side) {
+      if (state.lastSide && side !== state.lastSide) {
+        state.transitions.push(now);
+      }
+      state.lastSide = side;
+      state.lastStatus = status;
+    }
+
+    const window = (target.flapWindow || DEFAULT_FLAP_WINDOW) * 60000;
+    state.transitions = state.transitions.filter(time => now - time < window);
+
+    let change = null;
+    if (!state.flapping && state.transitions.length >= target.flapThreshold) {
+      state.flapping = true;
+      change = 'flapping';
+    } else if (state.flapping && state.transitions.length === 0) {
+      state.flapping = false;
+      change = 'stable';
+    }
+
+    return { status: state.flapping ? 'flapping' : status, change };
+  }
+
+  /**
+   * Handle a target starting to flap or becoming stable again
+   * @param {string} change - 'flapping' or 'stable'
+   * @param {string} status - Status the target settled on
+   */
+  async handleTargetFlapping(target, change, status, responseTime = null) {
+    const prisma = getPrisma();
+    const targetId = target.id || target._id;
+    const flapping = change === 'flapping';
+    const settled = isOperational(status) ? 'up' : 'down';
+
+    await prisma.alert.create({
+      data: {
+        targetId: targetId,
+        type: change,
+        timestamp: new Date(),
+        message: flapping
+          ? `${target.name} is FLAPPING (${target.host} - ${target.protocol})`
+          : `${target.name} is STABLE and ${settled.toUpperCase()} (${target.host} - ${target.protocol})`,
+      },
+    });
+
+    console.log(chalk.yellow(flapping ? `〰 ${target.name} is FLAPPING` : `✓ ${target.name} is STABLE (${settled})`));
+
+    // Send external notifications (non-blocking)
+    setImmediate(async () => {
+      try {
+        const notificationService = require('./notificationService');
+        await notificationService.notifyMonitorStatus(target, flapping ? 'flapping' : settled, responseTime, null, {
+          stable: !flapping,
         });
+      } catch (error) {
+        // Silently fail - notifications are not critical
+        if (process.env.NODE_ENV === 'development') {
+          console.error(chalk.yellow(`Notification error for ${target.name}:`), error.message);
+        }
       }
-    } catch (error) {
-      // Handle unique constraint violation (race condition) - retry
-      if (error.code === 'P2002') {
-        try {
-          const prisma = getPrisma();
-          const targetId = target.id || target._id;
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
-
-          const existingStats = await prisma.statistic.findUnique({
-            where: {
-              targetId_date: {
-                targetId: targetId,
-                date: today,
-              },
-            },
-          });
+    });
+  }
 
-          if (existingStats) {
-            const newTotalPings = existingStats.totalPings + 1;
-            const newSuccessfulPings = pingResult.success ? existingStats.successfulPings + 1 : existingStats.successfulPings;
-            const newFailedPings = !pingResult.success ? existingStats.failedPings + 1 : existingStats.failedPings;
-
-            await prisma.statistic.update({
-              where: {
-                targetId_date: {
-                  targetId: targetId,
-                  date: today,
-                },
-              },
-              data: {
-                totalPings: newTotalPings,
-                successfulPings: newSuccessfulPings,
-                failedPings: newFailedPings,
-                uptime: (newSuccessfulPings / newTotalPings) * 100,
-                lastResponseTime: pingResult.responseTime || 0,
-                avgResponseTime:
-                  (existingStats.avgResponseTime * existingStats.totalPings + (pingResult.responseTime || 0)) / newTotalPings,
-              },
-            });
-          }
-        } catch (retryError) {
-          // Silently ignore retry errors
+  /**
+   * Find the down ancestor that explains a failing target
+   * Parents that still look up are checked once more first, so a child failing right before
+   * its parent's next scheduled check is still attributed to the parent.
+   * @returns {Promise<string|null>} Id of the root cause target
+   */
+  async findRootCause(target, recheckParents = true) {
+    const parentIds = getParentIds(target).filter(id => this.targets.has(id));
+    if (parentIds.length === 0) {
+      return null;
+    }
+
+    if (recheckParents) {
+      const isFailing = (id) => ['down', 'unreachable'].includes(this.targetStatus.get(id));
+      await Promise.all(parentIds.filter(id => !isFailing(id)).map(id => this.recheckParent(id)));
+    }
+
+    for (const parentId of parentIds) {
+      const status = this.targetStatus.get(parentId);
+      if (status === 'down') {
+        return parentId;
+      }
+      if (status === 'unreachable') {
+        return this.rootCause.get(parentId) || parentId;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a parent target now; concurrent callers share the same check
+   * The parent does not re-check its own parents, which also keeps dependency cycles from recursing.
+   */
+  recheckParent(parentId) {
+    const parent = this.targets.get(parentId);
+    if (!parent || parent.protocol?.toUpperCase() === 'PUSH') {
+      return Promise.resolve();
+    }
+
+    if (!this.parentChecks.has(parentId)) {
+      const check = pingService.ping(parent)
+        .then(result => this.processResult(parent, result, { recheckParents: false }))
+        .catch(error => {
+          console.error(chalk.red(`Error checking parent ${parent.name}:`), error.message);
+        })
+        .finally(() => this.parentChecks.delete(parentId));
+      this.parentChecks.set(parentId, check);
+    }
+
+    return this.parentChecks.get(parentId);
+  }
+
+  /**
+   * Root cause of an unreachable target, null when the target is not unreachable
+   */
+  getRootCause(targetId) {
+    const targetIdStr = targetId.toString ? targetId.toString() : targetId;
+    return this.targetStatus.get(targetIdStr) === 'unreachable' ? this.rootCause.get(targetIdStr) || null : null;
+  }
+
+  /**
+   * Check that new parents would not make a target depend on itself
+   * @param {string|null} targetId - Target being saved (null when creating)
+   * @param {string[]} parentIds - Requested parents
+   * @returns {Promise<string|null>} Error message or null
+   */
+  async validateDependencies(targetId, parentIds) {
+    if (!Array.isArray(parentIds) || parentIds.length === 0) {
+      return null;
+    }
+
+    const prisma = getPrisma();
+    const targets = await prisma.target.findMany({ select: { id: true, dependsOn: true } });
+    const byId = new Map(targets.map(t => [t.id, t]));
+
+    const unknown = parentIds.filter(id => !byId.has(id));
+    if (unknown.length > 0) {
+      return `Unknown parent monitors: ${unknown.join(', ')}`;
+    }
+
+    if (!targetId) {
+      return null;
+    }
+
+    // Walk up from the requested parents; reaching the target itself means a cycle
+    const visited = new Set();
+    const queue = [...parentIds];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (id === targetId) {
+        return 'Monitor dependencies cannot form a cycle';
+      }
+      if (visited.has(id)) continue;
+      visited.add(id);
+      queue.push(...getParentIds(byId.get(id) || {}));
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove a deleted target from the parents of other targets
+   */
+  async removeDependency(targetId) {
+    const prisma = getPrisma();
+    const targets = await prisma.target.findMany({ select: { id: true, dependsOn: true } });
+
+    for (const target of targets) {
+      const parentIds = getParentIds(target);
+      if (!parentIds.includes(targetId)) continue;
+
+      const dependsOn = parentIds.filter(id => id !== targetId);
+      await prisma.target.update({ where: { id: target.id }, data: { dependsOn: dependsOn.length > 0 ? dependsOn : null } });
+
+      const monitored = this.targets.get(target.id);
+      if (monitored) monitored.dependsOn = dependsOn;
+    }
+  }
+
+  /**
+   * Unassign a deleted probe from every target and drop its buffered results
+   */
+  async removeProbe(probeId) {
+    resultWriterService.removeProbe(probeId);
+    const prisma = getPrisma();
+    const targets = await prisma.target.findMany({ select: { id: true, probes: true, probeQuorum: true, checkLocally: true } });
+
+    for (const target of targets) {
+      const probeIds = probeService.getProbeIds(target);
+      if (!probeIds.includes(probeId)) continue;
+
+      const probes = probeIds.filter(id => id !== probeId);
+      // Without probes left the target is checked from here again
+      const checkLocally = probes.length === 0 ? true : target.checkLocally;
+      const data = {
+        probes: probes.length > 0 ? probes : null,
+        checkLocally,
+        probeQuorum: Math.min(target.probeQuorum, probes.length + (checkLocally ? 1 : 0)),
+      };
+      await prisma.target.update({ where: { id: target.id }, data });
+
+      const monitored = this.targets.get(target.id);
+      if (monitored) Object.assign(monitored, data);
+      this.locationResults.get(target.id)?.delete(probeId);
+    }
+  }
+
+  /**
+   * Escalate to the target's escalation channels if it is still down after `escalateAfter` minutes
+   */
+  scheduleEscalation(target, delay = target.escalateAfter * 60000) {
+    const targetIdStr = (target.id || target._id).toString();
+    const channels = Array.isArray(target.escalateChannels) ? target.escalateChannels : [];
+
+    if (!target.escalateAfter || channels.length === 0) {
+      return;
+    }
+
+    this.clearEscalation(targetIdStr);
+    const timer = setTimeout(async () => {
+      this.escalationTimers.delete(targetIdStr);
+      if (this.targetStatus.get(targetIdStr) !== 'down') {
+        return;
+      }
+
+      this.escalated.add(targetIdStr);
+      this.persistState(targetIdStr);
+      console.log(chalk.red(`⚠ ${target.name} is still DOWN, escalating`));
+
+      try {
+        const notificationService = require('./notificationService');
+        const downTime = this.downTimestamp.get(targetIdStr);
+        await notificationService.notifyMonitorStatus(target, 'down', null, downTime ? Date.now() - downTime : null, {
+          escalation: true,
+        });
+      } catch (error) {
+        if (process.env.NODE_ENV === 'development') {
+          console.error(chalk.yellow(`Escalation error for ${target.name}:`), error.message);
         }
       }
-      // Silently ignore other statistics errors to avoid log spam
-      // They're not critical for core functionality
+    }, Math.max(delay, 0));
+
+    this.escalationTimers.set(targetIdStr, timer);
+  }
+
+  /**
+   * Re-arm the escalation of an outage that was notified before a restart
+   */
+  resumeEscalation(target) {
+    const targetIdStr = (target.id || target._id).toString();
+    const notifiedAt = this.notificationSent.get(targetIdStr);
+
+    if (!target.escalateAfter || !notifiedAt || this.escalated.has(targetIdStr) || this.targetStatus.get(targetIdStr) !== 'down') {
+      return;
     }
+
+    this.scheduleEscalation(target, notifiedAt + target.escalateAfter * 60000 - Date.now());
+  }
+
+  /**
+   * Current persisted state of a target
+   */
+  getState(targetIdStr) {
+    const toDate = (time) => (time ? new Date(time) : null);
+    return {
+      status: this.targetStatus.get(targetIdStr) || 'unknown',
+      statusSince: toDate(this.statusSince.get(targetIdStr)),
+      consecutiveFailures: this.failureCount.get(targetIdStr) || 0,
+      downSince: toDate(this.downTimestamp.get(targetIdStr)),
+      lastNotifiedAt: toDate(this.notificationSent.get(targetIdStr)),
+      escalated: this.escalated.has(targetIdStr),
+      rootCause: this.rootCause.get(targetIdStr) || null,
+    };
+  }
+
+  /**
+   * Persist the state of a target so it survives a restart (non-blocking)
+   * Skips the write when nothing changed since the last one.
+   */
+  persistState(targetIdStr) {
+    const state = this.getState(targetIdStr);
+    const key = JSON.stringify(state);
+    if (this.persistedState.get(targetIdStr) === key) {
+      return;
+    }
+    this.persistedState.set(targetIdStr, key);
+
+    const prisma = getPrisma();
+    prisma.monitorState.upsert({
+      where: { targetId: targetIdStr },
+      create: { targetId: targetIdStr, ...state },
+      update: state,
+    }).catch((err) => {
+      // Retry on the next check
+      this.persistedState.delete(targetIdStr);
+      console.error(chalk.red(`✗ State persist error for ${targetIdStr}:`), err.message);
+    });
+  }
+
+  /**
+   * Load the in-memory state of a target from its persisted state
+   */
+  restoreState(state) {
+    const targetIdStr = state.targetId;
+    const toTime = (date) => (date ? new Date(date).getTime() : null);
+
+    this.targetStatus.set(targetIdStr, state.status);
+    this.failureCount.set(targetIdStr, state.consecutiveFailures || 0);
+    const restore = (map, value) => (value !== null ? map.set(targetIdStr, value) : map.delete(targetIdStr));
+    restore(this.statusSince, toTime(state.statusSince));
+    restore(this.downTimestamp, toTime(state.downSince));
+    restore(this.notificationSent, toTime(state.lastNotifiedAt));
+    restore(this.rootCause, state.rootCause || null);
+    if (state.escalated) {
+      this.escalated.add(targetIdStr);
+    } else {
+      this.escalated.delete(targetIdStr);
+    }
+    // Keep a flapping target flapping until it has been stable for a whole window
+    if (state.status === 'flapping') {
+      this.flapState.set(targetIdStr, { transitions: [Date.now()], lastSide: null, lastStatus: null, flapping: true });
+    }
+
+    this.persistedState.set(targetIdStr, JSON.stringify(this.getState(targetIdStr)));
+  }
+
+  /**
+   * Cancel a pending escalation and forget a past one
+   */
+  clearEscalation(targetIdStr) {
+    if (this.escalationTimers.has(targetIdStr)) {
+      clearTimeout(this.escalationTimers.get(targetIdStr));
+      this.escalationTimers.delete(targetIdStr);
+    }
+    this.escalated.delete(targetIdStr);
   }
 
   /**
    * Stop monitoring a target
+   * An ongoing outage ends here, as nothing checks the target any more.
    */
   stopTargetMonitor(targetId) {
     const targetIdStr = targetId.toString ? targetId.toString() : targetId;
-    if (this.intervals.has(targetIdStr)) {
-      clearInterval(this.intervals.get(targetIdStr));
-      this.intervals.delete(targetIdStr);
+    this.closeOutage(targetIdStr, this.targets.get(targetIdStr)?.name);
+    if (schedulerService.has(targetIdStr)) {
+      schedulerService.cancel(targetIdStr);
       this.targetStatus.delete(targetIdStr);
+      this.latencyLevel.delete(targetIdStr);
       this.lastAlertTime.delete(targetIdStr);
       this.failureCount.delete(targetIdStr);
       this.downTimestamp.delete(targetIdStr);
       this.notificationSent.delete(targetIdStr);
+      this.pushTargets.delete(targetIdStr);
+      this.targets.delete(targetIdStr);
+      this.rootCause.delete(targetIdStr);
+      this.statusSince.delete(targetIdStr);
+      this.persistedState.delete(targetIdStr);
+      this.flapState.delete(targetIdStr);
+      this.locationResults.delete(targetIdStr);
+      metricsService.removeTarget(targetIdStr);
+      this.clearEscalation(targetIdStr);
       console.log(chalk.yellow(`⊘ Stopped monitoring ${targetIdStr}`));
     }
   }
@@ -463,11 +1195,23 @@ class MonitorService {
    * Stop all monitoring
    */
   stopAllMonitoring() {
-    for (const [targetId, interval] of this.intervals.entries()) {
-      clearInterval(interval);
+    schedulerService.cancelAll();
+    this.pushTargets.clear();
+    this.targets.clear();
+    this.rootCause.clear();
+    for (const timer of this.escalationTimers.values()) {
+      clearTimeout(timer);
     }
-    this.intervals.clear();
+    this.escalationTimers.clear();
+    this.escalated.clear();
     this.targetStatus.clear();
+    this.latencyLevel.clear();
+    this.statusSince.clear();
+    this.persistedState.clear();
+    this.openOutages.clear();
+    this.flapState.clear();
+    this.locationResults.clear();
+    metricsService.reset();
     this.lastAlertTime.clear();
     console.log(chalk.yellow('⊘ Stopped all monitoring'));
   }
@@ -479,6 +1223,14 @@ class MonitorService {
     return this.targetStatus.get(targetId.toString ? targetId.toString() : targetId) || 'unknown';
   }
 
+  /**
+   * Latency level of a degraded target
+   * @returns {string|null} 'warning', 'critical', or null when the target is not degraded
+   */
+  getLatencyLevel(targetId) {
+    return this.latencyLevel.get(targetId.toString ? targetId.toString() : targetId) || null;
+  }
+
   /**
    * Set target status (for manual updates like test endpoints)
    */
@@ -488,10 +1240,10 @@ class MonitorService {
   }
 
   /**
-   * Get all monitoring intervals
+   * Get the ids of all scheduled targets
    */
   getActiveMonitors() {
-    return Array.from(this.intervals.keys());
+    return schedulerService.getJobIds();
   }
 }
 
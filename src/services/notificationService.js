@@ -1,6 +1,73 @@
-const axios = require('axios');
 const chalk = require('../utils/colors');
 const { getPrisma } = require('../config/prisma');
+const channelRegistry = require('./notifications');
+
+const DEFAULT_DIGEST_INTERVAL = 60; // minutes
+
+const DEFAULT_EVENTS = {
+  monitorDown: true,
+  monitorUp: true,
+  incidentCreated: true,
+  incidentUpdated: true,
+};
+
+/**
+ * Normalize the stored config of one channel: {enabled, events, ...channel fields}
+ */
+function normalizeChannelConfig(channel, config) {
+  const normalized = { enabled: config?.enabled === true };
+
+  channel.fields.forEach(field => {
+    const value = config?.[field.key];
+    normalized[field.key] = value === undefined || value === '' ? (field.default ?? null) : value;
+  });
+
+  normalized.events = {};
+  channelRegistry.NOTIFICATION_EVENTS.forEach(event => {
+    normalized.events[event] = config?.events?.[event] !== false;
+  });
+
+  return normalized;
+}
+
+/**
+ * Human readable duration, e.g. "2 hours, 5 minutes"
+ */
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) {
+    return `${days} day${days > 1 ? 's' : ''}, ${hours % 24} hour${(hours % 24) !== 1 ? 's' : ''}`;
+  } else if (hours > 0) {
+    return `${hours} hour${hours > 1 ? 's' : ''}, ${minutes % 60} minute${(minutes % 60) !== 1 ? 's' : ''}`;
+  } else if (minutes > 0) {
+    return `${minutes} minute${minutes > 1 ? 's' : ''}, ${seconds % 60} second${(seconds % 60) !== 1 ? 's' : ''}`;
+  }
+  return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Normalize the digest settings: {enabled, channel, intervalMinutes}
+ */
+function normalizeDigest(digest) {
+  return {
+    enabled: digest?.enabled === true,
+    channel: digest?.channel || null,
+    intervalMinutes: Math.max(parseInt(digest?.intervalMinutes, 10) || DEFAULT_DIGEST_INTERVAL, 1),
+  };
+}
+
+function getDefaultSettings() {
+  const channels = {};
+  channelRegistry.getChannels().forEach(channel => {
+    channels[channel.id] = normalizeChannelConfig(channel, null);
+  });
+
+  return { enabled: false, events: { ...DEFAULT_EVENTS }, channels, digest: normalizeDigest(null) };
+}
 
 class NotificationService {
   constructor() {
@@ -8,10 +75,13 @@ class NotificationService {
     this.settingsChecked = false;
     this.settingsLastCheck = 0;
     this.settingsCacheTTL = 60000; // 1 minute cache
+    this.digestQueue = []; // Monitor events waiting for the next digest
+    this.digestTimer = null;
   }
 
   /**
    * Get notification settings from database (with caching)
+   * Discord keeps its own column, the other channels are stored in `channels`
    */
   async getSettings() {
     const now = Date.now();
@@ -27,41 +97,28 @@ class NotificationService {
 
       if (settingsDoc) {
         // Prisma stores JSON fields as objects, no need to parse
-        const discord = settingsDoc.discord || null;
         const events = settingsDoc.events || null;
+        const storedChannels = { ...(settingsDoc.channels || {}), discord: settingsDoc.discord || null };
+
+        const channels = {};
+        channelRegistry.getChannels().forEach(channel => {
+          channels[channel.id] = normalizeChannelConfig(channel, storedChannels[channel.id]);
+        });
 
         this.settings = {
           enabled: settingsDoc.enabled !== false,
-          discord: {
-            enabled: discord?.enabled === true,
-            webhookUrl: discord?.webhookUrl || null,
-            username: discord?.username || 'LocalPing',
-            avatarUrl: discord?.avatarUrl || null,
-          },
           events: {
             monitorDown: events?.monitorDown !== false,
             monitorUp: events?.monitorUp !== false,
             incidentCreated: events?.incidentCreated !== false,
             incidentUpdated: events?.incidentUpdated !== false,
           },
+          channels,
+          digest: normalizeDigest(settingsDoc.digest),
         };
       } else {
         // Default settings
-        this.settings = {
-          enabled: false,
-          discord: {
-            enabled: false,
-            webhookUrl: null,
-            username: 'LocalPing',
-            avatarUrl: null,
-          },
-          events: {
-            monitorDown: true,
-            monitorUp: true,
-            incidentCreated: true,
-            incidentUpdated: true,
-          },
-        };
+        this.settings = getDefaultSettings();
       }
 
       this.settingsLastCheck = now;
@@ -69,11 +126,7 @@ class NotificationService {
     } catch (error) {
       console.error(chalk.red('Error loading notification settings:'), error.message);
       // Return default settings on error
-      return {
-        enabled: false,
-        discord: { enabled: false, webhookUrl: null, username: 'LocalPing', avatarUrl: null },
-        events: { monitorDown: true, monitorUp: true, incidentCreated: true, incidentUpdated: true },
-      };
+      return getDefaultSettings();
     }
   }
 
@@ -87,56 +140,56 @@ class NotificationService {
   }
 
   /**
-   * Get avatar URL for Discord webhook
-   * Returns the configured avatar URL or constructs a default URL using the ms-icon
-   */
-  getAvatarUrl(configuredAvatarUrl) {
-    // If avatar is configured, use it
-    if (configuredAvatarUrl && configuredAvatarUrl.trim() && configuredAvatarUrl.includes('http')) {
-      return configuredAvatarUrl;
-    }
-
-    // Otherwise, construct default URL using environment variable or default
-    // Use PUBLIC_URL, API_URL, or construct from PORT
-    let baseUrl = process.env.PUBLIC_URL || process.env.API_URL;
-    
-    if (!baseUrl) {
-      // Construct from host and port if available
-      const host = process.env.HOST || 'localhost';
-      const port = process.env.API_PORT || process.env.PORT || 8000;
-      const protocol = process.env.PROTOCOL || (port === 443 ? 'https' : 'http');
-      baseUrl = `${protocol}://${host}${port !== 80 && port !== 443 ? `:${port}` : ''}`;
-    }
-
-    // Ensure baseUrl doesn't end with a slash
-    baseUrl = baseUrl.replace(/\/$/, '');
-    
-    return `${baseUrl}/ms-icon-310x310.png`;
-  }
-
-  /**
-   * Send notification to Discord webhook
+   * Send a message through one channel
+   * @returns {Promise<Object>} {provider, success, error}
    */
-  async sendDiscordNotification(webhookUrl, payload) {
+  async sendToChannel(channel, config, message) {
     try {
-      const response = await axios.post(webhookUrl, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        timeout: 10000, // 10 second timeout
-      });
-
-      return { success: true, response: response.data };
+      await channel.send(config, message);
+      return { provider: channel.id, success: true };
     } catch (error) {
-      console.error(chalk.red('Discord webhook error:'), error.message);
+      console.error(chalk.red(`${channel.name} notification error:`), error.message);
       if (error.response) {
         console.error(chalk.gray('  Response status:'), error.response.status);
         console.error(chalk.gray('  Response data:'), error.response.data);
       }
-      return { success: false, error: error.message };
+      return { provider: channel.id, success: false, error: error.message };
     }
   }
 
+  /**
+   * Send a message to every enabled channel subscribed to the event
+   * @param {Object} options - {channels: restrict delivery to these channel ids}
+   */
+  async dispatch(eventType, message, options = {}) {
+    const settings = await this.getSettings();
+
+    if (!settings.enabled) {
+      return { success: false, reason: 'Notifications disabled' };
+    }
+
+    if (!settings.events[eventType]) {
+      return { success: false, reason: `Event ${eventType} disabled` };
+    }
+
+    const routed = Array.isArray(options.channels) && options.channels.length > 0 ? options.channels : null;
+
+    const recipients = channelRegistry.getChannels().filter(channel => {
+      const config = settings.channels[channel.id];
+      if (routed && !routed.includes(channel.id)) return false;
+      return config.enabled && config.events[eventType] && channelRegistry.isConfigured(channel, config);
+    });
+
+    const results = await Promise.all(
+      recipients.map(channel => this.sendToChannel(channel, settings.channels[channel.id], { ...message, event: eventType }))
+    );
+
+    return {
+      success: results.some(r => r.success),
+      results,
+    };
+  }
+
   /**
    * Format Discord embed for monitor status change
    */
@@ -150,23 +203,7 @@ class NotificationService {
 
     // Add downtime duration to description if available
     if (isUp && downtimeDuration !== null) {
-      const seconds = Math.floor(downtimeDuration / 1000);
-      const minutes = Math.floor(seconds / 60);
-      const hours = Math.floor(minutes / 60);
-      const days = Math.floor(hours / 24);
-      
-      let durationStr = '';
-      if (days > 0) {
-        durationStr = `${days} day${days > 1 ? 's' : ''}, ${hours % 24} hour${(hours % 24) !== 1 ? 's' : ''}`;
-      } else if (hours > 0) {
-        durationStr = `${hours} hour${hours > 1 ? 's' : ''}, ${minutes % 60} minute${(minutes % 60) !== 1 ? 's' : ''}`;
-      } else if (minutes > 0) {
-        durationStr = `${minutes} minute${minutes > 1 ? 's' : ''}, ${seconds % 60} second${(seconds % 60) !== 1 ? 's' : ''}`;
-      } else {
-        durationStr = `${seconds} second${seconds !== 1 ? 's' : ''}`;
-      }
-      
-      description += ` (was down for ${durationStr})`;
+      description += ` (was down for ${formatDuration(downtimeDuration)})`;
     }
 
     const embed = {
@@ -267,115 +304,172 @@ class NotificationService {
 
   /**
    * Notify about monitor status change
+   * Routed to the target's alert channels; digest monitors are queued for the next digest instead.
+   * @param {Object} options - {escalation: send the escalation page, escalated: recovery of an escalated outage,
+   *   stable: the monitor stopped flapping and settled on `status`}
    */
-  async notifyMonitorStatus(target, status, responseTime = null, downtimeDuration = null) {
-    const settings = await this.getSettings();
+  async notifyMonitorStatus(target, status, responseTime = null, downtimeDuration = null, options = {}) {
+    const eventType = status === 'up' ? 'monitorUp' : 'monitorDown';
+    const message = {
+      ...this.formatMonitorEmbed(target, status, responseTime, downtimeDuration),
+      // Mention everyone for important monitors going down
+      mention: status === 'down' && target.important === true,
+      data: {
+        targetId: target.id,
+        name: target.name,
+        host: target.host,
+        protocol: target.protocol || 'ICMP',
+        status,
+        responseTime,
+        downtimeDuration,
+        escalation: options.escalation === true,
+      },
+    };
 
-    if (!settings.enabled) {
-      return { success: false, reason: 'Notifications disabled' };
+    if (status === 'flapping') {
+      message.title = '〰 Monitor Flapping';
+      message.description = `${target.name} keeps going up and down, notifications are paused until it is stable`;
+      message.color = 0xf59e0b;
+    } else if (options.stable) {
+      message.title = status === 'up' ? '✓ Monitor Stable' : '✗ Monitor Stable (Offline)';
+      message.description = `${target.name} stopped flapping and is ${status === 'up' ? 'online' : 'offline'}`;
     }
 
-    const eventType = status === 'up' ? 'monitorUp' : 'monitorDown';
-    if (!settings.events[eventType]) {
-      return { success: false, reason: `Event ${eventType} disabled` };
+    if (options.escalation) {
+      message.title = '⚠ Monitor Still Offline';
+      message.description = `${target.name} has been offline for ${formatDuration(downtimeDuration || 0)} (escalated)`;
+      message.mention = true;
+      return this.dispatch(eventType, message, { channels: target.escalateChannels });
     }
 
-    const results = [];
-
-    // Send Discord notification if enabled
-    if (settings.discord.enabled && settings.discord.webhookUrl) {
-      const embed = this.formatMonitorEmbed(target, status, responseTime, downtimeDuration);
-      const payload = {
-        username: settings.discord.username,
-        embeds: [embed],
-        avatar_url: this.getAvatarUrl(settings.discord.webhookUrl, settings.discord.avatarUrl),
-      };
-
-      // Add @everyone for important monitors going down
-      if (status === 'down' && target.important === true) {
-        payload.content = '@everyone';
-      }
+    if (target.alertMode === 'digest') {
+      return this.queueDigest(eventType, message);
+    }
 
-      const result = await this.sendDiscordNotification(settings.discord.webhookUrl, payload);
-      results.push({ provider: 'discord', ...result });
+    // Recoveries of escalated outages also reach the escalation channels
+    let channels = target.alertChannels;
+    if (options.escalated && Array.isArray(channels) && channels.length > 0) {
+      channels = [...new Set([...channels, ...(target.escalateChannels || [])])];
     }
 
-    return {
-      success: results.some(r => r.success),
-      results,
-    };
+    return this.dispatch(eventType, message, { channels });
   }
 
   /**
-   * Notify about incident
+   * Queue a monitor event for the digest channel and schedule the next digest
    */
-  async notifyIncident(incident, isUpdate = false) {
+  async queueDigest(eventType, message) {
     const settings = await this.getSettings();
 
     if (!settings.enabled) {
       return { success: false, reason: 'Notifications disabled' };
     }
 
-    const eventType = isUpdate ? 'incidentUpdated' : 'incidentCreated';
     if (!settings.events[eventType]) {
       return { success: false, reason: `Event ${eventType} disabled` };
     }
 
-    const results = [];
+    if (!settings.digest.enabled || !settings.digest.channel) {
+      return { success: false, reason: 'Digest channel not configured' };
+    }
 
-    // Send Discord notification if enabled
-    if (settings.discord.enabled && settings.discord.webhookUrl) {
-      const embed = this.formatIncidentEmbed(incident, isUpdate);
-      const payload = {
-        username: settings.discord.username,
-        embeds: [embed],
-        avatar_url: this.getAvatarUrl(settings.discord.webhookUrl, settings.discord.avatarUrl),
-      };
+    this.digestQueue.push({ ...message, event: eventType });
 
-      const result = await this.sendDiscordNotification(settings.discord.webhookUrl, payload);
-      results.push({ provider: 'discord', ...result });
+    if (!this.digestTimer) {
+      this.digestTimer = setTimeout(() => {
+        this.flushDigest().catch(error => {
+          console.error(chalk.red('Error sending notification digest:'), error.message);
+        });
+      }, settings.digest.intervalMinutes * 60000);
     }
 
-    return {
-      success: results.some(r => r.success),
-      results,
+    return { success: true, queued: true };
+  }
+
+  /**
+   * Send all queued monitor events as one message to the digest channel
+   */
+  async flushDigest() {
+    clearTimeout(this.digestTimer);
+    this.digestTimer = null;
+
+    const events = this.digestQueue.splice(0);
+    if (events.length === 0) {
+      return { success: false, reason: 'Digest is empty' };
+    }
+
+    const settings = await this.getSettings();
+    const channel = channelRegistry.getChannel(settings.digest.channel);
+    const config = channel ? settings.channels[channel.id] : null;
+    if (!channel || !config.enabled || !channelRegistry.isConfigured(channel, config)) {
+      return { success: false, reason: 'Digest channel not configured' };
+    }
+
+    const down = events.filter(event => event.event === 'monitorDown').length;
+    const lines = events.map(event => {
+      const time = new Date(event.timestamp).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+      return `${time} ${event.title} - ${event.description}`;
+    });
+
+    return this.sendToChannel(channel, config, {
+      event: 'digest',
+      title: `📋 Notification Digest (${events.length} event${events.length !== 1 ? 's' : ''})`,
+      description: lines.join('\n'),
+      color: down > 0 ? 0xf59e0b : 0x10b981, // Orange when something went down
+      fields: [],
+      timestamp: new Date().toISOString(),
+      data: { events: events.map(event => ({ event: event.event, timestamp: event.timestamp, ...event.data })) },
+    });
+  }
+
+  /**
+   * Notify about incident
+   */
+  async notifyIncident(incident, isUpdate = false) {
+    const eventType = isUpdate ? 'incidentUpdated' : 'incidentCreated';
+    const message = {
+      ...this.formatIncidentEmbed(incident, isUpdate),
+      data: {
+        incidentId: incident.id,
+        title: incident.title,
+        severity: incident.severity,
+        status: incident.status,
+        affectedServices: incident.affectedServices || [],
+      },
     };
+
+    return this.dispatch(eventType, message);
   }
 
   /**
-   * Test notification (for testing webhook configuration)
+   * Test notification (for testing a channel configuration)
    */
   async testNotification(provider = 'discord') {
+    const channel = channelRegistry.getChannel(provider);
+    if (!channel) {
+      return { success: false, error: `Unknown provider: ${provider}` };
+    }
+
     const settings = await this.getSettings();
 
     if (!settings.enabled) {
       return { success: false, error: 'Notifications are disabled' };
     }
 
-    if (provider === 'discord') {
-      if (!settings.discord.enabled || !settings.discord.webhookUrl) {
-        return { success: false, error: 'Discord notifications are not configured' };
-      }
-
-      const payload = {
-        username: settings.discord.username,
-        embeds: [
-          {
-            title: '🧪 Test Notification',
-            description: 'This is a test notification from LocalPing. If you receive this, your webhook is configured correctly!',
-            color: 0x06b6d4, // Cyan
-            timestamp: new Date().toISOString(),
-          },
-        ],
-        avatar_url: this.getAvatarUrl(settings.discord.avatarUrl),
-      };
-
-      return await this.sendDiscordNotification(settings.discord.webhookUrl, payload);
+    const config = settings.channels[provider];
+    if (!config.enabled || !channelRegistry.isConfigured(channel, config)) {
+      return { success: false, error: `${channel.name} notifications are not configured` };
     }
 
-    return { success: false, error: `Unknown provider: ${provider}` };
+    return this.sendToChannel(channel, config, {
+      event: 'test',
+      title: '🧪 Test Notification',
+      description: `This is a test notification from LocalPing. If you receive this, your ${channel.name} channel is configured correctly!`,
+      color: 0x06b6d4, // Cyan
+      fields: [],
+      timestamp: new Date().toISOString(),
+    });
   }
 }
 
 module.exports = new NotificationService();
-
@@ -0,0 +1,56 @@
+const axios = require('axios');
+
+/**
+ * Get avatar URL for Discord webhook
+ * Returns the configured avatar URL or constructs a default URL using the ms-icon
+ */
+function getAvatarUrl(configuredAvatarUrl) {
+  // If avatar is configured, use it
+  if (configuredAvatarUrl && configuredAvatarUrl.trim() && configuredAvatarUrl.includes('http')) {
+    return configuredAvatarUrl;
+  }
+
+  // Otherwise, construct default URL using PUBLIC_URL, API_URL, or host and port
+  let baseUrl = process.env.PUBLIC_URL || process.env.API_URL;
+
+  if (!baseUrl) {
+    const host = process.env.HOST || 'localhost';
+    const port = process.env.API_PORT || process.env.PORT || 8000;
+    const protocol = process.env.PROTOCOL || (port === 443 ? 'https' : 'http');
+    baseUrl = `${protocol}://${host}${port !== 80 && port !== 443 ? `:${port}` : ''}`;
+  }
+
+  return `${baseUrl.replace(/\/$/, '')}/ms-icon-310x310.png`;
+}
+
+module.exports = {
+  id: 'discord',
+  name: 'Discord',
+  icon: 'fab fa-discord',
+  fields: [
+    { key: 'webhookUrl', label: 'Webhook URL', type: 'url', required: true, secret: true, placeholder: 'https://discord.com/api/webhooks/...' },
+    { key: 'username', label: 'Username', type: 'text', placeholder: 'LocalPing', default: 'LocalPing' },
+    { key: 'avatarUrl', label: 'Avatar URL', type: 'url', placeholder: 'https://example.com/avatar.png' },
+  ],
+
+  async send(config, message) {
+    const { event, mention, data, ...embed } = message;
+    const payload = {
+      username: config.username || 'LocalPing',
+      embeds: [embed],
+      avatar_url: getAvatarUrl(config.avatarUrl),
+    };
+
+    // Add @everyone for important monitors going down
+    if (mention) {
+      payload.content = '@everyone';
+    }
+
+    await axios.post(config.webhookUrl, payload, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 10000,
+    });
+  },
+
+  getAvatarUrl,
+};
@@ -0,0 +1,36 @@
+const nodemailer = require('nodemailer');
+const { toPlainText, toHtml } = require('./format');
+
+module.exports = {
+  id: 'email',
+  name: 'Email (SMTP)',
+  icon: 'fas fa-envelope',
+  fields: [
+    { key: 'host', label: 'SMTP Host', type: 'text', required: true, placeholder: 'smtp.example.com' },
+    { key: 'port', label: 'Port', type: 'number', placeholder: '587', default: 587 },
+    { key: 'secure', label: 'Use TLS (port 465)', type: 'checkbox', default: false },
+    { key: 'username', label: 'Username', type: 'text', placeholder: 'Optional' },
+    { key: 'password', label: 'Password', type: 'password', secret: true, placeholder: 'Optional' },
+    { key: 'from', label: 'From', type: 'text', required: true, placeholder: 'LocalPing <localping@example.com>' },
+    { key: 'to', label: 'To', type: 'text', required: true, placeholder: 'admin@example.com, ops@example.com' },
+  ],
+
+  async send(config, message) {
+    const transporter = nodemailer.createTransport({
+      host: config.host,
+      port: parseInt(config.port, 10) || 587,
+      secure: config.secure === true,
+      auth: config.username ? { user: config.username, pass: config.password } : undefined,
+      connectionTimeout: 10000,
+    });
+
+    await transporter.sendMail({
+      from: config.from,
+      to: config.to,
+      subject: `[LocalPing] ${message.title}`,
+      text: toPlainText(message),
+      html: toHtml(message),
+      priority: message.mention ? 'high' : 'normal',
+    });
+  },
+};
@@ -0,0 +1,70 @@
+/**
+ * Helpers to render a notification message for text based channels
+ *
+ * A message uses the same shape as a Discord embed so every channel can render it:
+ * {event, title, description, color, fields: [{name, value}], timestamp, mention, data}
+ */
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a numeric embed color to a CSS hex string
+ */
+function colorToHex(color) {
+  return '#' + (color || 0).toString(16).padStart(6, '0');
+}
+
+/**
+ * Render a message as plain text (title, description and one line per field)
+ */
+function toPlainText(message, { includeTitle = true } = {}) {
+  const lines = [];
+  if (includeTitle && message.title) lines.push(message.title);
+  if (message.description) lines.push(message.description);
+
+  const fields = message.fields || [];
+  if (fields.length > 0) {
+    lines.push('');
+    fields.forEach(field => lines.push(`${field.name}: ${field.value}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a message as simple HTML (used by Telegram, Matrix and email)
+ */
+function toHtml(message, { lineBreak = '<br>' } = {}) {
+  const parts = [];
+  if (message.title) parts.push(`<b>${escapeHtml(message.title)}</b>`);
+  if (message.description) parts.push(escapeHtml(message.description));
+
+  const fields = message.fields || [];
+  if (fields.length > 0) {
+    parts.push('');
+    fields.forEach(field => parts.push(`<b>${escapeHtml(field.name)}:</b> ${escapeHtml(field.value)}`));
+  }
+
+  return parts.join(lineBreak);
+}
+
+/**
+ * Whether the message reports something going wrong (used for channel priorities)
+ */
+function isProblem(message) {
+  return message.event === 'monitorDown' || message.event === 'incidentCreated';
+}
+
+module.exports = {
+  escapeHtml,
+  colorToHex,
+  toPlainText,
+  toHtml,
+  isProblem,
+};
@@ -0,0 +1,23 @@
+const axios = require('axios');
+const { toPlainText, isProblem } = require('./format');
+
+module.exports = {
+  id: 'gotify',
+  name: 'Gotify',
+  icon: 'fas fa-bell',
+  fields: [
+    { key: 'serverUrl', label: 'Server URL', type: 'url', required: true, placeholder: 'https://gotify.example.com' },
+    { key: 'appToken', label: 'Application Token', type: 'password', required: true, secret: true, placeholder: 'AbCdEf123...' },
+  ],
+
+  async send(config, message) {
+    await axios.post(`${config.serverUrl.replace(/\/$/, '')}/message`, {
+      title: message.title,
+      message: toPlainText(message, { includeTitle: false }),
+      priority: message.mention ? 10 : isProblem(message) ? 8 : 5,
+    }, {
+      headers: { 'X-Gotify-Key': config.appToken },
+      timeout: 10000,
+    });
+  },
+};
@@ -0,0 +1,114 @@
+/**
+ * Notification channel registry
+ *
+ * Each channel module exports {id, name, icon, fields, send(config, message)}.
+ * `fields` describes the settings form (`secret` fields are redacted from shared exports) and
+ * `send` throws on delivery failure.
+ */
+const channels = [
+  require('./discord'),
+  require('./slack'),
+  require('./telegram'),
+  require('./ntfy'),
+  require('./gotify'),
+  require('./matrix'),
+  require('./webhook'),
+  require('./email'),
+];
+
+const NOTIFICATION_EVENTS = ['monitorDown', 'monitorUp', 'incidentCreated', 'incidentUpdated'];
+const ALERT_MODES = ['immediate', 'digest'];
+const MAX_ALERT_THRESHOLD = 100;
+const MAX_ESCALATE_AFTER = 7 * 24 * 60; // minutes
+const MAX_FLAP_THRESHOLD = 100;
+const MAX_FLAP_WINDOW = 24 * 60; // minutes
+
+const registry = new Map(channels.map(channel => [channel.id, channel]));
+
+function getChannel(id) {
+  return registry.get(id) || null;
+}
+
+function getChannels() {
+  return channels;
+}
+
+/**
+ * Public description of the channels for the settings UI
+ */
+function describeChannels() {
+  return channels.map(({ id, name, icon, fields }) => ({ id, name, icon, fields }));
+}
+
+/**
+ * Whether all required fields of a channel are filled in
+ */
+function isConfigured(channel, config) {
+  return channel.fields
+    .filter(field => field.required)
+    .every(field => config[field.key] !== undefined && config[field.key] !== null && String(config[field.key]).trim() !== '');
+}
+
+/**
+ * Validate the per-target alert routing fields
+ * @returns {string[]} Error messages
+ */
+function validateAlertRouting({ alertChannels, alertThreshold, alertMode, escalateChannels, escalateAfter, flapThreshold, flapWindow }) {
+  const errors = [];
+
+  [['Alert channels', alertChannels], ['Escalation channels', escalateChannels]].forEach(([label, ids]) => {
+    if (ids === undefined || ids === null) return;
+    if (!Array.isArray(ids)) {
+      errors.push(`${label} must be an array of channel ids`);
+      return;
+    }
+    const unknown = ids.filter(id => !registry.has(id));
+    if (unknown.length > 0) {
+      errors.push(`${label} contain unknown channels: ${unknown.join(', ')}`);
+    }
+  });
+
+  if (alertThreshold !== undefined && alertThreshold !== null) {
+    const threshold = parseInt(alertThreshold, 10);
+    if (isNaN(threshold) || threshold < 1 || threshold > MAX_ALERT_THRESHOLD) {
+      errors.push(`Alert threshold must be a number between 1 and ${MAX_ALERT_THRESHOLD} consecutive failures`);
+    }
+  }
+
+  if (alertMode !== undefined && alertMode !== null && !ALERT_MODES.includes(alertMode)) {
+    errors.push(`Alert mode must be one of: ${ALERT_MODES.join(', ')}`);
+  }
+
+  if (escalateAfter !== undefined && escalateAfter !== null) {
+    const minutes = parseInt(escalateAfter, 10);
+    if (isNaN(minutes) || minutes < 1 || minutes > MAX_ESCALATE_AFTER) {
+      errors.push(`Escalation delay must be a number between 1 and ${MAX_ESCALATE_AFTER} minutes`);
+    }
+  }
+
+  if (flapThreshold !== undefined && flapThreshold !== null) {
+    const changes = parseInt(flapThreshold, 10);
+    if (isNaN(changes) || changes < 2 || changes > MAX_FLAP_THRESHOLD) {
+      errors.push(`Flap threshold must be a number between 2 and ${MAX_FLAP_THRESHOLD} status changes`);
+    }
+  }
+
+  if (flapWindow !== undefined && flapWindow !== null) {
+    const minutes = parseInt(flapWindow, 10);
+    if (isNaN(minutes) || minutes < 1 || minutes > MAX_FLAP_WINDOW) {
+      errors.push(`Flap window must be a number between 1 and ${MAX_FLAP_WINDOW} minutes`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  ALERT_MODES,
+  validateAlertRouting,
+  getChannel,
+  getChannels,
+  describeChannels,
+  isConfigured,
+};
@@ -0,0 +1,30 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { toPlainText, toHtml } = require('./format');
+
+module.exports = {
+  id: 'matrix',
+  name: 'Matrix',
+  icon: 'fas fa-comments',
+  fields: [
+    { key: 'homeserverUrl', label: 'Homeserver URL', type: 'url', required: true, placeholder: 'https://matrix.org' },
+    { key: 'accessToken', label: 'Access Token', type: 'password', required: true, secret: true, placeholder: 'syt_...' },
+    { key: 'roomId', label: 'Room ID', type: 'text', required: true, placeholder: '!abcdef:matrix.org' },
+  ],
+
+  async send(config, message) {
+    const prefix = message.mention ? '@room ' : '';
+    const url = `${config.homeserverUrl.replace(/\/$/, '')}/_matrix/client/v3/rooms/`
+      + `${encodeURIComponent(config.roomId)}/send/m.room.message/${uuidv4()}`;
+
+    await axios.put(url, {
+      msgtype: 'm.text',
+      body: prefix + toPlainText(message),
+      format: 'org.matrix.custom.html',
+      formatted_body: prefix + toHtml(message),
+    }, {
+      headers: { Authorization: `Bearer ${config.accessToken}` },
+      timeout: 10000,
+    });
+  },
+};
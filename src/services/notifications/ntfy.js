@@ -0,0 +1,29 @@
+const axios = require('axios');
+const { toPlainText, isProblem } = require('./format');
+
+module.exports = {
+  id: 'ntfy',
+  name: 'ntfy',
+  icon: 'fas fa-bullhorn',
+  fields: [
+    { key: 'serverUrl', label: 'Server URL', type: 'url', placeholder: 'https://ntfy.sh', default: 'https://ntfy.sh' },
+    { key: 'topic', label: 'Topic', type: 'text', required: true, placeholder: 'homelab-alerts' },
+    { key: 'token', label: 'Access Token', type: 'password', secret: true, placeholder: 'Optional, tk_...' },
+  ],
+
+  async send(config, message) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.token) {
+      headers.Authorization = `Bearer ${config.token}`;
+    }
+
+    // JSON publishing keeps emoji in titles intact (headers are latin1 only)
+    await axios.post((config.serverUrl || 'https://ntfy.sh').replace(/\/$/, ''), {
+      topic: config.topic,
+      title: message.title,
+      message: toPlainText(message, { includeTitle: false }),
+      priority: message.mention ? 5 : isProblem(message) ? 4 : 3,
+      tags: [isProblem(message) ? 'rotating_light' : 'white_check_mark'],
+    }, { headers, timeout: 10000 });
+  },
+};
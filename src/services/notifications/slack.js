@@ -0,0 +1,32 @@
+const axios = require('axios');
+const { colorToHex } = require('./format');
+
+module.exports = {
+  id: 'slack',
+  name: 'Slack',
+  icon: 'fab fa-slack',
+  fields: [
+    { key: 'webhookUrl', label: 'Webhook URL', type: 'url', required: true, secret: true, placeholder: 'https://hooks.slack.com/services/...' },
+  ],
+
+  async send(config, message) {
+    const payload = {
+      text: `${message.mention ? '<!channel> ' : ''}${message.title}`,
+      attachments: [
+        {
+          color: colorToHex(message.color),
+          title: message.title,
+          text: message.description,
+          fields: (message.fields || []).map(field => ({
+            title: field.name,
+            value: String(field.value),
+            short: field.inline !== false,
+          })),
+          ts: Math.floor(new Date(message.timestamp || Date.now()).getTime() / 1000),
+        },
+      ],
+    };
+
+    await axios.post(config.webhookUrl, payload, { timeout: 10000 });
+  },
+};
@@ -0,0 +1,21 @@
+const axios = require('axios');
+const { toHtml } = require('./format');
+
+module.exports = {
+  id: 'telegram',
+  name: 'Telegram',
+  icon: 'fab fa-telegram',
+  fields: [
+    { key: 'botToken', label: 'Bot Token', type: 'password', required: true, secret: true, placeholder: '123456:ABC-DEF...' },
+    { key: 'chatId', label: 'Chat ID', type: 'text', required: true, placeholder: '-1001234567890' },
+  ],
+
+  async send(config, message) {
+    await axios.post(`https://api.telegram.org/bot${config.botToken}/sendMessage`, {
+      chat_id: config.chatId,
+      text: toHtml(message, { lineBreak: '\n' }),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    }, { timeout: 10000 });
+  },
+};
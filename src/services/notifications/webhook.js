@@ -0,0 +1,46 @@
+const axios = require('axios');
+
+/**
+ * Parse custom headers given as an object, a JSON string or "Name: value" lines
+ */
+function parseHeaders(headers) {
+  if (!headers) return {};
+  if (typeof headers === 'object') return headers;
+
+  try {
+    return JSON.parse(headers);
+  } catch (e) {
+    return headers.split('\n').reduce((result, line) => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        result[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+      }
+      return result;
+    }, {});
+  }
+}
+
+module.exports = {
+  id: 'webhook',
+  name: 'Webhook',
+  icon: 'fas fa-code',
+  fields: [
+    { key: 'url', label: 'URL', type: 'url', required: true, secret: true, placeholder: 'https://example.com/hooks/localping' },
+    { key: 'headers', label: 'Headers', type: 'textarea', secret: true, placeholder: 'Authorization: Bearer ...' },
+  ],
+
+  async send(config, message) {
+    await axios.post(config.url, {
+      event: message.event,
+      title: message.title,
+      description: message.description,
+      fields: Object.fromEntries((message.fields || []).map(field => [field.name, field.value])),
+      mention: message.mention === true,
+      timestamp: message.timestamp || new Date().toISOString(),
+      data: message.data || null,
+    }, {
+      headers: { 'Content-Type': 'application/json', ...parseHeaders(config.headers) },
+      timeout: 10000,
+    });
+  },
+};
@@ -0,0 +1,300 @@
+const { getPrisma, isSQLite } = require('../config/prisma');
+const dataRetentionService = require('./dataRetentionService');
+const { getActiveTiers } = require('../utils/retentionPolicy');
+
+// Numeric column of a raw query (may be a Decimal or null)
+function toNumberOrNull(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Value at a quantile (0-1) of sorted values, interpolated like percentile_cont
+ */
+function percentileCont(sorted, quantile) {
+  if (sorted.length === 0) return null;
+  const rank = quantile * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Min, max, percentiles and population standard deviation of response times (ms)
+ */
+function summarizeResponseTimes(values) {
+  if (values.length === 0) {
+    return { min: null, max: null, p50: null, p95: null, p99: null, stdDev: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    p50: percentileCont(sorted, 0.5),
+    p95: percentileCont(sorted, 0.95),
+    p99: percentileCont(sorted, 0.99),
+    stdDev: Math.sqrt(variance),
+  };
+}
+
+/**
+ * Add the counts of a rollup row to a chart bucket; the average is weighted by the measured
+ * pings. Rollups keep no percentiles, so they are unknown for buckets that include one.
+ */
+function mergeRollup(bucket, row) {
+  const measuredPings = bucket.measuredPings + row.measuredPings;
+  if (row.measuredPings > 0) {
+    bucket.avgResponseTime = (bucket.avgResponseTime * bucket.measuredPings + row.avgResponseTime * row.measuredPings) / measuredPings;
+  }
+  bucket.measuredPings = measuredPings;
+  bucket.totalPings += row.totalPings;
+  bucket.successfulPings += row.successfulPings;
+  bucket.failedPings = bucket.totalPings - bucket.successfulPings;
+  bucket.uptime = bucket.totalPings > 0 ? ((bucket.successfulPings / bucket.totalPings) * 100) : 0;
+  if (row.minResponseTime !== null && (bucket.minResponseTime === null || row.minResponseTime < bucket.minResponseTime)) {
+    bucket.minResponseTime = row.minResponseTime;
+  }
+  if (row.maxResponseTime !== null && (bucket.maxResponseTime === null || row.maxResponseTime > bucket.maxResponseTime)) {
+    bucket.maxResponseTime = row.maxResponseTime;
+  }
+  bucket.p50ResponseTime = null;
+  bucket.p95ResponseTime = null;
+  bucket.p99ResponseTime = null;
+  bucket.stdDevResponseTime = null;
+}
+
+/**
+ * Chart queries over ping results
+ * Results past the raw retention period are read from the rollup tables they were moved to
+ * (see dataRetentionService). PostgreSQL aggregates in the database; on SQLite, which lacks
+ * generate_series and percentile_cont, the rows of the period are aggregated here.
+ */
+class PingQueryService {
+  /**
+   * Ping results of a target in fixed time buckets
+   * @param {Object} options - {start, end (Date), intervalSeconds, maxPoints}
+   * @returns {Promise<Array>} [{date ("YYYY-MM-DD HH:MM:SS", UTC), totalPings, successfulPings, failedPings,
+   *   uptime, avgResponseTime, min/max/p50/p95/p99ResponseTime, stdDevResponseTime}]; latency of successful checks only,
+   *   except in buckets with rolled up results, which have no percentiles or standard deviation
+   */
+  async getResponseBuckets(targetId, { start, end, intervalSeconds, maxPoints }) {
+    const startEpoch = Math.floor(start.getTime() / 1000);
+    const endEpoch = Math.floor(end.getTime() / 1000);
+
+    const rows = isSQLite()
+      ? await this.aggregateBuckets(targetId, startEpoch, endEpoch, intervalSeconds, maxPoints)
+      : await this.queryBuckets(targetId, startEpoch, endEpoch, intervalSeconds, maxPoints);
+
+    const buckets = rows.map(r => {
+      const totalPings = Number(r.totalPings) || 0;
+      const successfulPings = Number(r.successfulPings) || 0;
+      return {
+        date: r.date,
+        totalPings,
+        successfulPings,
+        failedPings: totalPings - successfulPings,
+        uptime: totalPings > 0 ? ((successfulPings / totalPings) * 100) : 0,
+        avgResponseTime: Number(r.avgResponseTime) || 0,
+        measuredPings: Number(r.measuredPings) || 0,
+        minResponseTime: toNumberOrNull(r.minResponseTime),
+        maxResponseTime: toNumberOrNull(r.maxResponseTime),
+        p50ResponseTime: toNumberOrNull(r.p50ResponseTime),
+        p95ResponseTime: toNumberOrNull(r.p95ResponseTime),
+        p99ResponseTime: toNumberOrNull(r.p99ResponseTime),
+        stdDevResponseTime: toNumberOrNull(r.stdDevResponseTime),
+      };
+    });
+
+    for (const tier of await this.getRollupTiers(targetId, start)) {
+      const rollups = isSQLite()
+        ? await this.readRollups(tier, targetId, startEpoch, intervalSeconds, buckets.length)
+        : await this.queryRollups(tier, targetId, startEpoch, intervalSeconds, buckets.length);
+      for (const rollup of rollups) {
+        const bucket = buckets[rollup.index];
+        if (bucket) mergeRollup(bucket, rollup);
+      }
+    }
+
+    return buckets.map(({ measuredPings, ...bucket }) => bucket);
+  }
+
+  /**
+   * Rollup tiers of a target that can hold results from `start` on: those whose rows are older
+   * than the tier they were rolled up from
+   */
+  async getRollupTiers(targetId, start) {
+    const prisma = getPrisma();
+    const [policy, target] = await Promise.all([
+      dataRetentionService.getGlobalPolicy(),
+      prisma.target.findUnique({ where: { id: targetId }, select: { retentionPolicy: true } }),
+    ]);
+    return getActiveTiers(dataRetentionService.getTargetPolicy(target || {}, policy))
+      .filter(tier => tier.source && start < tier.source.cutoff);
+  }
+
+  /**
+   * Rows of a rollup tier summed per chart bucket, by the start of their rollup bucket
+   * @returns {Promise<Array>} [{index, totalPings, successfulPings, measuredPings, avgResponseTime, minResponseTime, maxResponseTime}]
+   */
+  async queryRollups(tier, targetId, startEpoch, intervalSeconds, count) {
+    const prisma = getPrisma();
+    const rows = await prisma.$queryRawUnsafe(`
+      SELECT
+        FLOOR((EXTRACT(EPOCH FROM "bucket") - $4::bigint) / $5::bigint)::integer AS "index",
+        SUM("totalPings")::integer AS "totalPings",
+        SUM("successfulPings")::integer AS "successfulPings",
+        SUM("measuredPings")::integer AS "measuredPings",
+        SUM("avgResponseTime" * "measuredPings") / NULLIF(SUM("measuredPings"), 0) AS "avgResponseTime",
+        MIN("minResponseTime") AS "minResponseTime",
+        MAX("maxResponseTime") AS "maxResponseTime"
+      FROM "${tier.table}"
+      WHERE "targetId" = $1 AND "bucket" >= $2 AND "bucket" < $3
+      GROUP BY 1`,
+    targetId, new Date(startEpoch * 1000), new Date((startEpoch + count * intervalSeconds) * 1000), startEpoch, intervalSeconds);
+
+    return rows.map(row => ({
+      index: Number(row.index),
+      totalPings: Number(row.totalPings) || 0,
+      successfulPings: Number(row.successfulPings) || 0,
+      measuredPings: Number(row.measuredPings) || 0,
+      avgResponseTime: toNumberOrNull(row.avgResponseTime),
+      minResponseTime: toNumberOrNull(row.minResponseTime),
+      maxResponseTime: toNumberOrNull(row.maxResponseTime),
+    }));
+  }
+
+  /**
+   * Rows of a rollup tier with the chart bucket they fall into, like queryRollups (SQLite)
+   */
+  async readRollups(tier, targetId, startEpoch, intervalSeconds, count) {
+    const prisma = getPrisma();
+    const rows = await prisma[tier.model].findMany({
+      where: {
+        targetId,
+        bucket: { gte: new Date(startEpoch * 1000), lt: new Date((startEpoch + count * intervalSeconds) * 1000) },
+      },
+      select: {
+        bucket: true, totalPings: true, successfulPings: true, measuredPings: true,
+        avgResponseTime: true, minResponseTime: true, maxResponseTime: true,
+      },
+    });
+
+    return rows.map(({ bucket, ...row }) => ({
+      ...row,
+      index: Math.floor((bucket.getTime() / 1000 - startEpoch) / intervalSeconds),
+    }));
+  }
+
+  async queryBuckets(targetId, startEpoch, endEpoch, intervalSeconds, maxPoints) {
+    const prisma = getPrisma();
+    return prisma.$queryRaw`
+      WITH time_buckets AS (
+        SELECT (to_timestamp(bucket_epoch) AT TIME ZONE 'UTC')::timestamp as bucket_time
+        FROM generate_series(${startEpoch}::bigint, ${endEpoch}::bigint, ${intervalSeconds}::bigint) as bucket_epoch
+        ORDER BY bucket_epoch
+        LIMIT ${maxPoints}
+      )
+      SELECT
+        time_buckets.bucket_time::text as date,
+        COALESCE(COUNT(pr."_id"), 0)::integer as "totalPings",
+        COALESCE(SUM(CASE WHEN pr.success = true THEN 1 ELSE 0 END), 0)::integer as "successfulPings",
+        COALESCE(AVG(CASE WHEN pr."responseTime" IS NOT NULL THEN pr."responseTime"::real ELSE NULL END), 0) as "avgResponseTime",
+        COUNT(pr."responseTime")::integer as "measuredPings",
+        MIN(pr."responseTime") FILTER (WHERE pr.success) as "minResponseTime",
+        MAX(pr."responseTime") FILTER (WHERE pr.success) as "maxResponseTime",
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY pr."responseTime") FILTER (WHERE pr.success) as "p50ResponseTime",
+        percentile_cont(0.95) WITHIN GROUP (ORDER BY pr."responseTime") FILTER (WHERE pr.success) as "p95ResponseTime",
+        percentile_cont(0.99) WITHIN GROUP (ORDER BY pr."responseTime") FILTER (WHERE pr.success) as "p99ResponseTime",
+        stddev_pop(pr."responseTime") FILTER (WHERE pr.success) as "stdDevResponseTime"
+      FROM time_buckets
+      LEFT JOIN "pingResults" pr ON
+        pr."targetId" = ${targetId}
+        AND pr.timestamp >= time_buckets.bucket_time
+        AND pr.timestamp < (time_buckets.bucket_time + (${intervalSeconds} || ' seconds')::interval)
+      GROUP BY time_buckets.bucket_time
+      ORDER BY time_buckets.bucket_time ASC
+    `;
+  }
+
+  async aggregateBuckets(targetId, startEpoch, endEpoch, intervalSeconds, maxPoints) {
+    const count = Math.min(Math.floor((endEpoch - startEpoch) / intervalSeconds) + 1, maxPoints);
+    const buckets = Array.from({ length: Math.max(count, 0) }, () => ({ total: 0, successful: 0, responseTimes: [], measured: [] }));
+
+    const prisma = getPrisma();
+    const results = await prisma.pingResult.findMany({
+      where: {
+        targetId,
+        timestamp: { gte: new Date(startEpoch * 1000), lt: new Date((startEpoch + buckets.length * intervalSeconds) * 1000) },
+      },
+      select: { timestamp: true, success: true, responseTime: true },
+    });
+
+    for (const result of results) {
+      const bucket = buckets[Math.floor((result.timestamp.getTime() / 1000 - startEpoch) / intervalSeconds)];
+      if (!bucket) continue;
+      bucket.total++;
+      if (result.responseTime !== null) bucket.responseTimes.push(result.responseTime);
+      if (result.success) {
+        bucket.successful++;
+        if (result.responseTime !== null) bucket.measured.push(result.responseTime);
+      }
+    }
+
+    return buckets.map((bucket, i) => {
+      const latency = summarizeResponseTimes(bucket.measured);
+      return {
+        date: new Date((startEpoch + i * intervalSeconds) * 1000).toISOString().replace('T', ' ').slice(0, 19),
+        totalPings: bucket.total,
+        successfulPings: bucket.successful,
+        avgResponseTime: bucket.responseTimes.length > 0
+          ? bucket.responseTimes.reduce((sum, value) => sum + value, 0) / bucket.responseTimes.length
+          : 0,
+        measuredPings: bucket.responseTimes.length,
+        minResponseTime: latency.min,
+        maxResponseTime: latency.max,
+        p50ResponseTime: latency.p50,
+        p95ResponseTime: latency.p95,
+        p99ResponseTime: latency.p99,
+        stdDevResponseTime: latency.stdDev,
+      };
+    });
+  }
+
+  /**
+   * Latency of the successful checks of a target since a date
+   * @returns {Promise<Object>} {min, max, p50, p95, p99, stdDev} (ms), null values without checks
+   */
+  async getLatencySummary(targetId, since) {
+    const prisma = getPrisma();
+
+    if (isSQLite()) {
+      const results = await prisma.pingResult.findMany({
+        where: { targetId, success: true, responseTime: { not: null }, timestamp: { gte: since } },
+        select: { responseTime: true },
+      });
+      return summarizeResponseTimes(results.map(result => result.responseTime));
+    }
+
+    const [latency] = await prisma.$queryRaw`
+      SELECT
+        MIN("responseTime") as min,
+        MAX("responseTime") as max,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY "responseTime") as p50,
+        percentile_cont(0.95) WITHIN GROUP (ORDER BY "responseTime") as p95,
+        percentile_cont(0.99) WITHIN GROUP (ORDER BY "responseTime") as p99,
+        stddev_pop("responseTime") as "stdDev"
+      FROM "pingResults"
+      WHERE "targetId" = ${targetId}
+        AND success = true
+        AND "responseTime" IS NOT NULL
+        AND timestamp >= ${since}
+    `;
+    return Object.fromEntries(
+      ['min', 'max', 'p50', 'p95', 'p99', 'stdDev'].map(key => [key, toNumberOrNull(latency?.[key])]),
+    );
+  }
+}
+
+module.exports = new PingQueryService();
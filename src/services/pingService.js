@@ -1,11 +1,13 @@
 const workerPool = require('./workers/workerPool');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const axios = require('axios');
 const tcpPing = require('tcp-ping');
 const dgram = require('dgram');
-
-const execAsync = promisify(exec);
+const { checkDNS } = require('./checks/dnsCheck');
+const { checkICMP } = require('./checks/icmpCheck');
+const { parseAssertions, evaluateAssertions } = require('./checks/httpAssertions');
+const { createRequestConfig } = require('./checks/httpRequest');
+const { checkPromQL } = require('./checks/promqlCheck');
+const { checkHeartbeat } = require('./checks/pushCheck');
 
 class PingService {
   constructor() {
@@ -19,6 +21,11 @@ class PingService {
    * @returns {Promise<Object>} Result {success, responseTime, error}
    */
   async ping(target) {
+    // Push monitors are passive, evaluating the last heartbeat needs no worker
+    if (target.protocol?.toUpperCase() === 'PUSH') {
+      return { ...checkHeartbeat(target), responseTime: 0 };
+    }
+
     if (this.useWorkers) {
       // Use worker pool for non-blocking multithreaded pings
       return await workerPool.execute(target);
@@ -37,7 +44,7 @@ class PingService {
     try {
       switch (target.protocol?.toUpperCase()) {
         case 'ICMP':
-          return await this.pingICMP(target.host, start);
+          return await this.pingICMP(target.host, start, target);
         case 'TCP':
           return await this.pingTCP(target.host, target.port || 80, start);
         case 'UDP':
@@ -46,6 +53,10 @@ class PingService {
           return await this.pingHTTP(`http://${target.host}:${target.port || 80}${target.path || '/'}`, start, target);
         case 'HTTPS':
           return await this.pingHTTP(`https://${target.host}:${target.port || 443}${target.path || '/'}`, start, target);
+        case 'DNS':
+          return await this.pingDNS(target.host, start, target);
+        case 'PROMQL':
+          return { ...(await checkPromQL(target)), responseTime: Date.now() - start };
         default:
           return {
             success: false,
@@ -64,30 +75,13 @@ class PingService {
 
   /**
    * ICMP Ping using system ping command
-   * Requires running with elevated privileges
+   * Reports the round trip measured by ping (average over packetCount packets), packet loss and jitter
    */
-  async pingICMP(host, start) {
-    try {
-      // Using -c 1 for Linux/Mac, -n 1 for Windows
-      const isWindows = process.platform === 'win32';
-      const cmd = isWindows ? `ping -n 1 -w ${this.timeout} ${host}` : `ping -c 1 -W ${this.timeout / 1000} ${host}`;
-
-      const { stdout } = await execAsync(cmd, { timeout: this.timeout + 1000 });
-
-      const responseTime = Date.now() - start;
-      return {
-        success: true,
-        responseTime,
-        protocol: 'ICMP',
-      };
-    } catch (error) {
-      return {
-        success: false,
-        responseTime: Date.now() - start,
-        error: 'ICMP ping failed: ' + error.message,
-        protocol: 'ICMP',
-      };
-    }
+  async pingICMP(host, start, target = {}) {
+    return await checkICMP(host, {
+      count: target.packetCount,
+      timeout: target.timeout ? target.timeout * 1000 : this.timeout,
+    });
   }
 
   /**
@@ -183,51 +177,40 @@ class PingService {
     });
   }
 
+  /**
+   * DNS resolution check against a configurable resolver
+   * Succeeds only when the record resolves (and matches dnsExpected, if set)
+   */
+  async pingDNS(host, start, target = {}) {
+    const result = await checkDNS(host, {
+      recordType: target.dnsRecordType,
+      resolver: target.dnsResolver,
+      port: target.port || 53,
+      expected: target.dnsExpected,
+      timeout: target.timeout ? target.timeout * 1000 : this.timeout,
+    });
+
+    return {
+      ...result,
+      responseTime: Date.now() - start,
+    };
+  }
+
   /**
    * HTTP/HTTPS Ping with advanced options
    */
   async pingHTTP(url, start, target = {}) {
+    let certificateAgent = null;
     try {
-      // Get timeout from target config or use default
-      const timeout = (target.timeout || 30) * 1000;
-
-      // Build axios config
-      const axiosConfig = {
-        timeout,
-        validateStatus: () => true, // Don't throw on any status code
-        maxRedirects: target.maxRedirects !== undefined ? target.maxRedirects : 5,
-        method: (target.httpMethod || 'GET').toUpperCase(),
-      };
-
-      // Handle SSL/TLS options
-      if (target.ignoreSsl === true || target.ignoreSsl === 1) {
-        const httpsAgent = require('https').Agent({ rejectUnauthorized: false });
-        const httpAgent = require('http').Agent({ rejectUnauthorized: false });
-        axiosConfig.httpsAgent = httpsAgent;
-        axiosConfig.httpAgent = httpAgent;
-      }
-
-      // Handle authentication
-      let auth = target.auth;
-      if (auth && typeof auth === 'string') {
-        try {
-          auth = JSON.parse(auth);
-        } catch (e) {
-          auth = null;
-        }
-      }
-
-      if (auth) {
-        if (auth.type === 'basic') {
-          axiosConfig.auth = {
-            username: auth.username,
-            password: auth.password,
-          };
-        } else if (auth.type === 'bearer') {
-          axiosConfig.headers = {
-            'Authorization': `Bearer ${auth.token}`,
-          };
-        }
+      // Timeout, redirects, TLS and authentication from the target config
+      const request = createRequestConfig(target);
+      const axiosConfig = request.config;
+      certificateAgent = request.certificateAgent;
+
+      // Content assertions need the raw body rather than axios' parsed JSON
+      const assertions = parseAssertions(target.assertions);
+      if (assertions.length > 0) {
+        axiosConfig.responseType = 'text';
       }
 
       const response = await axios(url, axiosConfig);
@@ -242,10 +225,21 @@ class PingService {
         success = true;
       }
 
+      // Check response body assertions (keyword, regex, JSON path)
+      let error;
+      if (success && assertions.length > 0) {
+        error = evaluateAssertions(response.data, assertions);
+        if (error) {
+          success = false;
+        }
+      }
+
       return {
         success,
         responseTime,
         statusCode: response.status,
+        ...(error && { error }),
+        certificate: certificateAgent.getCertificate(),
         protocol: url.startsWith('https') ? 'HTTPS' : 'HTTP',
       };
     } catch (error) {
@@ -0,0 +1,149 @@
+const axios = require('axios');
+const pingService = require('./pingService');
+const schedulerService = require('./schedulerService');
+const chalk = require('../utils/colors');
+const { version } = require('../../package.json');
+
+const REPORT_INTERVAL = 30 * 1000; // Results are sent in batches to stay below the API rate limit
+const MAX_RESULTS_PER_REPORT = 1000;
+const MAX_QUEUED_RESULTS = 5000; // Oldest results are dropped while the central server is unreachable
+const RETRY_DELAY = 30 * 1000;
+
+/**
+ * Probe agent mode (--mode probe)
+ * Pulls the targets assigned to this probe from a central LocalPing, checks them with the
+ * local pingService and pushes the results back. Runs without database or web server.
+ */
+class ProbeAgentService {
+  constructor() {
+    this.client = null;
+    this.targets = new Map(); // Scheduled targets by id, with the JSON they were scheduled from
+    this.queue = [];
+    this.syncTimer = null;
+    this.reportTimer = null;
+    this.syncInterval = 60 * 1000;
+  }
+
+  /**
+   * Register with the central server and start checking the assigned targets
+   * @param {Object} options - {serverUrl, token}
+   */
+  async start({ serverUrl, token }) {
+    if (!serverUrl || !token) {
+      throw new Error('Probe mode needs PROBE_SERVER_URL and PROBE_TOKEN');
+    }
+
+    this.client = axios.create({
+      baseURL: `${serverUrl.replace(/\/+$/, '')}/api/probe`,
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: 15000,
+    });
+
+    await this.register();
+    await this.sync();
+
+    this.syncTimer = setInterval(() => {
+      this.sync().catch(error => console.error(chalk.red('Error syncing probe targets:'), error.message));
+    }, this.syncInterval);
+    this.reportTimer = setInterval(() => {
+      this.report().catch(error => console.error(chalk.red('Error reporting probe results:'), error.message));
+    }, REPORT_INTERVAL);
+  }
+
+  /**
+   * Announce the probe, retrying until the central server answers
+   */
+  async register() {
+    for (;;) {
+      try {
+        const response = await this.client.post('/register', { version });
+        const { probe, syncInterval } = response.data;
+        this.syncInterval = (syncInterval || 60) * 1000;
+        console.log(chalk.green(`✓ Registered as probe "${probe.name}"${probe.location ? ` (${probe.location})` : ''}`));
+        return probe;
+      } catch (error) {
+        if (error.response?.status === 401) {
+          throw new Error('The central server rejected the probe token');
+        }
+        console.error(chalk.yellow(`Central server unreachable (${error.message}), retrying in ${RETRY_DELAY / 1000}s`));
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+      }
+    }
+  }
+
+  /**
+   * Pull the assigned targets and (re)schedule the ones that changed
+   */
+  async sync() {
+    const response = await this.client.get('/targets');
+    const targets = response.data.targets || [];
+    const seen = new Set();
+
+    for (const target of targets) {
+      seen.add(target.id);
+      const key = JSON.stringify(target);
+      if (this.targets.get(target.id)?.key === key) {
+        continue;
+      }
+
+      this.targets.set(target.id, { key, target });
+      schedulerService.schedule(target.id, async () => {
+        const result = await pingService.ping(target);
+        this.enqueue(target, result);
+      }, { interval: (target.interval || 60) * 1000 });
+    }
+
+    for (const id of [...this.targets.keys()]) {
+      if (!seen.has(id)) {
+        schedulerService.cancel(id);
+        this.targets.delete(id);
+      }
+    }
+  }
+
+  enqueue(target, result) {
+    this.queue.push({
+      targetId: target.id,
+      success: result.success,
+      responseTime: result.responseTime ?? null,
+      statusCode: result.statusCode || null,
+      error: result.error || null,
+      protocol: result.protocol || target.protocol,
+      packetLoss: result.packetLoss ?? null,
+      jitter: result.jitter ?? null,
+      timestamp: new Date().toISOString(),
+    });
+    if (this.queue.length > MAX_QUEUED_RESULTS) {
+      this.queue.splice(0, this.queue.length - MAX_QUEUED_RESULTS);
+    }
+  }
+
+  /**
+   * Send the queued results; they stay queued when the central server is unreachable
+   */
+  async report() {
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const results = this.queue.splice(0, MAX_RESULTS_PER_REPORT);
+    try {
+      await this.client.post('/results', { results });
+    } catch (error) {
+      this.queue.unshift(...results);
+      throw error;
+    }
+  }
+
+  async stop() {
+    clearInterval(this.syncTimer);
+    clearInterval(this.reportTimer);
+    for (const id of this.targets.keys()) {
+      schedulerService.cancel(id);
+    }
+    this.targets.clear();
+    await this.report().catch(() => {});
+  }
+}
+
+module.exports = new ProbeAgentService();
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { getPrisma } = require('../config/prisma');
+
+const PROBE_ONLINE_WINDOW = 3 * 60 * 1000; // Probes report at least every minute
+
+/**
+ * Remote probe agents on the central server
+ * Probes authenticate with their token, pull the targets assigned to them and push back results.
+ */
+class ProbeService {
+  generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Probe owning a token, or null
+   */
+  async authenticate(token) {
+    if (!token) {
+      return null;
+    }
+    const prisma = getPrisma();
+    return prisma.probe.findUnique({ where: { token } });
+  }
+
+  /**
+   * Record that a probe checked in
+   * @param {Object} info - {version, address}
+   */
+  async markSeen(probe, info = {}) {
+    const prisma = getPrisma();
+    return prisma.probe.update({
+      where: { id: probe.id },
+      data: {
+        lastSeenAt: new Date(),
+        ...(info.version && { version: String(info.version) }),
+        ...(info.address && { address: String(info.address) }),
+      },
+    });
+  }
+
+  /**
+   * Enabled targets a probe should check
+   */
+  async getAssignedTargets(probeId) {
+    const prisma = getPrisma();
+    const targets = await prisma.target.findMany({ where: { enabled: true } });
+    return targets.filter(target => target.protocol !== 'PUSH' && this.getProbeIds(target).includes(probeId));
+  }
+
+  /**
+   * Ids of the probes assigned to a target
+   */
+  getProbeIds(target) {
+    return Array.isArray(target.probes) ? target.probes.map(String) : [];
+  }
+
+  isOnline(probe, now = Date.now()) {
+    return Boolean(probe.lastSeenAt) && now - new Date(probe.lastSeenAt).getTime() < PROBE_ONLINE_WINDOW;
+  }
+
+  /**
+   * Probe as returned by the admin API, without its token
+   */
+  serialize(probe) {
+    const { token, ...rest } = probe;
+    return { ...rest, _id: probe.id, online: this.isOnline(probe) };
+  }
+
+  /**
+   * Validate the probe assignment of a target
+   * @returns {Promise<string|null>} Error message or null
+   */
+  async validateAssignment(probes, probeQuorum, checkLocally) {
+    if (probes !== undefined && probes !== null && !Array.isArray(probes)) {
+      return 'Probes must be an array of probe ids';
+    }
+
+    const ids = Array.isArray(probes) ? probes.map(String) : [];
+    if (ids.length > 0) {
+      const prisma = getPrisma();
+      const known = await prisma.probe.findMany({ where: { id: { in: ids } }, select: { id: true } });
+      const unknown = ids.filter(id => !known.some(probe => probe.id === id));
+      if (unknown.length > 0) {
+        return `Unknown probes: ${unknown.join(', ')}`;
+      }
+    }
+
+    if (checkLocally === false && ids.length === 0) {
+      return 'A monitor that is not checked locally needs at least one probe';
+    }
+
+    if (probeQuorum !== undefined && probeQuorum !== null) {
+      const locations = ids.length + (checkLocally === false ? 0 : 1);
+      const quorum = parseInt(probeQuorum, 10);
+      if (isNaN(quorum) || quorum < 1 || quorum > Math.max(locations, 1)) {
+        return `Probe quorum must be between 1 and the number of checking locations (${Math.max(locations, 1)})`;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new ProbeService();
@@ -0,0 +1,379 @@
+const { getPrisma, isSQLite } = require('../config/prisma');
+const { createSketch, parseSketch, addValue, mergeSketches, summarizeSketch } = require('../utils/latencySketch');
+const chalk = require('../utils/colors');
+const { v4: uuidv4 } = require('uuid');
+
+const FLUSH_INTERVAL = 5 * 1000;
+const MAX_BATCH_SIZE = 500; // Ping results that trigger an early flush
+const MAX_BUFFERED_RESULTS = 20000; // Oldest results are dropped beyond this while the database is unavailable
+const STATISTICS_CHUNK_SIZE = 200; // Rows per upsert statement
+
+// Errors of Prisma about the rows of a query (P2xxx: constraint violations, failed raw queries),
+// as opposed to an unavailable database (P1xxx)
+function isRowError(error) {
+  return typeof error.code === 'string' && error.code.startsWith('P2');
+}
+
+/**
+ * Buffered writer for check results
+ * Ping results are collected in memory and inserted with createMany; daily statistics are
+ * summed per target and day and applied with one INSERT ... ON CONFLICT statement that
+ * increments the counters in the database, so concurrent writers never lose a check.
+ * SQLite has a single writer, so there each day is read and updated in a transaction instead.
+ */
+class ResultWriterService {
+  constructor() {
+    this.pingResults = [];
+    this.statistics = new Map(); // "targetId|YYYY-MM-DD" -> pending delta
+    this.timer = null;
+    this.flushing = null;
+    this.droppedResults = 0;
+  }
+
+  /**
+   * Queue a ping result row
+   */
+  addPingResult(data) {
+    this.pingResults.push(data);
+    if (this.pingResults.length > MAX_BUFFERED_RESULTS) {
+      this.droppedResults += this.pingResults.length - MAX_BUFFERED_RESULTS;
+      this.pingResults.splice(0, this.pingResults.length - MAX_BUFFERED_RESULTS);
+    }
+    this.scheduleFlush(this.pingResults.length >= MAX_BATCH_SIZE);
+  }
+
+  /**
+   * Count a check result in the daily statistics of its target
+   * Only successful checks are measured; timeouts of failed checks would swamp the latency tail.
+   */
+  addStatistic(targetId, result, timestamp = new Date()) {
+    // Local midnight, as used by the readers; YYYY-MM-DD is the date PostgreSQL stores for it
+    const day = new Date(timestamp);
+    day.setHours(0, 0, 0, 0);
+    const date = day.toISOString().slice(0, 10);
+    const key = `${targetId}|${date}`;
+    if (!this.statistics.has(key)) {
+      this.statistics.set(key, createDelta(targetId, date, day));
+    }
+
+    const delta = this.statistics.get(key);
+    delta.totalPings++;
+    delta.successfulPings += result.success ? 1 : 0;
+    delta.failedPings += result.success ? 0 : 1;
+    delta.degradedPings += result.degraded ? 1 : 0;
+    delta.responseTimeSum += result.responseTime || 0;
+    delta.lastResponseTime = result.responseTime || 0;
+    if (result.success && typeof result.responseTime === 'number') {
+      delta.sketch = addValue(delta.sketch, result.responseTime);
+    }
+    this.scheduleFlush(false);
+  }
+
+  scheduleFlush(immediate) {
+    if (immediate && !this.flushing) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.flush();
+      return;
+    }
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, FLUSH_INTERVAL);
+      this.timer.unref?.();
+    }
+  }
+
+  /**
+   * Write everything buffered so far; flushes never overlap
+   */
+  async flush() {
+    while (this.flushing) {
+      await this.flushing;
+    }
+    if (this.pingResults.length === 0 && this.statistics.size === 0) {
+      return;
+    }
+
+    this.flushing = this.writeBuffered().finally(() => {
+      this.flushing = null;
+    });
+    await this.flushing;
+  }
+
+  async writeBuffered() {
+    const pingResults = this.pingResults;
+    const deltas = [...this.statistics.values()];
+    this.pingResults = [];
+    this.statistics = new Map();
+
+    if (this.droppedResults > 0) {
+      console.error(chalk.red(`✗ Dropped ${this.droppedResults} ping results while the database was unavailable`));
+      this.droppedResults = 0;
+    }
+
+    const prisma = getPrisma();
+
+    for (let i = 0; i < pingResults.length; i += MAX_BATCH_SIZE) {
+      const batch = pingResults.slice(i, i + MAX_BATCH_SIZE);
+      try {
+        await this.writeRows(batch, rows => prisma.pingResult.createMany({ data: rows }), 'ping result');
+      } catch (error) {
+        console.error(chalk.red(`✗ Failed to write ${error.unwritten.length} ping results:`), error.message);
+        // Retry with the next flush, ahead of newer results
+        this.pingResults.unshift(...error.unwritten, ...pingResults.slice(i + MAX_BATCH_SIZE));
+        break;
+      }
+    }
+
+    for (let i = 0; i < deltas.length; i += STATISTICS_CHUNK_SIZE) {
+      const chunk = deltas.slice(i, i + STATISTICS_CHUNK_SIZE);
+      try {
+        await this.writeRows(chunk, rows => (isSQLite() ? this.updateStatistics(prisma, rows) : this.upsertStatistics(prisma, rows)), 'statistics');
+      } catch (error) {
+        console.error(chalk.red(`✗ Failed to update statistics of ${error.unwritten.length} targets:`), error.message);
+        [...error.unwritten, ...deltas.slice(i + STATISTICS_CHUNK_SIZE)].forEach(delta => this.requeueDelta(delta));
+        break;
+      }
+    }
+
+    if (this.pingResults.length > 0 || this.statistics.size > 0) {
+      this.scheduleFlush(false);
+    }
+  }
+
+  /**
+   * Write rows with `write`
+   * A batch the database rejects because of its rows, e.g. results of a target deleted while they
+   * were buffered, is split until the rejected rows are found; those are dropped. Other errors,
+   * e.g. a lost connection, are thrown with the rows not written yet in `error.unwritten`.
+   */
+  async writeRows(rows, write, label) {
+    const pending = [rows];
+    while (pending.length > 0) {
+      const batch = pending.shift();
+      try {
+        await write(batch);
+      } catch (error) {
+        if (!isRowError(error)) {
+          error.unwritten = pending.reduce((unwritten, rest) => unwritten.concat(rest), batch);
+          throw error;
+        }
+        if (batch.length === 1) {
+          console.error(chalk.red(`✗ Dropped ${label} of target ${batch[0].targetId}:`), error.message);
+          continue;
+        }
+        const half = Math.ceil(batch.length / 2);
+        pending.unshift(batch.slice(0, half), batch.slice(half));
+      }
+    }
+  }
+
+  /**
+   * Drop the buffered results of a deleted target
+   */
+  removeTarget(targetId) {
+    this.pingResults = this.pingResults.filter(result => result.targetId !== targetId);
+    for (const [key, delta] of this.statistics) {
+      if (delta.targetId === targetId) this.statistics.delete(key);
+    }
+  }
+
+  /**
+   * Drop the buffered results of a deleted probe
+   */
+  removeProbe(probeId) {
+    this.pingResults = this.pingResults.filter(result => result.probeId !== probeId);
+  }
+
+  /**
+   * Put a delta that could not be written back, merged with checks counted in the meantime
+   */
+  requeueDelta(delta) {
+    const key = `${delta.targetId}|${delta.date}`;
+    const pending = this.statistics.get(key);
+    if (!pending) {
+      this.statistics.set(key, delta);
+      return;
+    }
+
+    pending.totalPings += delta.totalPings;
+    pending.successfulPings += delta.successfulPings;
+    pending.failedPings += delta.failedPings;
+    pending.degradedPings += delta.degradedPings;
+    pending.responseTimeSum += delta.responseTimeSum;
+    pending.sketch = mergeSketches(delta.sketch, pending.sketch);
+  }
+
+  /**
+   * Add deltas to the daily statistics in one statement
+   * Counters, uptime and the average are computed from the stored row, so they stay exact when
+   * several writers update the same day. Latency columns come from the stored sketch merged with
+   * the checks of this batch.
+   */
+  async upsertStatistics(prisma, deltas) {
+    const sketches = await this.loadSketches(prisma, deltas);
+    const params = [];
+    const param = (value, type) => {
+      params.push(value);
+      return `$${params.length}::${type}`;
+    };
+
+    const rows = deltas.map(delta => {
+      const hasLatency = delta.sketch.count > 0;
+      const sketch = hasLatency ? mergeSketches(sketches.get(`${delta.targetId}|${delta.date}`), delta.sketch) : null;
+      const summary = summarizeSketch(sketch);
+
+      return `(${[
+        param(uuidv4(), 'text'),
+        param(delta.targetId, 'text'),
+        param(delta.date, 'date'),
+        param(delta.totalPings, 'integer'),
+        param(delta.successfulPings, 'integer'),
+        param(delta.failedPings, 'integer'),
+        param(delta.degradedPings, 'integer'),
+        param((delta.successfulPings / delta.totalPings) * 100, 'double precision'),
+        param(delta.lastResponseTime, 'double precision'),
+        param(delta.responseTimeSum / delta.totalPings, 'double precision'),
+        param(hasLatency ? Math.round(delta.sketch.min) : null, 'integer'),
+        param(hasLatency ? Math.round(delta.sketch.max) : null, 'integer'),
+        param(summary.p50, 'double precision'),
+        param(summary.p95, 'double precision'),
+        param(summary.p99, 'double precision'),
+        param(summary.stdDev, 'double precision'),
+        param(sketch ? JSON.stringify(sketch) : null, 'jsonb'),
+      ].join(', ')})`;
+    });
+
+    await prisma.$executeRawUnsafe(`
+      INSERT INTO statistics (
+        "_id", "targetId", "date", "totalPings", "successfulPings", "failedPings", "degradedPings",
+        "uptime", "lastResponseTime", "avgResponseTime", "minResponseTime", "maxResponseTime",
+        "p50ResponseTime", "p95ResponseTime", "p99ResponseTime", "stdDevResponseTime", "latencySketch"
+      )
+      VALUES ${rows.join(',\n')}
+      ON CONFLICT ("targetId", "date") DO UPDATE SET
+        "totalPings" = statistics."totalPings" + EXCLUDED."totalPings",
+        "successfulPings" = statistics."successfulPings" + EXCLUDED."successfulPings",
+        "failedPings" = statistics."failedPings" + EXCLUDED."failedPings",
+        "degradedPings" = statistics."degradedPings" + EXCLUDED."degradedPings",
+        "uptime" = (statistics."successfulPings" + EXCLUDED."successfulPings") * 100.0
+          / (statistics."totalPings" + EXCLUDED."totalPings"),
+        "lastResponseTime" = EXCLUDED."lastResponseTime",
+        "avgResponseTime" = (statistics."avgResponseTime" * statistics."totalPings"
+          + EXCLUDED."avgResponseTime" * EXCLUDED."totalPings")
+          / (statistics."totalPings" + EXCLUDED."totalPings"),
+        "minResponseTime" = LEAST(statistics."minResponseTime", EXCLUDED."minResponseTime"),
+        "maxResponseTime" = GREATEST(statistics."maxResponseTime", EXCLUDED."maxResponseTime"),
+        "p50ResponseTime" = COALESCE(EXCLUDED."p50ResponseTime", statistics."p50ResponseTime"),
+        "p95ResponseTime" = COALESCE(EXCLUDED."p95ResponseTime", statistics."p95ResponseTime"),
+        "p99ResponseTime" = COALESCE(EXCLUDED."p99ResponseTime", statistics."p99ResponseTime"),
+        "stdDevResponseTime" = COALESCE(EXCLUDED."stdDevResponseTime", statistics."stdDevResponseTime"),
+        "latencySketch" = COALESCE(EXCLUDED."latencySketch", statistics."latencySketch")
+    `, ...params);
+  }
+
+  /**
+   * Add deltas to the daily statistics row by row (SQLite)
+   */
+  async updateStatistics(prisma, deltas) {
+    await prisma.$transaction(async (tx) => {
+      for (const delta of deltas) {
+        const where = { targetId_date: { targetId: delta.targetId, date: delta.day } };
+        const stat = await tx.statistic.findUnique({ where });
+        const stored = stat || { totalPings: 0, successfulPings: 0, failedPings: 0, degradedPings: 0, avgResponseTime: 0 };
+        const totalPings = stored.totalPings + delta.totalPings;
+        const successfulPings = stored.successfulPings + delta.successfulPings;
+
+        const data = {
+          totalPings,
+          successfulPings,
+          failedPings: stored.failedPings + delta.failedPings,
+          degradedPings: stored.degradedPings + delta.degradedPings,
+          uptime: (successfulPings / totalPings) * 100,
+          lastResponseTime: delta.lastResponseTime,
+          avgResponseTime: (stored.avgResponseTime * stored.totalPings + delta.responseTimeSum) / totalPings,
+        };
+
+        if (delta.sketch.count > 0) {
+          const sketch = mergeSketches(parseSketch(stat?.latencySketch), delta.sketch);
+          const summary = summarizeSketch(sketch);
+          Object.assign(data, {
+            minResponseTime: Math.round(Math.min(delta.sketch.min, stat?.minResponseTime ?? Infinity)),
+            maxResponseTime: Math.round(Math.max(delta.sketch.max, stat?.maxResponseTime ?? -Infinity)),
+            p50ResponseTime: summary.p50,
+            p95ResponseTime: summary.p95,
+            p99ResponseTime: summary.p99,
+            stdDevResponseTime: summary.stdDev,
+            latencySketch: sketch,
+          });
+        }
+
+        if (stat) {
+          await tx.statistic.update({ where, data });
+        } else {
+          await tx.statistic.create({ data: { targetId: delta.targetId, date: delta.day, ...data } });
+        }
+      }
+    });
+  }
+
+  /**
+   * Stored latency sketches of the days in a batch, by "targetId|YYYY-MM-DD"
+   */
+  async loadSketches(prisma, deltas) {
+    const measured = deltas.filter(delta => delta.sketch.count > 0);
+    if (measured.length === 0) {
+      return new Map();
+    }
+
+    const stored = await prisma.statistic.findMany({
+      where: {
+        OR: measured.map(delta => ({ targetId: delta.targetId, date: delta.day })),
+      },
+      select: { targetId: true, date: true, latencySketch: true },
+    });
+
+    return new Map(stored.map(stat => [
+      `${stat.targetId}|${new Date(stat.date).toISOString().slice(0, 10)}`,
+      parseSketch(stat.latencySketch),
+    ]));
+  }
+
+  /**
+   * Buffered rows, e.g. for metrics
+   */
+  getStats() {
+    return {
+      pingResults: this.pingResults.length,
+      statistics: this.statistics.size,
+    };
+  }
+
+  /**
+   * Write pending results and stop the flush timer (shutdown)
+   */
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.flush();
+  }
+}
+
+function createDelta(targetId, date, day) {
+  return {
+    targetId,
+    date,
+    day,
+    totalPings: 0,
+    successfulPings: 0,
+    failedPings: 0,
+    degradedPings: 0,
+    responseTimeSum: 0,
+    lastResponseTime: 0,
+    sketch: createSketch(),
+  };
+}
+
+module.exports = new ResultWriterService();
@@ -0,0 +1,148 @@
+const chalk = require('../utils/colors');
+
+const MAX_INITIAL_JITTER = 15 * 1000; // First runs are spread over at most this long
+
+/**
+ * Central scheduler for recurring checks
+ * Each job runs on its own timer, is never run twice at the same time and is rescheduled
+ * from the start of its previous run, so slow runs do not make the schedule drift.
+ */
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Schedule a recurring job, replacing any job with the same id
+   * @param {string} id - Job id, e.g. the target id
+   * @param {Function} task - async () => delay (ms) until the next run, or undefined to use `interval`
+   * @param {Object} options - {interval (ms), delay: ms until the first run, defaults to a random jitter}
+   */
+  schedule(id, task, options = {}) {
+    // A run of the replaced job that is still in progress must finish before the new job runs
+    const previous = this.jobs.get(id)?.current || null;
+    this.cancel(id);
+
+    const interval = options.interval || 60 * 1000;
+    const job = {
+      id,
+      task,
+      interval,
+      timer: null,
+      running: false,
+      current: previous,
+      nextRunAt: null,
+      lastRunAt: null,
+      lastDuration: null,
+    };
+    this.jobs.set(id, job);
+
+    const delay = options.delay !== undefined ? options.delay : Math.random() * Math.min(interval, MAX_INITIAL_JITTER);
+    this.arm(job, delay);
+    return job;
+  }
+
+  /**
+   * Move the next run of a job, e.g. when a push heartbeat arrives
+   */
+  reschedule(id, delay) {
+    const job = this.jobs.get(id);
+    if (job && !job.running) {
+      this.arm(job, delay);
+    }
+  }
+
+  arm(job, delay) {
+    clearTimeout(job.timer);
+    delay = Math.max(delay, 0);
+    job.nextRunAt = new Date(Date.now() + delay);
+    job.timer = setTimeout(() => this.run(job), delay);
+  }
+
+  async run(job) {
+    // A cancelled or replaced job must not run or re-arm itself
+    if (this.jobs.get(job.id) !== job || job.running) {
+      return;
+    }
+
+    job.running = true;
+    let startedAt = null;
+    let delay = job.interval;
+    try {
+      if (job.current) {
+        await job.current.catch(() => {});
+        // Cancelled while waiting for the previous run
+        if (this.jobs.get(job.id) !== job) {
+          return;
+        }
+      }
+
+      job.timer = null;
+      job.nextRunAt = null;
+      startedAt = Date.now();
+      job.lastRunAt = new Date(startedAt);
+
+      job.current = job.task();
+      const requested = await job.current;
+      if (typeof requested === 'number' && requested >= 0) {
+        delay = requested;
+      }
+    } catch (error) {
+      console.error(chalk.red(`Scheduled job ${job.id} failed:`), error.message);
+    } finally {
+      job.running = false;
+      job.current = null;
+      if (startedAt !== null) {
+        job.lastDuration = Date.now() - startedAt;
+      }
+    }
+
+    if (startedAt !== null && this.jobs.get(job.id) === job) {
+      this.arm(job, startedAt + delay - Date.now());
+    }
+  }
+
+  /**
+   * Stop a job; a run in progress finishes but is not rescheduled
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (job) {
+      clearTimeout(job.timer);
+      this.jobs.delete(id);
+    }
+  }
+
+  cancelAll() {
+    for (const id of [...this.jobs.keys()]) {
+      this.cancel(id);
+    }
+  }
+
+  has(id) {
+    return this.jobs.has(id);
+  }
+
+  getJobIds() {
+    return Array.from(this.jobs.keys());
+  }
+
+  /**
+   * Timing of a job
+   * @returns {Object|null} {nextRunAt, lastRunAt, lastDuration (ms), running}
+   */
+  getSchedule(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    return {
+      nextRunAt: job.nextRunAt,
+      lastRunAt: job.lastRunAt,
+      lastDuration: job.lastDuration,
+      running: job.running,
+    };
+  }
+}
+
+module.exports = new SchedulerService();
@@ -1,11 +1,12 @@
 const { parentPort } = require('worker_threads');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const axios = require('axios');
 const tcpPing = require('tcp-ping');
 const dgram = require('dgram');
-
-const execAsync = promisify(exec);
+const { checkDNS } = require('../checks/dnsCheck');
+const { checkICMP } = require('../checks/icmpCheck');
+const { parseAssertions, evaluateAssertions } = require('../checks/httpAssertions');
+const { createRequestConfig } = require('../checks/httpRequest');
+const { checkPromQL } = require('../checks/promqlCheck');
 
 /**
  * Ping worker - handles ping operations in a separate thread
@@ -15,22 +16,8 @@ class PingWorker {
     this.timeout = 5000; // 5 seconds default timeout
   }
 
-  async pingICMP(host, timeout) {
-    try {
-      const isWindows = process.platform === 'win32';
-      const cmd = isWindows 
-        ? `ping -n 1 -w ${timeout} ${host}` 
-        : `ping -c 1 -W ${timeout / 1000} ${host}`;
-
-      const { stdout } = await execAsync(cmd, { timeout: timeout + 1000 });
-      return { success: true, protocol: 'ICMP' };
-    } catch (error) {
-      return { 
-        success: false, 
-        error: 'ICMP ping failed: ' + error.message,
-        protocol: 'ICMP'
-      };
-    }
+  async pingICMP(host, timeout, target = {}) {
+    return await checkICMP(host, { count: target.packetCount, timeout });
   }
 
   async pingTCP(host, port) {
@@ -120,51 +107,34 @@ class PingWorker {
   }
 
   async pingHTTP(url, target = {}) {
+    let certificateAgent = null;
     try {
-      const timeout = (target.timeout || 30) * 1000;
-      const axiosConfig = {
-        timeout,
-        validateStatus: () => true,
-        maxRedirects: target.maxRedirects !== undefined ? target.maxRedirects : 5,
-        method: (target.httpMethod || 'GET').toUpperCase(),
-      };
+      const request = createRequestConfig(target);
+      const axiosConfig = request.config;
+      certificateAgent = request.certificateAgent;
 
-      if (target.ignoreSsl === true || target.ignoreSsl === 1) {
-        const httpsAgent = require('https').Agent({ rejectUnauthorized: false });
-        const httpAgent = require('http').Agent({ rejectUnauthorized: false });
-        axiosConfig.httpsAgent = httpsAgent;
-        axiosConfig.httpAgent = httpAgent;
+      const assertions = parseAssertions(target.assertions);
+      if (assertions.length > 0) {
+        axiosConfig.responseType = 'text';
       }
 
-      let auth = target.auth;
-      if (auth && typeof auth === 'string') {
-        try {
-          auth = JSON.parse(auth);
-        } catch (e) {
-          auth = null;
-        }
-      }
+      const response = await axios(url, axiosConfig);
+      const statusCodes = target.statusCodes || '200-299';
+      let success = this.isStatusCodeAccepted(response.status, statusCodes);
 
-      if (auth) {
-        if (auth.type === 'basic') {
-          axiosConfig.auth = {
-            username: auth.username,
-            password: auth.password,
-          };
-        } else if (auth.type === 'bearer') {
-          axiosConfig.headers = {
-            'Authorization': `Bearer ${auth.token}`,
-          };
+      let error;
+      if (success && assertions.length > 0) {
+        error = evaluateAssertions(response.data, assertions);
+        if (error) {
+          success = false;
         }
       }
 
-      const response = await axios(url, axiosConfig);
-      const statusCodes = target.statusCodes || '200-299';
-      const success = this.isStatusCodeAccepted(response.status, statusCodes);
-
       return {
         success,
         statusCode: response.status,
+        ...(error && { error }),
+        certificate: certificateAgent.getCertificate(),
         protocol: url.startsWith('https') ? 'HTTPS' : 'HTTP',
       };
     } catch (error) {
@@ -176,6 +146,18 @@ class PingWorker {
     }
   }
 
+  async pingDNS(host, target, timeout) {
+    const start = Date.now();
+    const result = await checkDNS(host, {
+      recordType: target.dnsRecordType,
+      resolver: target.dnsResolver,
+      port: target.port || 53,
+      expected: target.dnsExpected,
+      timeout,
+    });
+    return { ...result, responseTime: Date.now() - start };
+  }
+
   isStatusCodeAccepted(statusCode, statusCodes) {
     if (!statusCodes) return statusCode >= 200 && statusCode < 300;
     const parts = statusCodes.split(',').map(s => s.trim());
@@ -202,7 +184,7 @@ class PingWorker {
       let result;
       switch (target.protocol?.toUpperCase()) {
         case 'ICMP':
-          result = await this.pingICMP(target.host, timeout);
+          result = await this.pingICMP(target.host, timeout, target);
           break;
         case 'TCP':
           result = await this.pingTCP(target.host, target.port || 80);
@@ -216,6 +198,12 @@ class PingWorker {
         case 'HTTPS':
           result = await this.pingHTTP(`https://${target.host}:${target.port || 443}${target.path || '/'}`, target);
           break;
+        case 'DNS':
+          result = await this.pingDNS(target.host, target, timeout);
+          break;
+        case 'PROMQL':
+          result = await checkPromQL(target);
+          break;
         default:
           result = {
             success: false,
@@ -0,0 +1,195 @@
+/**
+ * Passphrase encryption of backups
+ * An encrypted backup is a JSON envelope around the export: the key is derived from the
+ * passphrase with scrypt and a random salt, the export is encrypted with AES-256-GCM, and the
+ * header (KDF parameters, compression) is authenticated with it, so a wrong passphrase and any
+ * change to the file are both detected.
+ * Backup files are encrypted as a stream (version 2): the header is the first line, followed by
+ * the binary ciphertext and the authentication tag.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ENCRYPTED_BACKUP_FORMAT = 'localping-encrypted-backup';
+const MIN_PASSPHRASE_LENGTH = 8;
+const KEY_LENGTH = 32;
+const TAG_LENGTH = 16;
+const DEFAULT_KDF = { name: 'scrypt', N: 32768, r: 8, p: 1 };
+// Parameters of files being decrypted are capped, so a crafted file cannot exhaust memory
+const MAX_KDF_N = 1048576;
+const MAX_KDF_MEMORY = 256 * 1024 * 1024;
+
+/**
+ * Error message of an unusable passphrase, null when it is usable
+ */
+function validatePassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  return null;
+}
+
+function isEncryptedBackup(content) {
+  return !!content && typeof content === 'object' && content.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+async function deriveKey(passphrase, kdf, salt) {
+  const valid = kdf.name === 'scrypt' && kdf.N > 1 && kdf.N <= MAX_KDF_N
+    && kdf.r > 0 && kdf.r <= 32 && kdf.p > 0 && kdf.p <= 16;
+  if (!valid) {
+    throw new Error('Unsupported key derivation parameters');
+  }
+  return scrypt(String(passphrase), salt, KEY_LENGTH, { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: MAX_KDF_MEMORY });
+}
+
+// Authenticated along with the data
+function getHeader(envelope) {
+  return Buffer.from(JSON.stringify([envelope.format, envelope.version, envelope.kdf, envelope.cipher, envelope.compression]));
+}
+
+// Binary values are base64 in envelopes and buffers in files read as a stream
+function toBuffer(value) {
+  return Buffer.isBuffer(value) ? value : Buffer.from(value || '', 'base64');
+}
+
+/**
+ * Envelope with a new salt, and the key derived from the passphrase with it
+ */
+async function createEnvelope(passphrase, version, options) {
+  const error = validatePassphrase(passphrase);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const salt = crypto.randomBytes(16);
+  const envelope = {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version,
+    kdf: { ...DEFAULT_KDF, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    compression: options.compress ? 'gzip' : null,
+  };
+  return { envelope, key: await deriveKey(passphrase, DEFAULT_KDF, salt) };
+}
+
+/**
+ * Encrypt an export
+ * @param {Object} data - Export to encrypt
+ * @param {Object} options - {compress: gzip the export before encrypting it}
+ * @returns {Promise<Object>} {format, version, kdf: {name, N, r, p, salt}, cipher, compression, iv, tag, data}, binary values in base64
+ */
+async function encryptBackup(data, passphrase, options = {}) {
+  const { envelope, key } = await createEnvelope(passphrase, 1, options);
+  const iv = crypto.randomBytes(12);
+  const json = Buffer.from(JSON.stringify(data));
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(getHeader(envelope));
+  const encrypted = Buffer.concat([cipher.update(options.compress ? await gzip(json) : json), cipher.final()]);
+
+  return {
+    ...envelope,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: encrypted.toString('base64'),
+  };
+}
+
+/**
+ * Stream that encrypts an export written to it into a backup file
+ * @param {Object} options - {compress: the export written to the stream is gzipped}
+ * @returns {Promise<Transform>} Writes the header line, then the ciphertext and the tag
+ */
+async function createEncryptStream(passphrase, options = {}) {
+  const { envelope, key } = await createEnvelope(passphrase, 2, options);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(getHeader(envelope));
+
+  const header = Buffer.from(`${JSON.stringify({ ...envelope, iv: iv.toString('base64') })}\n`);
+  let headerWritten = false;
+  const writeHeader = (stream) => {
+    if (!headerWritten) {
+      stream.push(header);
+      headerWritten = true;
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      writeHeader(this);
+      callback(null, cipher.update(chunk));
+    },
+    flush(callback) {
+      writeHeader(this);
+      this.push(cipher.final());
+      callback(null, cipher.getAuthTag());
+    },
+  });
+}
+
+/**
+ * Envelope of an encrypted backup file, written by encryptBackup (a single JSON line) or
+ * by createEncryptStream (header line, ciphertext and tag)
+ * @param {Buffer} content - File content
+ */
+function parseEncryptedBackup(content) {
+  const newline = content.indexOf(0x0a);
+  if (newline === -1) {
+    return JSON.parse(content.toString('utf8'));
+  }
+
+  const envelope = JSON.parse(content.subarray(0, newline).toString('utf8'));
+  const body = content.subarray(newline + 1);
+  if (body.length < TAG_LENGTH) {
+    throw new Error('Wrong passphrase or damaged backup');
+  }
+  return { ...envelope, data: body.subarray(0, body.length - TAG_LENGTH), tag: body.subarray(body.length - TAG_LENGTH) };
+}
+
+/**
+ * Decrypt an encrypted export
+ * @returns {Promise<Object>} The export
+ * @throws {Error} Without a passphrase, on a wrong passphrase or a damaged file
+ */
+async function decryptBackup(envelope, passphrase) {
+  if (!isEncryptedBackup(envelope)) {
+    throw new Error('Not an encrypted backup');
+  }
+  if (![1, 2].includes(envelope.version) || envelope.cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported encrypted backup version');
+  }
+  if (!passphrase) {
+    throw new Error('This backup is encrypted, a passphrase is required');
+  }
+
+  const key = await deriveKey(passphrase, envelope.kdf || {}, Buffer.from(envelope.kdf?.salt || '', 'base64'));
+  let decrypted;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, toBuffer(envelope.iv), { authTagLength: TAG_LENGTH });
+    decipher.setAAD(getHeader(envelope));
+    decipher.setAuthTag(toBuffer(envelope.tag));
+    decrypted = Buffer.concat([decipher.update(toBuffer(envelope.data)), decipher.final()]);
+  } catch (error) {
+    throw new Error('Wrong passphrase or damaged backup');
+  }
+
+  return JSON.parse((envelope.compression === 'gzip' ? await gunzip(decrypted) : decrypted).toString('utf8'));
+}
+
+module.exports = {
+  ENCRYPTED_BACKUP_FORMAT,
+  MIN_PASSPHRASE_LENGTH,
+  validatePassphrase,
+  isEncryptedBackup,
+  encryptBackup,
+  createEncryptStream,
+  parseEncryptedBackup,
+  decryptBackup,
+};
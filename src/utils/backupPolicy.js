@@ -0,0 +1,110 @@
+/**
+ * Scheduled backup settings and rotation
+ * Backups are written on a cron schedule; after each one the newest `keepLast` backups, the newest
+ * backup of each of the last `keepDaily` days and of each of the last `keepWeekly` weeks (starting
+ * Monday) that have backups are kept, and the others are deleted. Encrypted backups use the
+ * passphrase in the BACKUP_PASSPHRASE environment variable, which is never stored in the database.
+ */
+
+const { validateCronExpression } = require('./cronExpression');
+
+const DEFAULT_BACKUP_SETTINGS = {
+  enabled: false,
+  schedule: '0 3 * * *',
+  directory: 'data/backups',
+  compress: true,
+  encrypt: false,
+  keepLast: 7,
+  keepDaily: 7,
+  keepWeekly: 4,
+};
+
+const KEEP_KEYS = ['keepLast', 'keepDaily', 'keepWeekly'];
+const BOOLEAN_KEYS = ['enabled', 'compress', 'encrypt'];
+const MAX_KEEP = 1000;
+
+/**
+ * Validate settings; unset values keep their default
+ * @returns {string[]} Error messages
+ */
+function validateBackupSettings(settings) {
+  if (settings === undefined || settings === null) return [];
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['Backup settings must be an object'];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in DEFAULT_BACKUP_SETTINGS)) {
+      errors.push(`Unknown backup setting: ${key}`);
+    } else if (KEEP_KEYS.includes(key)) {
+      if (!(Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= MAX_KEEP)) {
+        errors.push(`${key} must be a whole number between 0 and ${MAX_KEEP}`);
+      }
+    } else if (key === 'schedule') {
+      const error = validateCronExpression(value);
+      if (error) errors.push(`Invalid backup schedule: ${error}`);
+    } else if (key === 'directory' && (typeof value !== 'string' || value.trim() === '')) {
+      errors.push('Backup directory must be a path');
+    }
+  }
+
+  if (settings.enabled && KEEP_KEYS.every(key => Number(settings[key] ?? DEFAULT_BACKUP_SETTINGS[key]) === 0)) {
+    errors.push('At least one of keepLast, keepDaily and keepWeekly must be above 0');
+  }
+  return errors;
+}
+
+/**
+ * Stored settings over the defaults
+ */
+function resolveBackupSettings(settings) {
+  const resolved = { ...DEFAULT_BACKUP_SETTINGS };
+  for (const [key, value] of Object.entries(settings || {})) {
+    if (!(key in DEFAULT_BACKUP_SETTINGS) || value === undefined || value === null || value === '') continue;
+    if (KEEP_KEYS.includes(key)) resolved[key] = Number(value);
+    else if (BOOLEAN_KEYS.includes(key)) resolved[key] = value === true || value === 'true';
+    else resolved[key] = String(value).trim();
+  }
+  return resolved;
+}
+
+function getDayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+function getWeekKey(date) {
+  const monday = new Date(date);
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return getDayKey(monday);
+}
+
+/**
+ * Backups to keep under the rotation settings
+ * @param {Array} backups - [{name, createdAt (Date)}]
+ * @returns {Set<string>} Names of the backups to keep
+ */
+function selectBackupsToKeep(backups, settings) {
+  const sorted = [...backups].sort((a, b) => b.createdAt - a.createdAt);
+  const keep = new Set(sorted.slice(0, settings.keepLast).map(backup => backup.name));
+
+  for (const [count, getKey] of [[settings.keepDaily, getDayKey], [settings.keepWeekly, getWeekKey]]) {
+    const periods = new Set();
+    for (const backup of sorted) {
+      const key = getKey(backup.createdAt);
+      if (periods.has(key)) continue;
+      if (periods.size >= count) break;
+      periods.add(key);
+      keep.add(backup.name);
+    }
+  }
+  return keep;
+}
+
+module.exports = {
+  DEFAULT_BACKUP_SETTINGS,
+  validateBackupSettings,
+  resolveBackupSettings,
+  selectBackupsToKeep,
+};
@@ -0,0 +1,61 @@
+/**
+ * Secret redaction of exports
+ * Redacted exports replace secrets (passwords, tokens, webhook URLs, commands) with a placeholder,
+ * so they can be shared. Importing one keeps the secret already in the database wherever the
+ * export has the placeholder, instead of overwriting it.
+ */
+
+const REDACTED = '[redacted]';
+
+// Value at a dotted path, e.g. auth.password
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+/**
+ * Copy of a record with the value at `path` replaced, or removed when `value` is undefined;
+ * objects along the path are copied, the record itself is not changed
+ */
+function setPath(record, path, value) {
+  const [key, ...rest] = path.split('.');
+  const copy = Array.isArray(record) ? [...record] : { ...record };
+  if (rest.length > 0) {
+    if (!copy[key] || typeof copy[key] !== 'object') return record;
+    copy[key] = setPath(copy[key], rest.join('.'), value);
+  } else if (value === undefined) {
+    delete copy[key];
+  } else {
+    copy[key] = value;
+  }
+  return copy;
+}
+
+/**
+ * Record with its secrets replaced by the placeholder; empty values are left as they are
+ * @param {string[]} paths - Dotted paths of the secrets
+ */
+function redactFields(record, paths) {
+  return paths.reduce((redacted, path) => {
+    const value = getPath(redacted, path);
+    return value === undefined || value === null || value === '' ? redacted : setPath(redacted, path, REDACTED);
+  }, record);
+}
+
+/**
+ * Record with the placeholders replaced by the secrets of the existing record; placeholders
+ * without an existing secret are removed
+ * @param {Object|null} existing - The record in the database
+ */
+function keepRedactedFields(record, existing, paths) {
+  return paths.reduce((restored, path) => {
+    if (getPath(restored, path) !== REDACTED) return restored;
+    const value = getPath(existing, path);
+    return setPath(restored, path, value === null ? undefined : value);
+  }, record);
+}
+
+module.exports = {
+  REDACTED,
+  redactFields,
+  keepRedactedFields,
+};
@@ -0,0 +1,122 @@
+/**
+ * Cron expressions (minute hour day-of-month month day-of-week) in local time
+ * Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (0-30/10, or * with /15); day-of-week
+ * is 0-7 with 0 and 7 for Sunday. As in cron, when both day fields are restricted a day
+ * matches either of them.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// Next runs are searched this far ahead, e.g. 0 0 31 2 * never matches
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function parseField(value, field) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    const [, range, from, to, step] = match;
+    const start = range === '*' ? field.min : Number(from);
+    const end = range === '*' ? field.max : (to !== undefined ? Number(to) : (step ? field.max : start));
+    const increment = step ? Number(step) : 1;
+    if (start < field.min || end > field.max || start > end || increment < 1) {
+      throw new Error(`Invalid ${field.name} "${part}" (allowed ${field.min}-${field.max})`);
+    }
+
+    for (let i = start; i <= end; i += increment) {
+      values.add(i);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse an expression
+ * @returns {Object} {minutes, hours, days, months, weekdays (Sets), anyDay, anyWeekday}
+ * @throws {Error} On an invalid expression
+ */
+function parseCronExpression(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+/**
+ * Error message of an invalid expression, null when it is valid
+ */
+function validateCronExpression(expression) {
+  try {
+    parseCronExpression(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function matchesDay(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) {
+    return day && weekday;
+  }
+  return day || weekday;
+}
+
+/**
+ * First time after `from` that matches the expression, null if there is none
+ */
+function getNextRun(expression, from = new Date()) {
+  const cron = parseCronExpression(expression);
+  const next = new Date(from);
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  while (next.getTime() <= limit) {
+    if (!cron.months.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1, 0, 0);
+    } else {
+      return next;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCronExpression,
+  validateCronExpression,
+  getNextRun,
+};
@@ -0,0 +1,126 @@
+/**
+ * Streaming latency sketch
+ * Response times are counted in logarithmic bins, so quantiles are estimated within RELATIVE_ACCURACY
+ * of the true value from a few hundred numbers per target and day, and sketches of several days merge
+ * exactly. Min, max, sum and sum of squares are kept exactly for min/max/mean/standard deviation.
+ */
+
+const RELATIVE_ACCURACY = 0.01;
+const GAMMA = (1 + RELATIVE_ACCURACY) / (1 - RELATIVE_ACCURACY);
+const LOG_GAMMA = Math.log(GAMMA);
+
+function createSketch() {
+  return { bins: {}, zeros: 0, count: 0, sum: 0, sumSquares: 0, min: null, max: null };
+}
+
+/**
+ * Sketch stored in the database, or an empty one
+ */
+function parseSketch(value) {
+  if (!value || typeof value !== 'object' || typeof value.count !== 'number') {
+    return createSketch();
+  }
+  return { ...createSketch(), ...value, bins: { ...(value.bins || {}) } };
+}
+
+/**
+ * Add a response time (ms) to a sketch; returns a new sketch
+ */
+function addValue(sketch, value) {
+  const next = parseSketch(sketch);
+  if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+    return next;
+  }
+
+  if (value === 0) {
+    next.zeros++;
+  } else {
+    const key = Math.ceil(Math.log(value) / LOG_GAMMA);
+    next.bins[key] = (next.bins[key] || 0) + 1;
+  }
+  next.count++;
+  next.sum += value;
+  next.sumSquares += value * value;
+  next.min = next.min === null ? value : Math.min(next.min, value);
+  next.max = next.max === null ? value : Math.max(next.max, value);
+  return next;
+}
+
+/**
+ * Combine sketches, e.g. the daily sketches of a month
+ */
+function mergeSketches(...sketches) {
+  const merged = createSketch();
+  for (const value of sketches) {
+    const sketch = parseSketch(value);
+    if (sketch.count === 0) continue;
+
+    for (const [key, count] of Object.entries(sketch.bins)) {
+      merged.bins[key] = (merged.bins[key] || 0) + count;
+    }
+    merged.zeros += sketch.zeros;
+    merged.count += sketch.count;
+    merged.sum += sketch.sum;
+    merged.sumSquares += sketch.sumSquares;
+    merged.min = merged.min === null ? sketch.min : Math.min(merged.min, sketch.min);
+    merged.max = merged.max === null ? sketch.max : Math.max(merged.max, sketch.max);
+  }
+  return merged;
+}
+
+/**
+ * Estimated response time at a quantile (0-1), or null for an empty sketch
+ */
+function getQuantile(sketch, quantile) {
+  if (!sketch || sketch.count === 0) {
+    return null;
+  }
+
+  const rank = quantile * (sketch.count - 1);
+  let seen = sketch.zeros;
+  if (rank < seen) {
+    return 0;
+  }
+
+  const keys = Object.keys(sketch.bins).map(Number).sort((a, b) => a - b);
+  for (const key of keys) {
+    seen += sketch.bins[key];
+    if (rank < seen) {
+      // Middle of the bin, which lies within RELATIVE_ACCURACY of every value in it
+      const estimate = (2 * Math.pow(GAMMA, key)) / (GAMMA + 1);
+      return Math.min(Math.max(estimate, sketch.min), sketch.max);
+    }
+  }
+  return sketch.max;
+}
+
+/**
+ * Summary stored alongside the sketch
+ * @returns {Object} {min, max, p50, p95, p99, stdDev} (ms), null values for an empty sketch
+ */
+function summarizeSketch(sketch) {
+  if (!sketch || sketch.count === 0) {
+    return { min: null, max: null, p50: null, p95: null, p99: null, stdDev: null };
+  }
+
+  const mean = sketch.sum / sketch.count;
+  const variance = Math.max(sketch.sumSquares / sketch.count - mean * mean, 0);
+  return {
+    min: sketch.min,
+    max: sketch.max,
+    p50: getQuantile(sketch, 0.5),
+    p95: getQuantile(sketch, 0.95),
+    p99: getQuantile(sketch, 0.99),
+    stdDev: Math.sqrt(variance),
+  };
+}
+
+module.exports = {
+  RELATIVE_ACCURACY,
+  createSketch,
+  parseSketch,
+  addValue,
+  mergeSketches,
+  getQuantile,
+  summarizeSketch,
+};
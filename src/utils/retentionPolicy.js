@@ -0,0 +1,104 @@
+/**
+ * Tiered retention policy
+ * Raw ping results are kept for `rawDays`, then rolled up into 1-minute, hourly and daily
+ * aggregates that are kept for `minuteDays`, `hourlyDays` and `dailyDays` (age in days).
+ * Everything older than the last tier is deleted. A tier that does not reach past the tier
+ * before it is skipped, e.g. minuteDays <= rawDays rolls raw results straight into hours.
+ */
+
+const RETENTION_TIERS = [
+  { name: 'raw', key: 'rawDays', model: 'pingResult', table: 'pingResults', timeColumn: 'timestamp' },
+  { name: 'minute', key: 'minuteDays', model: 'pingRollupMinute', table: 'pingResultsMinutely', timeColumn: 'bucket', unit: 'minute' },
+  { name: 'hourly', key: 'hourlyDays', model: 'pingRollupHour', table: 'pingResultsHourly', timeColumn: 'bucket', unit: 'hour' },
+  { name: 'daily', key: 'dailyDays', model: 'pingRollupDay', table: 'pingResultsDaily', timeColumn: 'bucket', unit: 'day' },
+];
+
+const DEFAULT_RETENTION_POLICY = {
+  rawDays: 30,
+  minuteDays: 60,
+  hourlyDays: 180,
+  dailyDays: 730,
+};
+
+const MAX_RETENTION_DAYS = 3650;
+
+/**
+ * Validate a policy or override; unset values (null, '') inherit
+ * @returns {string[]} Error messages
+ */
+function validateRetentionPolicy(policy) {
+  if (policy === undefined || policy === null) return [];
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['Retention policy must be an object'];
+  }
+
+  const errors = [];
+  const keys = RETENTION_TIERS.map(tier => tier.key);
+  for (const [key, value] of Object.entries(policy)) {
+    if (!keys.includes(key)) {
+      errors.push(`Unknown retention setting: ${key} (expected ${keys.join(', ')})`);
+    } else if (value !== null && value !== '' && !(Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= MAX_RETENTION_DAYS)) {
+      errors.push(`${key} must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Only the values that are set, as numbers; null when nothing is set
+ */
+function normalizeRetentionPolicy(policy) {
+  if (!policy || typeof policy !== 'object') return null;
+
+  const normalized = {};
+  for (const { key } of RETENTION_TIERS) {
+    if (policy[key] !== undefined && policy[key] !== null && policy[key] !== '') {
+      normalized[key] = Number(policy[key]);
+    }
+  }
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Effective policy of a target: defaults, then the global settings, then the target's override
+ * @param {Object|null} settings - Admin settings {dataRetentionDays, retentionPolicy}
+ * @param {Object|null} override - Target.retentionPolicy
+ */
+function resolveRetentionPolicy(settings, override) {
+  return {
+    ...DEFAULT_RETENTION_POLICY,
+    ...normalizeRetentionPolicy(settings?.retentionPolicy),
+    ...(settings?.dataRetentionDays && { rawDays: settings.dataRetentionDays }),
+    ...normalizeRetentionPolicy(override),
+  };
+}
+
+/**
+ * Tiers in use with their age limit, cutoff date and the tier they are rolled up from
+ * @returns {Array} [{name, key, model, table, timeColumn, unit, days, cutoff, source}]
+ */
+function getActiveTiers(policy, now = new Date()) {
+  const active = [];
+  for (const tier of RETENTION_TIERS) {
+    const days = policy[tier.key];
+    const previous = active[active.length - 1];
+    if (previous && days <= previous.days) continue;
+
+    active.push({
+      ...tier,
+      days,
+      cutoff: new Date(now.getTime() - days * 24 * 60 * 60 * 1000),
+      source: previous || null,
+    });
+  }
+  return active;
+}
+
+module.exports = {
+  RETENTION_TIERS,
+  DEFAULT_RETENTION_POLICY,
+  validateRetentionPolicy,
+  normalizeRetentionPolicy,
+  resolveRetentionPolicy,
+  getActiveTiers,
+};